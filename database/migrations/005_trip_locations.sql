@@ -0,0 +1,24 @@
+-- ============================================================
+-- Migration: Add trip_locations table for GPS breadcrumbs
+-- Date: 2026-10-19
+-- Description: Records every driver location ping received while
+--              a trip is active so routes can be replayed later
+--              (client history, support investigations, reports).
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS trip_locations (
+  id BIGSERIAL PRIMARY KEY,
+  trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  driver_id INTEGER REFERENCES drivers(user_id) ON DELETE SET NULL,
+  latitude DECIMAL(10,8) NOT NULL,
+  longitude DECIMAL(11,8) NOT NULL,
+  accuracy DECIMAL(8,2),
+  speed DECIMAL(8,2),
+  heading DECIMAL(5,2),
+  trip_status VARCHAR(50),
+  recorded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_locations_trip_recorded ON trip_locations(trip_id, recorded_at);
@@ -0,0 +1,38 @@
+-- ============================================================
+-- Migration: Add fare_quotes table and link trips to quotes
+-- Date: 2026-10-19
+-- Description: Estimates from /estimate-fare are persisted with
+--              the pricing config used, so /book-trip can lock in
+--              the quoted price until the quote expires.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS fare_quotes (
+  id UUID PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  pricing_config_id INTEGER REFERENCES pricing_config(id) ON DELETE SET NULL,
+  booking_type VARCHAR(50) NOT NULL CHECK (booking_type IN ('point-to-point', 'hourly')),
+  pickup_latitude DECIMAL(10,8) NOT NULL,
+  pickup_longitude DECIMAL(11,8) NOT NULL,
+  destination_latitude DECIMAL(10,8),
+  destination_longitude DECIMAL(11,8),
+  hours DECIMAL(5,2),
+  pickup_time TIMESTAMP,
+  distance_km DECIMAL(10,2),
+  base_price INTEGER NOT NULL,
+  total_price INTEGER NOT NULL,
+  platform_commission INTEGER NOT NULL,
+  driver_earnings INTEGER NOT NULL,
+  commission_percentage DECIMAL(5,2),
+  breakdown JSONB NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_fare_quotes_client ON fare_quotes(client_id);
+CREATE INDEX IF NOT EXISTS idx_fare_quotes_expires ON fare_quotes(expires_at);
+
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS fare_quote_id UUID REFERENCES fare_quotes(id) ON DELETE SET NULL;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS pricing_config_id INTEGER REFERENCES pricing_config(id) ON DELETE SET NULL;
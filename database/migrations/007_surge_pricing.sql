@@ -0,0 +1,28 @@
+-- ============================================================
+-- Migration: Demand-based surge pricing per region
+-- Date: 2026-10-19
+-- Description: Adds admin-configurable surge settings to
+--              pricing_config, a region_surge table holding the
+--              smoothed multiplier per region, and persists the
+--              multiplier applied on quotes and trips.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS surge_enabled BOOLEAN DEFAULT false;
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS surge_demand_threshold DECIMAL(5,2) DEFAULT 1.0;
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS surge_sensitivity DECIMAL(5,2) DEFAULT 0.5;
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS surge_max_multiplier DECIMAL(4,2) DEFAULT 2.0;
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS surge_smoothing_factor DECIMAL(3,2) DEFAULT 0.3;
+
+CREATE TABLE IF NOT EXISTS region_surge (
+  region VARCHAR(100) PRIMARY KEY,
+  multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.0,
+  raw_multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.0,
+  pending_trips INTEGER NOT NULL DEFAULT 0,
+  online_drivers INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE fare_quotes ADD COLUMN IF NOT EXISTS region VARCHAR(100);
+ALTER TABLE fare_quotes ADD COLUMN IF NOT EXISTS surge_multiplier DECIMAL(4,2) DEFAULT 1.0;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS surge_multiplier DECIMAL(4,2) DEFAULT 1.0;
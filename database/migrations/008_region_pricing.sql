@@ -0,0 +1,15 @@
+-- ============================================================
+-- Migration: Region-specific pricing configurations
+-- Date: 2026-10-19
+-- Description: Scopes pricing_config rows to a region. A NULL
+--              region is the global default used by regions
+--              without their own active config. At most one
+--              config is active per region.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS region VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_config_region ON pricing_config(region);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pricing_config_active_region
+  ON pricing_config (COALESCE(region, '')) WHERE is_active = true;
@@ -0,0 +1,33 @@
+-- ============================================================
+-- Migration: Scheduled pricing config activation windows
+-- Date: 2026-10-19
+-- Description: Lets admins schedule a pricing config to become
+--              active at a future time within its region, and
+--              optionally revert to the previously active config
+--              when the window ends.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS pricing_schedules (
+  id SERIAL PRIMARY KEY,
+  pricing_config_id INTEGER NOT NULL REFERENCES pricing_config(id) ON DELETE CASCADE,
+  region VARCHAR(100), -- copied from the config; NULL = global default
+  starts_at TIMESTAMP NOT NULL,
+  ends_at TIMESTAMP,
+  previous_config_id INTEGER REFERENCES pricing_config(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'active', 'completed', 'cancelled', 'missed')),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  activated_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_schedules_status_starts ON pricing_schedules(status, starts_at);
+CREATE INDEX IF NOT EXISTS idx_pricing_schedules_region ON pricing_schedules(region);
+
+DROP TRIGGER IF EXISTS update_pricing_schedules_updated_at ON pricing_schedules;
+CREATE TRIGGER update_pricing_schedules_updated_at BEFORE UPDATE ON pricing_schedules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
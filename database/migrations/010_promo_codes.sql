@@ -0,0 +1,52 @@
+-- ============================================================
+-- Migration: Promo codes and discounts
+-- Date: 2026-10-19
+-- Description: Adds promo_codes (percentage or fixed discounts
+--              with caps, usage limits, validity windows and
+--              region/booking-type restrictions), the
+--              promo_redemptions ledger, and the discount
+--              applied on fare quotes and trips.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(50) UNIQUE NOT NULL, -- stored upper-case
+  description TEXT,
+  discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+  max_discount INTEGER, -- cap for percentage discounts
+  min_fare INTEGER,
+  max_uses INTEGER, -- global limit, NULL = unlimited
+  max_uses_per_user INTEGER DEFAULT 1, -- NULL = unlimited
+  times_used INTEGER NOT NULL DEFAULT 0,
+  valid_from TIMESTAMP,
+  valid_until TIMESTAMP,
+  regions TEXT[], -- NULL = every region
+  booking_types TEXT[], -- NULL = every booking type
+  first_ride_only BOOLEAN DEFAULT false,
+  is_active BOOLEAN DEFAULT true,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id SERIAL PRIMARY KEY,
+  promo_code_id INTEGER NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  trip_id INTEGER UNIQUE REFERENCES trips(id) ON DELETE CASCADE,
+  discount_amount INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_promo_user ON promo_redemptions(promo_code_id, user_id);
+
+ALTER TABLE fare_quotes ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL;
+ALTER TABLE fare_quotes ADD COLUMN IF NOT EXISTS discount_amount INTEGER DEFAULT 0;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS discount_amount INTEGER DEFAULT 0;
+
+DROP TRIGGER IF EXISTS update_promo_codes_updated_at ON promo_codes;
+CREATE TRIGGER update_promo_codes_updated_at BEFORE UPDATE ON promo_codes
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,19 @@
+-- ============================================================
+-- Migration: Cancellation fees
+-- Date: 2026-10-19
+-- Description: Adds the cancellation policy (grace period and
+--              fee) to pricing_config, and records on each trip
+--              who cancelled, when, and how the fee was split
+--              between platform and driver.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS cancellation_grace_minutes INTEGER DEFAULT 5;
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS cancellation_fee INTEGER DEFAULT 1000;
+
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(20)
+  CHECK (cancelled_by IN ('client', 'driver', 'admin', 'system'));
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS cancellation_fee INTEGER DEFAULT 0;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS cancellation_platform_share INTEGER DEFAULT 0;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS cancellation_driver_share INTEGER DEFAULT 0;
@@ -0,0 +1,16 @@
+-- ============================================================
+-- Migration: Waiting-time charges at pickup
+-- Date: 2026-10-19
+-- Description: Adds free waiting minutes and a per-minute
+--              waiting charge to pricing_config, and records on
+--              each trip when the driver arrived and the waiting
+--              time and charge measured when the trip started.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS free_waiting_minutes INTEGER DEFAULT 5;
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS waiting_charge_per_minute INTEGER DEFAULT 50;
+
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS arrived_at TIMESTAMP;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS waiting_minutes INTEGER DEFAULT 0;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS waiting_charge INTEGER DEFAULT 0;
@@ -0,0 +1,21 @@
+-- ============================================================
+-- Migration: Socket presence registry
+-- Date: 2026-10-19
+-- Description: Adds user_presence, one row per user and server
+--              instance with the number of sockets that user has
+--              open on it. Instances refresh last_seen_at on a
+--              heartbeat so rows left behind by a crashed
+--              instance go stale instead of showing users online.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS user_presence (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  instance_id VARCHAR(100) NOT NULL,
+  socket_count INTEGER NOT NULL DEFAULT 0 CHECK (socket_count >= 0),
+  connected_at TIMESTAMP,
+  last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, instance_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_presence_online ON user_presence(last_seen_at) WHERE socket_count > 0;
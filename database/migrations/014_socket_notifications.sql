@@ -0,0 +1,26 @@
+-- ============================================================
+-- Migration: Socket notification outbox
+-- Date: 2026-10-19
+-- Description: Adds socket_notifications, an outbox of events
+--              sent to a user over Socket.io. Rows stay pending
+--              until the app acknowledges them and are replayed
+--              when the user re-authenticates. Booking request
+--              notifications expire with their booking request.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS socket_notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  booking_request_id INTEGER REFERENCES booking_requests(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL, -- UTC, like booking_requests.expires_at
+  delivery_attempts INTEGER NOT NULL DEFAULT 0,
+  last_delivered_at TIMESTAMP,
+  acked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_socket_notifications_pending ON socket_notifications(user_id, created_at) WHERE acked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_socket_notifications_expires ON socket_notifications(expires_at);
@@ -0,0 +1,43 @@
+-- ============================================================
+-- Migration: Dispatch strategies per region
+-- Date: 2026-10-19
+-- Description: Adds dispatch_config (broadcast, sequential or
+--              widening waves, with timeouts and search radii per
+--              region; NULL region = global default) and records
+--              on every booking request the dispatch attempt,
+--              wave, strategy, search radius and driver distance.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS dispatch_config (
+  id SERIAL PRIMARY KEY,
+  region VARCHAR(100), -- NULL = global default
+  strategy VARCHAR(20) NOT NULL DEFAULT 'broadcast'
+    CHECK (strategy IN ('broadcast', 'sequential', 'waves')),
+  broadcast_size INTEGER NOT NULL DEFAULT 10,
+  broadcast_timeout_seconds INTEGER NOT NULL DEFAULT 600,
+  offer_timeout_seconds INTEGER NOT NULL DEFAULT 20, -- sequential: per driver
+  wave_size INTEGER NOT NULL DEFAULT 3,
+  wave_timeout_seconds INTEGER NOT NULL DEFAULT 30,
+  initial_radius_km DECIMAL(6,2) NOT NULL DEFAULT 5,
+  radius_step_km DECIMAL(6,2) NOT NULL DEFAULT 5,
+  max_radius_km DECIMAL(6,2) NOT NULL DEFAULT 50,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One config per region
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dispatch_config_region ON dispatch_config (COALESCE(region, ''));
+
+DROP TRIGGER IF EXISTS update_dispatch_config_updated_at ON dispatch_config;
+CREATE TRIGGER update_dispatch_config_updated_at BEFORE UPDATE ON dispatch_config
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE booking_requests ADD COLUMN IF NOT EXISTS attempt INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE booking_requests ADD COLUMN IF NOT EXISTS wave INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE booking_requests ADD COLUMN IF NOT EXISTS strategy VARCHAR(20) NOT NULL DEFAULT 'broadcast';
+ALTER TABLE booking_requests ADD COLUMN IF NOT EXISTS search_radius_km DECIMAL(6,2);
+ALTER TABLE booking_requests ADD COLUMN IF NOT EXISTS distance_km DECIMAL(8,2);
+
+CREATE INDEX IF NOT EXISTS idx_booking_requests_trip_attempt ON booking_requests(trip_id, attempt, wave);
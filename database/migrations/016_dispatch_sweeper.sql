@@ -0,0 +1,15 @@
+-- ============================================================
+-- Migration: Re-dispatch of unanswered trips
+-- Date: 2026-10-19
+-- Description: Records on each trip how many dispatch attempts
+--              were made and when the last offer round ran, so
+--              the background sweeper can re-dispatch trips whose
+--              booking requests all expired and cancel them once
+--              the attempts are exhausted.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS dispatch_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS last_dispatch_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_booking_requests_status_expires ON booking_requests(status, expires_at);
@@ -0,0 +1,20 @@
+-- ============================================================
+-- Migration: Dispatch candidate scoring
+-- Date: 2026-10-19
+-- Description: Adds scoring weights (distance, rating,
+--              acceptance rate, idle time, location freshness)
+--              and the location staleness cut-off to
+--              dispatch_config, and stores each booking request's
+--              score and its breakdown for tuning.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+ALTER TABLE dispatch_config ADD COLUMN IF NOT EXISTS weight_distance DECIMAL(4,2) NOT NULL DEFAULT 0.50;
+ALTER TABLE dispatch_config ADD COLUMN IF NOT EXISTS weight_rating DECIMAL(4,2) NOT NULL DEFAULT 0.15;
+ALTER TABLE dispatch_config ADD COLUMN IF NOT EXISTS weight_acceptance DECIMAL(4,2) NOT NULL DEFAULT 0.15;
+ALTER TABLE dispatch_config ADD COLUMN IF NOT EXISTS weight_idle DECIMAL(4,2) NOT NULL DEFAULT 0.10;
+ALTER TABLE dispatch_config ADD COLUMN IF NOT EXISTS weight_freshness DECIMAL(4,2) NOT NULL DEFAULT 0.10;
+ALTER TABLE dispatch_config ADD COLUMN IF NOT EXISTS stale_location_minutes INTEGER NOT NULL DEFAULT 5;
+
+ALTER TABLE booking_requests ADD COLUMN IF NOT EXISTS score DECIMAL(6,4);
+ALTER TABLE booking_requests ADD COLUMN IF NOT EXISTS score_breakdown JSONB;
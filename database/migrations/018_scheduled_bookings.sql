@@ -0,0 +1,18 @@
+-- ============================================================
+-- Migration: Scheduled bookings
+-- Date: 2026-10-19
+-- Description: Adds the `scheduled` trip status for bookings made
+--              ahead of time. They are dispatched a lead time
+--              before pickup; until then drivers can pre-accept
+--              them (driver_id + preaccepted_at).
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+ALTER TABLE trips DROP CONSTRAINT IF EXISTS trips_status_check;
+ALTER TABLE trips ADD CONSTRAINT trips_status_check
+  CHECK (status IN ('scheduled', 'pending', 'accepted', 'waiting_for_pickup', 'in_progress', 'completed', 'cancelled'));
+
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS is_scheduled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS preaccepted_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_trips_scheduled_time ON trips(scheduled_time) WHERE status = 'scheduled';
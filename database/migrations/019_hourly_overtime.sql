@@ -0,0 +1,18 @@
+-- ============================================================
+-- Migration: Hourly packages and overtime
+-- Date: 2026-10-19
+-- Description: Adds the overtime billing increment to
+--              pricing_config, and records on each hourly trip
+--              the booked hours, when the client was warned the
+--              package is ending, the overtime billed and the
+--              final fare breakdown shown on the receipt.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS overtime_increment_minutes INTEGER DEFAULT 15;
+
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS booked_hours DECIMAL(5,2);
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS package_warning_sent_at TIMESTAMP;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS overtime_minutes INTEGER DEFAULT 0;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS overtime_charge INTEGER DEFAULT 0;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS fare_breakdown JSONB;
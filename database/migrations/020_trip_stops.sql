@@ -0,0 +1,23 @@
+-- ============================================================
+-- Migration: Multi-stop trips
+-- Date: 2026-10-19
+-- Description: Adds trip_stops, the ordered intermediate stops of
+--              a point-to-point trip and when the driver reached
+--              each one, and stores the stops a fare quote was
+--              priced with so the booking must match them.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS trip_stops (
+  id SERIAL PRIMARY KEY,
+  trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  stop_order INTEGER NOT NULL CHECK (stop_order > 0),
+  latitude DECIMAL(10,8) NOT NULL,
+  longitude DECIMAL(11,8) NOT NULL,
+  address TEXT,
+  reached_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (trip_id, stop_order)
+);
+
+ALTER TABLE fare_quotes ADD COLUMN IF NOT EXISTS stops JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,22 @@
+-- ============================================================
+-- Migration: Trip status history
+-- Date: 2026-10-19
+-- Description: Adds trip_status_history, one row per trip status
+--              change with the actor who made it (client, driver,
+--              admin or system) and when. Changes are checked
+--              against the trip state machine before they are made.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS trip_status_history (
+  id SERIAL PRIMARY KEY,
+  trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  from_status VARCHAR(50), -- NULL for the status the trip was created in
+  to_status VARCHAR(50) NOT NULL,
+  actor VARCHAR(20) NOT NULL CHECK (actor IN ('client', 'driver', 'admin', 'system')),
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_status_history_trip ON trip_status_history(trip_id, created_at);
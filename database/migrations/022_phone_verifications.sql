@@ -0,0 +1,32 @@
+-- ============================================================
+-- Migration: Phone verifications
+-- Date: 2026-10-19
+-- Description: Adds phone_verifications, the one-time codes texted
+--              to a phone number (stored as an HMAC, never in
+--              clear) with their expiry, attempt counter and
+--              resend cooldown, and records on users when their
+--              phone number was verified at registration.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS phone_verifications (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(20) NOT NULL,
+  purpose VARCHAR(30) NOT NULL DEFAULT 'registration',
+  code_hash VARCHAR(64) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  send_count INTEGER NOT NULL DEFAULT 1,
+  last_sent_at TIMESTAMP NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  verified_at TIMESTAMP,
+  consumed_at TIMESTAMP, -- used up by the registration it allowed
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (phone, purpose)
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMP;
+
+DROP TRIGGER IF EXISTS update_phone_verifications_updated_at ON phone_verifications;
+CREATE TRIGGER update_phone_verifications_updated_at BEFORE UPDATE ON phone_verifications
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
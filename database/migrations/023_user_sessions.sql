@@ -0,0 +1,28 @@
+-- ============================================================
+-- Migration: User sessions
+-- Date: 2026-10-19
+-- Description: Adds user_sessions, one row per signed-in device.
+--              Each holds the hash of its current refresh token,
+--              which is replaced on every refresh; presenting a
+--              replaced token revokes the session. Access tokens
+--              carry the session id and stop working once the
+--              session is revoked.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  device_name VARCHAR(100),
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  rotation_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(30), -- logout, logout_all, revoked, reuse_detected, suspended, password_reset
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active ON user_sessions(user_id) WHERE revoked_at IS NULL;
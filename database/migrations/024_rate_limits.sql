@@ -0,0 +1,29 @@
+-- ============================================================
+-- Migration: Rate limits
+-- Date: 2026-10-19
+-- Description: Adds rate_limits, one attempt counter per scope
+--              (login, password reset, trip OTP...) and key (IP,
+--              phone, trip). Going over a scope's limit locks the
+--              key for a time that doubles with every lockout.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  id SERIAL PRIMARY KEY,
+  scope VARCHAR(50) NOT NULL,
+  key VARCHAR(255) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  lockout_count INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP,
+  last_attempt_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_locked ON rate_limits(locked_until) WHERE locked_until IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_rate_limits_updated_at ON rate_limits;
+CREATE TRIGGER update_rate_limits_updated_at BEFORE UPDATE ON rate_limits
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,24 @@
+-- ============================================================
+-- Migration: Admin roles
+-- Date: 2026-10-19
+-- Description: Adds admin_role_assignments. Admin routes now
+--              each require a permission, granted through roles
+--              (super_admin, ops, support, finance) defined in
+--              src/config/permissions.js. Existing admins are made
+--              super_admin so they keep their access.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS admin_role_assignments (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(30) NOT NULL CHECK (role IN ('super_admin', 'ops', 'support', 'finance')),
+  granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_role_assignments_role ON admin_role_assignments(role);
+
+INSERT INTO admin_role_assignments (user_id, role)
+SELECT id, 'super_admin' FROM users WHERE role = 'admin'
+ON CONFLICT (user_id, role) DO NOTHING;
@@ -0,0 +1,34 @@
+-- ============================================================
+-- Migration: Two-factor authentication
+-- Date: 2026-10-19
+-- Description: Adds user_two_factor (a user's encrypted TOTP
+--              secret, enabled once a first code is confirmed)
+--              and two_factor_recovery_codes (hashed single-use
+--              codes). Sessions record whether they were opened
+--              with a second factor.
+-- Safe to run multiple times (uses IF NOT EXISTS).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS user_two_factor (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  secret_encrypted TEXT NOT NULL,
+  enabled_at TIMESTAMP,
+  last_used_step BIGINT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, code_hash)
+);
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS two_factor_verified_at TIMESTAMP;
+
+DROP TRIGGER IF EXISTS update_user_two_factor_updated_at ON user_two_factor;
+CREATE TRIGGER update_user_two_factor_updated_at BEFORE UPDATE ON user_two_factor
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
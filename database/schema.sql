@@ -1,5 +1,5 @@
 -- ONIVA Database Master Schema
--- Latest State as of 2026-03-31
+-- Latest State as of 2026-10-19
 
 -- 1. Migration Tracking Table
 CREATE TABLE IF NOT EXISTS migrations_log (
@@ -21,6 +21,7 @@ CREATE TABLE users (
   profile_photo TEXT,
   reset_otp VARCHAR(6),
   reset_otp_expires_at TIMESTAMP,
+  phone_verified_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -82,12 +83,34 @@ CREATE TABLE trips (
   driver_earnings INTEGER NOT NULL,
   payment_method VARCHAR(50) NOT NULL CHECK (payment_method IN ('cash', 'mobile_money')),
   region VARCHAR(100) NOT NULL,
-  status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'waiting_for_pickup', 'in_progress', 'completed', 'cancelled')),
+  status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('scheduled', 'pending', 'accepted', 'waiting_for_pickup', 'in_progress', 'completed', 'cancelled')),
+  is_scheduled BOOLEAN NOT NULL DEFAULT false, -- booked ahead, dispatched a lead time before pickup
+  preaccepted_at TIMESTAMP, -- driver took the scheduled trip before dispatch
   otp_code VARCHAR(6),
   otp_verified BOOLEAN DEFAULT false,
   otp_verified_at TIMESTAMP,
+  arrived_at TIMESTAMP,
+  waiting_minutes INTEGER DEFAULT 0,
+  waiting_charge INTEGER DEFAULT 0,
+  booked_hours DECIMAL(5,2), -- hourly package size
+  package_warning_sent_at TIMESTAMP, -- client warned the hourly package is ending
+  overtime_minutes INTEGER DEFAULT 0, -- billed minutes beyond the package
+  overtime_charge INTEGER DEFAULT 0,
+  fare_breakdown JSONB, -- final fare components, shown on the receipt
   cancellation_reason TEXT,
+  cancelled_by VARCHAR(20) CHECK (cancelled_by IN ('client', 'driver', 'admin', 'system')),
+  cancelled_at TIMESTAMP,
+  cancellation_fee INTEGER DEFAULT 0,
+  cancellation_platform_share INTEGER DEFAULT 0,
+  cancellation_driver_share INTEGER DEFAULT 0,
+  dispatch_attempts INTEGER NOT NULL DEFAULT 0,
+  last_dispatch_at TIMESTAMP, -- last offer round, for the re-dispatch sweeper
   completed_at TIMESTAMP,
+  fare_quote_id UUID, -- FK added after fare_quotes is created
+  pricing_config_id INTEGER, -- FK added after pricing_config is created
+  surge_multiplier DECIMAL(4,2) DEFAULT 1.0,
+  promo_code_id INTEGER, -- FK added after promo_codes is created
+  discount_amount INTEGER DEFAULT 0,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -97,6 +120,7 @@ CREATE INDEX idx_trips_driver ON trips(driver_id);
 CREATE INDEX idx_trips_status ON trips(status);
 CREATE INDEX idx_trips_region ON trips(region);
 CREATE INDEX idx_trips_created ON trips(created_at);
+CREATE INDEX idx_trips_scheduled_time ON trips(scheduled_time) WHERE status = 'scheduled';
 
 -- 5. Booking Requests Table
 CREATE TABLE booking_requests (
@@ -108,10 +132,19 @@ CREATE TABLE booking_requests (
   accepted_at TIMESTAMP,
   rejected_at TIMESTAMP,
   expires_at TIMESTAMP NOT NULL,
+  attempt INTEGER NOT NULL DEFAULT 1, -- dispatch attempt for the trip
+  wave INTEGER NOT NULL DEFAULT 1, -- offer round within the attempt
+  strategy VARCHAR(20) NOT NULL DEFAULT 'broadcast',
+  search_radius_km DECIMAL(6,2),
+  distance_km DECIMAL(8,2), -- driver distance to pickup when offered
+  score DECIMAL(6,4), -- candidate ranking score (0-1)
+  score_breakdown JSONB, -- per-factor values and weights behind the score
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX idx_booking_requests_trip ON booking_requests(trip_id);
+CREATE INDEX idx_booking_requests_trip_attempt ON booking_requests(trip_id, attempt, wave);
+CREATE INDEX idx_booking_requests_status_expires ON booking_requests(status, expires_at);
 CREATE INDEX idx_booking_requests_driver ON booking_requests(driver_id);
 CREATE INDEX idx_booking_requests_status ON booking_requests(status);
 
@@ -171,11 +204,27 @@ CREATE TABLE pricing_config (
   night_end_hour INTEGER DEFAULT 6,
   long_distance_coefficient DECIMAL(3,2) DEFAULT 1.1,
   long_distance_threshold_km INTEGER DEFAULT 50,
+  region VARCHAR(100), -- NULL = global default
+  surge_enabled BOOLEAN DEFAULT false,
+  surge_demand_threshold DECIMAL(5,2) DEFAULT 1.0,
+  surge_sensitivity DECIMAL(5,2) DEFAULT 0.5,
+  surge_max_multiplier DECIMAL(4,2) DEFAULT 2.0,
+  surge_smoothing_factor DECIMAL(3,2) DEFAULT 0.3,
+  cancellation_grace_minutes INTEGER DEFAULT 5,
+  cancellation_fee INTEGER DEFAULT 1000,
+  free_waiting_minutes INTEGER DEFAULT 5,
+  waiting_charge_per_minute INTEGER DEFAULT 50,
+  overtime_increment_minutes INTEGER DEFAULT 15, -- hourly overtime is billed per started increment
   is_active BOOLEAN DEFAULT true,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- One active config per region (NULL region = global default)
+CREATE INDEX idx_pricing_config_region ON pricing_config(region);
+CREATE UNIQUE INDEX idx_pricing_config_active_region
+  ON pricing_config (COALESCE(region, '')) WHERE is_active = true;
+
 -- 10. Activity Logs Table
 CREATE TABLE activity_logs (
   id SERIAL PRIMARY KEY,
@@ -191,6 +240,300 @@ CREATE TABLE activity_logs (
 CREATE INDEX idx_activity_logs_user ON activity_logs(user_id);
 CREATE INDEX idx_activity_logs_created ON activity_logs(created_at);
 
+-- 11. Trip Locations Table (GPS breadcrumbs recorded during active trips)
+CREATE TABLE trip_locations (
+  id BIGSERIAL PRIMARY KEY,
+  trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  driver_id INTEGER REFERENCES drivers(user_id) ON DELETE SET NULL,
+  latitude DECIMAL(10,8) NOT NULL,
+  longitude DECIMAL(11,8) NOT NULL,
+  accuracy DECIMAL(8,2),
+  speed DECIMAL(8,2),
+  heading DECIMAL(5,2),
+  trip_status VARCHAR(50),
+  recorded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_trip_locations_trip_recorded ON trip_locations(trip_id, recorded_at);
+
+-- 12. Fare Quotes Table (estimates locked in until expiry)
+CREATE TABLE fare_quotes (
+  id UUID PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  pricing_config_id INTEGER REFERENCES pricing_config(id) ON DELETE SET NULL,
+  booking_type VARCHAR(50) NOT NULL CHECK (booking_type IN ('point-to-point', 'hourly')),
+  pickup_latitude DECIMAL(10,8) NOT NULL,
+  pickup_longitude DECIMAL(11,8) NOT NULL,
+  destination_latitude DECIMAL(10,8),
+  destination_longitude DECIMAL(11,8),
+  hours DECIMAL(5,2),
+  pickup_time TIMESTAMP,
+  distance_km DECIMAL(10,2),
+  base_price INTEGER NOT NULL,
+  total_price INTEGER NOT NULL,
+  platform_commission INTEGER NOT NULL,
+  driver_earnings INTEGER NOT NULL,
+  commission_percentage DECIMAL(5,2),
+  region VARCHAR(100),
+  surge_multiplier DECIMAL(4,2) DEFAULT 1.0,
+  promo_code_id INTEGER, -- FK added after promo_codes is created
+  discount_amount INTEGER DEFAULT 0,
+  breakdown JSONB NOT NULL,
+  stops JSONB NOT NULL DEFAULT '[]', -- intermediate stops the price covers
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_fare_quotes_client ON fare_quotes(client_id);
+CREATE INDEX idx_fare_quotes_expires ON fare_quotes(expires_at);
+
+ALTER TABLE trips
+  ADD CONSTRAINT fk_trips_fare_quote FOREIGN KEY (fare_quote_id) REFERENCES fare_quotes(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_trips_pricing_config FOREIGN KEY (pricing_config_id) REFERENCES pricing_config(id) ON DELETE SET NULL;
+
+-- 13. Region Surge Table (smoothed demand multiplier per region)
+CREATE TABLE region_surge (
+  region VARCHAR(100) PRIMARY KEY,
+  multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.0,
+  raw_multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.0,
+  pending_trips INTEGER NOT NULL DEFAULT 0,
+  online_drivers INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 14. Pricing Schedules Table (future activation windows per region)
+CREATE TABLE pricing_schedules (
+  id SERIAL PRIMARY KEY,
+  pricing_config_id INTEGER NOT NULL REFERENCES pricing_config(id) ON DELETE CASCADE,
+  region VARCHAR(100), -- copied from the config; NULL = global default
+  starts_at TIMESTAMP NOT NULL,
+  ends_at TIMESTAMP,
+  previous_config_id INTEGER REFERENCES pricing_config(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'active', 'completed', 'cancelled', 'missed')),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  activated_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX idx_pricing_schedules_status_starts ON pricing_schedules(status, starts_at);
+CREATE INDEX idx_pricing_schedules_region ON pricing_schedules(region);
+
+-- 15. Promo Codes Table (percentage or fixed discounts)
+CREATE TABLE promo_codes (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(50) UNIQUE NOT NULL, -- stored upper-case
+  description TEXT,
+  discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+  max_discount INTEGER, -- cap for percentage discounts
+  min_fare INTEGER,
+  max_uses INTEGER, -- global limit, NULL = unlimited
+  max_uses_per_user INTEGER DEFAULT 1, -- NULL = unlimited
+  times_used INTEGER NOT NULL DEFAULT 0,
+  valid_from TIMESTAMP,
+  valid_until TIMESTAMP,
+  regions TEXT[], -- NULL = every region
+  booking_types TEXT[], -- NULL = every booking type
+  first_ride_only BOOLEAN DEFAULT false,
+  is_active BOOLEAN DEFAULT true,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 16. Promo Redemptions Table (one per trip)
+CREATE TABLE promo_redemptions (
+  id SERIAL PRIMARY KEY,
+  promo_code_id INTEGER NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  trip_id INTEGER UNIQUE REFERENCES trips(id) ON DELETE CASCADE,
+  discount_amount INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_promo_redemptions_promo_user ON promo_redemptions(promo_code_id, user_id);
+
+ALTER TABLE trips
+  ADD CONSTRAINT fk_trips_promo_code FOREIGN KEY (promo_code_id) REFERENCES promo_codes(id) ON DELETE SET NULL;
+
+ALTER TABLE fare_quotes
+  ADD CONSTRAINT fk_fare_quotes_promo_code FOREIGN KEY (promo_code_id) REFERENCES promo_codes(id) ON DELETE SET NULL;
+
+-- 17. User Presence Table (open sockets per user and server instance)
+CREATE TABLE user_presence (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  instance_id VARCHAR(100) NOT NULL,
+  socket_count INTEGER NOT NULL DEFAULT 0 CHECK (socket_count >= 0),
+  connected_at TIMESTAMP,
+  last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, instance_id)
+);
+
+CREATE INDEX idx_user_presence_online ON user_presence(last_seen_at) WHERE socket_count > 0;
+
+-- 18. Socket Notifications Table (outbox replayed until acknowledged)
+CREATE TABLE socket_notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  booking_request_id INTEGER REFERENCES booking_requests(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL, -- UTC, like booking_requests.expires_at
+  delivery_attempts INTEGER NOT NULL DEFAULT 0,
+  last_delivered_at TIMESTAMP,
+  acked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_socket_notifications_pending ON socket_notifications(user_id, created_at) WHERE acked_at IS NULL;
+CREATE INDEX idx_socket_notifications_expires ON socket_notifications(expires_at);
+
+-- 19. Dispatch Configuration Table (strategy per region)
+CREATE TABLE dispatch_config (
+  id SERIAL PRIMARY KEY,
+  region VARCHAR(100), -- NULL = global default
+  strategy VARCHAR(20) NOT NULL DEFAULT 'broadcast'
+    CHECK (strategy IN ('broadcast', 'sequential', 'waves')),
+  broadcast_size INTEGER NOT NULL DEFAULT 10,
+  broadcast_timeout_seconds INTEGER NOT NULL DEFAULT 600,
+  offer_timeout_seconds INTEGER NOT NULL DEFAULT 20, -- sequential: per driver
+  wave_size INTEGER NOT NULL DEFAULT 3,
+  wave_timeout_seconds INTEGER NOT NULL DEFAULT 30,
+  initial_radius_km DECIMAL(6,2) NOT NULL DEFAULT 5,
+  radius_step_km DECIMAL(6,2) NOT NULL DEFAULT 5,
+  max_radius_km DECIMAL(6,2) NOT NULL DEFAULT 50,
+  weight_distance DECIMAL(4,2) NOT NULL DEFAULT 0.50,
+  weight_rating DECIMAL(4,2) NOT NULL DEFAULT 0.15,
+  weight_acceptance DECIMAL(4,2) NOT NULL DEFAULT 0.15,
+  weight_idle DECIMAL(4,2) NOT NULL DEFAULT 0.10,
+  weight_freshness DECIMAL(4,2) NOT NULL DEFAULT 0.10,
+  stale_location_minutes INTEGER NOT NULL DEFAULT 5, -- drivers not seen for longer are skipped
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One config per region
+CREATE UNIQUE INDEX idx_dispatch_config_region ON dispatch_config (COALESCE(region, ''));
+
+-- 20. Trip Stops Table (ordered intermediate stops of a point-to-point trip)
+CREATE TABLE trip_stops (
+  id SERIAL PRIMARY KEY,
+  trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  stop_order INTEGER NOT NULL CHECK (stop_order > 0),
+  latitude DECIMAL(10,8) NOT NULL,
+  longitude DECIMAL(11,8) NOT NULL,
+  address TEXT,
+  reached_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (trip_id, stop_order)
+);
+
+-- 21. Trip Status History Table (every status change, who made it and when)
+CREATE TABLE trip_status_history (
+  id SERIAL PRIMARY KEY,
+  trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  from_status VARCHAR(50), -- NULL for the status the trip was created in
+  to_status VARCHAR(50) NOT NULL,
+  actor VARCHAR(20) NOT NULL CHECK (actor IN ('client', 'driver', 'admin', 'system')),
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_trip_status_history_trip ON trip_status_history(trip_id, created_at);
+
+-- 22. Phone Verifications Table (one-time codes texted to a phone, stored hashed)
+CREATE TABLE phone_verifications (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(20) NOT NULL,
+  purpose VARCHAR(30) NOT NULL DEFAULT 'registration',
+  code_hash VARCHAR(64) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  send_count INTEGER NOT NULL DEFAULT 1,
+  last_sent_at TIMESTAMP NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  verified_at TIMESTAMP,
+  consumed_at TIMESTAMP, -- used up by the registration it allowed
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (phone, purpose)
+);
+
+-- 23. User Sessions Table (one per signed-in device, with its rotating refresh token)
+CREATE TABLE user_sessions (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  device_name VARCHAR(100),
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  rotation_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(30), -- logout, logout_all, revoked, reuse_detected, suspended, password_reset
+  two_factor_verified_at TIMESTAMP, -- set when the session was opened, or confirmed, with a second factor
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_sessions_user_active ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
+-- 24. Rate Limits Table (attempt counters and lockouts per scope and key: IP, phone, trip)
+CREATE TABLE rate_limits (
+  id SERIAL PRIMARY KEY,
+  scope VARCHAR(50) NOT NULL,
+  key VARCHAR(255) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  lockout_count INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP,
+  last_attempt_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (scope, key)
+);
+
+CREATE INDEX idx_rate_limits_locked ON rate_limits(locked_until) WHERE locked_until IS NOT NULL;
+
+-- 25. Admin Role Assignments Table (roles of an admin; see src/config/permissions.js)
+CREATE TABLE admin_role_assignments (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(30) NOT NULL CHECK (role IN ('super_admin', 'ops', 'support', 'finance')),
+  granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, role)
+);
+
+CREATE INDEX idx_admin_role_assignments_role ON admin_role_assignments(role);
+
+-- 26. User Two Factor Table (encrypted TOTP secret; enabled once a first code is confirmed)
+CREATE TABLE user_two_factor (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  secret_encrypted TEXT NOT NULL,
+  enabled_at TIMESTAMP,
+  last_used_step BIGINT, -- TOTP time step of the last accepted code, which can't be used again
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 27. Two Factor Recovery Codes Table (hashed, single-use)
+CREATE TABLE two_factor_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, code_hash)
+);
+
 -- Utils: updated_at triggers
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -210,4 +553,22 @@ CREATE TRIGGER update_trips_updated_at BEFORE UPDATE ON trips
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_pricing_config_updated_at BEFORE UPDATE ON pricing_config
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_pricing_schedules_updated_at BEFORE UPDATE ON pricing_schedules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_promo_codes_updated_at BEFORE UPDATE ON promo_codes
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_dispatch_config_updated_at BEFORE UPDATE ON dispatch_config
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_phone_verifications_updated_at BEFORE UPDATE ON phone_verifications
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_rate_limits_updated_at BEFORE UPDATE ON rate_limits
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_user_two_factor_updated_at BEFORE UPDATE ON user_two_factor
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
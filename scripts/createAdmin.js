@@ -1,6 +1,17 @@
 require('dotenv').config();
 const { Pool } = require('pg');
 const bcrypt = require('bcrypt'); 
+const { ROLES, isRole } = require('../src/config/permissions');
+
+// Role granted to the admin: `npm run createAdmin -- --role=ops` (default super_admin).
+// Run again with an existing admin's phone to grant it another role.
+const roleArg = process.argv.slice(2).find((arg) => arg.startsWith('--role='));
+const adminRole = roleArg ? roleArg.slice('--role='.length) : 'super_admin';
+
+if (!isRole(adminRole)) {
+  console.error(`❌ Unknown role "${adminRole}". Roles: ${Object.keys(ROLES).join(', ')}`);
+  process.exit(1);
+}
 
 let pool;
 
@@ -29,6 +40,32 @@ switch (process.env.NODE_ENV) {
     break;
 }
 
+async function grantRole(userId) {
+  await pool.query(
+    `INSERT INTO admin_role_assignments (user_id, role) VALUES ($1, $2)
+     ON CONFLICT (user_id, role) DO NOTHING`,
+    [userId, adminRole]
+  );
+}
+
+// The phone is taken: grant the role if it belongs to an admin
+async function grantRoleToExisting(phone) {
+  try {
+    const existing = await pool.query('SELECT id, role FROM users WHERE phone = $1', [phone]);
+    const user = existing.rows[0];
+
+    if (!user || user.role !== 'admin') {
+      console.error(`❌ Error: A user with the phone number ${phone} already exists.`);
+      return;
+    }
+
+    await grantRole(user.id);
+    console.log(`✅ Admin ${phone} now has the ${adminRole} role.`);
+  } catch (error) {
+    console.error('❌ Failed to grant admin role:', error);
+  }
+}
+
 async function createAdminUser() {
   // 1. Define your admin credentials here
   const adminPhone = '9800000000'; // Make sure this is 9-10 digits to pass your API rules later
@@ -53,14 +90,15 @@ async function createAdminUser() {
     const values = [adminPhone, adminEmail, adminName, passwordHash];
 
     const result = await pool.query(query, values);
+    await grantRole(result.rows[0].id);
 
-    console.log('✅ Admin user created successfully!');
+    console.log(`✅ Admin user created successfully with the ${adminRole} role!`);
     console.table(result.rows[0]);
 
   } catch (error) {
     // 23505 is the PostgreSQL error code for unique violation (e.g., phone already exists)
     if (error.code === '23505') {
-      console.error(`❌ Error: A user with the phone number ${adminPhone} already exists.`);
+      await grantRoleToExisting(adminPhone);
     } else {
       console.error('❌ Failed to create admin user:', error);
     }
@@ -0,0 +1,109 @@
+/**
+ * Admin roles and permissions
+ *
+ * Every admin route requires one permission. Admins hold one or more roles
+ * (admin_role_assignments) and get the permissions of all of them.
+ */
+
+const PERMISSIONS = [
+  'dashboard:read',
+  'users:read',
+  'users:suspend',
+  'drivers:read',
+  'drivers:approve',
+  'drivers:suspend',
+  'trips:read',
+  'pricing:read',
+  'pricing:write',
+  'promos:read',
+  'promos:write',
+  'dispatch:read',
+  'dispatch:write',
+  'presence:read',
+  'reports:read',
+  'finance:read',
+  'incidents:read',
+  'incidents:write',
+  'security:read',
+  'security:write',
+  'two_factor:reset',
+  'roles:manage'
+];
+
+const ROLES = {
+  // Everything, including who holds which role
+  super_admin: {
+    description: 'Full access, manages admin roles',
+    permissions: PERMISSIONS
+  },
+  // Day-to-day running of the fleet and the marketplace
+  ops: {
+    description: 'Drivers, trips, dispatch and pricing',
+    permissions: [
+      'dashboard:read',
+      'users:read',
+      'drivers:read',
+      'drivers:approve',
+      'drivers:suspend',
+      'trips:read',
+      'pricing:read',
+      'pricing:write',
+      'promos:read',
+      'promos:write',
+      'dispatch:read',
+      'dispatch:write',
+      'presence:read',
+      'reports:read',
+      'incidents:read',
+      'incidents:write'
+    ]
+  },
+  // Helping clients and drivers with their accounts and trips
+  support: {
+    description: 'User accounts, trips and incidents',
+    permissions: [
+      'dashboard:read',
+      'users:read',
+      'users:suspend',
+      'drivers:read',
+      'trips:read',
+      'presence:read',
+      'incidents:read',
+      'incidents:write',
+      'security:read',
+      'security:write'
+    ]
+  },
+  // Money in and out, read only
+  finance: {
+    description: 'Earnings, transactions and revenue reports',
+    permissions: [
+      'dashboard:read',
+      'trips:read',
+      'pricing:read',
+      'promos:read',
+      'reports:read',
+      'finance:read'
+    ]
+  }
+};
+
+const isRole = (role) => Object.prototype.hasOwnProperty.call(ROLES, role);
+
+// Union of the permissions of the given roles; unknown roles grant nothing
+const permissionsOf = (roles) => {
+  const permissions = new Set();
+  for (const role of roles) {
+    if (isRole(role)) {
+      ROLES[role].permissions.forEach((permission) => permissions.add(permission));
+    }
+  }
+  return [...permissions];
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  isRole,
+  permissionsOf
+};
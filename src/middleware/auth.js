@@ -4,9 +4,17 @@
  */
 
 const jwt = require('jsonwebtoken');
+const UserSession = require('../models/UserSession');
+const AdminRole = require('../models/AdminRole');
+const { permissionsOf } = require('../config/permissions');
 const logger = require('../utils/logger');
 
-const authenticate = (req, res, next) => {
+// Shared by the HTTP middleware and the Socket.IO handshake
+const verifyToken = (token) => {
+  return jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+};
+
+const authenticate = async (req, res, next) => {
   try {
     const token = extractToken(req);
 
@@ -17,12 +25,22 @@ const authenticate = (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const decoded = verifyToken(token);
+
+    // Tokens issued for a session stop working as soon as it is revoked
+    if (decoded.sid && !(await UserSession.isActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked',
+        code: 'SESSION_REVOKED'
+      });
+    }
     
     // Attach user info to request
     req.user = decoded;
     req.userId = decoded.id;
     req.userRole = decoded.role;
+    req.sessionId = decoded.sid || null;
 
     logger.debug('User authenticated', { userId: decoded.id, role: decoded.role });
     next();
@@ -75,6 +93,64 @@ const authorize = (...allowedRoles) => {
   };
 };
 
+// With REQUIRE_ADMIN_2FA=true, admin routes need a session opened with a second factor
+const requireAdminTwoFactor = (req, res, next) => {
+  if (process.env.REQUIRE_ADMIN_2FA !== 'true' || req.userRole !== 'admin' || (req.user && req.user.tfa)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Two-factor authentication is required for admin accounts',
+    code: 'TWO_FACTOR_REQUIRED'
+  });
+};
+
+// Roles and permissions of the current admin, loaded once per request
+const loadAdminPermissions = async (req) => {
+  if (!req.adminPermissions) {
+    req.adminRoles = await AdminRole.findRolesByUser(req.userId);
+    req.adminPermissions = permissionsOf(req.adminRoles);
+  }
+  return req.adminPermissions;
+};
+
+// Admin routes: the admin needs every listed permission through their roles
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authenticated'
+      });
+    }
+
+    try {
+      const granted = req.userRole === 'admin' ? await loadAdminPermissions(req) : [];
+      const missing = permissions.filter((permission) => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        logger.warn('Admin permission denied', {
+          userId: req.userId,
+          requiredPermissions: permissions,
+          roles: req.adminRoles
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions for this action',
+          code: 'PERMISSION_DENIED',
+          missingPermissions: missing
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 const extractToken = (req) => {
   
   const authHeader = req.headers.authorization;
@@ -90,5 +166,9 @@ const extractToken = (req) => {
 module.exports = {
   authenticate,
   authorize,
-  extractToken
+  requirePermission,
+  requireAdminTwoFactor,
+  loadAdminPermissions,
+  extractToken,
+  verifyToken
 };
\ No newline at end of file
@@ -14,6 +14,25 @@ class AppError extends Error {
   }
 }
 
+// A trip status change the trip state machine does not allow
+class InvalidTransitionError extends AppError {
+  constructor(fromStatus, toStatus, actor) {
+    super(`Trip cannot go from ${fromStatus} to ${toStatus} (${actor})`, 409, 'INVALID_TRANSITION');
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+    this.actor = actor;
+  }
+}
+
+// Too many attempts: the caller is locked out for `retryAfterSeconds`
+class RateLimitError extends AppError {
+  constructor(scope, retryAfterSeconds) {
+    super(`Too many attempts, try again in ${retryAfterSeconds} seconds`, 429, 'RATE_LIMITED');
+    this.scope = scope;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
 const errorHandler = (err, req, res, next) => {
   const error = err instanceof AppError ? err : new AppError(
     err.message || 'Internal Server Error',
@@ -32,12 +51,17 @@ const errorHandler = (err, req, res, next) => {
     userId: req.user?.id
   });
 
+  if (error.retryAfterSeconds) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+  }
+
   // Send error response
   res.status(error.statusCode).json({
     success: false,
     message: error.message,
     code: error.code,
     timestamp: error.timestamp,
+    ...(error.retryAfterSeconds && { retryAfterSeconds: error.retryAfterSeconds }),
     ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
   });
 };
@@ -50,6 +74,8 @@ const asyncHandler = (fn) => {
 
 module.exports = {
   AppError,
+  InvalidTransitionError,
+  RateLimitError,
   errorHandler,
   asyncHandler
 };
\ No newline at end of file
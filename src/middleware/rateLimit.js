@@ -0,0 +1,49 @@
+/**
+ * Rate Limit Middleware
+ * Counts each request against a RateLimitService policy before the route
+ * runs, and forgets the key's attempts when the route succeeds if the
+ * policy resets on success
+ */
+
+const RateLimitService = require('../services/rateLimit.service');
+const logger = require('../utils/logger');
+
+const byIp = (req) => req.ip;
+
+/**
+ * `keyOf(req)` picks the key to count (the caller's IP by default). Requests
+ * without a key are let through for the route's own validation to reject.
+ */
+const rateLimit = (scope, keyOf = byIp) => {
+  const { resetOnSuccess } = RateLimitService.getPolicy(scope);
+
+  return async (req, res, next) => {
+    try {
+      const key = keyOf(req);
+      if (key === undefined || key === null || key === '') {
+        return next();
+      }
+
+      await RateLimitService.consume(scope, key, { ipAddress: req.ip, userId: req.userId || null });
+
+      if (resetOnSuccess) {
+        res.on('finish', () => {
+          if (res.statusCode < 400) {
+            RateLimitService.reset(scope, key).catch((error) => {
+              logger.error('Error resetting rate limit:', error.message);
+            });
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  rateLimit,
+  byIp
+};
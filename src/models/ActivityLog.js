@@ -0,0 +1,41 @@
+/**
+ * ActivityLog Model
+ * Audit trail of notable actions: who, on what, from where
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class ActivityLog {
+  static async record({ userId = null, action, resourceType = null, resourceId = null, details = null, ipAddress = null }) {
+    try {
+      const result = await query(
+        `INSERT INTO activity_logs (user_id, action, resource_type, resource_id, details, ip_address, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         RETURNING *`,
+        [userId, action, resourceType, resourceId, details ? JSON.stringify(details) : null, ipAddress]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error recording activity log:', error);
+      throw error;
+    }
+  }
+
+  static async findByAction(action, { limit = 50, offset = 0 } = {}) {
+    try {
+      const result = await query(
+        `SELECT * FROM activity_logs WHERE action = $1
+         ORDER BY created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [action, limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching activity logs:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ActivityLog;
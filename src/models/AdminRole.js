@@ -0,0 +1,92 @@
+/**
+ * AdminRole Model
+ * Roles held by admin users; their permissions are in config/permissions.js
+ */
+
+const { query, transaction } = require('../config/database');
+const logger = require('../utils/logger');
+
+class AdminRole {
+  static async findRolesByUser(userId) {
+    try {
+      const result = await query(
+        `SELECT role FROM admin_role_assignments WHERE user_id = $1 ORDER BY role`,
+        [userId]
+      );
+      return result.rows.map((row) => row.role);
+    } catch (error) {
+      logger.error('Error fetching admin roles:', error);
+      throw error;
+    }
+  }
+
+  // Admin users with their roles, including admins holding none
+  static async findAdmins() {
+    try {
+      const result = await query(
+        `SELECT u.id, u.phone, u.full_name, u.email, u.status,
+                COALESCE(ARRAY_AGG(a.role ORDER BY a.role) FILTER (WHERE a.role IS NOT NULL), '{}') AS roles
+         FROM users u
+         LEFT JOIN admin_role_assignments a ON a.user_id = u.id
+         WHERE u.role = 'admin'
+         GROUP BY u.id
+         ORDER BY u.id`
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching admins:', error);
+      throw error;
+    }
+  }
+
+  // Returns null when the admin already holds the role
+  static async grant(userId, role, grantedBy = null) {
+    try {
+      const result = await query(
+        `INSERT INTO admin_role_assignments (user_id, role, granted_by, created_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (user_id, role) DO NOTHING
+         RETURNING *`,
+        [userId, role, grantedBy]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error granting admin role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a role back. super_admin is never taken from its last holder, so
+   * someone can always manage roles; returns null when nothing was revoked.
+   * The super_admin rows are locked first so concurrent revokes can't both
+   * see a second holder.
+   */
+  static async revoke(userId, role) {
+    try {
+      return await transaction(async (client) => {
+        if (role === 'super_admin') {
+          const holders = await client.query(
+            `SELECT user_id FROM admin_role_assignments WHERE role = 'super_admin' FOR UPDATE`
+          );
+          if (holders.rows.length <= 1) {
+            return null;
+          }
+        }
+
+        const result = await client.query(
+          `DELETE FROM admin_role_assignments
+           WHERE user_id = $1 AND role = $2
+           RETURNING *`,
+          [userId, role]
+        );
+        return result.rows[0] || null;
+      });
+    } catch (error) {
+      logger.error('Error revoking admin role:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AdminRole;
@@ -0,0 +1,74 @@
+/**
+ * DispatchConfig Model
+ * Dispatch strategy and search settings per region
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Columns admins may set
+const EDITABLE_FIELDS = [
+  'strategy', 'broadcast_size', 'broadcast_timeout_seconds', 'offer_timeout_seconds',
+  'wave_size', 'wave_timeout_seconds', 'initial_radius_km', 'radius_step_km', 'max_radius_km',
+  'weight_distance', 'weight_rating', 'weight_acceptance', 'weight_idle', 'weight_freshness',
+  'stale_location_minutes'
+];
+
+class DispatchConfig {
+  // The region's config, or the global default (NULL region)
+  static async findForRegion(region = null) {
+    try {
+      const result = await query(
+        `SELECT * FROM dispatch_config
+         WHERE region = $1 OR region IS NULL
+         ORDER BY region IS NULL
+         LIMIT 1`,
+        [region]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching dispatch config:', error);
+      throw error;
+    }
+  }
+
+  static async list() {
+    try {
+      const result = await query(
+        'SELECT * FROM dispatch_config ORDER BY region IS NOT NULL, region'
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error listing dispatch configs:', error);
+      throw error;
+    }
+  }
+
+  // Create or replace the settings of one region
+  static async upsert(region, settings, updatedBy = null) {
+    try {
+      const fields = EDITABLE_FIELDS.filter((field) => settings[field] !== undefined);
+      const columns = ['region', 'updated_by', ...fields];
+      const values = [region, updatedBy, ...fields.map((field) => settings[field])];
+      const placeholders = values.map((_, index) => `$${index + 1}`);
+      const updates = columns.slice(1).map((column) => `${column} = EXCLUDED.${column}`);
+
+      const result = await query(
+        `INSERT INTO dispatch_config (${columns.join(', ')})
+         VALUES (${placeholders.join(', ')})
+         ON CONFLICT ((COALESCE(region, ''))) DO UPDATE
+         SET ${updates.join(', ')}, updated_at = NOW()
+         RETURNING *`,
+        values
+      );
+
+      logger.info('Dispatch config saved', { region, strategy: result.rows[0].strategy });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error saving dispatch config:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = DispatchConfig;
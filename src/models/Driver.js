@@ -245,6 +245,89 @@ class Driver {
     }
   }
 
+  /**
+   * Drivers that can take a new trip near a pickup, with the signals used to
+   * rank them: approved, active account, online, no unfinished trip, a
+   * location seen within `staleMinutes`, and inside the search radius.
+   */
+  static async getDispatchCandidates({
+    latitude,
+    longitude,
+    region = null,
+    maxDistanceKm,
+    staleMinutes,
+  }) {
+    try {
+      const result = await query(
+        `WITH candidates AS (
+          SELECT
+            d.user_id,
+            u.full_name,
+            d.rating,
+            d.current_latitude,
+            d.current_longitude,
+            d.last_location_update,
+            ( 6371 * acos( LEAST(1,
+                cos( radians($1) ) * cos( radians( CAST(d.current_latitude AS FLOAT) ) )
+                * cos( radians( CAST(d.current_longitude AS FLOAT) ) - radians($2) )
+                + sin( radians($1) ) * sin( radians( CAST(d.current_latitude AS FLOAT) ) )
+              ) )
+            ) AS distance
+          FROM drivers d
+          JOIN users u ON d.user_id = u.id
+          WHERE d.is_online = true
+            AND d.verification_status = 'approved'
+            AND u.status = 'active'
+            AND ($4::varchar IS NULL OR d.region = $4)
+            AND d.current_latitude IS NOT NULL
+            AND d.current_longitude IS NOT NULL
+            AND d.last_location_update >= NOW() - $5 * INTERVAL '1 minute'
+            AND NOT EXISTS (
+              SELECT 1 FROM trips t
+              WHERE t.driver_id = d.user_id
+                AND t.status IN ('accepted', 'waiting_for_pickup', 'in_progress')
+            )
+        )
+        SELECT
+          c.*,
+          EXTRACT(EPOCH FROM (NOW() - c.last_location_update))::int AS location_age_seconds,
+          COALESCE(offers.answered, 0)::int AS recent_offers,
+          COALESCE(offers.accepted, 0)::int AS recent_accepted,
+          EXTRACT(EPOCH FROM (NOW() - last_trip.ended_at)) / 60 AS idle_minutes
+        FROM candidates c
+        -- Offers of the last 30 days the driver answered or let lapse;
+        -- offers withdrawn because another driver accepted do not count
+        LEFT JOIN LATERAL (
+          SELECT
+            COUNT(*) FILTER (
+              WHERE br.status IN ('accepted', 'rejected')
+                 OR (br.status = 'expired' AND NOT EXISTS (
+                   SELECT 1 FROM booking_requests other
+                   WHERE other.trip_id = br.trip_id AND other.status = 'accepted'
+                 ))
+            ) AS answered,
+            COUNT(*) FILTER (WHERE br.status = 'accepted') AS accepted
+          FROM booking_requests br
+          WHERE br.driver_id = c.user_id
+            AND br.created_at >= (CURRENT_TIMESTAMP AT TIME ZONE 'UTC') - INTERVAL '30 days'
+        ) offers ON true
+        LEFT JOIN LATERAL (
+          SELECT MAX(COALESCE(t.completed_at, t.cancelled_at, t.updated_at)) AS ended_at
+          FROM trips t
+          WHERE t.driver_id = c.user_id AND t.status IN ('completed', 'cancelled')
+        ) last_trip ON true
+        WHERE c.distance <= $3
+        ORDER BY c.distance ASC`,
+        [latitude, longitude, maxDistanceKm, region, staleMinutes],
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error("Error fetching dispatch candidates:", error);
+      throw error;
+    }
+  }
+
   static async updateVerificationStatus(driverId, status) {
     try {
       const result = await query(
@@ -346,9 +429,19 @@ class Driver {
         [driverId, startDate, endDate],
       );
 
+      // 3. Driver share of cancellation fees for pickups cancelled by clients
+      const compensationResult = await query(
+        `SELECT COALESCE(SUM(cancellation_driver_share), 0)::float as amount
+       FROM trips
+       WHERE driver_id = $1 AND status = 'cancelled' AND cancellation_driver_share > 0
+       AND cancelled_at::date BETWEEN $2 AND $3`,
+        [driverId, startDate, endDate],
+      );
+
       const summary = summaryResult.rows[0];
       return {
         ...summary,
+        cancellationCompensation: compensationResult.rows[0].amount,
         weeklyEarnings: weeklyResult.rows.map((row) => row.amount),
       };
     } catch (error) {
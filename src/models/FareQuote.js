@@ -0,0 +1,81 @@
+/**
+ * FareQuote Model
+ * Persisted fare estimates that lock in a price until they expire
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class FareQuote {
+  static async create(quoteData) {
+    const {
+      clientId,
+      pricingConfigId,
+      bookingType,
+      pickupLat,
+      pickupLng,
+      destinationLat,
+      destinationLng,
+      hours,
+      stops = [],
+      pickupTime,
+      distanceKm,
+      basePrice,
+      totalPrice,
+      platformCommission,
+      driverEarnings,
+      commissionPercentage,
+      region = null,
+      surgeMultiplier = 1,
+      promoCodeId = null,
+      discountAmount = 0,
+      breakdown,
+      expiresAt
+    } = quoteData;
+
+    try {
+      const result = await query(
+        `INSERT INTO fare_quotes (
+          id, client_id, pricing_config_id, booking_type, pickup_latitude, pickup_longitude,
+          destination_latitude, destination_longitude, hours, pickup_time, distance_km,
+          base_price, total_price, platform_commission, driver_earnings, commission_percentage,
+          region, surge_multiplier, promo_code_id, discount_amount, breakdown, expires_at, stops, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, NOW())
+        RETURNING *`,
+        [
+          crypto.randomUUID(), clientId, pricingConfigId, bookingType, pickupLat, pickupLng,
+          destinationLat, destinationLng, hours, pickupTime, distanceKm,
+          basePrice, totalPrice, platformCommission, driverEarnings, commissionPercentage,
+          region, surgeMultiplier, promoCodeId, discountAmount, JSON.stringify(breakdown), expiresAt,
+          JSON.stringify(stops)
+        ]
+      );
+
+      logger.debug('Fare quote created', { quoteId: result.rows[0].id, clientId, totalPrice });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating fare quote:', error);
+      throw error;
+    }
+  }
+
+  static async findById(quoteId) {
+    try {
+      const result = await query(
+        'SELECT * FROM fare_quotes WHERE id = $1',
+        [quoteId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      // Malformed UUIDs are simply unknown quotes
+      if (error.code === '22P02') {
+        return null;
+      }
+      logger.error('Error finding fare quote:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = FareQuote;
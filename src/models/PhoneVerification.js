@@ -0,0 +1,112 @@
+/**
+ * PhoneVerification Model
+ * One-time codes sent to a phone number, stored hashed, with their expiry,
+ * attempt counter and resend cooldown
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class PhoneVerification {
+  /**
+   * Store a new code for the phone, replacing any previous one. Returns null
+   * while the previous code is still inside its resend cooldown.
+   */
+  static async issue(phone, purpose, codeHash, { ttlMinutes, cooldownSeconds }) {
+    try {
+      const result = await query(
+        `INSERT INTO phone_verifications (phone, purpose, code_hash, attempts, send_count, last_sent_at, expires_at, created_at, updated_at)
+         VALUES ($1, $2, $3, 0, 1, NOW(), NOW() + $4 * INTERVAL '1 minute', NOW(), NOW())
+         ON CONFLICT (phone, purpose) DO UPDATE SET
+           code_hash = EXCLUDED.code_hash,
+           attempts = 0,
+           send_count = phone_verifications.send_count + 1,
+           last_sent_at = NOW(),
+           expires_at = EXCLUDED.expires_at,
+           verified_at = NULL,
+           consumed_at = NULL,
+           updated_at = NOW()
+         WHERE phone_verifications.last_sent_at <= NOW() - $5 * INTERVAL '1 second'
+         RETURNING *`,
+        [phone, purpose, codeHash, ttlMinutes, cooldownSeconds]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error issuing phone verification:', error);
+      throw error;
+    }
+  }
+
+  // Expiry and cooldown are computed by the database, whose clock wrote them
+  static async find(phone, purpose) {
+    try {
+      const result = await query(
+        `SELECT *, expires_at <= NOW() AS expired,
+                FLOOR(EXTRACT(EPOCH FROM (NOW() - last_sent_at)))::int AS seconds_since_sent
+         FROM phone_verifications WHERE phone = $1 AND purpose = $2`,
+        [phone, purpose]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding phone verification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Use one of the code's attempts before it is compared, so parallel
+   * guesses can't go past the limit. Returns null once they are used up.
+   */
+  static async claimAttempt(id, maxAttempts) {
+    const result = await query(
+      `UPDATE phone_verifications SET attempts = attempts + 1, updated_at = NOW()
+       WHERE id = $1 AND attempts < $2
+       RETURNING attempts`,
+      [id, maxAttempts]
+    );
+    return result.rows[0] ? result.rows[0].attempts : null;
+  }
+
+  // Only an unexpired, not yet verified code can be verified, once
+  static async markVerified(id) {
+    const result = await query(
+      `UPDATE phone_verifications SET verified_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND verified_at IS NULL AND expires_at > NOW()
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // A verification completed within the last `validMinutes` and not used yet
+  static async findUsable(phone, purpose, validMinutes) {
+    try {
+      const result = await query(
+        `SELECT * FROM phone_verifications
+         WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL
+           AND verified_at > NOW() - $3 * INTERVAL '1 minute'`,
+        [phone, purpose, validMinutes]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding usable phone verification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Use up a verification. Pass the transaction client of the action it
+   * authorises so both happen together; returns null if already used.
+   */
+  static async consume(client, id) {
+    const result = await client.query(
+      `UPDATE phone_verifications SET consumed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND consumed_at IS NULL AND verified_at IS NOT NULL
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = PhoneVerification;
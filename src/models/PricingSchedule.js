@@ -0,0 +1,163 @@
+/**
+ * PricingSchedule Model
+ * Future activation windows for pricing configs, per region
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class PricingSchedule {
+  static async create(scheduleData) {
+    const { pricingConfigId, region, startsAt, endsAt, createdBy } = scheduleData;
+
+    try {
+      const result = await query(
+        `INSERT INTO pricing_schedules (
+          pricing_config_id, region, starts_at, ends_at, status, created_by, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, 'pending', $5, NOW(), NOW())
+        RETURNING *`,
+        [pricingConfigId, region, startsAt, endsAt, createdBy]
+      );
+
+      logger.info('Pricing schedule created', { scheduleId: result.rows[0].id, pricingConfigId, region });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating pricing schedule:', error);
+      throw error;
+    }
+  }
+
+  static async findById(scheduleId) {
+    try {
+      const result = await query(
+        'SELECT * FROM pricing_schedules WHERE id = $1',
+        [scheduleId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding pricing schedule:', error);
+      throw error;
+    }
+  }
+
+  // Pending or active schedule of the same region whose window intersects [startsAt, endsAt)
+  static async findOverlapping(region, startsAt, endsAt) {
+    try {
+      const result = await query(
+        `SELECT * FROM pricing_schedules
+         WHERE status IN ('pending', 'active')
+           AND region IS NOT DISTINCT FROM $1
+           AND starts_at < COALESCE($3::timestamp, 'infinity'::timestamp)
+           AND COALESCE(ends_at, 'infinity'::timestamp) > $2
+         ORDER BY starts_at ASC
+         LIMIT 1`,
+        [region, startsAt, endsAt]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error checking overlapping pricing schedules:', error);
+      throw error;
+    }
+  }
+
+  // Pending and active schedules, soonest first
+  static async getUpcoming(region) {
+    try {
+      const params = [];
+      let regionFilter = '';
+
+      if (region !== undefined) {
+        params.push(region || null);
+        regionFilter = 'AND ps.region IS NOT DISTINCT FROM $1';
+      }
+
+      const result = await query(
+        `SELECT ps.*, pc.commission_percentage, pc.base_fare, pc.per_km_rate, pc.minimum_fare
+         FROM pricing_schedules ps
+         JOIN pricing_config pc ON pc.id = ps.pricing_config_id
+         WHERE ps.status IN ('pending', 'active') ${regionFilter}
+         ORDER BY ps.starts_at ASC`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching upcoming pricing schedules:', error);
+      throw error;
+    }
+  }
+
+  // IDs of pending schedules whose start time has passed
+  static async findDueToStart() {
+    try {
+      const result = await query(
+        `SELECT id FROM pricing_schedules
+         WHERE status = 'pending' AND starts_at <= NOW()
+         ORDER BY starts_at ASC`
+      );
+      return result.rows.map((row) => row.id);
+    } catch (error) {
+      logger.error('Error fetching due pricing schedules:', error);
+      throw error;
+    }
+  }
+
+  // IDs of active schedules whose window has ended
+  static async findDueToEnd() {
+    try {
+      const result = await query(
+        `SELECT id FROM pricing_schedules
+         WHERE status = 'active' AND ends_at IS NOT NULL AND ends_at <= NOW()
+         ORDER BY ends_at ASC`
+      );
+      return result.rows.map((row) => row.id);
+    } catch (error) {
+      logger.error('Error fetching ending pricing schedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule in force for exactly this region (NULL = global) at a given time,
+   * including pending ones that have not been activated yet.
+   */
+  static async findCovering(region, at) {
+    try {
+      const result = await query(
+        `SELECT * FROM pricing_schedules
+         WHERE status IN ('pending', 'active')
+           AND region IS NOT DISTINCT FROM $1
+           AND starts_at <= $2
+           AND (ends_at IS NULL OR ends_at > $2)
+         ORDER BY starts_at DESC
+         LIMIT 1`,
+        [region, at]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding covering pricing schedule:', error);
+      throw error;
+    }
+  }
+
+  // Active schedule of this region that will have ended (and reverted) by the given time
+  static async findActiveEndingBefore(region, at) {
+    try {
+      const result = await query(
+        `SELECT * FROM pricing_schedules
+         WHERE status = 'active'
+           AND region IS NOT DISTINCT FROM $1
+           AND ends_at IS NOT NULL
+           AND ends_at <= $2
+         ORDER BY ends_at DESC
+         LIMIT 1`,
+        [region, at]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding ending pricing schedule:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PricingSchedule;
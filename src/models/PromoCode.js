@@ -0,0 +1,204 @@
+/**
+ * PromoCode Model
+ * Discount codes and their redemptions
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Columns admins may set on create/update
+const EDITABLE_FIELDS = [
+  'description', 'discount_type', 'discount_value', 'max_discount', 'min_fare',
+  'max_uses', 'max_uses_per_user', 'valid_from', 'valid_until', 'regions',
+  'booking_types', 'first_ride_only', 'is_active'
+];
+
+class PromoCode {
+  static async create(promoData, createdBy = null) {
+    try {
+      const columns = ['code'];
+      const values = [promoData.code];
+
+      for (const field of EDITABLE_FIELDS) {
+        if (promoData[field] !== undefined) {
+          columns.push(field);
+          values.push(promoData[field]);
+        }
+      }
+
+      columns.push('created_by');
+      values.push(createdBy);
+
+      const placeholders = values.map((_, index) => `$${index + 1}`);
+      const result = await query(
+        `INSERT INTO promo_codes (${columns.join(', ')}, created_at, updated_at)
+         VALUES (${placeholders.join(', ')}, NOW(), NOW())
+         RETURNING *`,
+        values
+      );
+
+      logger.info('Promo code created', { promoId: result.rows[0].id, code: promoData.code });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating promo code:', error);
+      throw error;
+    }
+  }
+
+  static async findById(promoId) {
+    try {
+      const result = await query(
+        'SELECT * FROM promo_codes WHERE id = $1',
+        [promoId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding promo code:', error);
+      throw error;
+    }
+  }
+
+  static async findByCode(code) {
+    try {
+      const result = await query(
+        'SELECT * FROM promo_codes WHERE code = $1',
+        [code]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding promo code by code:', error);
+      throw error;
+    }
+  }
+
+  static async list({ status = 'all', limit = 50, offset = 0 } = {}) {
+    try {
+      const conditions = [];
+      if (status === 'active') {
+        conditions.push('is_active = true AND (valid_until IS NULL OR valid_until > NOW())');
+      } else if (status === 'inactive') {
+        conditions.push('(is_active = false OR valid_until <= NOW())');
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const [countResult, dataResult] = await Promise.all([
+        query(`SELECT COUNT(*) AS total FROM promo_codes ${where}`),
+        query(
+          `SELECT * FROM promo_codes ${where}
+           ORDER BY created_at DESC
+           LIMIT $1 OFFSET $2`,
+          [limit, offset]
+        )
+      ]);
+
+      return {
+        promos: dataResult.rows,
+        total: parseInt(countResult.rows[0].total)
+      };
+    } catch (error) {
+      logger.error('Error listing promo codes:', error);
+      throw error;
+    }
+  }
+
+  static async update(promoId, updates) {
+    try {
+      const setClause = [];
+      const values = [];
+      let paramCount = 1;
+
+      for (const [key, value] of Object.entries(updates)) {
+        if (EDITABLE_FIELDS.includes(key) && value !== undefined) {
+          setClause.push(`${key} = $${paramCount}`);
+          values.push(value);
+          paramCount++;
+        }
+      }
+
+      if (setClause.length === 0) {
+        return this.findById(promoId);
+      }
+
+      values.push(promoId);
+      const result = await query(
+        `UPDATE promo_codes
+         SET ${setClause.join(', ')}, updated_at = NOW()
+         WHERE id = $${paramCount}
+         RETURNING *`,
+        values
+      );
+
+      logger.info('Promo code updated', { promoId });
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating promo code:', error);
+      throw error;
+    }
+  }
+
+  static async deactivate(promoId) {
+    try {
+      const result = await query(
+        `UPDATE promo_codes SET is_active = false, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [promoId]
+      );
+      logger.info('Promo code deactivated', { promoId });
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error deactivating promo code:', error);
+      throw error;
+    }
+  }
+
+  static async countUserRedemptions(promoId, userId) {
+    try {
+      const result = await query(
+        `SELECT COUNT(*)::int AS count FROM promo_redemptions
+         WHERE promo_code_id = $1 AND user_id = $2`,
+        [promoId, userId]
+      );
+      return result.rows[0].count;
+    } catch (error) {
+      logger.error('Error counting promo redemptions:', error);
+      throw error;
+    }
+  }
+
+  // Trips that count against "first ride only" codes
+  static async countClientTrips(clientId) {
+    try {
+      const result = await query(
+        `SELECT COUNT(*)::int AS count FROM trips
+         WHERE client_id = $1 AND status != 'cancelled'`,
+        [clientId]
+      );
+      return result.rows[0].count;
+    } catch (error) {
+      logger.error('Error counting client trips:', error);
+      throw error;
+    }
+  }
+
+  static async getRedemptions(promoId, limit = 50, offset = 0) {
+    try {
+      const result = await query(
+        `SELECT pr.*, u.full_name AS user_name, u.phone AS user_phone
+         FROM promo_redemptions pr
+         JOIN users u ON u.id = pr.user_id
+         WHERE pr.promo_code_id = $1
+         ORDER BY pr.created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [promoId, limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching promo redemptions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PromoCode;
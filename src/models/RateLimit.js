@@ -0,0 +1,148 @@
+/**
+ * RateLimit Model
+ * Attempt counters per scope and key (IP, phone, trip) and their lockouts
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Whether the key is locked, and for how many more seconds
+const LOCK_STATE = `COALESCE(locked_until > NOW(), FALSE) AS locked,
+  CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS retry_after_seconds`;
+
+class RateLimit {
+  /**
+   * Count one attempt. The window restarts once `windowSeconds` have passed
+   * since it began; attempts made while the key is locked are not counted.
+   */
+  static async hit(scope, key, windowSeconds) {
+    try {
+      const result = await query(
+        `INSERT INTO rate_limits (scope, key, attempts, window_started_at, last_attempt_at, created_at, updated_at)
+         VALUES ($1, $2, 1, NOW(), NOW(), NOW(), NOW())
+         ON CONFLICT (scope, key) DO UPDATE SET
+           attempts = CASE
+             WHEN rate_limits.locked_until > NOW() THEN rate_limits.attempts
+             WHEN rate_limits.window_started_at <= NOW() - $3 * INTERVAL '1 second' THEN 1
+             ELSE rate_limits.attempts + 1
+           END,
+           window_started_at = CASE
+             WHEN rate_limits.locked_until > NOW() THEN rate_limits.window_started_at
+             WHEN rate_limits.window_started_at <= NOW() - $3 * INTERVAL '1 second' THEN NOW()
+             ELSE rate_limits.window_started_at
+           END,
+           last_attempt_at = NOW(),
+           updated_at = NOW()
+         RETURNING *, ${LOCK_STATE}`,
+        [scope, key, windowSeconds]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error counting rate limit attempt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lock the key for `lockoutSeconds` doubled for every earlier lockout, up
+   * to `maxLockoutSeconds`. Lockouts ended more than `decaySeconds` ago are
+   * forgotten. Returns null when another request locked it first.
+   */
+  static async lock(id, { lockoutSeconds, maxLockoutSeconds, decaySeconds }) {
+    try {
+      const result = await query(
+        `UPDATE rate_limits SET
+           lockout_count = CASE WHEN locked_until <= NOW() - $4 * INTERVAL '1 second' THEN 1 ELSE lockout_count + 1 END,
+           locked_until = NOW() + LEAST(
+             $2 * POWER(2, CASE WHEN locked_until <= NOW() - $4 * INTERVAL '1 second' THEN 0 ELSE lockout_count END),
+             $3
+           ) * INTERVAL '1 second',
+           attempts = 0,
+           window_started_at = NOW(),
+           updated_at = NOW()
+         WHERE id = $1 AND (locked_until IS NULL OR locked_until <= NOW())
+         RETURNING *, ${LOCK_STATE}`,
+        [id, lockoutSeconds, maxLockoutSeconds, decaySeconds]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error locking rate limit:', error);
+      throw error;
+    }
+  }
+
+  static async find(scope, key) {
+    try {
+      const result = await query(
+        `SELECT *, ${LOCK_STATE} FROM rate_limits WHERE scope = $1 AND key = $2`,
+        [scope, key]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding rate limit:', error);
+      throw error;
+    }
+  }
+
+  // Forget the attempts of a key that is not locked, after a success
+  static async reset(scope, key) {
+    try {
+      const result = await query(
+        `DELETE FROM rate_limits
+         WHERE scope = $1 AND key = $2 AND (locked_until IS NULL OR locked_until <= NOW())`,
+        [scope, key]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error resetting rate limit:', error);
+      throw error;
+    }
+  }
+
+  static async findLocked() {
+    try {
+      const result = await query(
+        `SELECT id, scope, key, lockout_count, locked_until, last_attempt_at, ${LOCK_STATE}
+         FROM rate_limits
+         WHERE locked_until > NOW()
+         ORDER BY locked_until DESC`
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching rate limit lockouts:', error);
+      throw error;
+    }
+  }
+
+  // Lift a lockout and forget its history
+  static async unlock(id) {
+    try {
+      const result = await query(
+        `DELETE FROM rate_limits WHERE id = $1 RETURNING id, scope, key`,
+        [id]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error unlocking rate limit:', error);
+      throw error;
+    }
+  }
+
+  // Drop counters untouched, and lockouts ended, longer than the retention window
+  static async deleteStale(retentionSeconds) {
+    try {
+      const result = await query(
+        `DELETE FROM rate_limits
+         WHERE last_attempt_at < NOW() - $1 * INTERVAL '1 second'
+           AND (locked_until IS NULL OR locked_until < NOW() - $1 * INTERVAL '1 second')`,
+        [retentionSeconds]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error deleting stale rate limits:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = RateLimit;
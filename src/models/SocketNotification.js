@@ -0,0 +1,121 @@
+/**
+ * SocketNotification Model
+ * Outbox of socket events kept until the receiving app acknowledges them
+ *
+ * expires_at is stored in UTC like booking_requests.expires_at, so it is
+ * compared against CURRENT_TIMESTAMP AT TIME ZONE 'UTC'.
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class SocketNotification {
+  /**
+   * Queue a notification. When it belongs to a booking request it expires
+   * with that request; otherwise after `ttlSeconds`.
+   */
+  static async create({ userId, event, payload = {}, bookingRequestId = null, ttlSeconds }) {
+    try {
+      const result = await query(
+        `INSERT INTO socket_notifications (user_id, event, payload, booking_request_id, expires_at, created_at)
+         VALUES (
+           $1, $2, $3, $4,
+           COALESCE(
+             (SELECT expires_at FROM booking_requests WHERE id = $4),
+             (CURRENT_TIMESTAMP AT TIME ZONE 'UTC') + $5 * INTERVAL '1 second'
+           ),
+           NOW()
+         )
+         RETURNING *`,
+        [userId, event, JSON.stringify(payload), bookingRequestId, ttlSeconds]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error queueing socket notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unacknowledged, unexpired notifications of a user, oldest first. Booking
+   * request notifications are dropped once the request is no longer pending.
+   */
+  static async findPendingForUser(userId, limit = 50) {
+    try {
+      const result = await query(
+        `SELECT n.*
+         FROM socket_notifications n
+         LEFT JOIN booking_requests br ON br.id = n.booking_request_id
+         WHERE n.user_id = $1
+           AND n.acked_at IS NULL
+           AND n.expires_at > (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')
+           AND (n.booking_request_id IS NULL OR br.status = 'pending')
+         ORDER BY n.created_at ASC
+         LIMIT $2`,
+        [userId, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching pending socket notifications:', error);
+      throw error;
+    }
+  }
+
+  static async markDelivered(notificationIds) {
+    if (notificationIds.length === 0) {
+      return 0;
+    }
+
+    try {
+      const result = await query(
+        `UPDATE socket_notifications
+         SET delivery_attempts = delivery_attempts + 1, last_delivered_at = NOW()
+         WHERE id = ANY($1::int[])`,
+        [notificationIds]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error marking socket notifications delivered:', error);
+      throw error;
+    }
+  }
+
+  // Only the recipient can acknowledge its own notifications
+  static async acknowledge(notificationIds, userId) {
+    if (notificationIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const result = await query(
+        `UPDATE socket_notifications
+         SET acked_at = NOW()
+         WHERE id = ANY($1::int[]) AND user_id = $2 AND acked_at IS NULL
+         RETURNING id`,
+        [notificationIds, userId]
+      );
+      return result.rows.map((row) => row.id);
+    } catch (error) {
+      logger.error('Error acknowledging socket notifications:', error);
+      throw error;
+    }
+  }
+
+  // Drop acknowledged or expired rows older than the retention window
+  static async deleteOld(retentionHours) {
+    try {
+      const result = await query(
+        `DELETE FROM socket_notifications
+         WHERE (acked_at IS NOT NULL OR expires_at <= (CURRENT_TIMESTAMP AT TIME ZONE 'UTC'))
+           AND created_at < NOW() - $1 * INTERVAL '1 hour'`,
+        [retentionHours]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error deleting old socket notifications:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SocketNotification;
@@ -4,6 +4,9 @@
  */
 
 const { query, transaction } = require('../config/database');
+const TripStop = require('./TripStop');
+const TripStatusHistory = require('./TripStatusHistory');
+const TripStateService = require('../services/tripState.service');
 const logger = require('../utils/logger');
 
 class Trip {
@@ -26,7 +29,16 @@ class Trip {
       platformCommission,
       driverEarnings,
       paymentMethod,
-      region
+      region,
+      fareQuoteId = null,
+      pricingConfigId = null,
+      surgeMultiplier = 1,
+      promoCodeId = null,
+      discountAmount = 0,
+      status = 'pending', // 'scheduled' for advance bookings
+      isScheduled = false,
+      bookedHours = null,
+      stops = [] // intermediate stops, in travel order
     } = tripData;
 
     return transaction(async (client) => {
@@ -36,17 +48,85 @@ class Trip {
             client_id, driver_id, booking_type, pickup_latitude, pickup_longitude,
             pickup_address, destination_latitude, destination_longitude, destination_address,
             scheduled_time, estimated_duration, estimated_distance, base_price, total_price,
-            platform_commission, driver_earnings, payment_method, region, status, created_at, updated_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, NOW(), NOW())
+            platform_commission, driver_earnings, payment_method, region, status,
+            fare_quote_id, pricing_config_id, surge_multiplier, promo_code_id, discount_amount,
+            is_scheduled, booked_hours, created_at, updated_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, NOW(), NOW())
           RETURNING *`,
           [
             clientId, driverId, bookingType, pickupLat, pickupLng, pickupAddress,
             destinationLat, destinationLng, destinationAddress, scheduledTime,
             estimatedDuration, estimatedDistance, basePrice, totalPrice,
-            platformCommission, driverEarnings, paymentMethod, region, 'pending'
+            platformCommission, driverEarnings, paymentMethod, region, status,
+            fareQuoteId, pricingConfigId, surgeMultiplier, promoCodeId, discountAmount,
+            isScheduled, bookedHours
           ]
         );
 
+        const trip = result.rows[0];
+        trip.stops = await TripStop.createMany(client, trip.id, stops);
+        await TripStatusHistory.record(client, {
+          tripId: trip.id,
+          toStatus: status,
+          actor: 'client',
+          actorId: clientId
+        });
+
+        // Claim the fare quote in the same transaction so it can only be booked once
+        if (fareQuoteId) {
+          const claimed = await client.query(
+            `UPDATE fare_quotes SET used_at = NOW(), trip_id = $1
+             WHERE id = $2 AND used_at IS NULL AND expires_at > NOW()
+             RETURNING id`,
+            [result.rows[0].id, fareQuoteId]
+          );
+
+          if (claimed.rows.length === 0) {
+            const error = new Error('Fare quote is no longer available');
+            error.statusCode = 409;
+            error.code = 'FARE_QUOTE_USED';
+            throw error;
+          }
+        }
+
+        // Redeem the promo code in the same transaction; the row lock taken by
+        // the UPDATE serialises concurrent redemptions of the same code
+        if (promoCodeId) {
+          const promo = await client.query(
+            `UPDATE promo_codes SET times_used = times_used + 1, updated_at = NOW()
+             WHERE id = $1 AND is_active = true AND (max_uses IS NULL OR times_used < max_uses)
+             RETURNING max_uses_per_user`,
+            [promoCodeId]
+          );
+
+          if (promo.rows.length === 0) {
+            const error = new Error('This promo code has reached its usage limit');
+            error.statusCode = 409;
+            error.code = 'PROMO_USAGE_LIMIT';
+            throw error;
+          }
+
+          const redemptions = await client.query(
+            `SELECT COUNT(*)::int AS count FROM promo_redemptions
+             WHERE promo_code_id = $1 AND user_id = $2`,
+            [promoCodeId, clientId]
+          );
+          const perUserLimit = promo.rows[0].max_uses_per_user;
+
+          if (perUserLimit !== null && redemptions.rows[0].count >= perUserLimit) {
+            const error = new Error('You have already used this promo code');
+            error.statusCode = 409;
+            error.code = 'PROMO_USER_LIMIT';
+            throw error;
+          }
+
+          await client.query(
+            `INSERT INTO promo_redemptions (promo_code_id, user_id, trip_id, discount_amount, created_at)
+             VALUES ($1, $2, $3, $4, NOW())`,
+            [promoCodeId, clientId, result.rows[0].id, discountAmount]
+          );
+        }
+
         logger.info('Trip created', { tripId: result.rows[0].id, clientId, driverId });
         return result.rows[0];
       } catch (error) {
@@ -90,81 +170,191 @@ class Trip {
     }
   }
 
-  static async updateStatus(tripId, status) {
-    try {
-      const result = await query(
-        `UPDATE trips SET status = $1, updated_at = NOW()
-         WHERE id = $2
-         RETURNING *`,
-        [status, tripId]
-      );
-      logger.info('Trip status updated', { tripId, status });
-      return result.rows[0] || null;
-    } catch (error) {
-      logger.error('Error updating trip status:', error);
+  /**
+   * Lock the trip and check `actor` may move it to `toStatus`; returns the
+   * current status. Run inside the transaction that makes the change.
+   */
+  static async lockForTransition(client, tripId, toStatus, actor) {
+    const result = await client.query(
+      `SELECT status FROM trips WHERE id = $1 FOR UPDATE`,
+      [tripId]
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error('Trip not found');
+      error.statusCode = 404;
+      error.code = 'TRIP_NOT_FOUND';
       throw error;
     }
+
+    const fromStatus = result.rows[0].status;
+    TripStateService.assertTransition(fromStatus, toStatus, actor);
+    return fromStatus;
   }
 
-  static async startTrip(tripId) {
-    try {
-      const result = await query(
-        `UPDATE trips 
-         SET status = 'in_progress', 
-             otp_verified = true,
-             updated_at = NOW()
-         WHERE id = $1
-         RETURNING *`,
-        [tripId]
-      );
+  // `by` is who makes the change: { actor, actorId, reason }
+  static async updateStatus(tripId, status, by = {}) {
+    const { actor = 'system', actorId = null, reason = null } = by;
 
-      return result.rows[0];
-    } catch (error) {
-      logger.error('Error starting trip:', error);
-      throw error;
-    }
+    return transaction(async (client) => {
+      try {
+        const fromStatus = await this.lockForTransition(client, tripId, status, actor);
+        const result = await client.query(
+          `UPDATE trips SET status = $1, updated_at = NOW()
+           WHERE id = $2
+           RETURNING *`,
+          [status, tripId]
+        );
+        await TripStatusHistory.record(client, { tripId, fromStatus, toStatus: status, actor, actorId, reason });
+
+        logger.info('Trip status updated', { tripId, fromStatus, status, actor });
+        return result.rows[0];
+      } catch (error) {
+        logger.error('Error updating trip status:', error);
+        throw error;
+      }
+    });
+  }
+
+  // Driver reached the pickup: starts the waiting clock
+  static async markArrived(tripId, driverId) {
+    return transaction(async (client) => {
+      try {
+        const fromStatus = await this.lockForTransition(client, tripId, 'waiting_for_pickup', 'driver');
+        const result = await client.query(
+          `UPDATE trips
+           SET status = 'waiting_for_pickup',
+               arrived_at = NOW(),
+               updated_at = NOW()
+           WHERE id = $1 AND driver_id = $2
+           RETURNING *`,
+          [tripId, driverId]
+        );
+
+        if (result.rows.length === 0) {
+          return null;
+        }
+
+        await TripStatusHistory.record(client, {
+          tripId,
+          fromStatus,
+          toStatus: 'waiting_for_pickup',
+          actor: 'driver',
+          actorId: driverId
+        });
+
+        logger.info('Driver arrived at pickup', { tripId, driverId });
+        return result.rows[0];
+      } catch (error) {
+        logger.error('Error marking driver arrival:', error);
+        throw error;
+      }
+    });
+  }
+
+  // OTP verified by the caller: the trip starts and the waiting charge is fixed
+  static async startTrip(tripId, waiting = {}, by = {}) {
+    const { waitingMinutes = 0, waitingCharge = 0 } = waiting;
+    const { actor = 'driver', actorId = null } = by;
+
+    return transaction(async (client) => {
+      try {
+        const fromStatus = await this.lockForTransition(client, tripId, 'in_progress', actor);
+        const result = await client.query(
+          `UPDATE trips 
+           SET status = 'in_progress', 
+               otp_verified = true,
+               otp_verified_at = NOW(),
+               waiting_minutes = $2,
+               waiting_charge = $3,
+               updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+          [tripId, waitingMinutes, waitingCharge]
+        );
+        await TripStatusHistory.record(client, { tripId, fromStatus, toStatus: 'in_progress', actor, actorId });
+
+        logger.info('Trip started', { tripId, actor });
+        return result.rows[0];
+      } catch (error) {
+        logger.error('Error starting trip:', error);
+        throw error;
+      }
+    });
   }
 
   /**
-   * Verified OTP and moves trip to in_progress status
+   * Assign the trip to the driver answering a booking request. Returns null
+   * when the offer is no longer open or the trip was taken or cancelled.
    */
-  static async verifyOTP(tripId, otp) {
-    try {
-      const result = await query(
-        `UPDATE trips 
-         SET otp_verified = true, 
-             otp_verified_at = NOW(), 
-             status = 'in_progress',
-             updated_at = NOW()
-         WHERE id = $1 AND otp_code = $2
-         RETURNING *`,
-        [tripId, otp]
-      );
+  static async acceptOffer(requestId, driverId) {
+    return transaction(async (client) => {
+      try {
+        const offer = await client.query(
+          `SELECT t.id, t.status FROM trips t
+           JOIN booking_requests br ON br.trip_id = t.id
+           WHERE br.id = $1 AND br.driver_id = $2 AND br.status = 'pending'
+             AND br.expires_at > (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')
+           FOR UPDATE OF t`,
+          [requestId, driverId]
+        );
 
-      if (result.rows.length === 0) {
-        throw new Error('Invalid OTP or trip not found');
-      }
+        const trip = offer.rows[0];
+        if (!trip || !TripStateService.canTransition(trip.status, 'accepted', 'driver')) {
+          return null;
+        }
 
-      logger.info('OTP verified and trip started', { tripId });
-      return result.rows[0];
-    } catch (error) {
-      logger.error('Error verifying OTP:', error);
-      throw error;
-    }
+        const result = await client.query(
+          `UPDATE trips
+           SET driver_id = $1, status = 'accepted', updated_at = (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')
+           WHERE id = $2
+           RETURNING *`,
+          [driverId, trip.id]
+        );
+        await TripStatusHistory.record(client, {
+          tripId: trip.id,
+          fromStatus: trip.status,
+          toStatus: 'accepted',
+          actor: 'driver',
+          actorId: driverId
+        });
+
+        return result.rows[0];
+      } catch (error) {
+        logger.error('Error accepting trip offer:', error);
+        throw error;
+      }
+    });
   }
 
-  static async completeTrip(tripId, actualDistance, actualDuration, finalPrice) {
+  // `billing` carries the hourly overtime and the fare breakdown kept for the receipt
+  static async completeTrip(tripId, actualDistance, actualDuration, finalPrice, discountAmount = null, billing = {}, by = {}) {
+    const { overtimeMinutes = 0, overtimeCharge = 0, fareBreakdown = null } = billing;
+    const { actor = 'driver', actorId = null } = by;
+
     return transaction(async (client) => {
       try {
-        // 1. Fetch active pricing config to get current commission rate
+        const fromStatus = await this.lockForTransition(client, tripId, 'completed', actor);
+
+        // 1. Fetch the commission rate of the config the trip was quoted with,
+        // falling back to the config currently active for the trip's region
         const pricingResult = await client.query(
-          `SELECT commission_percentage FROM pricing_config WHERE is_active = true LIMIT 1`
+          `SELECT commission_percentage FROM pricing_config
+           WHERE id = COALESCE(
+             (SELECT pricing_config_id FROM trips WHERE id = $1),
+             (SELECT pc.id FROM pricing_config pc, trips t
+              WHERE t.id = $1 AND pc.is_active = true
+                AND (pc.region = t.region OR pc.region IS NULL)
+              ORDER BY pc.region IS NULL
+              LIMIT 1)
+           )`,
+          [tripId]
         );
         const commissionPct = pricingResult.rows.length > 0
           ? parseFloat(pricingResult.rows[0].commission_percentage)
           : 25; // fallback default
 
-        // 2. Calculate earnings split based on final price + active config
+        // 2. Calculate earnings split based on final price + quoted config
         const platformCommission = Math.round((finalPrice * commissionPct) / 100);
         const driverEarnings = Math.round(finalPrice - platformCommission);
 
@@ -178,15 +368,27 @@ class Trip {
             total_price = $3,
             platform_commission = $4,
             driver_earnings = $5,
+            discount_amount = COALESCE($7, discount_amount),
+            overtime_minutes = $8,
+            overtime_charge = $9,
+            fare_breakdown = $10,
             completed_at = NOW(),
             updated_at = NOW()
            WHERE id = $6
            RETURNING *`,
-          [actualDistance, actualDuration, finalPrice, platformCommission, driverEarnings, tripId]
+          [
+            actualDistance, actualDuration, finalPrice, platformCommission, driverEarnings, tripId, discountAmount,
+            overtimeMinutes, overtimeCharge, fareBreakdown ? JSON.stringify(fareBreakdown) : null
+          ]
         );
 
-        if (result.rows.length === 0) {
-          throw new Error('Trip not found');
+        await TripStatusHistory.record(client, { tripId, fromStatus, toStatus: 'completed', actor, actorId });
+
+        if (discountAmount !== null) {
+          await client.query(
+            `UPDATE promo_redemptions SET discount_amount = $1 WHERE trip_id = $2`,
+            [discountAmount, tripId]
+          );
         }
 
         logger.info('Trip completed', { tripId, finalPrice, platformCommission, driverEarnings, commissionPct });
@@ -198,21 +400,79 @@ class Trip {
     });
   }
 
-  static async cancelTrip(tripId, reason) {
+  // `cancellation` records who cancelled and the fee split; with `expectedStatus`
+  // the cancel only succeeds if the trip is still in the status the fee was priced for
+  static async cancelTrip(tripId, reason, cancellation = {}) {
+    const {
+      cancelledBy = 'system',
+      cancelledById = null,
+      fee = 0,
+      platformShare = 0,
+      driverShare = 0,
+      expectedStatus = null
+    } = cancellation;
+
     return transaction(async (client) => {
       try {
+        const current = await client.query(
+          `SELECT status FROM trips WHERE id = $1 FOR UPDATE`,
+          [tripId]
+        );
+
+        if (current.rows.length === 0 || (expectedStatus && current.rows[0].status !== expectedStatus)) {
+          const error = new Error('Trip can no longer be cancelled');
+          error.statusCode = 409;
+          error.code = 'TRIP_NOT_CANCELLABLE';
+          throw error;
+        }
+
+        const fromStatus = current.rows[0].status;
+        TripStateService.assertTransition(fromStatus, 'cancelled', cancelledBy);
+
         const result = await client.query(
-          `UPDATE trips SET status = 'cancelled', cancellation_reason = $1, updated_at = NOW()
-           WHERE id = $2 AND status != 'completed'
+          `UPDATE trips SET
+            status = 'cancelled',
+            cancellation_reason = $1,
+            cancelled_by = $3,
+            cancelled_at = NOW(),
+            cancellation_fee = $4,
+            cancellation_platform_share = $5,
+            cancellation_driver_share = $6,
+            updated_at = NOW()
+           WHERE id = $2
            RETURNING *`,
-          [reason, tripId]
+          [reason, tripId, cancelledBy, fee, platformShare, driverShare]
+        );
+        await TripStatusHistory.record(client, {
+          tripId,
+          fromStatus,
+          toStatus: 'cancelled',
+          actor: cancelledBy,
+          actorId: cancelledById,
+          reason
+        });
+
+        // Withdraw offers still waiting for a driver's answer
+        await client.query(
+          `UPDATE booking_requests SET status = 'expired'
+           WHERE trip_id = $1 AND status = 'pending'`,
+          [tripId]
         );
 
-        if (result.rows.length === 0) {
-          throw new Error('Cannot cancel completed trip');
+        // Give the promo code back so a cancelled booking doesn't use it up
+        const released = await client.query(
+          `DELETE FROM promo_redemptions WHERE trip_id = $1 RETURNING promo_code_id`,
+          [tripId]
+        );
+        if (released.rows.length > 0) {
+          await client.query(
+            `UPDATE promo_codes SET times_used = GREATEST(times_used - 1, 0), updated_at = NOW()
+             WHERE id = $1`,
+            [released.rows[0].promo_code_id]
+          );
         }
 
-        logger.info('Trip cancelled', { tripId, reason });
+        logger.info('Trip cancelled', { tripId, reason, cancelledBy, fee });
         return result.rows[0];
       } catch (error) {
         logger.error('Error cancelling trip:', error);
@@ -300,6 +560,288 @@ class Trip {
     }
   }
 
+  /**
+   * Hourly trips in progress whose package ends within `warningMinutes` and
+   * whose client has not been warned yet. Elapsed time runs from OTP start.
+   */
+  static async findHourlyPackagesEnding(warningMinutes, limit = 50) {
+    try {
+      const result = await query(
+        `SELECT t.* FROM trips t
+         WHERE t.booking_type = 'hourly' AND t.status = 'in_progress'
+           AND t.otp_verified_at IS NOT NULL
+           AND t.package_warning_sent_at IS NULL
+           AND t.otp_verified_at
+             + COALESCE(t.booked_hours * 60, t.estimated_duration, 60) * INTERVAL '1 minute'
+             <= NOW() + $1 * INTERVAL '1 minute'
+         ORDER BY t.otp_verified_at ASC
+         LIMIT $2`,
+        [warningMinutes, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding hourly packages ending:', error);
+      throw error;
+    }
+  }
+
+  // Claim the warning for a trip; false when another instance already sent it
+  static async markPackageWarningSent(tripId) {
+    try {
+      const result = await query(
+        `UPDATE trips SET package_warning_sent_at = NOW()
+         WHERE id = $1 AND package_warning_sent_at IS NULL
+         RETURNING id`,
+        [tripId]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error marking package warning sent:', error);
+      throw error;
+    }
+  }
+
+  // Note that an offer round ran; attempts only ever go up
+  static async recordDispatchRound(tripId, attempt) {
+    try {
+      await query(
+        `UPDATE trips
+         SET dispatch_attempts = GREATEST(dispatch_attempts, $2), last_dispatch_at = NOW()
+         WHERE id = $1`,
+        [tripId, attempt]
+      );
+    } catch (error) {
+      logger.error('Error recording dispatch round:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pending trips nobody can still accept: no open booking request and no
+   * offer round for `retryDelaySeconds`.
+   */
+  static async findAwaitingRedispatch(retryDelaySeconds, limit = 50) {
+    try {
+      const result = await query(
+        `SELECT t.* FROM trips t
+         WHERE t.status = 'pending'
+           AND COALESCE(t.last_dispatch_at, t.created_at) <= NOW() - $1 * INTERVAL '1 second'
+           AND NOT EXISTS (
+             SELECT 1 FROM booking_requests br
+             WHERE br.trip_id = t.id AND br.status = 'pending'
+           )
+         ORDER BY t.created_at ASC
+         LIMIT $2`,
+        [retryDelaySeconds, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding trips awaiting re-dispatch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Scheduled trips still open for pre-acceptance in a region, soonest first.
+   * Client contact details are left out until a driver commits.
+   */
+  static async findOpenScheduled(region, limit = 20, offset = 0) {
+    try {
+      const result = await query(
+        `SELECT id, booking_type, pickup_latitude, pickup_longitude, pickup_address,
+                destination_latitude, destination_longitude, destination_address,
+                scheduled_time, estimated_duration, estimated_distance,
+                total_price, driver_earnings, payment_method, region
+         FROM trips
+         WHERE status = 'scheduled' AND driver_id IS NULL
+           AND region = $1 AND scheduled_time > NOW()
+         ORDER BY scheduled_time ASC
+         LIMIT $2 OFFSET $3`,
+        [region, limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching open scheduled trips:', error);
+      throw error;
+    }
+  }
+
+  // Scheduled trips a driver has pre-accepted, soonest first
+  static async findPreacceptedByDriver(driverId) {
+    try {
+      const result = await query(
+        `SELECT t.*, u.full_name as client_name, u.phone as client_phone
+         FROM trips t
+         JOIN users u ON t.client_id = u.id
+         WHERE t.driver_id = $1 AND t.status = 'scheduled'
+         ORDER BY t.scheduled_time ASC`,
+        [driverId]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching pre-accepted trips:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Commit a driver to a scheduled trip ahead of dispatch. Only approved
+   * drivers of the trip's region can take it, and not if it overlaps
+   * another scheduled trip they already hold.
+   */
+  static async preaccept(tripId, driverId) {
+    try {
+      const result = await query(
+        `UPDATE trips t
+         SET driver_id = $2, preaccepted_at = NOW(), updated_at = NOW()
+         FROM drivers d
+         WHERE t.id = $1 AND t.status = 'scheduled' AND t.driver_id IS NULL
+           AND t.scheduled_time > NOW()
+           AND d.user_id = $2 AND d.verification_status = 'approved' AND d.region = t.region
+           AND NOT EXISTS (
+             SELECT 1 FROM trips other
+             WHERE other.driver_id = $2 AND other.status = 'scheduled'
+               AND other.scheduled_time < t.scheduled_time + COALESCE(t.estimated_duration, 60) * INTERVAL '1 minute'
+               AND t.scheduled_time < other.scheduled_time + COALESCE(other.estimated_duration, 60) * INTERVAL '1 minute'
+           )
+         RETURNING t.*`,
+        [tripId, driverId]
+      );
+
+      if (result.rows.length === 0) {
+        const error = new Error('Scheduled trip is not available');
+        error.statusCode = 409;
+        error.code = 'SCHEDULED_TRIP_NOT_AVAILABLE';
+        throw error;
+      }
+
+      logger.info('Scheduled trip pre-accepted', { tripId, driverId });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error pre-accepting scheduled trip:', error);
+      throw error;
+    }
+  }
+
+  // Driver gives a pre-accepted trip back to the pool
+  static async releasePreacceptance(tripId, driverId) {
+    try {
+      const result = await query(
+        `UPDATE trips
+         SET driver_id = NULL, preaccepted_at = NULL, updated_at = NOW()
+         WHERE id = $1 AND driver_id = $2 AND status = 'scheduled'
+         RETURNING *`,
+        [tripId, driverId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error releasing pre-accepted trip:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a scheduled trip. Moving the pickup time frees the pre-accepted
+   * driver, whose id is returned as `previous_driver_id`.
+   */
+  static async updateScheduled(tripId, clientId, changes) {
+    const { scheduledTime = null, pickupAddress = null, destinationAddress = null, paymentMethod = null } = changes;
+
+    try {
+      const result = await query(
+        `UPDATE trips t SET
+           scheduled_time = COALESCE($3, t.scheduled_time),
+           pickup_address = COALESCE($4, t.pickup_address),
+           destination_address = COALESCE($5, t.destination_address),
+           payment_method = COALESCE($6, t.payment_method),
+           driver_id = CASE WHEN $3::timestamp IS NULL OR $3::timestamp = t.scheduled_time THEN t.driver_id END,
+           preaccepted_at = CASE WHEN $3::timestamp IS NULL OR $3::timestamp = t.scheduled_time THEN t.preaccepted_at END,
+           updated_at = NOW()
+         FROM (SELECT id, driver_id FROM trips WHERE id = $1 FOR UPDATE) previous
+         WHERE t.id = previous.id AND t.client_id = $2 AND t.status = 'scheduled'
+         RETURNING t.*, previous.driver_id AS previous_driver_id`,
+        [tripId, clientId, scheduledTime, pickupAddress, destinationAddress, paymentMethod]
+      );
+
+      if (result.rows.length === 0) {
+        const error = new Error('Trip can no longer be changed');
+        error.statusCode = 409;
+        error.code = 'TRIP_NOT_EDITABLE';
+        throw error;
+      }
+
+      logger.info('Scheduled trip updated', { tripId, clientId });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating scheduled trip:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move scheduled trips whose pickup is within `leadMinutes` out of
+   * `scheduled`: pre-accepted ones become accepted, the others pending so
+   * they can be dispatched. A pre-accepting driver who is no longer
+   * approved and active is dropped. Each release is recorded as a system
+   * change in the status history.
+   */
+  static async releaseDueScheduled(leadMinutes, limit = 50) {
+    try {
+      const result = await query(
+        `WITH due AS (
+           SELECT t.id,
+                  t.driver_id IS NOT NULL AND EXISTS (
+                    SELECT 1 FROM drivers d JOIN users u ON u.id = d.user_id
+                    WHERE d.user_id = t.driver_id
+                      AND d.verification_status = 'approved' AND u.status = 'active'
+                  ) AS keeps_driver
+           FROM trips t
+           WHERE t.status = 'scheduled'
+             AND t.scheduled_time <= NOW() + $1 * INTERVAL '1 minute'
+           ORDER BY t.scheduled_time ASC
+           LIMIT $2
+           FOR UPDATE OF t SKIP LOCKED
+         ),
+         released AS (
+           UPDATE trips t SET
+             status = CASE WHEN due.keeps_driver THEN 'accepted' ELSE 'pending' END,
+             driver_id = CASE WHEN due.keeps_driver THEN t.driver_id END,
+             preaccepted_at = CASE WHEN due.keeps_driver THEN t.preaccepted_at END,
+             updated_at = NOW()
+           FROM due
+           WHERE t.id = due.id
+           RETURNING t.*
+         ),
+         history AS (
+           INSERT INTO trip_status_history (trip_id, from_status, to_status, actor, reason, created_at)
+           SELECT id, 'scheduled', status, 'system', 'scheduled_release', NOW() FROM released
+         )
+         SELECT * FROM released`,
+        [leadMinutes, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error releasing scheduled trips:', error);
+      throw error;
+    }
+  }
+
+  // IDs of the unfinished trips a user takes part in, as client or driver
+  static async findActiveIdsByUser(userId) {
+    try {
+      const result = await query(
+        `SELECT id FROM trips
+         WHERE (client_id = $1 OR driver_id = $1)
+         AND status IN ('pending', 'accepted', 'waiting_for_pickup', 'in_progress')`,
+        [userId]
+      );
+      return result.rows.map((row) => row.id);
+    } catch (error) {
+      logger.error('Error finding active trips for user:', error);
+      throw error;
+    }
+  }
+
   static async generateOTP(tripId) {
     try {
       const otp = Math.floor(100000 + Math.random() * 900000).toString();
@@ -0,0 +1,72 @@
+/**
+ * TripLocation Model
+ * GPS breadcrumbs recorded while a trip is active
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class TripLocation {
+  static async record(tripId, driverId, location) {
+    const {
+      latitude,
+      longitude,
+      accuracy = null,
+      speed = null,
+      heading = null,
+      tripStatus = null,
+      recordedAt = null
+    } = location;
+
+    try {
+      const result = await query(
+        `INSERT INTO trip_locations (
+          trip_id, driver_id, latitude, longitude, accuracy, speed, heading,
+          trip_status, recorded_at, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()), NOW())
+        RETURNING *`,
+        [tripId, driverId, latitude, longitude, accuracy, speed, heading, tripStatus, recordedAt]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error recording trip location:', error);
+      throw error;
+    }
+  }
+
+  static async getByTrip(tripId, { from = null, to = null, tripStatus = null } = {}) {
+    try {
+      const params = [tripId];
+      const whereClauses = ['trip_id = $1'];
+
+      if (from) {
+        params.push(from);
+        whereClauses.push(`recorded_at >= $${params.length}`);
+      }
+      if (to) {
+        params.push(to);
+        whereClauses.push(`recorded_at <= $${params.length}`);
+      }
+      if (tripStatus) {
+        params.push(tripStatus);
+        whereClauses.push(`trip_status = $${params.length}`);
+      }
+
+      const result = await query(
+        `SELECT latitude::float AS latitude, longitude::float AS longitude,
+                accuracy::float AS accuracy, speed::float AS speed, heading::float AS heading,
+                trip_status, recorded_at
+         FROM trip_locations
+         WHERE ${whereClauses.join(' AND ')}
+         ORDER BY recorded_at ASC, id ASC`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching trip locations:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TripLocation;
@@ -0,0 +1,42 @@
+/**
+ * TripStatusHistory Model
+ * Every status change of a trip, who made it and when
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class TripStatusHistory {
+  /**
+   * Record a status change. Pass the transaction client that made the
+   * change so the entry is written with it.
+   */
+  static async record(client, { tripId, fromStatus = null, toStatus, actor, actorId = null, reason = null }) {
+    const result = await client.query(
+      `INSERT INTO trip_status_history (trip_id, from_status, to_status, actor, actor_id, reason, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       RETURNING *`,
+      [tripId, fromStatus, toStatus, actor, actorId, reason]
+    );
+    return result.rows[0];
+  }
+
+  static async findByTrip(tripId) {
+    try {
+      const result = await query(
+        `SELECT h.*, u.full_name AS actor_name
+         FROM trip_status_history h
+         LEFT JOIN users u ON u.id = h.actor_id
+         WHERE h.trip_id = $1
+         ORDER BY h.created_at ASC, h.id ASC`,
+        [tripId]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching trip status history:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TripStatusHistory;
@@ -0,0 +1,73 @@
+/**
+ * TripStop Model
+ * Ordered intermediate stops between pickup and destination
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class TripStop {
+  /**
+   * Store the stops of a new trip, numbered from 1 in the given order.
+   * Pass the transaction client so they are created with the trip.
+   */
+  static async createMany(client, tripId, stops) {
+    const created = [];
+
+    for (const [index, stop] of stops.entries()) {
+      const result = await client.query(
+        `INSERT INTO trip_stops (trip_id, stop_order, latitude, longitude, address, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         RETURNING *`,
+        [tripId, index + 1, stop.latitude, stop.longitude, stop.address || null]
+      );
+      created.push(result.rows[0]);
+    }
+
+    return created;
+  }
+
+  static async findByTrip(tripId) {
+    try {
+      const result = await query(
+        `SELECT * FROM trip_stops WHERE trip_id = $1 ORDER BY stop_order ASC`,
+        [tripId]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching trip stops:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a stop reached. Stops are reached in order, so an earlier stop
+   * still open makes this return null.
+   */
+  static async markReached(tripId, stopOrder) {
+    try {
+      const result = await query(
+        `UPDATE trip_stops s SET reached_at = NOW()
+         WHERE s.trip_id = $1 AND s.stop_order = $2 AND s.reached_at IS NULL
+           AND NOT EXISTS (
+             SELECT 1 FROM trip_stops earlier
+             WHERE earlier.trip_id = s.trip_id
+               AND earlier.stop_order < s.stop_order
+               AND earlier.reached_at IS NULL
+           )
+         RETURNING *`,
+        [tripId, stopOrder]
+      );
+
+      if (result.rows.length > 0) {
+        logger.info('Trip stop reached', { tripId, stopOrder });
+      }
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error marking trip stop reached:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TripStop;
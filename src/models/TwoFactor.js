@@ -0,0 +1,126 @@
+/**
+ * TwoFactor Model
+ * A user's encrypted TOTP secret and their hashed recovery codes
+ */
+
+const { query, transaction } = require('../config/database');
+const logger = require('../utils/logger');
+
+class TwoFactor {
+  static async findByUser(userId) {
+    try {
+      const result = await query(
+        `SELECT * FROM user_two_factor WHERE user_id = $1`,
+        [userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding two-factor settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a new secret waiting to be confirmed, replacing one that never
+   * was. Returns null when two-factor is already enabled.
+   */
+  static async saveSecret(userId, secretEncrypted) {
+    try {
+      const result = await query(
+        `INSERT INTO user_two_factor (user_id, secret_encrypted, created_at, updated_at)
+         VALUES ($1, $2, NOW(), NOW())
+         ON CONFLICT (user_id) DO UPDATE SET
+           secret_encrypted = EXCLUDED.secret_encrypted,
+           last_used_step = NULL,
+           updated_at = NOW()
+         WHERE user_two_factor.enabled_at IS NULL
+         RETURNING *`,
+        [userId, secretEncrypted]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error saving two-factor secret:', error);
+      throw error;
+    }
+  }
+
+  // Turn two-factor on with fresh recovery codes; null if it already was
+  static async enable(userId, step, recoveryCodeHashes) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE user_two_factor SET enabled_at = NOW(), last_used_step = $2, updated_at = NOW()
+         WHERE user_id = $1 AND enabled_at IS NULL
+         RETURNING *`,
+        [userId, step]
+      );
+      if (!result.rows[0]) {
+        return null;
+      }
+
+      await this.replaceRecoveryCodes(client, userId, recoveryCodeHashes);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Accept a code's time step once: a step at or before the last accepted
+   * one is refused, so a code can't be replayed. Returns false if refused.
+   */
+  static async claimStep(userId, step) {
+    const result = await query(
+      `UPDATE user_two_factor SET last_used_step = $2, updated_at = NOW()
+       WHERE user_id = $1 AND enabled_at IS NOT NULL
+         AND (last_used_step IS NULL OR last_used_step < $2)
+       RETURNING user_id`,
+      [userId, step]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Pass the transaction client when replacing codes as part of a larger change
+  static async replaceRecoveryCodes(client, userId, codeHashes) {
+    await client.query(`DELETE FROM two_factor_recovery_codes WHERE user_id = $1`, [userId]);
+    await client.query(
+      `INSERT INTO two_factor_recovery_codes (user_id, code_hash, created_at)
+       SELECT $1, code_hash, NOW() FROM UNNEST($2::varchar[]) AS code_hash`,
+      [userId, codeHashes]
+    );
+  }
+
+  static async regenerateRecoveryCodes(userId, codeHashes) {
+    return transaction((client) => this.replaceRecoveryCodes(client, userId, codeHashes));
+  }
+
+  // Use up a recovery code; returns false if it is unknown or was used
+  static async useRecoveryCode(userId, codeHash) {
+    const result = await query(
+      `UPDATE two_factor_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, codeHash]
+    );
+    return result.rows.length > 0;
+  }
+
+  static async countRecoveryCodesLeft(userId) {
+    const result = await query(
+      `SELECT COUNT(*)::int AS count FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL`,
+      [userId]
+    );
+    return result.rows[0].count;
+  }
+
+  // Turn two-factor off: secret and recovery codes go; returns false if it was off
+  static async remove(userId) {
+    return transaction(async (client) => {
+      await client.query(`DELETE FROM two_factor_recovery_codes WHERE user_id = $1`, [userId]);
+      const result = await client.query(
+        `DELETE FROM user_two_factor WHERE user_id = $1 RETURNING user_id`,
+        [userId]
+      );
+      return result.rows.length > 0;
+    });
+  }
+}
+
+module.exports = TwoFactor;
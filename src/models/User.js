@@ -5,6 +5,7 @@
 
 const { query, transaction } = require('../config/database');
 const bcrypt = require('bcrypt');
+const PhoneVerification = require('./PhoneVerification');
 const logger = require('../utils/logger');
 
 class User {
@@ -35,18 +36,31 @@ class User {
   }
 
   static async create(userData) {
-    const { phone, email, fullName, password, role, language } = userData;
+    const { phone, email, fullName, password, role, language, phoneVerificationId = null } = userData;
     
     return transaction(async (client) => {
       try {
+        // Use up the phone verification with the account it was made for
+        let phoneVerifiedAt = null;
+        if (phoneVerificationId) {
+          const verification = await PhoneVerification.consume(client, phoneVerificationId);
+          if (!verification) {
+            const error = new Error('Verify your phone number before registering');
+            error.statusCode = 403;
+            error.code = 'PHONE_NOT_VERIFIED';
+            throw error;
+          }
+          phoneVerifiedAt = verification.verified_at;
+        }
+
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
         const result = await client.query(
-          `INSERT INTO users (phone, email, full_name, password_hash, role, language, status, created_at, updated_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
-           RETURNING id, phone, email, full_name, role, language, status, created_at`,
-          [phone, email, fullName, hashedPassword, role, language, 'active']
+          `INSERT INTO users (phone, email, full_name, password_hash, role, language, status, phone_verified_at, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+           RETURNING id, phone, email, full_name, role, language, status, phone_verified_at, created_at`,
+          [phone, email, fullName, hashedPassword, role, language, 'active', phoneVerifiedAt]
         );
 
         logger.info('User created successfully', { userId: result.rows[0].id, role });
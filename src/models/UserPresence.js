@@ -0,0 +1,134 @@
+/**
+ * UserPresence Model
+ * Open socket counts per user and server instance
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class UserPresence {
+  // Record how many sockets a user currently has open on an instance
+  static async setSocketCount(userId, instanceId, socketCount) {
+    try {
+      const result = await query(
+        `INSERT INTO user_presence (user_id, instance_id, socket_count, connected_at, last_seen_at)
+         VALUES ($1, $2, $3, CASE WHEN $3 > 0 THEN NOW() END, NOW())
+         ON CONFLICT (user_id, instance_id) DO UPDATE
+         SET socket_count = EXCLUDED.socket_count,
+             connected_at = CASE
+               WHEN EXCLUDED.socket_count = 0 THEN user_presence.connected_at
+               WHEN user_presence.socket_count = 0 THEN NOW()
+               ELSE user_presence.connected_at
+             END,
+             last_seen_at = NOW()
+         RETURNING *`,
+        [userId, instanceId, socketCount]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating user presence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Presence of each user across all instances. A user is online when any
+   * instance that heartbeated within `staleSeconds` holds a socket for them.
+   */
+  static async findByUserIds(userIds, staleSeconds) {
+    try {
+      const result = await query(
+        `SELECT u.id AS user_id,
+                COALESCE(SUM(p.socket_count) FILTER (
+                  WHERE p.last_seen_at > NOW() - $2 * INTERVAL '1 second'
+                ), 0)::int AS socket_count,
+                MAX(p.last_seen_at) AS last_seen_at
+         FROM users u
+         LEFT JOIN user_presence p ON p.user_id = u.id
+         WHERE u.id = ANY($1::int[])
+         GROUP BY u.id`,
+        [userIds, staleSeconds]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching user presence:', error);
+      throw error;
+    }
+  }
+
+  static async getOnlineUsers({ role = null, staleSeconds, limit = 100, offset = 0 }) {
+    try {
+      const result = await query(
+        `SELECT u.id AS user_id, u.full_name, u.role,
+                SUM(p.socket_count)::int AS socket_count,
+                COUNT(DISTINCT p.instance_id)::int AS instance_count,
+                MIN(p.connected_at) AS connected_at,
+                MAX(p.last_seen_at) AS last_seen_at
+         FROM user_presence p
+         JOIN users u ON u.id = p.user_id
+         WHERE p.socket_count > 0
+           AND p.last_seen_at > NOW() - $1 * INTERVAL '1 second'
+           AND ($2::varchar IS NULL OR u.role = $2)
+         GROUP BY u.id, u.full_name, u.role
+         ORDER BY MIN(p.connected_at) DESC
+         LIMIT $3 OFFSET $4`,
+        [staleSeconds, role, limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching online users:', error);
+      throw error;
+    }
+  }
+
+  // Keep an instance's rows fresh while it holds sockets
+  static async touchInstance(instanceId) {
+    try {
+      const result = await query(
+        `UPDATE user_presence SET last_seen_at = NOW()
+         WHERE instance_id = $1 AND socket_count > 0`,
+        [instanceId]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error refreshing instance presence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Zero the counts of instances that stopped heartbeating (crashed or
+   * killed). last_seen_at is left as is so it still reads as "last seen".
+   */
+  static async clearStale(staleSeconds) {
+    try {
+      const result = await query(
+        `UPDATE user_presence SET socket_count = 0
+         WHERE socket_count > 0
+           AND last_seen_at <= NOW() - $1 * INTERVAL '1 second'`,
+        [staleSeconds]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error clearing stale presence:', error);
+      throw error;
+    }
+  }
+
+  // Mark every socket of an instance closed (clean shutdown)
+  static async clearInstance(instanceId) {
+    try {
+      const result = await query(
+        `UPDATE user_presence SET socket_count = 0, last_seen_at = NOW()
+         WHERE instance_id = $1 AND socket_count > 0`,
+        [instanceId]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error clearing instance presence:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UserPresence;
@@ -0,0 +1,135 @@
+/**
+ * UserSession Model
+ * Signed-in devices and the hash of their current refresh token
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class UserSession {
+  static async create({
+    id, userId, refreshTokenHash, deviceName = null, userAgent = null, ipAddress = null, ttlDays, twoFactorVerified = false
+  }) {
+    try {
+      const result = await query(
+        `INSERT INTO user_sessions (id, user_id, refresh_token_hash, device_name, user_agent, ip_address,
+                                    last_used_at, expires_at, two_factor_verified_at, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW() + $7 * INTERVAL '1 day', CASE WHEN $8 THEN NOW() END, NOW())
+         RETURNING *`,
+        [id, userId, refreshTokenHash, deviceName, userAgent, ipAddress, ttlDays, twoFactorVerified]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating user session:', error);
+      throw error;
+    }
+  }
+
+  // `expired` is true once the refresh token can no longer be used
+  static async findById(sessionId) {
+    try {
+      const result = await query(
+        `SELECT *, expires_at <= NOW() AS expired FROM user_sessions WHERE id = $1`,
+        [sessionId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding user session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the refresh token, only if `previousHash` is still the current
+   * one, and push the expiry back. Returns null when another refresh got
+   * there first.
+   */
+  static async rotate(sessionId, previousHash, nextHash, { userAgent = null, ipAddress = null, ttlDays }) {
+    try {
+      const result = await query(
+        `UPDATE user_sessions SET
+           refresh_token_hash = $3,
+           rotation_count = rotation_count + 1,
+           user_agent = COALESCE($4, user_agent),
+           ip_address = COALESCE($5, ip_address),
+           last_used_at = NOW(),
+           expires_at = NOW() + $6 * INTERVAL '1 day'
+         WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL AND expires_at > NOW()
+         RETURNING *`,
+        [sessionId, previousHash, nextHash, userAgent, ipAddress, ttlDays]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error rotating user session:', error);
+      throw error;
+    }
+  }
+
+  // Record that the session's user confirmed a second factor
+  static async markTwoFactorVerified(sessionId) {
+    const result = await query(
+      `UPDATE user_sessions SET two_factor_verified_at = NOW()
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [sessionId]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async isActive(sessionId) {
+    const result = await query(
+      `SELECT 1 FROM user_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+      [sessionId]
+    );
+    return result.rows.length > 0;
+  }
+
+  static async findActiveByUser(userId) {
+    try {
+      const result = await query(
+        `SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM user_sessions
+         WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY last_used_at DESC NULLS LAST`,
+        [userId]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching user sessions:', error);
+      throw error;
+    }
+  }
+
+  // With `userId` only that user's session can be revoked
+  static async revoke(sessionId, reason, userId = null) {
+    try {
+      const result = await query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+         WHERE id = $1 AND revoked_at IS NULL AND ($3::int IS NULL OR user_id = $3)
+         RETURNING id, user_id`,
+        [sessionId, reason, userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error revoking user session:', error);
+      throw error;
+    }
+  }
+
+  // Returns the number of sessions revoked
+  static async revokeAllForUser(userId, reason) {
+    try {
+      const result = await query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+         WHERE user_id = $1 AND revoked_at IS NULL`,
+        [userId, reason]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error revoking user sessions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UserSession;
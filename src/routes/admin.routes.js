@@ -5,21 +5,35 @@
 
 const express = require("express");
 const router = express.Router();
-const { authorize } = require("../middleware/auth");
+const { authorize, requirePermission, requireAdminTwoFactor, loadAdminPermissions } = require("../middleware/auth");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
 const Driver = require("../models/Driver");
 const Trip = require("../models/Trip");
 const User = require("../models/User");
 const PricingService = require("../services/pricing.service");
+const AuthService = require("../services/auth.service");
+const SurgeService = require("../services/surge.service");
+const PromoService = require("../services/promo.service");
+const PromoCode = require("../models/PromoCode");
+const PresenceService = require("../services/presence.service");
+const DispatchService = require("../services/dispatch.service");
+const DispatchConfig = require("../models/DispatchConfig");
+const RateLimitService = require("../services/rateLimit.service");
+const ActivityLog = require("../models/ActivityLog");
+const AdminRole = require("../models/AdminRole");
+const TwoFactorService = require("../services/twoFactor.service");
+const { ROLES, isRole } = require("../config/permissions");
 const { query } = require("../config/database");
 const logger = require("../utils/logger");
 
 // Middleware: Admin authorization
 router.use(authorize("admin"));
+router.use(requireAdminTwoFactor);
 
 // Dashboard metrics
 router.get(
   "/dashboard",
+  requirePermission("dashboard:read"),
   asyncHandler(async (req, res) => {
     const result = await query(`
       SELECT 
@@ -109,6 +123,7 @@ router.get(
 // Get all drivers
 router.get(
   "/drivers",
+  requirePermission("drivers:read"),
   asyncHandler(async (req, res) => {
     const limit = req.query.limit ? parseInt(req.query.limit) : 20;
     const offset = req.query.offset ? parseInt(req.query.offset) : 0;
@@ -152,6 +167,7 @@ router.get(
 // Get driver details
 router.get(
   "/drivers/:driverId",
+  requirePermission("drivers:read"),
   asyncHandler(async (req, res) => {
     const driver = await Driver.findById(req.params.driverId);
 
@@ -175,6 +191,7 @@ router.get(
 // Approve driver
 router.post(
   "/drivers/:driverId/approve",
+  requirePermission("drivers:approve"),
   asyncHandler(async (req, res) => {
     const updated = await Driver.updateVerificationStatus(
       req.params.driverId,
@@ -197,6 +214,7 @@ router.post(
 // Reject driver
 router.post(
   "/drivers/:driverId/reject",
+  requirePermission("drivers:approve"),
   asyncHandler(async (req, res) => {
     const { reason } = req.body;
 
@@ -221,6 +239,7 @@ router.post(
 // Suspend driver
 router.post(
   "/drivers/:driverId/suspend",
+  requirePermission("drivers:suspend"),
   asyncHandler(async (req, res) => {
     const { reason } = req.body;
 
@@ -245,6 +264,7 @@ router.post(
 // Get all trips
 router.get(
   "/trips",
+  requirePermission("trips:read"),
   asyncHandler(async (req, res) => {
     const limit = req.query.limit ? parseInt(req.query.limit) : 20;
     const offset = req.query.offset ? parseInt(req.query.offset) : 0;
@@ -299,16 +319,14 @@ router.get(
 // );
 
 // Get trip details
-router.get('/:id', asyncHandler(async (req, res, next) => {
-  const tripId = req.params.id; // or req.params.tripId
-  
-  // ADD THIS CHECK:
-  if (isNaN(parseInt(tripId, 10))) {
-    // If it's not a number (like "active"), skip this route and let Express 
-    // keep looking for another matching route down the chain.
-    return next(); 
-  }
-    const trip = await Trip.findById(tripId);
+router.get(
+  '/:id',
+  // If it's not a number (like "roles"), skip this route, permission check
+  // included, and let Express keep looking for another matching route.
+  (req, res, next) => (isNaN(parseInt(req.params.id, 10)) ? next('route') : next()),
+  requirePermission("trips:read"),
+  asyncHandler(async (req, res) => {
+    const trip = await Trip.findById(req.params.id);
 
     if (!trip) {
       throw new AppError("Trip not found", 404);
@@ -321,12 +339,26 @@ router.get('/:id', asyncHandler(async (req, res, next) => {
   }),
 );
 
-// Get pricing configuration
-// Get pricing configuration history
+// Get active pricing configuration of every region
+router.get(
+  "/pricing",
+  requirePermission("pricing:read"),
+  asyncHandler(async (req, res) => {
+    const configs = await PricingService.getActivePricingConfigs();
+
+    res.status(200).json({
+      success: true,
+      data: configs,
+    });
+  }),
+);
+
+// Get pricing configuration history (?region= limits it to one region, empty for the global default)
 router.get(
   "/pricing/history",
+  requirePermission("pricing:read"),
   asyncHandler(async (req, res) => {
-    const history = await PricingService.getPricingHistory();
+    const history = await PricingService.getPricingHistory(req.query.region);
 
     res.status(200).json({
       success: true,
@@ -339,6 +371,7 @@ router.get(
 // admin.js
 router.post(
   "/pricing",
+  requirePermission("pricing:write"),
   asyncHandler(async (req, res) => {
     const {
       commission_percentage,
@@ -347,13 +380,53 @@ router.post(
       minimum_fare,
       night_surcharge_percentage,
       long_distance_coefficient,
-      hourly_rates // ADDED THIS
+      hourly_rates, // ADDED THIS
+      surge_enabled,
+      surge_demand_threshold,
+      surge_sensitivity,
+      surge_max_multiplier,
+      surge_smoothing_factor,
+      cancellation_grace_minutes,
+      cancellation_fee,
+      free_waiting_minutes,
+      waiting_charge_per_minute,
+      overtime_increment_minutes,
+      region
     } = req.body;
 
     if (!commission_percentage || !base_fare || !per_km_rate) {
       throw new AppError("Missing required pricing fields", 400);
     }
 
+    if (
+      (cancellation_grace_minutes !== undefined && !(parseInt(cancellation_grace_minutes) >= 0)) ||
+      (cancellation_fee !== undefined && !(parseInt(cancellation_fee) >= 0))
+    ) {
+      throw new AppError("Cancellation grace period and fee must be non-negative", 400);
+    }
+
+    if (
+      (free_waiting_minutes !== undefined && !(parseInt(free_waiting_minutes) >= 0)) ||
+      (waiting_charge_per_minute !== undefined && !(parseInt(waiting_charge_per_minute) >= 0))
+    ) {
+      throw new AppError("Free waiting minutes and waiting charge must be non-negative", 400);
+    }
+
+    if (overtime_increment_minutes !== undefined && !(parseInt(overtime_increment_minutes) > 0)) {
+      throw new AppError("overtime_increment_minutes must be a positive integer", 400);
+    }
+
+    if (surge_max_multiplier !== undefined && parseFloat(surge_max_multiplier) < 1) {
+      throw new AppError("surge_max_multiplier must be at least 1", 400);
+    }
+
+    if (
+      surge_smoothing_factor !== undefined &&
+      (parseFloat(surge_smoothing_factor) <= 0 || parseFloat(surge_smoothing_factor) > 1)
+    ) {
+      throw new AppError("surge_smoothing_factor must be between 0 and 1", 400);
+    }
+
     const newConfig = await PricingService.createPricingConfig({
       commission_percentage,
       base_fare,
@@ -361,7 +434,24 @@ router.post(
       minimum_fare,
       night_surcharge_percentage,
       long_distance_coefficient,
-      hourly_rates // ADDED THIS
+      hourly_rates, // ADDED THIS
+      surge_enabled,
+      surge_demand_threshold,
+      surge_sensitivity,
+      surge_max_multiplier,
+      surge_smoothing_factor,
+      cancellation_grace_minutes,
+      cancellation_fee,
+      free_waiting_minutes,
+      waiting_charge_per_minute,
+      overtime_increment_minutes,
+      region: typeof region === "string" && region.trim() ? region.trim() : null
+    });
+
+    logger.info("Pricing config created by admin", {
+      adminId: req.userId,
+      configId: newConfig.id,
+      region: newConfig.region,
     });
 
     res.status(201).json({
@@ -375,6 +465,7 @@ router.post(
 // Activate an older pricing configuration
 router.put(
   "/pricing/:id/activate",
+  requirePermission("pricing:write"),
   asyncHandler(async (req, res) => {
     const configId = req.params.id;
 
@@ -382,7 +473,8 @@ router.put(
 
     logger.info("Historical pricing config activated by admin", { 
       adminId: req.userId,
-      configId 
+      configId,
+      region: activatedConfig.region
     });
 
     res.status(200).json({
@@ -393,9 +485,276 @@ router.put(
   }),
 );
 
+// Schedule a pricing config to become active at a future time (optionally until endsAt)
+router.post(
+  "/pricing/:id/schedule",
+  requirePermission("pricing:write"),
+  asyncHandler(async (req, res) => {
+    const { startsAt, endsAt } = req.body;
+
+    if (!startsAt || isNaN(new Date(startsAt).getTime())) {
+      throw new AppError("A valid startsAt timestamp is required", 400);
+    }
+    if (endsAt && isNaN(new Date(endsAt).getTime())) {
+      throw new AppError("endsAt must be a valid timestamp", 400);
+    }
+
+    const schedule = await PricingService.schedulePricingConfig(req.params.id, {
+      startsAt,
+      endsAt: endsAt || null,
+      createdBy: req.userId,
+    });
+
+    logger.info("Pricing config scheduled by admin", {
+      adminId: req.userId,
+      configId: req.params.id,
+      scheduleId: schedule.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Pricing configuration scheduled successfully",
+      data: schedule,
+    });
+  }),
+);
+
+// Upcoming and currently running pricing schedules (?region= limits it to one region)
+router.get(
+  "/pricing/schedules",
+  requirePermission("pricing:read"),
+  asyncHandler(async (req, res) => {
+    const schedules = await PricingService.getUpcomingSchedules(req.query.region);
+
+    res.status(200).json({
+      success: true,
+      data: schedules,
+    });
+  }),
+);
+
+// Cancel a pending schedule, or end a running one early
+router.delete(
+  "/pricing/schedules/:scheduleId",
+  requirePermission("pricing:write"),
+  asyncHandler(async (req, res) => {
+    const schedule = await PricingService.cancelPricingSchedule(req.params.scheduleId);
+
+    logger.info("Pricing schedule cancelled by admin", {
+      adminId: req.userId,
+      scheduleId: req.params.scheduleId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Pricing schedule cancelled",
+      data: schedule,
+    });
+  }),
+);
+
+// List promo codes (?status=active|inactive|all)
+router.get(
+  "/promos",
+  requirePermission("promos:read"),
+  asyncHandler(async (req, res) => {
+    const { status = "all", page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+
+    const { promos, total } = await PromoCode.list({
+      status,
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: promos,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  }),
+);
+
+// Create a promo code
+router.post(
+  "/promos",
+  requirePermission("promos:write"),
+  asyncHandler(async (req, res) => {
+    const promo = await PromoService.createPromo(req.body, req.userId);
+
+    logger.info("Promo code created by admin", {
+      adminId: req.userId,
+      promoId: promo.id,
+      code: promo.code,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Promo code created successfully",
+      data: promo,
+    });
+  }),
+);
+
+// Promo code details with its latest redemptions
+router.get(
+  "/promos/:promoId",
+  requirePermission("promos:read"),
+  asyncHandler(async (req, res) => {
+    const promo = await PromoCode.findById(req.params.promoId);
+    if (!promo) {
+      throw new AppError("Promo code not found", 404, "PROMO_NOT_FOUND");
+    }
+
+    const redemptions = await PromoCode.getRedemptions(promo.id);
+
+    res.status(200).json({
+      success: true,
+      data: { ...promo, redemptions },
+    });
+  }),
+);
+
+// Update a promo code (the code itself cannot be changed)
+router.put(
+  "/promos/:promoId",
+  requirePermission("promos:write"),
+  asyncHandler(async (req, res) => {
+    const promo = await PromoService.updatePromo(req.params.promoId, req.body);
+
+    logger.info("Promo code updated by admin", {
+      adminId: req.userId,
+      promoId: req.params.promoId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Promo code updated successfully",
+      data: promo,
+    });
+  }),
+);
+
+// Deactivate a promo code (redemption history is kept)
+router.delete(
+  "/promos/:promoId",
+  requirePermission("promos:write"),
+  asyncHandler(async (req, res) => {
+    const promo = await PromoCode.deactivate(req.params.promoId);
+    if (!promo) {
+      throw new AppError("Promo code not found", 404, "PROMO_NOT_FOUND");
+    }
+
+    logger.info("Promo code deactivated by admin", {
+      adminId: req.userId,
+      promoId: req.params.promoId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Promo code deactivated",
+      data: promo,
+    });
+  }),
+);
+
+// Current surge multiplier per region
+router.get(
+  "/surge",
+  requirePermission("pricing:read"),
+  asyncHandler(async (req, res) => {
+    const surges = await SurgeService.getRegionSurges();
+
+    res.status(200).json({
+      success: true,
+      data: surges,
+    });
+  }),
+);
+
+// Dispatch strategy of every region
+router.get(
+  "/dispatch-config",
+  requirePermission("dispatch:read"),
+  asyncHandler(async (req, res) => {
+    const configs = await DispatchConfig.list();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        configs,
+        defaults: DispatchService.normalizeConfig(null),
+      },
+    });
+  }),
+);
+
+// Create or update the dispatch strategy of a region (no region = global default)
+router.put(
+  "/dispatch-config",
+  requirePermission("dispatch:write"),
+  asyncHandler(async (req, res) => {
+    const { region = null, ...settings } = req.body;
+    const config = await DispatchService.saveDispatchConfig(region, settings, req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Dispatch configuration saved",
+      data: config,
+    });
+  }),
+);
+
+// Users currently connected over sockets (any device, any server instance)
+router.get(
+  "/presence",
+  requirePermission("presence:read"),
+  asyncHandler(async (req, res) => {
+    const role = req.query.role || null;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+    if (role && !["client", "driver", "admin"].includes(role)) {
+      throw new AppError("role must be one of: client, driver, admin", 400);
+    }
+
+    const users = await PresenceService.getOnlineUsers({ role, limit, offset });
+
+    res.status(200).json({
+      success: true,
+      data: users,
+    });
+  }),
+);
+
+// Online status and last-seen time of one user
+router.get(
+  "/presence/:userId",
+  requirePermission("presence:read"),
+  asyncHandler(async (req, res) => {
+    const [presence] = await PresenceService.getPresence([req.params.userId]);
+
+    if (!presence) {
+      throw new AppError("User not found", 404);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: presence,
+    });
+  }),
+);
+
 // Summary Reports
 router.get(
   "/reports/summary",
+  requirePermission("reports:read"),
   asyncHandler(async (req, res) => {
     const { startDate, endDate } = req.query;
 
@@ -470,6 +829,7 @@ router.get(
 // Revenue reports
 router.get(
   "/reports/revenue",
+  requirePermission("finance:read"),
   asyncHandler(async (req, res) => {
     const { startDate, endDate, period = "daily" } = req.query;
 
@@ -510,6 +870,7 @@ router.get(
 // Regional reports
 router.get(
   "/reports/regional",
+  requirePermission("reports:read"),
   asyncHandler(async (req, res) => {
     const result = await query(`
       SELECT 
@@ -534,6 +895,7 @@ router.get(
 // Incident management
 router.get(
   "/incidents",
+  requirePermission("incidents:read"),
   asyncHandler(async (req, res) => {
     const status = req.query.status || 'all';
     const tripId = req.query.tripId || null;
@@ -547,6 +909,7 @@ router.get(
 
 router.get(
   "/incidents/:id",
+  requirePermission("incidents:read"),
   asyncHandler(async (req, res) => {
     const incident = await Trip.getReportById(req.params.id);
     if (!incident) {
@@ -558,6 +921,7 @@ router.get(
 
 router.put(
   "/incidents/:id",
+  requirePermission("incidents:write"),
   asyncHandler(async (req, res) => {
     const { status, resolutionNote, action } = req.body;
     const validStatuses = ['open', 'investigating', 'resolved', 'closed', 'suspended'];
@@ -587,6 +951,7 @@ router.put(
 // Admin Earnings
 router.get(
   "/earnings",
+  requirePermission("finance:read"),
   asyncHandler(async (req, res) => {
     const { startDate, endDate } = req.query;
 
@@ -628,8 +993,8 @@ router.get(
     const totalPlatformEarnings = parseFloat(s.total_platform_earnings) || 0;
     const totalCommission = parseFloat(s.total_commission) || 0;
     
-    // Fetch active commission rate
-    const activePricingResult = await query(`SELECT commission_percentage FROM pricing_config WHERE is_active = true LIMIT 1`);
+    // Fetch active commission rate (global default)
+    const activePricingResult = await query(`SELECT commission_percentage FROM pricing_config WHERE is_active = true AND region IS NULL LIMIT 1`);
     const activeCommission = activePricingResult.rows.length > 0 ? parseFloat(activePricingResult.rows[0].commission_percentage) : 25;
 
     // Effective Historical Commission is the blended fraction, while the displayed rate should be active
@@ -662,6 +1027,7 @@ router.get(
 // Admin Transactions — full financial ledger of all trips
 router.get(
   "/transactions",
+  requirePermission("finance:read"),
   asyncHandler(async (req, res) => {
     const {
       startDate,
@@ -745,9 +1111,9 @@ router.get(
     const s = summaryResult.rows[0] || { total_revenue: 0, total_commission: 0, total_driver_earnings: 0, count: 0 };
     const total = (countResult.rows[0] && parseInt(countResult.rows[0].total)) || 0;
 
-    // Fetch current active commission percentage
+    // Fetch current active commission percentage (global default)
     const pricingResult = await query(
-      `SELECT commission_percentage FROM pricing_config WHERE is_active = true LIMIT 1`
+      `SELECT commission_percentage FROM pricing_config WHERE is_active = true AND region IS NULL LIMIT 1`
     );
     const activeCommission = pricingResult.rows.length > 0 
       ? parseFloat(pricingResult.rows[0].commission_percentage) 
@@ -771,6 +1137,7 @@ router.get(
 
 router.get(
   "/users",
+  requirePermission("users:read"),
   asyncHandler(async (req, res) => {
     const limit = req.query.limit ? parseInt(req.query.limit) : 20;
     const offset = req.query.offset ? parseInt(req.query.offset) : 0;
@@ -806,6 +1173,7 @@ router.get(
 // Get specific user details along with their trips
 router.get(
   "/users/:userId",
+  requirePermission("users:read"),
   asyncHandler(async (req, res) => {
     const userResult = await query(
       `
@@ -846,6 +1214,7 @@ router.get(
 // Suspend user
 router.post(
   "/users/:userId/suspend",
+  requirePermission("users:suspend"),
   asyncHandler(async (req, res) => {
     const { reason } = req.body;
 
@@ -855,15 +1224,19 @@ router.post(
     }
 
     await User.updateStatus(req.params.userId, "suspended");
+    // Sign the user out of every device right away
+    const revokedSessions = await AuthService.revokeAllSessions(req.params.userId, "suspended");
 
     logger.info("User suspended by admin", {
       userId: req.params.userId,
       reason,
+      revokedSessions,
     });
 
     res.status(200).json({
       success: true,
       message: "User suspended successfully",
+      data: { revokedSessions },
     });
   }),
 );
@@ -871,6 +1244,7 @@ router.post(
 // Unsuspend user
 router.post(
   "/users/:userId/unsuspend",
+  requirePermission("users:suspend"),
   asyncHandler(async (req, res) => {
     const userResult = await query(`SELECT role FROM users WHERE id = $1`, [req.params.userId]);
     if (userResult.rows.length === 0) {
@@ -890,9 +1264,209 @@ router.post(
   }),
 );
 
+// Turn a colleague's two-factor off, e.g. after they lost their phone;
+// they log in with their password alone and enroll again
+router.post(
+  "/users/:userId/2fa/reset",
+  requirePermission("two_factor:reset"),
+  asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.userId);
+
+    if (userId === req.userId) {
+      throw new AppError("Use your own two-factor settings to change it", 400);
+    }
+
+    const user = Number.isInteger(userId) ? await User.findById(userId) : null;
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+
+    const reset = await TwoFactorService.reset(user.id, { adminId: req.userId, ipAddress: req.ip });
+    if (!reset) {
+      throw new AppError("Two-factor authentication is not set up for this user", 404);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication reset",
+    });
+  }),
+);
+
+// Keys (IP, phone, trip) currently locked out by brute-force protection
+router.get(
+  "/security/lockouts",
+  requirePermission("security:read"),
+  asyncHandler(async (req, res) => {
+    const lockouts = await RateLimitService.findLockouts();
+
+    res.status(200).json({
+      success: true,
+      data: lockouts,
+    });
+  }),
+);
+
+// Lift a lockout, e.g. for a user locked out by someone else's guesses
+router.delete(
+  "/security/lockouts/:id",
+  requirePermission("security:write"),
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const lockout = Number.isInteger(id) ? await RateLimitService.unlock(id) : null;
+    if (!lockout) {
+      throw new AppError("Lockout not found", 404);
+    }
+
+    logger.info("Rate limit lockout lifted by admin", {
+      adminId: req.userId,
+      scope: lockout.scope,
+      key: lockout.key,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Lockout lifted",
+      data: lockout,
+    });
+  }),
+);
+
+// Lockout alerts, most recent first
+router.get(
+  "/security/alerts",
+  requirePermission("security:read"),
+  asyncHandler(async (req, res) => {
+    const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+    const alerts = await ActivityLog.findByAction("rate_limit_lockout", { limit, offset });
+
+    res.status(200).json({
+      success: true,
+      data: alerts,
+    });
+  }),
+);
+
+// Roles and permissions of the signed-in admin
+router.get(
+  "/me/permissions",
+  asyncHandler(async (req, res) => {
+    const permissions = await loadAdminPermissions(req);
+
+    res.status(200).json({
+      success: true,
+      data: { roles: req.adminRoles, permissions },
+    });
+  }),
+);
+
+// Roles that can be granted and their permissions
+router.get(
+  "/roles",
+  requirePermission("roles:manage"),
+  asyncHandler(async (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: Object.entries(ROLES).map(([name, role]) => ({ name, ...role })),
+    });
+  }),
+);
+
+// Admin users and the roles they hold
+router.get(
+  "/admins",
+  requirePermission("roles:manage"),
+  asyncHandler(async (req, res) => {
+    const admins = await AdminRole.findAdmins();
+
+    res.status(200).json({
+      success: true,
+      data: admins,
+    });
+  }),
+);
+
+// Grant a role to an admin
+router.post(
+  "/admins/:userId/roles",
+  requirePermission("roles:manage"),
+  asyncHandler(async (req, res) => {
+    const { role } = req.body;
+
+    if (!isRole(role)) {
+      throw new AppError(`Role must be one of: ${Object.keys(ROLES).join(", ")}`, 400);
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user || user.role !== "admin") {
+      throw new AppError("Admin not found", 404);
+    }
+
+    const assignment = await AdminRole.grant(user.id, role, req.userId);
+    if (!assignment) {
+      throw new AppError("Admin already has this role", 409, "ROLE_ALREADY_GRANTED");
+    }
+
+    await ActivityLog.record({
+      userId: req.userId,
+      action: "admin_role_granted",
+      resourceType: "user",
+      resourceId: user.id,
+      details: { role },
+      ipAddress: req.ip,
+    });
+    logger.info("Admin role granted", { adminId: req.userId, userId: user.id, role });
+
+    res.status(201).json({
+      success: true,
+      message: "Role granted",
+      data: { userId: user.id, roles: await AdminRole.findRolesByUser(user.id) },
+    });
+  }),
+);
+
+// Take a role back from an admin
+router.delete(
+  "/admins/:userId/roles/:role",
+  requirePermission("roles:manage"),
+  asyncHandler(async (req, res) => {
+    const { role } = req.params;
+    const userId = parseInt(req.params.userId);
+
+    const roles = Number.isInteger(userId) ? await AdminRole.findRolesByUser(userId) : [];
+    if (!roles.includes(role)) {
+      throw new AppError("Admin does not have this role", 404);
+    }
+
+    const revoked = await AdminRole.revoke(userId, role);
+    if (!revoked) {
+      throw new AppError("The last super_admin cannot lose the role", 409, "LAST_SUPER_ADMIN");
+    }
+
+    await ActivityLog.record({
+      userId: req.userId,
+      action: "admin_role_revoked",
+      resourceType: "user",
+      resourceId: userId,
+      details: { role },
+      ipAddress: req.ip,
+    });
+    logger.info("Admin role revoked", { adminId: req.userId, userId, role });
+
+    res.status(200).json({
+      success: true,
+      message: "Role revoked",
+      data: { userId, roles: roles.filter((held) => held !== role) },
+    });
+  }),
+);
+
 // Get active trips with stats (for Admin Live Dashboard)
 router.get(
   "/trips/active",
+  requirePermission("trips:read"),
   asyncHandler(async (req, res) => {
     const limit = req.query.limit ? parseInt(req.query.limit) : 20;
     const offset = req.query.offset ? parseInt(req.query.offset) : 0;
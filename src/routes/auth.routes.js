@@ -6,11 +6,53 @@
 const express = require("express");
 const router = express.Router();
 const AuthService = require("../services/auth.service");
+const TwoFactorService = require("../services/twoFactor.service");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
-const { authenticate } = require("../middleware/auth");
-
-
-// Register a new user
+const { authenticate, extractToken } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+
+const isProd = process.env.NODE_ENV === 'production';
+const cookieOptions = {
+  httpOnly: true,
+  secure: isProd,
+  sameSite: isProd ? 'none' : 'lax', // Use 'none' for cross-site cookies in production
+};
+// The refresh token cookie is only sent to the auth routes
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const setAuthCookies = (res, result) => {
+  res.cookie("token", result.token, { ...cookieOptions, path: "/", expires: result.tokenExpiresAt });
+  res.cookie("refreshToken", result.refreshToken, {
+    ...cookieOptions,
+    path: REFRESH_COOKIE_PATH,
+    expires: result.refreshTokenExpiresAt,
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", { ...cookieOptions, path: "/" });
+  res.clearCookie("refreshToken", { ...cookieOptions, path: REFRESH_COOKIE_PATH });
+};
+
+// Device metadata stored with a session
+const deviceOf = (req) => ({
+  deviceName: req.body && req.body.deviceName ? String(req.body.deviceName).slice(0, 100) : null,
+  userAgent: req.get("user-agent") || null,
+  ipAddress: req.ip || null,
+});
+
+// Rate limit key of the phone a request is about, written the way it is stored
+const phoneOf = (req) => (req.body && req.body.phone ? AuthService.normalizePhone(req.body.phone) : null);
+
+const tokenData = (result) => ({
+  token: result.token,
+  expiresAt: result.tokenExpiresAt,
+  refreshToken: result.refreshToken,
+  refreshTokenExpiresAt: result.refreshTokenExpiresAt,
+});
+
+
+// Register a new user; the phone must have been verified with /send-otp and /verify-otp
 router.post(
   "/register",
   asyncHandler(async (req, res) => {
@@ -45,25 +87,17 @@ router.post(
       password,
       role,
       language,
+      deviceOf(req),
     );
 
-    const isProd = process.env.NODE_ENV === 'production';
-    const cookieOptions = {
-      httpOnly: true,
-      secure: isProd,
-      sameSite: isProd ? 'none' : 'lax', // Use 'none' for cross-site cookies in production
-      path: "/",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    };
-
-    res.cookie("token", result.token, cookieOptions);
+    setAuthCookies(res, result);
 
     res.status(201).json({
       success: true,
       message: "User registered successfully",
       data: {
         user: result.user,
-        token: result.token,
+        ...tokenData(result),
       },
     });
   }),
@@ -72,6 +106,8 @@ router.post(
 // Login user
 router.post(
   "/login",
+  rateLimit("login_ip"),
+  rateLimit("login_phone", phoneOf),
   asyncHandler(async (req, res) => {
     const { phone, password } = req.body;
 
@@ -79,40 +115,163 @@ router.post(
       throw new AppError("Phone and password are required", 400);
     }
 
-    const result = await AuthService.login(phone, password);
+    const result = await AuthService.login(phone, password, deviceOf(req));
+
+    // Second step: the app sends the challenge and a code to /2fa/verify
+    if (result.twoFactorRequired) {
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: result.challengeToken,
+          challengeExpiresAt: result.challengeExpiresAt,
+        },
+      });
+    }
+
+    setAuthCookies(res, result);
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user: result.user,
+        ...tokenData(result),
+        ...(result.twoFactorSetupRequired && { twoFactorSetupRequired: true }),
+      },
+    });
+  }),
+);
 
-    const isProd = process.env.NODE_ENV === 'production';
-    const cookieOptions = {
-      httpOnly: true,
-      secure: isProd,
-      sameSite: isProd ? 'none' : 'lax',
-      path: "/",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    };
+// Finish a two-factor login with an authenticator or recovery code
+router.post(
+  "/2fa/verify",
+  rateLimit("login_ip"),
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
 
-    res.cookie("token", result.token, cookieOptions);
+    if (!challengeToken || !code) {
+      throw new AppError("Challenge token and code are required", 400);
+    }
+
+    const result = await AuthService.completeTwoFactorLogin(challengeToken, code, deviceOf(req));
+
+    setAuthCookies(res, result);
     res.status(200).json({
       success: true,
       message: "Login successful",
       data: {
         user: result.user,
-        token: result.token,
+        ...tokenData(result),
       },
     });
   }),
 );
 
-// Logout user
+// Two-factor status of the current user
+router.get(
+  "/2fa",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const status = await TwoFactorService.getStatus(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: status,
+    });
+  }),
+);
+
+// Start enrollment: a secret and otpauth:// URI for the authenticator app
+router.post(
+  "/2fa/setup",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const result = await TwoFactorService.setup(req.user, { ipAddress: req.ip });
+
+    res.status(200).json({
+      success: true,
+      message: "Scan the code with your authenticator app, then confirm a code",
+      data: result,
+    });
+  }),
+);
+
+// Confirm enrollment with a first code; the recovery codes are only shown now
+router.post(
+  "/2fa/enable",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+      throw new AppError("Code is required", 400);
+    }
+
+    const result = await TwoFactorService.enable(req.user, code, {
+      sessionId: req.sessionId,
+      ipAddress: req.ip,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled; refresh the token to use it",
+      data: result,
+    });
+  }),
+);
+
+// Turn two-factor off
+router.post(
+  "/2fa/disable",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+      throw new AppError("Code is required", 400);
+    }
+
+    await TwoFactorService.disable(req.user, code, { ipAddress: req.ip });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  }),
+);
+
+// Replace the recovery codes
+router.post(
+  "/2fa/recovery-codes",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+      throw new AppError("Code is required", 400);
+    }
+
+    const result = await TwoFactorService.regenerateRecoveryCodes(req.user, code, { ipAddress: req.ip });
+
+    res.status(200).json({
+      success: true,
+      message: "Recovery codes replaced",
+      data: result,
+    });
+  }),
+);
+
+// Logout user: ends this device's session
 router.post(
   "/logout",
   asyncHandler(async (req, res) => {
-    const isProd = process.env.NODE_ENV === 'production';
-    res.clearCookie("token", {
-      httpOnly: true,
-      secure: isProd,
-      sameSite: isProd ? 'none' : 'lax',
-      path: "/",
+    await AuthService.logout({
+      refreshToken: (req.body && req.body.refreshToken) || req.cookies.refreshToken,
+      accessToken: extractToken(req),
     });
+
+    clearAuthCookies(res);
     res.status(200).json({
       success: true,
       message: "Logout successful",
@@ -120,6 +279,55 @@ router.post(
   }),
 );
 
+// Logout from every device
+router.post(
+  "/logout-all",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const count = await AuthService.revokeAllSessions(req.userId, "logout_all");
+
+    clearAuthCookies(res);
+    res.status(200).json({
+      success: true,
+      message: "Logged out from all devices",
+      data: { revokedSessions: count },
+    });
+  }),
+);
+
+// Active sessions (devices) of the current user
+router.get(
+  "/sessions",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const sessions = await AuthService.listSessions(req.userId, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      data: sessions,
+    });
+  }),
+);
+
+// Sign one of the current user's devices out
+router.delete(
+  "/sessions/:sessionId",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const revoked = AuthService.isSessionId(sessionId)
+      && await AuthService.revokeSession(sessionId, "revoked", req.userId);
+    if (!revoked) {
+      throw new AppError("Session not found", 404);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked",
+    });
+  }),
+);
+
 router.get(
   "/me",
   authenticate,
@@ -133,33 +341,24 @@ router.get(
   }),
 );
 
-// Refresh token
+// Refresh token: trades the refresh token (body or cookie) for a new pair
 router.post(
   "/refresh-token",
   asyncHandler(async (req, res) => {
-    const { token } = req.body;
+    const refreshToken = (req.body && req.body.refreshToken) || req.cookies.refreshToken;
 
-    if (!token) {
-      throw new AppError("Token is required", 400);
+    if (!refreshToken) {
+      throw new AppError("Refresh token is required", 400);
     }
 
-    const result = await AuthService.refreshToken(token);
-
-    const isProd = process.env.NODE_ENV === 'production';
-    const cookieOptions = {
-      httpOnly: true,
-      secure: isProd,
-      sameSite: isProd ? 'none' : 'lax',
-      path: "/",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    };
+    const result = await AuthService.refreshToken(refreshToken, deviceOf(req));
 
-    res.cookie("token", result.token, cookieOptions);
+    setAuthCookies(res, result);
 
     res.status(200).json({
       success: true,
       message: "Token refreshed",
-      data: result,
+      data: tokenData(result),
     });
   }),
 );
@@ -186,6 +385,7 @@ router.post(
 // Send OTP to phone
 router.post(
   "/send-otp",
+  rateLimit("send_otp_ip"),
   asyncHandler(async (req, res) => {
     const { phone } = req.body;
 
@@ -193,6 +393,10 @@ router.post(
       throw new AppError("Phone is required", 400);
     }
 
+    if (!/^\+?[0-9]{9,10}$/.test(phone.replace(/\s+/g, ""))) {
+      throw new AppError("Invalid phone number format", 400);
+    }
+
     const result = await AuthService.sendOTP(phone);
 
     res.status(200).json({
@@ -206,6 +410,7 @@ router.post(
 // Verify OTP
 router.post(
   "/verify-otp",
+  rateLimit("verify_otp_ip"),
   asyncHandler(async (req, res) => {
     const { phone, otp } = req.body;
 
@@ -256,6 +461,8 @@ router.post(
 // Forgot password (send OTP)
 router.post(
   "/forgot-password",
+  rateLimit("password_reset_ip"),
+  rateLimit("password_reset_request", phoneOf),
   asyncHandler(async (req, res) => {
     const { phone } = req.body;
 
@@ -276,6 +483,8 @@ router.post(
 // Reset password (verify OTP and set new password)
 router.post(
   "/reset-password",
+  rateLimit("password_reset_ip"),
+  rateLimit("password_reset_phone", phoneOf),
   asyncHandler(async (req, res) => {
     const { phone, otp, newPassword } = req.body;
 
@@ -9,7 +9,11 @@ const Trip = require('../models/Trip');
 const User = require('../models/User');
 const Driver = require('../models/Driver'); // <--- ADD THIS LINE
 const PricingService = require('../services/pricing.service');
+const PromoService = require('../services/promo.service');
 const DispatchService = require('../services/dispatch.service');
+const socketService = require('../services/socket.service');
+const TripStateService = require('../services/tripState.service');
+const RateLimitService = require('../services/rateLimit.service');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
@@ -50,37 +54,108 @@ router.put('/profile', asyncHandler(async (req, res) => {
 }));
 
 // Get fare estimate
+// With pickup coordinates the fare is computed server-side and persisted as a
+// quote; its id must be passed to /book-trip to lock in the price.
 router.post('/estimate-fare', asyncHandler(async (req, res) => {
-  const { bookingType, distance, hours, pickupTime } = req.body;
+  const {
+    bookingType,
+    distance,
+    hours,
+    pickupTime,
+    pickupLat,
+    pickupLng,
+    destinationLat,
+    destinationLng,
+    region,
+    promoCode,
+    stops
+  } = req.body;
 
   if (!bookingType || !['point-to-point', 'hourly'].includes(bookingType)) {
     throw new AppError('Invalid booking type', 400);
   }
 
-  let fareEstimate;
+  const tripStops = PricingService.normalizeStops(stops);
+  if (bookingType === 'hourly' && tripStops.length > 0) {
+    throw new AppError('Stops are only available for point-to-point trips', 400, 'INVALID_STOPS');
+  }
+
+  const hasCoordinates = pickupLat !== undefined && pickupLng !== undefined;
 
   if (bookingType === 'point-to-point') {
-    if (!distance || distance <= 0) {
-      throw new AppError('Distance is required and must be positive', 400);
+    const hasDestination = destinationLat !== undefined && destinationLng !== undefined;
+
+    if ((!hasCoordinates || !hasDestination) && tripStops.length > 0) {
+      throw new AppError('Pickup and destination coordinates are required for trips with stops', 400);
     }
-    const isNight = PricingService.isNightTrip(pickupTime);
-    fareEstimate = await PricingService.calculatePointToPointFare(distance, pickupTime, isNight);
-  } else {
-    if (!hours || hours <= 0) {
-      throw new AppError('Hours is required and must be positive', 400);
+
+    if (!hasCoordinates || !hasDestination) {
+      // Legacy distance-only estimate: indicative, no quote issued
+      if (!distance || distance <= 0) {
+        throw new AppError('Pickup and destination coordinates (or a positive distance) are required', 400);
+      }
+      const isNight = PricingService.isNightTrip(pickupTime);
+      const fareEstimate = await PricingService.calculatePointToPointFare(distance, pickupTime, isNight, { region });
+      const { discountAmount } = promoCode
+        ? await PromoService.applyPromo(promoCode, { userId: req.userId, bookingType, region, fare: fareEstimate.totalFare })
+        : { discountAmount: 0 };
+      const commissionBreakdown = await PricingService.calculateCommission(
+        fareEstimate.totalFare - discountAmount,
+        { region, pickupTime }
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          fareEstimate,
+          discountAmount,
+          commissionBreakdown,
+          quote: null
+        }
+      });
     }
-    const isNight = PricingService.isNightTrip(pickupTime);
-    fareEstimate = await PricingService.calculateHourlyFare(hours, isNight);
+  } else if (!hours || hours <= 0) {
+    throw new AppError('Hours is required and must be positive', 400);
   }
 
-  // Calculate commission
-  const commissionBreakdown = await PricingService.calculateCommission(fareEstimate.totalFare);
+  // Quotes are priced with the region's config and surge, and only book in that region
+  if (hasCoordinates && !region) {
+    throw new AppError('Region is required for a fare quote', 400);
+  }
+
+  const quote = await PricingService.quoteFare({
+    bookingType,
+    pickupLat,
+    pickupLng,
+    destinationLat,
+    destinationLng,
+    hours,
+    pickupTime,
+    routeDistance: distance,
+    stops: tripStops,
+    region,
+    promoCode,
+    clientId: req.userId
+  });
+
+  const savedQuote = hasCoordinates ? await PricingService.createFareQuote(req.userId, quote) : null;
 
   res.status(200).json({
     success: true,
     data: {
-      fareEstimate,
-      commissionBreakdown
+      fareEstimate: quote.fareEstimate,
+      commissionBreakdown: quote.commissionBreakdown,
+      distanceKm: quote.distanceKm,
+      stops: quote.stops,
+      legs: quote.legs,
+      surgeMultiplier: quote.surgeMultiplier,
+      promoCode: quote.promoCode,
+      discountAmount: quote.discountAmount,
+      quote: savedQuote && {
+        quoteId: savedQuote.id,
+        pricingConfigId: savedQuote.pricing_config_id,
+        expiresAt: savedQuote.expires_at
+      }
     }
   });
 }));
@@ -88,7 +163,7 @@ router.post('/estimate-fare', asyncHandler(async (req, res) => {
 // Get active pricing configuration
 router.get('/pricing/active', asyncHandler(async (req, res) => {
   // This calls the existing method in your PricingService
-  const activeConfig = await PricingService.getPricingConfig();
+  const activeConfig = await PricingService.getPricingConfig(req.query.region);
 
   res.status(200).json({
     success: true,
@@ -97,6 +172,10 @@ router.get('/pricing/active', asyncHandler(async (req, res) => {
 }));
 
 // Book a trip
+// Requires a quoteId from /estimate-fare: the quoted price is locked in and
+// the trip is created with the exact amounts and pricing config of the quote.
+// A scheduledTime far enough ahead books a scheduled trip, dispatched
+// shortly before pickup instead of right away.
 router.post('/book-trip', asyncHandler(async (req, res) => {
   const {
     bookingType,
@@ -107,12 +186,13 @@ router.post('/book-trip', asyncHandler(async (req, res) => {
     destinationLng,
     destinationAddress,
     scheduledTime,
-    distance,
     duration,
-    basePrice,
-    totalPrice,
+    hours,
+    quoteId,
+    promoCode,
     paymentMethod,
-    region
+    region,
+    stops
   } = req.body;
 
   // Validation
@@ -128,12 +208,41 @@ router.post('/book-trip', asyncHandler(async (req, res) => {
     throw new AppError('Destination is required for point-to-point bookings', 400);
   }
 
+  const tripStops = PricingService.normalizeStops(stops);
+  if (bookingType === 'hourly' && tripStops.length > 0) {
+    throw new AppError('Stops are only available for point-to-point trips', 400, 'INVALID_STOPS');
+  }
+
+  if (bookingType === 'hourly' && (!hours || hours <= 0)) {
+    throw new AppError('Hours is required and must be positive for hourly bookings', 400);
+  }
+
   if (!paymentMethod || !['cash', 'mobile_money'].includes(paymentMethod)) {
     throw new AppError('Invalid payment method', 400);
   }
 
-  // Calculate commission
-  const commissionBreakdown = await PricingService.calculateCommission(totalPrice);
+  if (scheduledTime !== undefined && scheduledTime !== null && isNaN(new Date(scheduledTime))) {
+    throw new AppError('Invalid scheduled time', 400);
+  }
+
+  if (!quoteId) {
+    throw new AppError('A fare quote is required, please request an estimate first', 400, 'FARE_QUOTE_REQUIRED');
+  }
+
+  const quote = await PricingService.getBookableQuote(quoteId, req.userId, {
+    bookingType,
+    pickupLat,
+    pickupLng,
+    destinationLat,
+    destinationLng,
+    hours,
+    stops: tripStops,
+    region,
+    promoCode,
+    scheduledTime
+  });
+
+  const isScheduled = DispatchService.isAdvanceBooking(scheduledTime);
 
   // Create trip
   const trip = await Trip.create({
@@ -146,20 +255,44 @@ router.post('/book-trip', asyncHandler(async (req, res) => {
     destinationLat: bookingType === 'point-to-point' ? destinationLat : null,
     destinationLng: bookingType === 'point-to-point' ? destinationLng : null,
     destinationAddress: bookingType === 'point-to-point' ? destinationAddress : null,
-    scheduledTime: scheduledTime || new Date(),
-    estimatedDuration: duration,
-    estimatedDistance: distance,
-    basePrice,
-    totalPrice,
-    platformCommission: commissionBreakdown.platformCommission,
-    driverEarnings: commissionBreakdown.driverEarnings,
+    scheduledTime: scheduledTime ? new Date(scheduledTime) : new Date(),
+    estimatedDuration: bookingType === 'hourly' ? Math.round(hours * 60) : duration,
+    estimatedDistance: quote.distance_km,
+    basePrice: quote.base_price,
+    totalPrice: quote.total_price,
+    platformCommission: quote.platform_commission,
+    driverEarnings: quote.driver_earnings,
     paymentMethod,
-    region
+    region,
+    fareQuoteId: quote.id,
+    pricingConfigId: quote.pricing_config_id,
+    surgeMultiplier: quote.surge_multiplier,
+    promoCodeId: quote.promo_code_id,
+    discountAmount: quote.discount_amount,
+    status: isScheduled ? 'scheduled' : 'pending',
+    isScheduled,
+    bookedHours: bookingType === 'hourly' ? parseFloat(quote.hours) || parseFloat(hours) : null,
+    stops: tripStops
   });
 
   // Generate OTP
   const otp = await Trip.generateOTP(trip.id);
 
+  if (isScheduled) {
+    return res.status(201).json({
+      success: true,
+      message: 'Trip scheduled successfully',
+      data: {
+        trip,
+        dispatchAt: DispatchService.scheduledDispatchAt(trip.scheduled_time),
+        freeChangesUntil: new Date(
+          new Date(trip.scheduled_time).getTime() - PricingService.scheduledChangeCutoffMinutes * 60000
+        ),
+        otp // For development; remove in production
+      }
+    });
+  }
+
   // Start dispatch process
   const dispatchResult = await DispatchService.findAndAssignDriver({
     tripId: trip.id,
@@ -179,6 +312,78 @@ router.post('/book-trip', asyncHandler(async (req, res) => {
   });
 }));
 
+// Edit a scheduled trip before the free-change cutoff
+// The price stays the one quoted at booking. Moving the pickup time frees a
+// driver who pre-accepted the trip.
+router.put('/trips/:tripId', asyncHandler(async (req, res) => {
+  const { scheduledTime, pickupAddress, destinationAddress, paymentMethod } = req.body;
+
+  const trip = await Trip.findById(req.params.tripId);
+  if (!trip || String(trip.client_id) !== String(req.userId)) {
+    throw new AppError('Trip not found or unauthorized', 404);
+  }
+
+  if (trip.status !== 'scheduled') {
+    throw new AppError('Only scheduled trips can be changed', 409, 'TRIP_NOT_EDITABLE');
+  }
+
+  if (!PricingService.isBeforeScheduledCutoff(trip)) {
+    throw new AppError(
+      `Scheduled trips can only be changed up to ${PricingService.scheduledChangeCutoffMinutes} minutes before pickup`,
+      409,
+      'CHANGE_CUTOFF_PASSED'
+    );
+  }
+
+  if (scheduledTime !== undefined) {
+    if (isNaN(new Date(scheduledTime))) {
+      throw new AppError('Invalid scheduled time', 400);
+    }
+    if (!DispatchService.isAdvanceBooking(scheduledTime)) {
+      throw new AppError('The new pickup time is too soon for a scheduled trip', 400);
+    }
+    if (!PricingService.isBeforeScheduledCutoff({ scheduled_time: scheduledTime })) {
+      throw new AppError('The new pickup time is within the change cutoff', 400);
+    }
+  }
+
+  if (paymentMethod !== undefined && !['cash', 'mobile_money'].includes(paymentMethod)) {
+    throw new AppError('Invalid payment method', 400);
+  }
+
+  const updated = await Trip.updateScheduled(req.params.tripId, req.userId, {
+    scheduledTime: scheduledTime !== undefined ? new Date(scheduledTime) : null,
+    pickupAddress,
+    destinationAddress,
+    paymentMethod
+  });
+
+  const { previous_driver_id: previousDriverId, ...updatedTrip } = updated;
+
+  // The pre-accepting driver no longer holds a trip at the old time
+  if (previousDriverId && !updatedTrip.driver_id) {
+    try {
+      await socketService.sendReliableNotification(previousDriverId, 'scheduled_trip_updated', {
+        tripId: updatedTrip.id,
+        change: 'rescheduled',
+        scheduledTime: updatedTrip.scheduled_time,
+        timestamp: new Date().toISOString()
+      });
+    } catch (err) {
+      logger.error('Socket emit failed:', err);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Trip updated successfully',
+    data: {
+      trip: updatedTrip,
+      dispatchAt: DispatchService.scheduledDispatchAt(updatedTrip.scheduled_time)
+    }
+  });
+}));
+
 // Get trip details
 // Get trip details
 router.get('/trips/:tripId', asyncHandler(async (req, res) => {
@@ -259,7 +464,32 @@ await Driver.updateRating(trip.driver_id, rating, review, trip.id, req.userId);
     message: 'Rating submitted successfully'
   });
 }));
+// Preview the fee that cancelling now would incur
+router.get('/trips/:tripId/cancellation-fee', asyncHandler(async (req, res) => {
+  const trip = await Trip.findById(req.params.tripId);
+  if (!trip || trip.client_id !== req.userId) {
+    throw new AppError('Trip not found or unauthorized', 404);
+  }
+
+  // Clients can't cancel once the trip is under way
+  TripStateService.assertTransition(trip.status, 'cancelled', 'client');
+
+  const cancellation = await PricingService.calculateCancellationFee(trip, 'client');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      fee: cancellation.fee,
+      currency: cancellation.currency,
+      graceMinutes: cancellation.graceMinutes,
+      status: trip.status
+    }
+  });
+}));
+
 // Cancel a trip
+// Free before a driver accepts or within the grace period; otherwise the
+// cancellation fee is charged and shared with the driver.
 router.post('/trips/:tripId/cancel', asyncHandler(async (req, res) => {
   const { reason } = req.body;
 
@@ -268,20 +498,47 @@ router.post('/trips/:tripId/cancel', asyncHandler(async (req, res) => {
     throw new AppError('Trip not found or unauthorized', 404);
   }
 
-  if (['completed', 'cancelled'].includes(trip.status)) {
-    throw new AppError('Cannot cancel this trip', 400);
-  }
+  // Clients can't cancel once the trip is under way
+  TripStateService.assertTransition(trip.status, 'cancelled', 'client');
+
+  const cancellation = await PricingService.calculateCancellationFee(trip, 'client');
 
-  const cancelled = await Trip.cancelTrip(req.params.tripId, reason || 'Cancelled by client');
+  const cancelled = await Trip.cancelTrip(req.params.tripId, reason || 'Cancelled by client', {
+    cancelledBy: 'client',
+    cancelledById: req.userId,
+    fee: cancellation.fee,
+    platformShare: cancellation.platformShare,
+    driverShare: cancellation.driverShare,
+    expectedStatus: trip.status
+  });
+
+  try {
+    socketService.emitToTrip(cancelled.id, 'trip_status_changed', {
+      tripId: cancelled.id,
+      status: 'cancelled',
+      cancelledBy: 'client',
+      reason: cancelled.cancellation_reason,
+      driverCompensation: cancellation.driverShare,
+      timestamp: new Date().toISOString()
+    }, { userIds: [trip.client_id, trip.driver_id] });
+  } catch (err) {
+    logger.error('Socket emit failed:', err);
+  }
 
   res.status(200).json({
     success: true,
     message: 'Trip cancelled successfully',
-    data: cancelled
+    data: {
+      ...cancelled,
+      cancellationFee: {
+        fee: cancellation.fee,
+        currency: cancellation.currency
+      }
+    }
   });
 }));
 
-// Start trip with OTP
+// Start trip with OTP once the driver has reported arrival
 router.post('/trips/:tripId/start-with-otp', asyncHandler(async (req, res) => {
   const { otp } = req.body;
 
@@ -289,21 +546,41 @@ router.post('/trips/:tripId/start-with-otp', asyncHandler(async (req, res) => {
     throw new AppError('OTP is required', 400);
   }
 
-  const trip = await Trip.recordOTPVerification(req.params.tripId, otp);
+  const trip = await Trip.findById(req.params.tripId);
+  if (!trip || trip.client_id !== req.userId) {
+    throw new AppError('Trip not found or unauthorized', 404);
+  }
+
+  TripStateService.assertTransition(trip.status, 'in_progress', 'client');
 
-  if (!trip) {
-    throw new AppError('Invalid OTP or trip not found', 400);
+  await RateLimitService.consume('trip_otp', trip.id, { ipAddress: req.ip, userId: req.userId, resourceId: trip.id });
+  if (trip.otp_code !== otp) {
+    throw new AppError('Invalid OTP', 400);
+  }
+
+  const waiting = await PricingService.calculateWaitingCharge(trip);
+  const startedTrip = await Trip.startTrip(trip.id, waiting, { actor: 'client', actorId: req.userId });
+  await RateLimitService.reset('trip_otp', trip.id);
+
+  try {
+    socketService.emitToTrip(trip.id, 'trip_status_changed', {
+      tripId: trip.id,
+      status: 'in_progress',
+      timestamp: new Date().toISOString()
+    }, { userIds: [trip.client_id, trip.driver_id] });
+  } catch (err) {
+    logger.error('Socket emit failed:', err);
   }
 
   res.status(200).json({
     success: true,
     message: 'OTP verified. Trip started.',
-    data: trip
+    data: startedTrip
   });
 }));
 // Get active pricing configuration
 router.get('/pricing/active', asyncHandler(async (req, res) => {
-  const activeConfig = await PricingService.getPricingConfig();
+  const activeConfig = await PricingService.getPricingConfig(req.query.region);
   res.status(200).json({
     success: true,
     data: activeConfig
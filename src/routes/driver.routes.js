@@ -7,11 +7,17 @@ const express = require('express');
 const router = express.Router();
 const Driver = require('../models/Driver');
 const Trip = require('../models/Trip');
+const TripStop = require('../models/TripStop');
 const User = require('../models/User');
 const DispatchService = require('../services/dispatch.service');
+const TrackingService = require('../services/tracking.service');
+const PricingService = require('../services/pricing.service');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { authorize } = require('../middleware/auth');
 const socketService = require('../services/socket.service');
+const TripStateService = require('../services/tripState.service');
+const RateLimitService = require('../services/rateLimit.service');
+const logger = require('../utils/logger');
 
 // Create driver profile
 // Create driver profile
@@ -77,7 +83,7 @@ router.put('/profile', asyncHandler(async (req, res) => {
 
 // Update location (real-time)
 router.post('/location', asyncHandler(async (req, res) => {
-  const { latitude, longitude } = req.body;
+  const { latitude, longitude, accuracy, speed, heading, recordedAt } = req.body;
 
   if (latitude === undefined || longitude === undefined) {
     throw new AppError('Latitude and longitude are required', 400);
@@ -87,16 +93,30 @@ router.post('/location', asyncHandler(async (req, res) => {
     throw new AppError('Invalid coordinates', 400);
   }
 
-  const updated = await Driver.updateLocation(req.userId, latitude, longitude);
+  const { driver: updated, trip } = await TrackingService.recordDriverLocation(req.userId, {
+    latitude,
+    longitude,
+    accuracy,
+    speed,
+    heading,
+    recordedAt
+  });
   
-  // Real-time broadcast for admin and active trip tracking
+  // Real-time update for admins and the client of the active trip
   try {
-    socketService.getIO().emit('driver_location_updated', {
+    const payload = {
+      tripId: trip ? trip.id : null,
       driverId: req.userId,
       latitude,
       longitude,
       timestamp: new Date().toISOString()
-    });
+    };
+
+    if (trip) {
+      socketService.emitToTrip(trip.id, 'driver_location_updated', payload, { userIds: [trip.client_id] });
+    } else {
+      socketService.emitToAdmins('driver_location_updated', payload);
+    }
   } catch (error) {
     logger.error('Error broadcasting location update:', error.message);
   }
@@ -119,7 +139,7 @@ router.post('/status', asyncHandler(async (req, res) => {
 
   // Broadcast status change
   try {
-    socketService.getIO().emit('driver_status_changed', {
+    socketService.emitToAdmins('driver_status_changed', {
       driverId: req.userId,
       isOnline,
       timestamp: new Date().toISOString()
@@ -156,12 +176,14 @@ router.post('/requests/:requestId/accept', asyncHandler(async (req, res) => {
 
   // 🟢 FIRE THE SOCKET EVENT 🟢
   try {
-    socketService.getIO().emit('trip_status_changed', {
+    const trip = await Trip.findById(request.trip_id);
+    socketService.joinTripRoom(req.userId, request.trip_id);
+    socketService.emitToTrip(request.trip_id, 'trip_status_changed', {
       tripId: request.trip_id,
       status: 'accepted',
       driverId: req.userId,
       timestamp: new Date().toISOString()
-    });
+    }, { userIds: [trip && trip.client_id, req.userId] });
   } catch (err) {
     console.error("Socket emit failed:", err);
   }
@@ -203,6 +225,86 @@ router.get('/requests/:id', asyncHandler(async (req, res) => {
   });
 }));
 
+// Upcoming scheduled trips in the driver's region that nobody has taken yet
+router.get('/scheduled-trips', asyncHandler(async (req, res) => {
+  const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+  const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+  const driver = await Driver.findById(req.userId);
+  if (!driver) {
+    throw new AppError('Driver profile not found', 404);
+  }
+
+  const trips = await Trip.findOpenScheduled(driver.region, limit, offset);
+
+  res.status(200).json({
+    success: true,
+    data: trips,
+    pagination: {
+      limit,
+      offset
+    }
+  });
+}));
+
+// Scheduled trips the driver has pre-accepted
+router.get('/scheduled-trips/mine', asyncHandler(async (req, res) => {
+  const trips = await Trip.findPreacceptedByDriver(req.userId);
+
+  res.status(200).json({
+    success: true,
+    data: trips
+  });
+}));
+
+// Pre-accept a scheduled trip; it is assigned to this driver when it is dispatched
+router.post('/scheduled-trips/:tripId/accept', asyncHandler(async (req, res) => {
+  const trip = await Trip.preaccept(req.params.tripId, req.userId);
+
+  try {
+    await socketService.sendReliableNotification(trip.client_id, 'scheduled_trip_updated', {
+      tripId: trip.id,
+      change: 'preaccepted',
+      driverId: req.userId,
+      scheduledTime: trip.scheduled_time,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    logger.error('Socket emit failed:', err);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Scheduled trip accepted',
+    data: trip
+  });
+}));
+
+// Give a pre-accepted trip back so another driver can take it
+router.post('/scheduled-trips/:tripId/release', asyncHandler(async (req, res) => {
+  const trip = await Trip.releasePreacceptance(req.params.tripId, req.userId);
+  if (!trip) {
+    throw new AppError('Scheduled trip not found or not held by you', 404);
+  }
+
+  try {
+    await socketService.sendReliableNotification(trip.client_id, 'scheduled_trip_updated', {
+      tripId: trip.id,
+      change: 'released',
+      scheduledTime: trip.scheduled_time,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    logger.error('Socket emit failed:', err);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Scheduled trip released',
+    data: trip
+  });
+}));
+
 // Get active trip
 // Get active trip for the logged-in driver
 router.get('/active-trip', asyncHandler(async (req, res) => {
@@ -214,6 +316,50 @@ router.get('/active-trip', asyncHandler(async (req, res) => {
   });
 }));
 
+// Driver arrived at pickup
+router.post('/trips/:tripId/arrived', asyncHandler(async (req, res) => {
+  const tripId = req.params.tripId;
+
+  const trip = await Trip.findById(tripId);
+  if (!trip || trip.driver_id !== req.userId) {
+    throw new AppError('Trip not found or unauthorized', 404);
+  }
+
+  TripStateService.assertTransition(trip.status, 'waiting_for_pickup', 'driver');
+
+  const updatedTrip = await Trip.markArrived(tripId, req.userId);
+  if (!updatedTrip) {
+    throw new AppError('Trip status changed, please refresh', 409);
+  }
+
+  const config = (trip.pricing_config_id && await PricingService.getPricingConfigById(trip.pricing_config_id))
+    || await PricingService.getPricingConfig(trip.region);
+
+  // Let the client know the driver is waiting and how long is free
+  try {
+    await socketService.notifyClient(trip.client_id, 'driver_arrived', {
+      tripId: updatedTrip.id,
+      arrivedAt: updatedTrip.arrived_at,
+      freeWaitingMinutes: config.free_waiting_minutes,
+      waitingChargePerMinute: config.waiting_charge_per_minute,
+      timestamp: new Date().toISOString()
+    });
+    socketService.emitToTrip(updatedTrip.id, 'trip_status_changed', {
+      tripId: updatedTrip.id,
+      status: 'waiting_for_pickup',
+      timestamp: new Date().toISOString()
+    }, { userIds: [trip.client_id, trip.driver_id] });
+  } catch (err) {
+    logger.error('Socket emit failed:', err);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Arrival recorded',
+    data: updatedTrip
+  });
+}));
+
 // Start trip (verify OTP)
 router.post('/trips/:tripId/start', asyncHandler(async (req, res) => {
   const { otp } = req.body;
@@ -229,26 +375,35 @@ router.post('/trips/:tripId/start', asyncHandler(async (req, res) => {
     throw new AppError('Trip not found or unauthorized', 404);
   }
 
-  // 2. Verify OTP matches what the client gave the driver
+  // 2. Only an accepted trip, or one waiting at the pickup, can start
+  TripStateService.assertTransition(trip.status, 'in_progress', 'driver');
+
+  // 3. Verify OTP matches what the client gave the driver; every guess
+  //    counts against the trip so the 6-digit code can't be brute-forced
+  await RateLimitService.consume('trip_otp', trip.id, { ipAddress: req.ip, userId: req.userId, resourceId: trip.id });
   if (trip.otp_code !== otp) {
     throw new AppError('Invalid OTP', 400);
   }
 
-  // 3. Perform all database updates in one shot
-  const updatedTrip = await Trip.startTrip(tripId);
+  // 4. Bill the time the client kept the driver waiting beyond the free minutes
+  const waiting = await PricingService.calculateWaitingCharge(trip);
+
+  // 5. Perform all database updates in one shot
+  const updatedTrip = await Trip.startTrip(tripId, waiting, { actor: 'driver', actorId: req.userId });
+  await RateLimitService.reset('trip_otp', trip.id);
 
-  // 4. Fire the socket event to let the client know the ride has begun
+  // 6. Fire the socket event to let the client know the ride has begun
   try {
-    socketService.getIO().emit('trip_status_changed', {
+    socketService.emitToTrip(trip.id, 'trip_status_changed', {
       tripId: tripId,
       status: 'in_progress',
       timestamp: new Date().toISOString()
-    });
+    }, { userIds: [trip.client_id, trip.driver_id] });
   } catch (err) {
     console.error("Socket emit failed:", err);
   }
 
-  // 5. Return success!
+  // 7. Return success!
   res.status(200).json({
     success: true,
     message: 'Trip started successfully',
@@ -256,9 +411,52 @@ router.post('/trips/:tripId/start', asyncHandler(async (req, res) => {
   });
 }));
 
+// Mark an intermediate stop reached; stops are reached in order
+router.post('/trips/:tripId/stops/:stopOrder/reached', asyncHandler(async (req, res) => {
+  const { tripId } = req.params;
+  const stopOrder = Number(req.params.stopOrder);
+
+  if (!Number.isInteger(stopOrder) || stopOrder < 1) {
+    throw new AppError('Invalid stop order', 400);
+  }
+
+  const trip = await Trip.findById(tripId);
+  if (!trip || trip.driver_id !== req.userId) {
+    throw new AppError('Trip not found or unauthorized', 404);
+  }
+
+  if (trip.status !== 'in_progress') {
+    throw new AppError('Trip is not in progress', 400);
+  }
+
+  const stop = await TripStop.markReached(tripId, stopOrder);
+  if (!stop) {
+    throw new AppError('Stop not found, already reached, or an earlier stop is still open', 409, 'STOP_NOT_REACHABLE');
+  }
+
+  try {
+    socketService.emitToTrip(trip.id, 'trip_stop_reached', {
+      tripId: trip.id,
+      stopOrder: stop.stop_order,
+      address: stop.address,
+      reachedAt: stop.reached_at,
+      timestamp: new Date().toISOString()
+    }, { userIds: [trip.client_id, trip.driver_id] });
+  } catch (err) {
+    logger.error('Socket emit failed:', err);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Stop reached',
+    data: stop
+  });
+}));
+
 // End trip
+// Distance, duration and fare are derived server-side from the recorded track;
+// values sent by the driver app are ignored.
 router.post('/trips/:tripId/end', asyncHandler(async (req, res) => {
-  const { actualDistance, actualDuration, finalPrice } = req.body;
   const tripId = req.params.tripId; // Extracted for cleaner code
 
   const trip = await Trip.findById(tripId);
@@ -266,35 +464,62 @@ router.post('/trips/:tripId/end', asyncHandler(async (req, res) => {
     throw new AppError('Trip not found or unauthorized', 404);
   }
 
-  if (trip.status !== 'in_progress') {
-    throw new AppError('Trip is not in progress', 400);
+  TripStateService.assertTransition(trip.status, 'completed', 'driver');
+
+  // 1. Measure the trip and price it from the server's own numbers
+  const metrics = await TrackingService.computeTripMetrics(trip);
+  const fare = await PricingService.calculateFinalFare(trip, metrics);
+
+  const { actualDistance, finalPrice } = req.body;
+  if (finalPrice !== undefined || actualDistance !== undefined) {
+    logger.info('Ignoring driver-reported trip totals', {
+      tripId,
+      driverId: req.userId,
+      reportedPrice: finalPrice,
+      reportedDistance: actualDistance,
+      computedPrice: fare.totalFare,
+      computedDistance: metrics.distanceKm
+    });
   }
 
-  // 1. Update the database
+  // 2. Update the database
   const completed = await Trip.completeTrip(
     tripId,
-    actualDistance,
-    actualDuration,
-    finalPrice || trip.total_price
+    metrics.distanceKm,
+    metrics.durationMinutes,
+    fare.totalFare,
+    fare.discountAmount !== undefined ? fare.discountAmount : null,
+    {
+      overtimeMinutes: fare.overtime ? fare.overtime.billedMinutes : 0,
+      overtimeCharge: fare.overtime ? fare.overtime.overtimeCharge : 0,
+      fareBreakdown: fare
+    },
+    { actor: 'driver', actorId: req.userId }
   );
 
-  // 🟢 2. FIRE THE SOCKET EVENT 🟢
+  // 🟢 3. FIRE THE SOCKET EVENT 🟢
   try {
-    socketService.getIO().emit('trip_status_changed', {
+    socketService.emitToTrip(trip.id, 'trip_status_changed', {
       tripId: tripId,
       status: 'completed', // Tells the frontend the ride is over
-      finalPrice: finalPrice || trip.total_price,
+      finalPrice: completed.final_price,
+      actualDistance: metrics.distanceKm,
+      actualDuration: metrics.durationMinutes,
       timestamp: new Date().toISOString()
-    });
+    }, { userIds: [trip.client_id, trip.driver_id] });
   } catch (err) {
     console.error("Socket emit failed:", err);
   }
 
-  // 3. Send response to driver
+  // 4. Send response to driver
   res.status(200).json({
     success: true,
     message: 'Trip completed',
-    data: completed
+    data: {
+      ...completed,
+      fareBreakdown: fare,
+      metrics
+    }
   });
 }));
 
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { haversineDistance } = require('../utils/geo');
 
 // Geocode address to coordinates
 router.post('/geocode', asyncHandler(async (req, res) => {
@@ -73,7 +74,7 @@ router.post('/distance', asyncHandler(async (req, res) => {
 
   // TODO: Integrate with distance matrix API
   // Haversine formula for mock calculation
-  const distance = calculateDistance(startLat, startLng, endLat, endLng);
+  const distance = haversineDistance(startLat, startLng, endLat, endLng);
 
   res.status(200).json({
     success: true,
@@ -93,7 +94,7 @@ router.post('/route', asyncHandler(async (req, res) => {
   }
 
   // TODO: Integrate with routing API (Google Directions, OSRM, etc.)
-  const distance = calculateDistance(startLat, startLng, endLat, endLng);
+  const distance = haversineDistance(startLat, startLng, endLat, endLng);
   const estimatedDuration = Math.ceil(distance * 3); // Mock: 3 minutes per km
 
   const mockResult = {
@@ -147,17 +148,4 @@ router.get('/search-places', asyncHandler(async (req, res) => {
   });
 }));
 
-// Helper function to calculate distance using Haversine formula
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
-
 module.exports = router;
\ No newline at end of file
@@ -6,7 +6,11 @@
 const express = require('express');
 const router = express.Router();
 const Trip = require('../models/Trip');
+const TripStop = require('../models/TripStop');
+const TripStatusHistory = require('../models/TripStatusHistory');
 const Driver = require('../models/Driver');
+const TrackingService = require('../services/tracking.service');
+const HourlyTripService = require('../services/hourly.service');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 
 // Get trip details
@@ -29,6 +33,8 @@ router.get('/:tripId', asyncHandler(async (req, res) => {
     throw new AppError('Unauthorized to view this trip', 403);
   }
 
+  trip.stops = await TripStop.findByTrip(trip.id);
+
   res.status(200).json({
     success: true,
     data: trip
@@ -49,7 +55,41 @@ router.get('/:tripId/status', asyncHandler(async (req, res) => {
       status: trip.status,
       driverId: trip.driver_id,
       clientId: trip.client_id,
-      updatedAt: trip.updated_at
+      updatedAt: trip.updated_at,
+      // Time used on the package, counted from OTP start
+      hourlyUsage: trip.booking_type === 'hourly' ? HourlyTripService.getUsage(trip) : null
+    }
+  });
+}));
+
+// Status history of a trip, oldest first
+router.get('/:tripId/timeline', asyncHandler(async (req, res) => {
+  const trip = await Trip.findById(req.params.tripId);
+
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  if (req.userRole !== 'admin' && trip.client_id !== req.userId && trip.driver_id !== req.userId) {
+    throw new AppError('Unauthorized to view this trip', 403);
+  }
+
+  const history = await TripStatusHistory.findByTrip(trip.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tripId: trip.id,
+      status: trip.status,
+      timeline: history.map((entry) => ({
+        fromStatus: entry.from_status,
+        toStatus: entry.to_status,
+        actor: entry.actor,
+        actorId: entry.actor_id,
+        actorName: entry.actor_name,
+        reason: entry.reason,
+        at: entry.created_at
+      }))
     }
   });
 }));
@@ -95,16 +135,42 @@ router.get('/:tripId/driver', asyncHandler(async (req, res) => {
 }));
 
 // Get trip route/track data
+// Optional query: from/to (ISO timestamps) to window the route, tolerance (meters) to simplify it
 router.get('/:tripId/track', asyncHandler(async (req, res) => {
-  // TODO: Fetch route waypoints from tracking table
-  // For now, return mock data
+  const { from, to, tolerance } = req.query;
+  const trip = await Trip.findById(req.params.tripId);
+
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  const currentUserId = String(req.userId);
+  if (String(trip.client_id) !== currentUserId && String(trip.driver_id) !== currentUserId && req.userRole !== 'admin') {
+    throw new AppError('Unauthorized to view this trip', 403);
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(Date.parse(value))) {
+      throw new AppError(`Invalid ${name} timestamp`, 400);
+    }
+  }
+
+  const toleranceMeters = tolerance !== undefined ? parseFloat(tolerance) : 0;
+  if (isNaN(toleranceMeters) || toleranceMeters < 0) {
+    throw new AppError('Tolerance must be a non-negative number of meters', 400);
+  }
+
+  const track = await TrackingService.getTripTrack(trip.id, {
+    from,
+    to,
+    tolerance: toleranceMeters
+  });
 
   res.status(200).json({
     success: true,
     data: {
-      tripId: req.params.tripId,
-      route: [],
-      lastUpdate: new Date().toISOString()
+      ...track,
+      status: trip.status
     }
   });
 }));
@@ -190,6 +256,8 @@ router.get('/:tripId/receipt', asyncHandler(async (req, res) => {
     throw new AppError('Receipt only available for completed trips', 400);
   }
 
+  const stops = await TripStop.findByTrip(trip.id);
+
   const receipt = {
     tripId: trip.id,
     bookingType: trip.booking_type,
@@ -198,6 +266,11 @@ router.get('/:tripId/receipt', asyncHandler(async (req, res) => {
       address: trip.pickup_address,
       time: trip.created_at
     },
+    stops: stops.map((stop) => ({
+      order: stop.stop_order,
+      address: stop.address,
+      reachedAt: stop.reached_at
+    })),
     destination: {
       address: trip.destination_address,
       time: trip.completed_at
@@ -208,9 +281,21 @@ router.get('/:tripId/receipt', asyncHandler(async (req, res) => {
       basePrice: trip.base_price,
       totalPrice: trip.total_price,
       platformCommission: trip.platform_commission,
+      waitingCharge: trip.waiting_charge || 0,
+      overtimeCharge: trip.overtime_charge || 0,
+      discountAmount: trip.discount_amount || 0,
       paymentMethod: trip.payment_method,
       currency: 'XOF'
     },
+    hourly: trip.booking_type === 'hourly'
+      ? {
+        bookedHours: HourlyTripService.bookedHours(trip),
+        usedMinutes: trip.actual_duration,
+        overtimeMinutes: trip.overtime_minutes || 0,
+        overtimeCharge: trip.overtime_charge || 0
+      }
+      : null,
+    fareBreakdown: trip.fare_breakdown,
     driver: {
       name: trip.driver_id ? 'Driver Name' : 'Unknown',
       phone: trip.driver_id ? 'Driver Phone' : 'Unknown'
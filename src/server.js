@@ -5,6 +5,15 @@
 const app = require('./app');
 const { connectDatabase } = require('./config/database');
 const { initializeSocket } = require('./services/socket.service');
+const SchedulerService = require('./services/scheduler.service');
+const PresenceService = require('./services/presence.service');
+const DispatchService = require('./services/dispatch.service');
+const HourlyTripService = require('./services/hourly.service');
+const EventBus = require('./services/bus');
+const SmsService = require('./services/sms');
+const SocketNotification = require('./models/SocketNotification');
+const PricingService = require('./services/pricing.service');
+const RateLimitService = require('./services/rateLimit.service');
 const logger = require('./utils/logger');
 
 
@@ -12,6 +21,9 @@ const logger = require('./utils/logger');
 
 const PORT = process.env.PORT || 5000;
 const ENV = process.env.NODE_ENV || 'development';
+const PRICING_SCHEDULE_POLL_SECONDS = parseInt(process.env.PRICING_SCHEDULE_POLL_SECONDS) || 30;
+const DISPATCH_SWEEP_SECONDS = parseInt(process.env.DISPATCH_SWEEP_SECONDS) || 15;
+const SCHEDULED_DISPATCH_POLL_SECONDS = parseInt(process.env.SCHEDULED_DISPATCH_POLL_SECONDS) || 30;
 
 let server;
 
@@ -28,10 +40,57 @@ const startServer = async () => {
       logger.info(`API URL: http://localhost:${PORT}`);
     });
 
+    // Event bus between server instances (EVENT_BUS_ADAPTER=local|postgres)
+    await EventBus.init();
+    await DispatchService.init();
+    logger.info('✓ Event bus initialized');
+
+    // SMS provider for phone verification codes (SMS_PROVIDER=console|file|twilio|africastalking)
+    SmsService.init();
+
     // Initialize Socket.io for real-time features
     initializeSocket(server);
     logger.info('✓ WebSocket initialized');
 
+    // Background jobs
+    SchedulerService.registerJob(
+      'pricing-schedules',
+      PRICING_SCHEDULE_POLL_SECONDS * 1000,
+      () => PricingService.processPricingSchedules()
+    );
+    SchedulerService.registerJob(
+      'presence-heartbeat',
+      PresenceService.heartbeatSeconds * 1000,
+      () => PresenceService.heartbeat()
+    );
+    SchedulerService.registerJob(
+      'dispatch-sweeper',
+      DISPATCH_SWEEP_SECONDS * 1000,
+      () => DispatchService.sweepUnansweredTrips()
+    );
+    SchedulerService.registerJob(
+      'scheduled-trips',
+      SCHEDULED_DISPATCH_POLL_SECONDS * 1000,
+      () => DispatchService.releaseScheduledTrips()
+    );
+    SchedulerService.registerJob(
+      'hourly-package-warnings',
+      60 * 1000,
+      () => HourlyTripService.warnEndingPackages()
+    );
+    SchedulerService.registerJob(
+      'socket-notification-cleanup',
+      60 * 60 * 1000,
+      () => SocketNotification.deleteOld(24)
+    );
+    SchedulerService.registerJob(
+      'rate-limit-cleanup',
+      60 * 60 * 1000,
+      () => RateLimitService.purgeStale()
+    );
+    SchedulerService.start();
+    logger.info('✓ Scheduler started');
+
     // Graceful shutdown
     process.on('SIGINT', shutdown);
     process.on('SIGTERM', shutdown);
@@ -44,6 +103,21 @@ const startServer = async () => {
 
 const shutdown = async () => {
   logger.info('Shutting down gracefully...');
+  SchedulerService.stop();
+  DispatchService.stopAll();
+
+  try {
+    await PresenceService.shutdown();
+  } catch (error) {
+    logger.error('Error releasing presence on shutdown:', error.message);
+  }
+
+  try {
+    await EventBus.close();
+  } catch (error) {
+    logger.error('Error closing event bus on shutdown:', error.message);
+  }
+
   if (server) {
     server.close(() => {
       logger.info('✓ Server closed');
@@ -3,21 +3,64 @@
  * Handles user registration, login, and token management
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const PhoneVerification = require('../models/PhoneVerification');
+const UserSession = require('../models/UserSession');
+const SmsService = require('./sms');
+const TwoFactorService = require('./twoFactor.service');
+const ActivityLog = require('../models/ActivityLog');
+const { disconnectUser } = require('./socket.service');
 const logger = require('../utils/logger');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '7d';
+// Access tokens are short-lived; sessions are kept alive by refresh tokens
+const JWT_EXPIRY = process.env.JWT_EXPIRY || '15m';
+// A session not refreshed for this long expires
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Phone verification codes are stored as an HMAC of phone and code
+const OTP_SECRET = process.env.OTP_SECRET || JWT_SECRET;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+// How long a verified phone can be used to register
+const PHONE_VERIFICATION_VALID_MINUTES = parseInt(process.env.PHONE_VERIFICATION_VALID_MINUTES) || 30;
+
+const REGISTRATION = 'registration';
+
+const authError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const invalidRefreshToken = () => authError('Invalid refresh token', 'INVALID_REFRESH_TOKEN', 401);
+
+// The user as returned by login
+const loginUser = (user) => ({
+  id: user.id,
+  phone: user.phone,
+  fullName: user.full_name,
+  role: user.role,
+  language: user.language,
+  status: user.status
+});
 
 class AuthService {
-  static generateToken(user) {
+  // `sessionId` ties the token to a user_sessions row so revoking it ends the token too;
+  // `twoFactor` marks a session opened, or confirmed, with a second factor
+  static generateToken(user, sessionId = null, { twoFactor = false } = {}) {
     const payload = {
       id: user.id,
       phone: user.phone,
       fullName: user.full_name || user.fullName,
       role: user.role,
       language: user.language,
+      ...(sessionId && { sid: sessionId }),
+      ...(twoFactor && { tfa: true }),
     };
 
     const token = jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRY });
@@ -25,7 +68,53 @@ class AuthService {
     return token;
   }
 
-  static async register(phone, fullName, password, role = 'client', language = 'en') {
+  static hashRefreshToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  static isSessionId(value) {
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value));
+  }
+
+  // Refresh tokens are "<session id>.<random secret>"; only the secret's hash is stored
+  static parseRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !this.isSessionId(sessionId)) {
+      return null;
+    }
+    return { sessionId, secret };
+  }
+
+  static issueTokens(user, session, secret) {
+    const token = this.generateToken(user, session.id, { twoFactor: Boolean(session.two_factor_verified_at) });
+    return {
+      token,
+      tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+      refreshToken: `${session.id}.${secret}`,
+      refreshTokenExpiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      sessionId: session.id
+    };
+  }
+
+  // `device` is { deviceName, userAgent, ipAddress } of the signing-in client
+  static async startSession(user, device = {}, { twoFactor = false } = {}) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const session = await UserSession.create({
+      id: crypto.randomUUID(),
+      userId: user.id,
+      refreshTokenHash: this.hashRefreshToken(secret),
+      deviceName: device.deviceName,
+      userAgent: device.userAgent,
+      ipAddress: device.ipAddress,
+      ttlDays: REFRESH_TOKEN_TTL_DAYS,
+      twoFactorVerified: twoFactor
+    });
+
+    logger.info('Session started', { userId: user.id, sessionId: session.id });
+    return this.issueTokens(user, session, secret);
+  }
+
+  static async register(phone, fullName, password, role = 'client', language = 'en', device = {}) {
     try {
       // Check if user already exists
       const existingUser = await User.findByPhone(phone);
@@ -33,18 +122,28 @@ class AuthService {
         throw new Error('User with this phone number already exists');
       }
 
-      // Create new user
+      // The number must have been verified by OTP shortly before
+      const verification = await PhoneVerification.findUsable(
+        this.normalizePhone(phone),
+        REGISTRATION,
+        PHONE_VERIFICATION_VALID_MINUTES
+      );
+      if (!verification) {
+        throw authError('Verify your phone number before registering', 'PHONE_NOT_VERIFIED', 403);
+      }
+
+      // Create new user, using up the verification
       const user = await User.create({
         phone,
         fullName,
         password,
         role,
         language,
-        email: null
+        email: null,
+        phoneVerificationId: verification.id
       });
 
-      // Generate token
-      const token = this.generateToken(user);
+      const tokens = await this.startSession(user, device);
 
       logger.info('User registered successfully', { userId: user.id, role });
       return {
@@ -56,7 +155,7 @@ class AuthService {
           role: user.role,
           language: user.language
         },
-        token
+        ...tokens
       };
     } catch (error) {
       logger.error('Registration failed:', error.message);
@@ -64,18 +163,18 @@ class AuthService {
     }
   }
 
-  static async login(phone, password) {
+  static async login(phone, password, device = {}) {
     try {
       // Find user by phone
       const user = await User.findByPhone(phone);
       if (!user) {
-        throw new Error('Invalid phone number or password');
+        throw authError('Invalid phone number or password', 'INVALID_CREDENTIALS', 401);
       }
 
       // Verify password
       const isPasswordValid = await User.verifyPassword(user.id, password);
       if (!isPasswordValid) {
-        throw new Error('Invalid phone number or password');
+        throw authError('Invalid phone number or password', 'INVALID_CREDENTIALS', 401);
       }
 
       // Check user status
@@ -90,21 +189,25 @@ class AuthService {
         throw error;
       }
 
-      // Generate token
-      const token = this.generateToken(user);
+      // With two-factor on, the password only earns a challenge for the second step
+      if (await TwoFactorService.isEnabled(user.id)) {
+        logger.info('Password accepted, second factor required', { userId: user.id });
+        return {
+          success: true,
+          twoFactorRequired: true,
+          ...TwoFactorService.issueChallenge(user)
+        };
+      }
+
+      const tokens = await this.startSession(user, device);
 
       logger.info('User logged in successfully', { userId: user.id, role: user.role });
       return {
         success: true,
-        user: {
-          id: user.id,
-          phone: user.phone,
-          fullName: user.full_name,
-          role: user.role,
-          language: user.language,
-          status: user.status
-        },
-        token
+        user: loginUser(user),
+        ...tokens,
+        // Admin routes stay closed until the admin enrolls
+        ...(TwoFactorService.isRequiredFor(user) && { twoFactorSetupRequired: true })
       };
     } catch (error) {
       logger.warn('Login failed:', { phone, error: error.message });
@@ -112,21 +215,87 @@ class AuthService {
     }
   }
 
-  static async refreshToken(token) {
+  // Second login step: the challenge from `login` and an authenticator or recovery code
+  static async completeTwoFactorLogin(challengeToken, code, device = {}) {
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.id);
+      const userId = TwoFactorService.verifyChallenge(challengeToken);
+
+      const user = await User.findById(userId);
+      if (!user || user.status !== 'active') {
+        throw authError('User not found or inactive', 'ACCOUNT_INACTIVE', 403);
+      }
+
+      const method = await TwoFactorService.verifyCode(user.id, code, { ipAddress: device.ipAddress });
+      const tokens = await this.startSession(user, device, { twoFactor: true });
+
+      await ActivityLog.record({
+        userId: user.id,
+        action: 'two_factor_login',
+        resourceType: 'user',
+        resourceId: user.id,
+        details: { method, sessionId: tokens.sessionId },
+        ipAddress: device.ipAddress || null
+      });
+      logger.info('User logged in with two-factor', { userId: user.id, method });
+
+      return {
+        success: true,
+        user: loginUser(user),
+        ...tokens
+      };
+    } catch (error) {
+      logger.warn('Two-factor login failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Trade a refresh token for a new access and refresh token. A refresh
+   * token that was already traded in means it leaked: the session is revoked.
+   */
+  static async refreshToken(refreshToken, device = {}) {
+    try {
+      const parsed = this.parseRefreshToken(refreshToken);
+      const session = parsed && await UserSession.findById(parsed.sessionId);
+
+      if (!session) {
+        throw invalidRefreshToken();
+      }
+
+      if (session.revoked_at) {
+        throw authError('Session has been revoked', 'SESSION_REVOKED', 401);
+      }
 
+      if (session.expired) {
+        throw authError('Session expired, please log in again', 'SESSION_EXPIRED', 401);
+      }
+
+      const presentedHash = this.hashRefreshToken(parsed.secret);
+      const secret = crypto.randomBytes(32).toString('base64url');
+      const rotated = presentedHash === session.refresh_token_hash
+        && await UserSession.rotate(session.id, presentedHash, this.hashRefreshToken(secret), {
+          userAgent: device.userAgent,
+          ipAddress: device.ipAddress,
+          ttlDays: REFRESH_TOKEN_TTL_DAYS
+        });
+
+      if (!rotated) {
+        await this.revokeSession(session.id, 'reuse_detected');
+        logger.warn('Refresh token reuse detected, session revoked', { userId: session.user_id, sessionId: session.id });
+        throw authError('Refresh token was already used, please log in again', 'REFRESH_TOKEN_REUSED', 401);
+      }
+
+      const user = await User.findById(session.user_id);
       if (!user || user.status !== 'active') {
-        throw new Error('User not found or inactive');
+        await this.revokeSession(session.id, 'revoked');
+        throw authError('User not found or inactive', 'SESSION_REVOKED', 401);
       }
 
-      const newToken = this.generateToken(user);
-      logger.debug('Token refreshed', { userId: user.id });
+      logger.debug('Token refreshed', { userId: user.id, sessionId: session.id });
 
       return {
         success: true,
-        token: newToken
+        ...this.issueTokens(user, rotated, secret)
       };
     } catch (error) {
       logger.warn('Token refresh failed:', error.message);
@@ -134,6 +303,68 @@ class AuthService {
     }
   }
 
+  /**
+   * End the session behind a refresh token, or behind an access token when
+   * no refresh token is at hand. Unknown or expired tokens are ignored.
+   */
+  static async logout({ refreshToken = null, accessToken = null } = {}) {
+    let sessionId = null;
+    const parsed = this.parseRefreshToken(refreshToken);
+
+    if (parsed) {
+      const session = await UserSession.findById(parsed.sessionId);
+      if (session && session.refresh_token_hash === this.hashRefreshToken(parsed.secret)) {
+        sessionId = session.id;
+      }
+    } else if (accessToken) {
+      try {
+        sessionId = jwt.verify(accessToken, JWT_SECRET).sid || null;
+      } catch (error) {
+        sessionId = null;
+      }
+    }
+
+    if (sessionId) {
+      await this.revokeSession(sessionId, 'logout');
+    }
+
+    return { success: true, message: 'Logout successful' };
+  }
+
+  static async listSessions(userId, currentSessionId = null) {
+    const sessions = await UserSession.findActiveByUser(userId);
+    return sessions.map((session) => ({
+      id: session.id,
+      deviceName: session.device_name,
+      userAgent: session.user_agent,
+      ipAddress: session.ip_address,
+      createdAt: session.created_at,
+      lastUsedAt: session.last_used_at,
+      expiresAt: session.expires_at,
+      current: session.id === currentSessionId
+    }));
+  }
+
+  // With `userId`, only a session of that user is revoked; returns false if none was
+  static async revokeSession(sessionId, reason, userId = null) {
+    const revoked = await UserSession.revoke(sessionId, reason, userId);
+    if (!revoked) {
+      return false;
+    }
+
+    disconnectUser(revoked.user_id, { sessionId, reason });
+    logger.info('Session revoked', { userId: revoked.user_id, sessionId, reason });
+    return true;
+  }
+
+  // Log a user out of every device
+  static async revokeAllSessions(userId, reason) {
+    const count = await UserSession.revokeAllForUser(userId, reason);
+    disconnectUser(userId, { reason });
+    logger.info('All sessions revoked', { userId, reason, count });
+    return count;
+  }
+
   static async verifyToken(token) {
     try {
       const decoded = jwt.verify(token, JWT_SECRET);
@@ -149,29 +380,94 @@ class AuthService {
     }
   }
 
+  static normalizePhone(phone) {
+    return String(phone).replace(/\s+/g, '');
+  }
+
+  static generateOTP() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  }
+
+  static hashOTP(phone, otp) {
+    return crypto.createHmac('sha256', OTP_SECRET).update(`${phone}:${otp}`).digest('hex');
+  }
+
+  static otpMatches(phone, otp, codeHash) {
+    const expected = Buffer.from(codeHash, 'hex');
+    const actual = Buffer.from(this.hashOTP(phone, String(otp)), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Text a verification code to a number about to register
   static async sendOTP(phone) {
-    // TODO: Integrate with SMS service (Twilio, Africa's Talking, etc.)
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    logger.info('OTP generated for phone verification', { phone, otp });
-    
-    // In production, send via SMS
-    // await SMSService.send(phone, `Your ONIVA OTP is: ${otp}`);
+    const normalized = this.normalizePhone(phone);
+
+    if (await User.findByPhone(phone)) {
+      throw authError('User with this phone number already exists', 'PHONE_ALREADY_REGISTERED', 409);
+    }
+
+    const otp = this.generateOTP();
+    const verification = await PhoneVerification.issue(normalized, REGISTRATION, this.hashOTP(normalized, otp), {
+      ttlMinutes: OTP_TTL_MINUTES,
+      cooldownSeconds: OTP_RESEND_COOLDOWN_SECONDS
+    });
+
+    if (!verification) {
+      const previous = await PhoneVerification.find(normalized, REGISTRATION);
+      const retryAfter = Math.max(1, OTP_RESEND_COOLDOWN_SECONDS - (previous ? previous.seconds_since_sent : 0));
+      throw authError(`Please wait ${retryAfter} seconds before requesting a new code`, 'OTP_RESEND_COOLDOWN', 429);
+    }
+
+    await SmsService.send(normalized, `Your ONIVA verification code is ${otp}. It expires in ${OTP_TTL_MINUTES} minutes.`);
+    logger.info('Phone verification code sent', { phone: normalized, sendCount: verification.send_count });
 
     return {
       success: true,
       message: 'OTP sent to phone number',
-      otp // Remove in production
+      expiresInMinutes: OTP_TTL_MINUTES,
+      resendAfterSeconds: OTP_RESEND_COOLDOWN_SECONDS
     };
   }
 
   static async verifyOTP(phone, otp) {
-    // TODO: Verify OTP from database/cache
-    // In production, check against stored OTP with expiry
-    logger.info('OTP verified', { phone });
+    const normalized = this.normalizePhone(phone);
+    const verification = await PhoneVerification.find(normalized, REGISTRATION);
+
+    if (!verification) {
+      throw authError('No verification code was requested for this number', 'OTP_NOT_FOUND', 400);
+    }
+
+    if (verification.verified_at) {
+      return { success: true, message: 'Phone number verified' };
+    }
+
+    if (verification.expired) {
+      throw authError('Verification code expired, please request a new one', 'OTP_EXPIRED', 400);
+    }
+
+    const attempts = await PhoneVerification.claimAttempt(verification.id, OTP_MAX_ATTEMPTS);
+    if (attempts === null) {
+      throw authError('Too many wrong codes, please request a new one', 'OTP_TOO_MANY_ATTEMPTS', 429);
+    }
+
+    if (!this.otpMatches(normalized, otp, verification.code_hash)) {
+      logger.warn('Wrong phone verification code', { phone: normalized, attempts });
+      throw authError(
+        `Invalid verification code, ${OTP_MAX_ATTEMPTS - attempts} attempt(s) left`,
+        'OTP_INVALID',
+        400
+      );
+    }
+
+    if (!(await PhoneVerification.markVerified(verification.id))) {
+      throw authError('Verification code expired, please request a new one', 'OTP_EXPIRED', 400);
+    }
+
+    logger.info('Phone number verified', { phone: normalized });
     return {
       success: true,
-      message: 'Phone number verified'
+      message: 'Phone number verified',
+      validForMinutes: PHONE_VERIFICATION_VALID_MINUTES
     };
   }
 
@@ -196,19 +492,16 @@ class AuthService {
         throw new Error('User not found');
       }
 
-      const otp = Math.floor(100000 + Math.random() * 900000).toString();
+      const otp = this.generateOTP();
       const expiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes expiry
 
       await User.setResetOTP(phone, otp, expiry);
-      logger.info('Password reset OTP generated', { phone, otp });
-
-      // In production, send via SMS
-      // await SMSService.send(phone, `Your ONIVA password reset OTP is: ${otp}`);
+      await SmsService.send(this.normalizePhone(phone), `Your ONIVA password reset code is ${otp}. It expires in 10 minutes.`);
+      logger.info('Password reset OTP sent', { phone });
 
       return {
         success: true,
-        message: 'Password reset code sent',
-        otp // Remove in production
+        message: 'Password reset code sent'
       };
     } catch (error) {
       logger.error('Forgot password failed:', error.message);
@@ -220,10 +513,12 @@ class AuthService {
     try {
       const user = await User.verifyResetOTP(phone, otp);
       if (!user) {
-        throw new Error('Invalid or expired OTP');
+        throw authError('Invalid or expired OTP', 'OTP_INVALID', 400);
       }
 
       await User.resetPassword(user.id, newPassword);
+      // Whoever knew the old password is signed out everywhere
+      await this.revokeAllSessions(user.id, 'password_reset');
       logger.info('Password reset successful', { phone });
 
       return {
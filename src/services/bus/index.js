@@ -0,0 +1,100 @@
+/**
+ * Event Bus
+ * Publish/subscribe between server instances through a pluggable adapter:
+ *   local    - in-process only (default, single instance)
+ *   postgres - LISTEN/NOTIFY, for several instances sharing one database
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const LocalBusAdapter = require('./local.adapter');
+const PostgresBusAdapter = require('./postgres.adapter');
+const logger = require('../../utils/logger');
+
+const ADAPTERS = {
+  local: LocalBusAdapter,
+  postgres: PostgresBusAdapter
+};
+
+// Identifies this process in presence rows and bus messages
+const INSTANCE_ID = process.env.INSTANCE_ID
+  || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+let adapter = null;
+let connected = false;
+const subscriptions = []; // { channel, handler } kept to replay on (re)init
+
+const getAdapter = () => {
+  if (!adapter) {
+    adapter = new LocalBusAdapter();
+  }
+  return adapter;
+};
+
+class EventBus {
+  static get instanceId() {
+    return INSTANCE_ID;
+  }
+
+  static async init(type = process.env.EVENT_BUS_ADAPTER || 'local') {
+    const Adapter = ADAPTERS[type];
+    if (!Adapter) {
+      throw new Error(`Unknown event bus adapter "${type}" (expected: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+
+    if (adapter) {
+      await adapter.close();
+    }
+
+    adapter = new Adapter();
+    for (const { channel, handler } of subscriptions) {
+      await adapter.subscribe(channel, handler);
+    }
+    await adapter.connect();
+    connected = true;
+
+    logger.info('Event bus initialized', { adapter: type, instanceId: INSTANCE_ID });
+  }
+
+  /**
+   * Listen on a channel. Messages this instance published itself are skipped
+   * unless `includeSelf` is set, since the publisher already acted locally.
+   */
+  static async subscribe(channel, handler, { includeSelf = false } = {}) {
+    const wrapped = (message) => {
+      if (!includeSelf && message.origin === INSTANCE_ID) {
+        return;
+      }
+
+      Promise.resolve()
+        .then(() => handler(message.payload, message))
+        .catch((error) => logger.error('Event bus handler failed', { channel, error: error.message }));
+    };
+
+    subscriptions.push({ channel, handler: wrapped });
+    await getAdapter().subscribe(channel, wrapped);
+  }
+
+  static async publish(channel, payload) {
+    await getAdapter().publish(channel, {
+      origin: INSTANCE_ID,
+      payload,
+      publishedAt: new Date().toISOString()
+    });
+  }
+
+  static isConnected() {
+    return connected;
+  }
+
+  static async close() {
+    if (adapter) {
+      await adapter.close();
+    }
+    adapter = null;
+    connected = false;
+    subscriptions.length = 0;
+  }
+}
+
+module.exports = EventBus;
@@ -0,0 +1,34 @@
+/**
+ * Local Bus Adapter
+ * In-process delivery only: enough for a single server instance
+ */
+
+const { EventEmitter } = require('events');
+
+class LocalBusAdapter {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async connect() {}
+
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+  }
+
+  /**
+   * Messages go through JSON like they would over the network, and are
+   * delivered on a later tick so publishers never run subscriber code inline.
+   */
+  async publish(channel, message) {
+    const copy = JSON.parse(JSON.stringify(message));
+    setImmediate(() => this.emitter.emit(channel, copy));
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+module.exports = LocalBusAdapter;
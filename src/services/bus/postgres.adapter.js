@@ -0,0 +1,117 @@
+/**
+ * Postgres Bus Adapter
+ * Delivers messages between server instances with LISTEN/NOTIFY
+ */
+
+const { Client } = require('pg');
+const { getPool, query } = require('../../config/database');
+const logger = require('../../utils/logger');
+
+// NOTIFY payloads are limited to 8000 bytes by Postgres
+const MAX_PAYLOAD_BYTES = 7900;
+const RECONNECT_DELAY_MS = 5000;
+
+class PostgresBusAdapter {
+  constructor() {
+    this.client = null;
+    this.handlers = new Map(); // channel -> [handler]
+    this.reconnectTimer = null;
+    this.closed = false;
+  }
+
+  /**
+   * LISTEN needs a dedicated connection: a pooled client would be handed
+   * back to the pool and stop receiving notifications.
+   */
+  async connect() {
+    this.closed = false;
+    const client = new Client(getPool().options);
+
+    client.on('notification', (msg) => this.dispatch(msg.channel, msg.payload));
+    client.on('error', (error) => {
+      logger.error('Bus listener connection error:', error.message);
+      this.scheduleReconnect();
+    });
+    client.on('end', () => this.scheduleReconnect());
+
+    await client.connect();
+    this.client = client;
+
+    for (const channel of this.handlers.keys()) {
+      await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+    }
+
+    logger.info('Postgres bus connected', { channels: [...this.handlers.keys()] });
+  }
+
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimer) {
+      return;
+    }
+
+    this.client = null;
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.connect();
+      } catch (error) {
+        logger.error('Bus reconnect failed:', error.message);
+        this.scheduleReconnect();
+      }
+    }, RECONNECT_DELAY_MS);
+  }
+
+  dispatch(channel, payload) {
+    const handlers = this.handlers.get(channel) || [];
+    let message;
+
+    try {
+      message = JSON.parse(payload);
+    } catch (error) {
+      logger.warn('Dropping malformed bus message', { channel });
+      return;
+    }
+
+    for (const handler of handlers) {
+      handler(message);
+    }
+  }
+
+  async subscribe(channel, handler) {
+    const isNew = !this.handlers.has(channel);
+    if (isNew) {
+      this.handlers.set(channel, []);
+    }
+    this.handlers.get(channel).push(handler);
+
+    if (isNew && this.client) {
+      await this.client.query(`LISTEN ${this.client.escapeIdentifier(channel)}`);
+    }
+  }
+
+  async publish(channel, message) {
+    const payload = JSON.stringify(message);
+
+    if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+      const err = new Error(`Bus message on "${channel}" is too large for NOTIFY`);
+      err.code = 'BUS_PAYLOAD_TOO_LARGE';
+      throw err;
+    }
+
+    await query('SELECT pg_notify($1, $2)', [channel, payload]);
+  }
+
+  async close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      await client.end();
+    }
+  }
+}
+
+module.exports = PostgresBusAdapter;
@@ -1,203 +1,743 @@
 /**
  * Dispatch Service
  * Handles driver assignment and booking logic
+ *
+ * The strategy is configured per region (dispatch_config):
+ *   broadcast  - offer the trip to the nearest drivers at once
+ *   sequential - offer it to one driver at a time, nearest first
+ *   waves      - offer it to small batches, widening the radius each wave
+ * Sequential and waves move to the next round when the round times out or
+ * every driver in it declined. Declines and acceptances arrive as events on
+ * the bus, so the instance holding the round timer reacts without polling.
+ * Every offer is recorded in booking_requests with its attempt and wave.
+ *
+ * Candidates are ranked by a weighted score of distance, rating, acceptance
+ * rate, idle time and location freshness (see scoreCandidate). The score
+ * and its components are stored on each booking request.
+ *
+ * A background sweeper expires stale offers and starts a new attempt, with
+ * a wider radius, for trips nobody can still accept. After
+ * MAX_ASSIGNMENT_ATTEMPTS the trip is cancelled with `no_driver_found`.
+ *
+ * Trips booked more than SCHEDULED_MIN_ADVANCE_MINUTES ahead are stored as
+ * `scheduled` and released SCHEDULED_DISPATCH_LEAD_MINUTES before pickup:
+ * straight to the driver who pre-accepted them, otherwise to dispatch.
  */
 
 const Driver = require("../models/Driver");
 const Trip = require("../models/Trip");
-const { query } = require("../config/database");
+const TripStop = require("../models/TripStop");
+const DispatchConfig = require("../models/DispatchConfig");
+const { query, transaction } = require("../config/database");
 const logger = require("../utils/logger");
-const { notifyDriver } = require("./socket.service"); // Ensure this is imported correctly
-
-const ACCEPT_TIMEOUT = 300000; // 5 minutes in milliseconds
-const MAX_ASSIGNMENT_ATTEMPTS = 3;
+const EventBus = require("./bus");
+const {
+  sendReliableNotification,
+  notifyClient,
+  emitToAdmins,
+  emitToTrip,
+  joinTripRoom,
+} = require("./socket.service");
+
+const MAX_ASSIGNMENT_ATTEMPTS = parseInt(process.env.MAX_ASSIGNMENT_ATTEMPTS) || 3;
+// Quiet time after the last offer round before the sweeper tries again
+const DISPATCH_RETRY_DELAY_SECONDS = parseInt(process.env.DISPATCH_RETRY_DELAY_SECONDS) || 30;
+// Pickups further ahead than this are booked as scheduled trips
+const SCHEDULED_MIN_ADVANCE_MINUTES = parseInt(process.env.SCHEDULED_MIN_ADVANCE_MINUTES) || 30;
+// How long before pickup a scheduled trip is dispatched
+const SCHEDULED_DISPATCH_LEAD_MINUTES = parseInt(process.env.SCHEDULED_DISPATCH_LEAD_MINUTES) || 15;
+const NO_DRIVER_FOUND = "no_driver_found";
+const DISPATCH_CHANNEL = "oniva_dispatch_events";
+const STRATEGIES = ["broadcast", "sequential", "waves"];
+
+// Used when no dispatch_config row exists
+const DEFAULT_DISPATCH_CONFIG = {
+  strategy: "broadcast",
+  broadcast_size: 10,
+  broadcast_timeout_seconds: 600,
+  offer_timeout_seconds: 20,
+  wave_size: 3,
+  wave_timeout_seconds: 30,
+  initial_radius_km: 5,
+  radius_step_km: 5,
+  max_radius_km: 50,
+  weight_distance: 0.5,
+  weight_rating: 0.15,
+  weight_acceptance: 0.15,
+  weight_idle: 0.1,
+  weight_freshness: 0.1,
+  stale_location_minutes: 5,
+};
+
+const SCORE_WEIGHTS = {
+  distance: "weight_distance",
+  rating: "weight_rating",
+  acceptance: "weight_acceptance",
+  idle: "weight_idle",
+  freshness: "weight_freshness",
+};
+// Idle time after which a driver gets the full idle component
+const FULL_IDLE_MINUTES = 60;
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+// tripId -> { tripId, pickupLat, pickupLng, region, attempt, wave, config, timer }
+const activeDispatches = new Map();
+
+const dispatchError = (message, code, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
 
 class DispatchService {
-  static async findAndAssignDriver(tripData) {
-    const {
-      tripId,
-      pickupLat,
-      pickupLng,
+  // Listen for accepted/declined offers from every instance
+  static init() {
+    return EventBus.subscribe(
+      DISPATCH_CHANNEL,
+      (event) => this.handleDispatchEvent(event),
+      { includeSelf: true },
+    );
+  }
+
+  static normalizeConfig(row) {
+    const config = { ...DEFAULT_DISPATCH_CONFIG, ...(row || {}) };
+
+    return {
+      ...config,
+      broadcast_size: parseInt(config.broadcast_size),
+      broadcast_timeout_seconds: parseInt(config.broadcast_timeout_seconds),
+      offer_timeout_seconds: parseInt(config.offer_timeout_seconds),
+      wave_size: parseInt(config.wave_size),
+      wave_timeout_seconds: parseInt(config.wave_timeout_seconds),
+      initial_radius_km: parseFloat(config.initial_radius_km),
+      radius_step_km: parseFloat(config.radius_step_km),
+      max_radius_km: parseFloat(config.max_radius_km),
+      weight_distance: parseFloat(config.weight_distance),
+      weight_rating: parseFloat(config.weight_rating),
+      weight_acceptance: parseFloat(config.weight_acceptance),
+      weight_idle: parseFloat(config.weight_idle),
+      weight_freshness: parseFloat(config.weight_freshness),
+      stale_location_minutes: parseInt(config.stale_location_minutes),
+    };
+  }
+
+  static async getDispatchConfig(region = null) {
+    return this.normalizeConfig(await DispatchConfig.findForRegion(region));
+  }
+
+  // Validate admin input; only the fields present are checked
+  static sanitizeDispatchConfig(input) {
+    const data = {};
+
+    if (input.strategy !== undefined) {
+      if (!STRATEGIES.includes(input.strategy)) {
+        throw dispatchError(`strategy must be one of: ${STRATEGIES.join(", ")}`, "VALIDATION_ERROR", 400);
+      }
+      data.strategy = input.strategy;
+    }
+
+    for (const field of ["broadcast_size", "broadcast_timeout_seconds", "offer_timeout_seconds", "wave_size", "wave_timeout_seconds", "stale_location_minutes"]) {
+      if (input[field] === undefined) continue;
+      const value = parseInt(input[field]);
+      if (isNaN(value) || value <= 0) {
+        throw dispatchError(`${field} must be a positive integer`, "VALIDATION_ERROR", 400);
+      }
+      data[field] = value;
+    }
+
+    for (const field of ["initial_radius_km", "radius_step_km", "max_radius_km"]) {
+      if (input[field] === undefined) continue;
+      const value = parseFloat(input[field]);
+      if (isNaN(value) || value < 0 || (field !== "radius_step_km" && value === 0)) {
+        throw dispatchError(`${field} must be a positive number`, "VALIDATION_ERROR", 400);
+      }
+      data[field] = value;
+    }
+
+    for (const field of Object.values(SCORE_WEIGHTS)) {
+      if (input[field] === undefined) continue;
+      const value = parseFloat(input[field]);
+      if (isNaN(value) || value < 0 || value > 99) {
+        throw dispatchError(`${field} must be a number between 0 and 99`, "VALIDATION_ERROR", 400);
+      }
+      data[field] = value;
+    }
+
+    return data;
+  }
+
+  /**
+   * Save the dispatch settings of a region (null = global default). Fields
+   * left out keep the value the region currently resolves to.
+   */
+  static async saveDispatchConfig(region, input, adminId) {
+    const data = this.sanitizeDispatchConfig(input);
+    const merged = { ...(await this.getDispatchConfig(region)), ...data };
+
+    if (merged.max_radius_km < merged.initial_radius_km) {
+      throw dispatchError("max_radius_km must be at least initial_radius_km", "VALIDATION_ERROR", 400);
+    }
+
+    if (Object.values(SCORE_WEIGHTS).every((field) => merged[field] === 0)) {
+      throw dispatchError("At least one score weight must be positive", "VALIDATION_ERROR", 400);
+    }
+
+    const settings = {};
+    for (const field of Object.keys(DEFAULT_DISPATCH_CONFIG)) {
+      settings[field] = merged[field];
+    }
+
+    return DispatchConfig.upsert(region || null, settings, adminId);
+  }
+
+  /**
+   * Search radius of a round. Every new attempt widens it by one step;
+   * in waves mode every wave does too. Never beyond max_radius_km.
+   */
+  static searchRadius(config, attempt = 1, wave = 1) {
+    const steps = (attempt - 1) + (config.strategy === "waves" ? wave - 1 : 0);
+    return Math.min(
+      config.initial_radius_km + steps * config.radius_step_km,
+      config.max_radius_km,
+    );
+  }
+
+  // How many drivers one round offers the trip to
+  static roundSize(config) {
+    if (config.strategy === "sequential") return 1;
+    if (config.strategy === "waves") return config.wave_size;
+    return config.broadcast_size;
+  }
+
+  static roundTimeoutSeconds(config) {
+    if (config.strategy === "sequential") return config.offer_timeout_seconds;
+    if (config.strategy === "waves") return config.wave_timeout_seconds;
+    return config.broadcast_timeout_seconds;
+  }
+
+  /**
+   * Score a candidate between 0 and 1. Every component is normalised to
+   * 0..1 and the weighted sum is divided by the sum of the weights:
+   *   distance   - 1 at the pickup, 0 at the edge of the search radius
+   *   rating     - 1 star = 0, 5 stars = 1
+   *   acceptance - accepted / answered offers of the last 30 days, smoothed
+   *                so new drivers start at 0.5
+   *   idle       - minutes since the last trip ended, full after an hour
+   *                (drivers who never had a trip count as fully idle)
+   *   freshness  - 1 for a location just reported, 0 at the stale cutoff
+   */
+  static scoreCandidate(candidate, config, radiusKm) {
+    const distance = parseFloat(candidate.distance) || 0;
+    const rating = candidate.rating !== null && candidate.rating !== undefined
+      ? parseFloat(candidate.rating)
+      : 5;
+    const offers = parseInt(candidate.recent_offers) || 0;
+    const accepted = parseInt(candidate.recent_accepted) || 0;
+    const idleMinutes = candidate.idle_minutes !== null && candidate.idle_minutes !== undefined
+      ? parseFloat(candidate.idle_minutes)
+      : FULL_IDLE_MINUTES;
+    const locationAge = parseFloat(candidate.location_age_seconds) || 0;
+
+    const components = {
+      distance: radiusKm > 0 ? clamp01(1 - distance / radiusKm) : 1,
+      rating: clamp01((rating - 1) / 4),
+      acceptance: clamp01((accepted + 1) / (offers + 2)),
+      idle: clamp01(idleMinutes / FULL_IDLE_MINUTES),
+      freshness: clamp01(1 - locationAge / (config.stale_location_minutes * 60)),
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    const breakdown = {};
+    for (const [name, field] of Object.entries(SCORE_WEIGHTS)) {
+      weighted += components[name] * config[field];
+      totalWeight += config[field];
+      breakdown[name] = { value: round4(components[name]), weight: config[field] };
+    }
+
+    return {
+      score: totalWeight > 0 ? round4(weighted / totalWeight) : 0,
+      breakdown,
+    };
+  }
+
+  // Eligible drivers inside the radius, best score first
+  static async rankCandidates({ pickupLat, pickupLng, region, radiusKm, config }) {
+    const drivers = await Driver.getDispatchCandidates({
+      latitude: pickupLat,
+      longitude: pickupLng,
       region,
-      maxDistance = 1550, // km
-    } = tripData;
+      maxDistanceKm: radiusKm,
+      staleMinutes: config.stale_location_minutes,
+    });
+
+    return drivers
+      .map((driver) => ({ ...driver, ...this.scoreCandidate(driver, config, radiusKm) }))
+      .sort((a, b) => b.score - a.score || parseFloat(a.distance) - parseFloat(b.distance));
+  }
+
+  static async findAndAssignDriver(tripData) {
+    const { tripId, pickupLat, pickupLng, region, attempt = 1 } = tripData;
 
     try {
-      console.log(`🔍 [Dispatch] Broadcast search for drivers near ${pickupLat}, ${pickupLng} (Trip: ${tripId})`);
+      const config = await this.getDispatchConfig(region);
 
-      // 1. Get online drivers near the pickup location
-      const availableDrivers = await Driver.getNearestDrivers(
-        pickupLng,
+      logger.info("Starting dispatch", { tripId, region, strategy: config.strategy, attempt });
+
+      return await this.dispatchRound({
+        tripId,
         pickupLat,
+        pickupLng,
         region,
-        maxDistance,
-      );
+        attempt,
+        wave: 1,
+        config,
+      });
+    } catch (error) {
+      logger.error("Error in dispatch service:", error);
+      throw error;
+    }
+  }
 
-      if (availableDrivers.length === 0) {
-        logger.warn("No drivers available for broadcast", { tripId, region });
-        return {
-          success: false,
-          message: "No drivers available in your area",
-        };
-      }
+  /**
+   * Offer the trip to the next candidates. For sequential and waves, arm
+   * the timeout that moves on to the next round.
+   */
+  static async dispatchRound(state) {
+    const { tripId, pickupLat, pickupLng, region, attempt, wave, config } = state;
+    this.stopDispatch(tripId);
+
+    const trip = await Trip.findById(tripId);
+    if (!trip || trip.status !== "pending") {
+      return { success: false, message: "Trip is no longer waiting for a driver" };
+    }
 
-      // 2. Filter to only reachable drivers on socket and limit candidates (e.g., top 10)
-      const candidates = availableDrivers.slice(0, 10);
-      let notifiedCount = 0;
+    await Trip.recordDispatchRound(tripId, attempt);
 
-      console.log(`✅ [Dispatch] Found ${availableDrivers.length} nearby. Notifying top ${candidates.length} candidate(s) for Trip ${tripId}`);
+    const radiusKm = this.searchRadius(config, attempt, wave);
+    const [ranked, excluded] = await Promise.all([
+      this.rankCandidates({ pickupLat, pickupLng, region, radiusKm, config }),
+      this.getExcludedDriverIds(tripId, attempt),
+    ]);
 
-      // 3. Create requests and notify ALL candidates simultaneously
-      await Promise.all(candidates.map(async (driver) => {
-        try {
-          // Create the booking request record
-          const result = await query(
-            `INSERT INTO booking_requests (trip_id, driver_id, status, expires_at, created_at)
-             VALUES ($1, $2, 'pending', (CURRENT_TIMESTAMP AT TIME ZONE 'UTC') + INTERVAL '10 minutes', (CURRENT_TIMESTAMP AT TIME ZONE 'UTC'))
-             RETURNING *`,
-            [tripId, driver.user_id],
-          );
-
-          const request = result.rows[0];
-
-          // Notify the driver via socket
-          const notified = notifyDriver(driver.user_id, 'new_booking_request', {
-            requestId: request.id,
-            tripId: tripId,
-            expiresAt: request.expires_at
-          });
-
-          if (notified) notifiedCount++;
-        } catch (err) {
-          logger.error("Failed to notify candidate driver:", { driverId: driver.user_id, err });
-        }
-      }));
+    const candidates = ranked
+      .filter((driver) => !excluded.has(String(driver.user_id)))
+      .slice(0, this.roundSize(config));
 
-      if (notifiedCount === 0) {
-        return {
-          success: false,
-          message: "No reachable drivers found.",
-        };
+    if (candidates.length === 0) {
+      // Waves keep widening until the maximum radius has been searched
+      if (config.strategy === "waves" && radiusKm < config.max_radius_km) {
+        return this.dispatchRound({ ...state, wave: wave + 1 });
       }
 
+      logger.warn("No drivers left to offer the trip to", { tripId, region, attempt, wave, radiusKm });
       return {
-        success: true,
-        message: `Broadcasted to ${notifiedCount} driver(s)`,
-        notifiedCount
+        success: false,
+        message: "No drivers available in your area",
+        strategy: config.strategy,
+        attempt,
+        wave,
       };
-    } catch (error) {
-      logger.error("Error in broadcast dispatch service:", error);
-      throw error;
+    }
+
+    const timeoutSeconds = this.roundTimeoutSeconds(config);
+    let notifiedCount = 0;
+
+    await Promise.all(candidates.map(async (driver) => {
+      try {
+        const request = await this.createBookingRequest({
+          tripId,
+          driverId: driver.user_id,
+          timeoutSeconds,
+          attempt,
+          wave,
+          strategy: config.strategy,
+          radiusKm,
+          distanceKm: driver.distance,
+          score: driver.score,
+          scoreBreakdown: driver.breakdown,
+        });
+
+        // Replayed on reconnect until acked or expired
+        const { delivered } = await sendReliableNotification(driver.user_id, "new_booking_request", {
+          requestId: request.id,
+          tripId: tripId,
+          expiresAt: request.expires_at
+        }, { bookingRequestId: request.id });
+
+        if (delivered) notifiedCount++;
+      } catch (err) {
+        logger.error("Failed to notify candidate driver:", { driverId: driver.user_id, err });
+      }
+    }));
+
+    if (config.strategy !== "broadcast") {
+      this.armRoundTimeout(state, timeoutSeconds);
+    }
+
+    logger.info("Dispatch round sent", {
+      tripId,
+      strategy: config.strategy,
+      attempt,
+      wave,
+      radiusKm,
+      offered: candidates.length,
+      notifiedCount,
+    });
+
+    return {
+      success: notifiedCount > 0,
+      message: notifiedCount > 0
+        ? `Offered to ${notifiedCount} driver(s)`
+        : "No reachable drivers found.",
+      notifiedCount,
+      strategy: config.strategy,
+      attempt,
+      wave,
+      radiusKm,
+    };
+  }
+
+  static armRoundTimeout(state, timeoutSeconds) {
+    const timer = setTimeout(() => {
+      this.advanceDispatch(state.tripId, state.attempt, state.wave, "timeout").catch((error) => {
+        logger.error("Error advancing dispatch after timeout:", error);
+      });
+    }, timeoutSeconds * 1000);
+
+    if (timer.unref) timer.unref();
+    activeDispatches.set(String(state.tripId), { ...state, timer });
+  }
+
+  // Stop waiting on a trip's current round (accepted, cancelled or superseded)
+  static stopDispatch(tripId) {
+    const current = activeDispatches.get(String(tripId));
+    if (current) {
+      clearTimeout(current.timer);
+      activeDispatches.delete(String(tripId));
+    }
+  }
+
+  static stopAll() {
+    for (const tripId of [...activeDispatches.keys()]) {
+      this.stopDispatch(tripId);
+    }
+  }
+
+  static getActiveDispatch(tripId) {
+    return activeDispatches.get(String(tripId)) || null;
+  }
+
+  /**
+   * Close the current round and start the next one. Only acts when the
+   * round is still the trip's current one, so a timeout racing a decline
+   * advances once.
+   */
+  static async advanceDispatch(tripId, attempt, wave, reason) {
+    const current = activeDispatches.get(String(tripId));
+    if (!current || current.attempt !== attempt || current.wave !== wave) {
+      return null;
+    }
+
+    this.stopDispatch(tripId);
+    await this.expireRound(tripId, attempt, wave);
+
+    logger.info("Dispatch moving to next round", { tripId, attempt, wave, reason });
+    return this.dispatchRound({ ...current, wave: wave + 1 });
+  }
+
+  static async handleDispatchEvent(event) {
+    const { type, tripId, attempt, wave } = event;
+
+    if (type === "request_accepted") {
+      this.stopDispatch(tripId);
+      return;
+    }
+
+    if (type === "request_declined") {
+      const current = this.getActiveDispatch(tripId);
+      if (!current || current.attempt !== attempt || current.wave !== wave) {
+        return;
+      }
+
+      // Move on once nobody in the round can still accept
+      const pending = await this.countPendingInRound(tripId, attempt, wave);
+      if (pending === 0) {
+        await this.advanceDispatch(tripId, attempt, wave, "declined");
+      }
     }
   }
 
-  static async sendAssignmentRequest(tripId, driverId) {
+  static async publishRequestEvent(type, request) {
     try {
-      // Create booking request using Database UTC time to avoid local time mismatches
-      const result = await query(
-        `INSERT INTO booking_requests (trip_id, driver_id, status, expires_at, created_at)
-         VALUES ($1, $2, 'pending', (CURRENT_TIMESTAMP AT TIME ZONE 'UTC') + INTERVAL '5 minutes', (CURRENT_TIMESTAMP AT TIME ZONE 'UTC'))
-         RETURNING *`,
-        [tripId, driverId],
+      await EventBus.publish(DISPATCH_CHANNEL, {
+        type,
+        tripId: request.trip_id,
+        requestId: request.id,
+        attempt: request.attempt,
+        wave: request.wave,
+      });
+    } catch (error) {
+      logger.error("Error publishing dispatch event:", { type, error: error.message });
+    }
+  }
+
+  static async createBookingRequest({
+    tripId, driverId, timeoutSeconds, attempt, wave, strategy, radiusKm, distanceKm,
+    score = null, scoreBreakdown = null,
+  }) {
+    // Database UTC time avoids local time mismatches
+    const result = await query(
+      `INSERT INTO booking_requests (
+         trip_id, driver_id, status, expires_at, attempt, wave, strategy,
+         search_radius_km, distance_km, score, score_breakdown, created_at
+       )
+       VALUES (
+         $1, $2, 'pending', (CURRENT_TIMESTAMP AT TIME ZONE 'UTC') + $3 * INTERVAL '1 second',
+         $4, $5, $6, $7, $8, $9, $10, (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')
+       )
+       RETURNING *`,
+      [tripId, driverId, timeoutSeconds, attempt, wave, strategy, radiusKm,
+        distanceKm !== undefined && distanceKm !== null ? Math.round(distanceKm * 100) / 100 : null,
+        score, scoreBreakdown ? JSON.stringify(scoreBreakdown) : null],
+    );
+
+    return result.rows[0];
+  }
+
+  // Drivers already offered the trip in this attempt, or who declined it before
+  static async getExcludedDriverIds(tripId, attempt) {
+    const result = await query(
+      `SELECT DISTINCT driver_id FROM booking_requests
+       WHERE trip_id = $1 AND (attempt = $2 OR status = 'rejected')`,
+      [tripId, attempt],
+    );
+    return new Set(result.rows.map((row) => String(row.driver_id)));
+  }
+
+  static async countPendingInRound(tripId, attempt, wave) {
+    const result = await query(
+      `SELECT COUNT(*)::int AS count FROM booking_requests
+       WHERE trip_id = $1 AND attempt = $2 AND wave = $3 AND status = 'pending'`,
+      [tripId, attempt, wave],
+    );
+    return result.rows[0].count;
+  }
+
+  static async expireRound(tripId, attempt, wave) {
+    await query(
+      `UPDATE booking_requests SET status = 'expired'
+       WHERE trip_id = $1 AND attempt = $2 AND wave = $3 AND status = 'pending'`,
+      [tripId, attempt, wave],
+    );
+  }
+
+  static async expireStaleRequests() {
+    const result = await query(
+      `UPDATE booking_requests SET status = 'expired'
+       WHERE status = 'pending' AND expires_at <= (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')
+       RETURNING id`,
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Scheduler job. Expires stale offers, then gives every pending trip that
+   * nobody can accept another attempt, or cancels it once attempts run out.
+   * An advisory lock keeps several instances from sweeping at once.
+   */
+  static async sweepUnansweredTrips() {
+    return transaction(async (client) => {
+      const lock = await client.query(
+        "SELECT pg_try_advisory_xact_lock(hashtext('oniva_dispatch_sweeper')) AS locked",
       );
+      if (!lock.rows[0].locked) {
+        return { skipped: true };
+      }
 
-      const request = result.rows[0];
+      const expired = await this.expireStaleRequests();
+      const trips = await Trip.findAwaitingRedispatch(DISPATCH_RETRY_DELAY_SECONDS);
+      let redispatched = 0;
+      let cancelled = 0;
 
-      logger.debug("Booking request sent", {
-        tripId,
-        driverId,
-        requestId: request.id,
+      for (const trip of trips) {
+        // This instance is still running a round for it
+        if (this.getActiveDispatch(trip.id)) continue;
+
+        try {
+          // Trips booked before attempts were counted had their first one at booking
+          const attempts = Math.max(trip.dispatch_attempts, 1);
+
+          if (attempts < MAX_ASSIGNMENT_ATTEMPTS) {
+            await this.redispatchTrip(trip, attempts + 1);
+            redispatched++;
+          } else if (await this.cancelUnassignedTrip(trip)) {
+            cancelled++;
+          }
+        } catch (error) {
+          logger.error("Error sweeping unanswered trip:", { tripId: trip.id, error: error.message });
+        }
+      }
+
+      if (expired > 0 || trips.length > 0) {
+        logger.info("Dispatch sweep finished", { expired, redispatched, cancelled });
+      }
+
+      return { expired, redispatched, cancelled };
+    });
+  }
+
+  static async redispatchTrip(trip, attempt) {
+    const result = await this.findAndAssignDriver({
+      tripId: trip.id,
+      pickupLat: parseFloat(trip.pickup_latitude),
+      pickupLng: parseFloat(trip.pickup_longitude),
+      region: trip.region,
+      attempt,
+    });
+
+    try {
+      await notifyClient(trip.client_id, "dispatch_status", {
+        tripId: trip.id,
+        attempt,
+        maxAttempts: MAX_ASSIGNMENT_ATTEMPTS,
+        radiusKm: result.radiusKm,
+        notifiedCount: result.notifiedCount || 0,
+        timestamp: new Date().toISOString(),
       });
+    } catch (error) {
+      logger.error("Socket emit failed:", error.message);
+    }
 
-      // REAL-TIME NOTIFICATION via Socket
-      notifyDriver(driverId, 'new_booking_request', {
-        requestId: request.id,
-        tripId: tripId,
-        expiresAt: request.expires_at
+    return result;
+  }
+
+  // Give up on a trip no driver took; the client hears about it even if offline
+  static async cancelUnassignedTrip(trip) {
+    let cancelledTrip;
+    try {
+      cancelledTrip = await Trip.cancelTrip(trip.id, NO_DRIVER_FOUND, {
+        cancelledBy: "system",
+        expectedStatus: "pending",
       });
+    } catch (error) {
+      if (error.code === "TRIP_NOT_CANCELLABLE") {
+        return null; // accepted or cancelled meanwhile
+      }
+      throw error;
+    }
 
-      // Wait for driver response (with timeout)
-      const accepted = await this.waitForDriverResponse(
-        request.id,
-        ACCEPT_TIMEOUT,
-      );
-      return accepted;
+    logger.warn("Trip cancelled, no driver found", { tripId: trip.id, attempts: trip.dispatch_attempts });
+
+    const payload = {
+      tripId: trip.id,
+      status: "cancelled",
+      cancelledBy: "system",
+      reason: NO_DRIVER_FOUND,
+      timestamp: new Date().toISOString(),
+    };
+
+    try {
+      await sendReliableNotification(trip.client_id, "trip_status_changed", payload);
+      emitToAdmins("trip_status_changed", payload);
     } catch (error) {
-      logger.error("Error sending assignment request:", error);
-      return false;
+      logger.error("Socket emit failed:", error.message);
     }
+
+    return cancelledTrip;
   }
 
-  static async waitForDriverResponse(requestId, timeout) {
-    return new Promise((resolve) => {
-      const startTime = Date.now();
-      const checkInterval = setInterval(async () => {
-        try {
-          const result = await query(
-            "SELECT status FROM booking_requests WHERE id = $1",
-            [requestId],
-          );
-
-          if (result.rows.length === 0) {
-            clearInterval(checkInterval);
-            resolve(false);
-            return;
-          }
+  // Whether a pickup time is far enough ahead to be booked as a scheduled trip
+  static isAdvanceBooking(scheduledTime, now = new Date()) {
+    if (!scheduledTime) return false;
+    const pickup = new Date(scheduledTime);
+    return !isNaN(pickup) && pickup.getTime() - now.getTime() > SCHEDULED_MIN_ADVANCE_MINUTES * 60000;
+  }
 
-          const request = result.rows[0];
+  // When a scheduled trip will be dispatched
+  static scheduledDispatchAt(scheduledTime) {
+    return new Date(new Date(scheduledTime).getTime() - SCHEDULED_DISPATCH_LEAD_MINUTES * 60000);
+  }
 
-          if (request.status === "accepted") {
-            clearInterval(checkInterval);
-            resolve(true);
-            return;
-          }
+  /**
+   * Release scheduled trips whose pickup is within the lead time. Run by
+   * the scheduler; the advisory lock keeps instances from racing.
+   */
+  static async releaseScheduledTrips() {
+    return transaction(async (client) => {
+      const lock = await client.query(
+        "SELECT pg_try_advisory_xact_lock(hashtext('oniva_scheduled_dispatch')) AS locked",
+      );
+      if (!lock.rows[0].locked) {
+        return { skipped: true };
+      }
 
-          if (request.status === "rejected") {
-            clearInterval(checkInterval);
-            resolve(false);
-            return;
-          }
+      const trips = await Trip.releaseDueScheduled(SCHEDULED_DISPATCH_LEAD_MINUTES);
+      let assigned = 0;
+      let dispatched = 0;
 
-          if (Date.now() - startTime > timeout) {
-            // Mark as expired
-            await query(
-              "UPDATE booking_requests SET status = $1 WHERE id = $2",
-              ["expired", requestId],
-            );
-            clearInterval(checkInterval);
-            resolve(false);
-            return;
+      for (const trip of trips) {
+        try {
+          if (trip.status === "accepted") {
+            await this.startPreacceptedTrip(trip);
+            assigned++;
+          } else {
+            // First attempt; the sweeper takes over if nobody answers
+            await this.redispatchTrip(trip, 1);
+            dispatched++;
           }
         } catch (error) {
-          logger.error("Error checking driver response:", error);
+          logger.error("Error releasing scheduled trip:", { tripId: trip.id, error: error.message });
         }
-      }, 2000); // Check every 2 seconds to reduce DB load
+      }
+
+      if (trips.length > 0) {
+        logger.info("Scheduled trips released", { assigned, dispatched });
+      }
+
+      return { assigned, dispatched };
     });
   }
 
-   static async acceptBooking(requestId, driverId) {
+  // The pre-accepting driver is now on the trip: tell both sides
+  static async startPreacceptedTrip(trip) {
+    const payload = {
+      tripId: trip.id,
+      status: "accepted",
+      driverId: trip.driver_id,
+      scheduledTime: trip.scheduled_time,
+      timestamp: new Date().toISOString(),
+    };
+
     try {
-      // 1. First, check if the trip is still available (status = 'pending')
-      // and assign the driver in one atomic step to prevent race conditions
-      const tripUpdate = await query(
-        `UPDATE trips 
-         SET driver_id = $1, status = 'accepted', updated_at = (CURRENT_TIMESTAMP AT TIME ZONE 'UTC') 
-         WHERE id = (SELECT trip_id FROM booking_requests WHERE id = $2)
-         AND status = 'pending'
-         RETURNING id`,
-        [driverId, requestId]
-      );
+      joinTripRoom(trip.driver_id, trip.id);
+      await sendReliableNotification(trip.driver_id, "scheduled_trip_starting", payload);
+      emitToTrip(trip.id, "trip_status_changed", payload, { userIds: [trip.client_id] });
+    } catch (error) {
+      logger.error("Socket emit failed:", error.message);
+    }
+  }
 
-      if (tripUpdate.rows.length === 0) {
+  static async acceptBooking(requestId, driverId) {
+    try {
+      // 1. Assign the driver if their offer is still open and the trip still
+      // pending, in one locked step so two drivers can't both get it. A
+      // sequential offer that timed out has already moved on to the next driver.
+      const trip = await Trip.acceptOffer(requestId, driverId);
+
+      if (!trip) {
         // Trip is no longer available (already accepted by someone else or cancelled)
         await query(
-          "UPDATE booking_requests SET status = 'expired' WHERE id = $1",
-          [requestId]
+          "UPDATE booking_requests SET status = 'expired' WHERE id = $1 AND driver_id = $2 AND status = 'pending'",
+          [requestId, driverId]
         );
-        throw new Error("Trip is no longer available.");
+        throw dispatchError("Trip is no longer available.", "REQUEST_NOT_AVAILABLE", 409);
       }
 
-      const tripId = tripUpdate.rows[0].id;
+      const tripId = trip.id;
 
       // 2. Mark this specific request as accepted
       const result = await query(
@@ -218,12 +758,15 @@ class DispatchService {
         [tripId, requestId]
       );
 
-      logger.info("Booking accepted in broadcast mode", {
+      logger.info("Booking accepted", {
         requestId,
         driverId,
-        tripId
+        tripId,
+        strategy: request.strategy
       });
 
+      await this.publishRequestEvent("request_accepted", request);
+
       return request;
     } catch (error) {
       logger.error("Error accepting booking:", error);
@@ -245,6 +788,9 @@ class DispatchService {
       }
 
       logger.info("Booking rejected", { requestId, driverId, reason });
+
+      await this.publishRequestEvent("request_declined", result.rows[0]);
+
       return result.rows[0];
     } catch (error) {
       logger.error("Error rejecting booking:", error);
@@ -303,7 +849,12 @@ class DispatchService {
        WHERE br.id = $1 AND br.driver_id = $2`,
         [requestId, driverId]
       );
-      return result.rows[0];
+
+      const request = result.rows[0];
+      if (request) {
+        request.stops = await TripStop.findByTrip(request.trip_id);
+      }
+      return request;
     } catch (error) {
       logger.error("Error fetching request details:", error);
       throw error;
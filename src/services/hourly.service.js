@@ -0,0 +1,102 @@
+/**
+ * Hourly Trip Service
+ * Tracks time used on hourly packages and warns before a package runs out
+ *
+ * The package clock starts when the OTP is verified. Time beyond the booked
+ * hours is billed as overtime at completion (PricingService.computeOvertimeCharge).
+ */
+
+const Trip = require('../models/Trip');
+const PricingService = require('./pricing.service');
+const { sendReliableNotification, notifyDriver } = require('./socket.service');
+const logger = require('../utils/logger');
+
+// How long before the package ends the client is warned
+const PACKAGE_WARNING_MINUTES = parseInt(process.env.HOURLY_PACKAGE_WARNING_MINUTES) || 15;
+
+class HourlyTripService {
+  static bookedHours(trip) {
+    return parseFloat(trip.booked_hours) || (trip.estimated_duration / 60) || 1;
+  }
+
+  // Elapsed, remaining and overtime minutes of an hourly trip at `at`
+  static getUsage(trip, at = new Date()) {
+    const bookedMinutes = Math.round(this.bookedHours(trip) * 60);
+
+    if (!trip.otp_verified_at) {
+      return {
+        bookedHours: this.bookedHours(trip),
+        startedAt: null,
+        endsAt: null,
+        elapsedMinutes: 0,
+        remainingMinutes: bookedMinutes,
+        overtimeMinutes: 0
+      };
+    }
+
+    const startedAt = new Date(trip.otp_verified_at);
+    const elapsedMinutes = Math.max(0, Math.floor((at - startedAt) / 60000));
+
+    return {
+      bookedHours: this.bookedHours(trip),
+      startedAt,
+      endsAt: new Date(startedAt.getTime() + bookedMinutes * 60000),
+      elapsedMinutes,
+      remainingMinutes: Math.max(0, bookedMinutes - elapsedMinutes),
+      overtimeMinutes: Math.max(0, elapsedMinutes - bookedMinutes)
+    };
+  }
+
+  /**
+   * Warn clients (and their drivers) whose package ends within the warning
+   * window, with the overtime terms. Each trip is warned once.
+   */
+  static async warnEndingPackages() {
+    const trips = await Trip.findHourlyPackagesEnding(PACKAGE_WARNING_MINUTES);
+    let warned = 0;
+
+    for (const trip of trips) {
+      try {
+        if (!(await Trip.markPackageWarningSent(trip.id))) {
+          continue;
+        }
+
+        const config = (trip.pricing_config_id && await PricingService.getPricingConfigById(trip.pricing_config_id))
+          || await PricingService.getPricingConfig(trip.region);
+        const usage = this.getUsage(trip);
+        const packageFare = trip.total_price + (parseInt(trip.discount_amount) || 0);
+        const { incrementMinutes, incrementRate } = PricingService.computeOvertimeCharge(
+          usage.bookedHours,
+          packageFare,
+          0,
+          config
+        );
+
+        const payload = {
+          tripId: trip.id,
+          bookedHours: usage.bookedHours,
+          endsAt: usage.endsAt,
+          remainingMinutes: usage.remainingMinutes,
+          overtimeIncrementMinutes: incrementMinutes,
+          overtimeIncrementRate: incrementRate,
+          currency: 'XOF',
+          timestamp: new Date().toISOString()
+        };
+
+        await sendReliableNotification(trip.client_id, 'hourly_package_ending', payload);
+        await notifyDriver(trip.driver_id, 'hourly_package_ending', payload);
+        warned++;
+      } catch (error) {
+        logger.error('Error warning about ending hourly package:', { tripId: trip.id, error: error.message });
+      }
+    }
+
+    if (warned > 0) {
+      logger.info('Hourly package warnings sent', { warned });
+    }
+
+    return { warned };
+  }
+}
+
+module.exports = HourlyTripService;
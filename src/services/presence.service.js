@@ -0,0 +1,144 @@
+/**
+ * Presence Service
+ * Tracks which users have sockets open, on every device and server instance
+ *
+ * Each instance keeps its own sockets in memory and mirrors the per-user
+ * count into user_presence, so any instance can answer "is this user online"
+ * and "when were they last seen".
+ */
+
+const UserPresence = require('../models/UserPresence');
+const EventBus = require('./bus');
+const logger = require('../utils/logger');
+
+const HEARTBEAT_SECONDS = parseInt(process.env.PRESENCE_HEARTBEAT_SECONDS) || 30;
+// An instance that missed three heartbeats is treated as gone
+const STALE_SECONDS = HEARTBEAT_SECONDS * 3;
+
+// userId -> Map(socketId -> { role, connectedAt })
+const localSockets = new Map();
+// userId -> promise of the last user_presence write
+const pendingSyncs = new Map();
+
+class PresenceService {
+  static get heartbeatSeconds() {
+    return HEARTBEAT_SECONDS;
+  }
+
+  static async registerSocket(userId, socketId, role) {
+    const key = String(userId);
+    if (!localSockets.has(key)) {
+      localSockets.set(key, new Map());
+    }
+    localSockets.get(key).set(socketId, { role, connectedAt: new Date() });
+
+    await this.syncUser(key);
+  }
+
+  static async unregisterSocket(userId, socketId) {
+    const key = String(userId);
+    const sockets = localSockets.get(key);
+    if (!sockets) {
+      return;
+    }
+
+    sockets.delete(socketId);
+    if (sockets.size === 0) {
+      localSockets.delete(key);
+    }
+
+    await this.syncUser(key);
+  }
+
+  /**
+   * Writes for one user are chained so a quick connect/disconnect cannot
+   * land out of order; each write reads the count at the time it runs.
+   */
+  static syncUser(userId) {
+    const previous = pendingSyncs.get(userId) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => UserPresence.setSocketCount(userId, EventBus.instanceId, this.getLocalSocketIds(userId).length));
+
+    pendingSyncs.set(userId, next);
+    next.catch(() => {}).finally(() => {
+      if (pendingSyncs.get(userId) === next) {
+        pendingSyncs.delete(userId);
+      }
+    });
+
+    return next;
+  }
+
+  static getLocalSocketIds(userId) {
+    const sockets = localSockets.get(String(userId));
+    return sockets ? [...sockets.keys()] : [];
+  }
+
+  static isConnectedLocally(userId) {
+    return localSockets.has(String(userId));
+  }
+
+  /**
+   * Online on any instance. This instance's own sockets are checked first
+   * so the common single-instance case needs no query.
+   */
+  static async isOnline(userId) {
+    if (this.isConnectedLocally(userId)) {
+      return true;
+    }
+
+    const [presence] = await this.getPresence([userId]);
+    return Boolean(presence && presence.online);
+  }
+
+  static async getPresence(userIds) {
+    const ids = [...new Set(userIds.map((id) => parseInt(id)).filter((id) => !isNaN(id)))];
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const rows = await UserPresence.findByUserIds(ids, STALE_SECONDS);
+    return rows.map((row) => ({
+      userId: row.user_id,
+      online: row.socket_count > 0,
+      socketCount: row.socket_count,
+      lastSeenAt: row.last_seen_at
+    }));
+  }
+
+  static async getOnlineUsers({ role = null, limit = 100, offset = 0 } = {}) {
+    const rows = await UserPresence.getOnlineUsers({ role, staleSeconds: STALE_SECONDS, limit, offset });
+    return rows.map((row) => ({
+      userId: row.user_id,
+      fullName: row.full_name,
+      role: row.role,
+      socketCount: row.socket_count,
+      instanceCount: row.instance_count,
+      connectedAt: row.connected_at,
+      lastSeenAt: row.last_seen_at
+    }));
+  }
+
+  // Scheduler job: keep this instance's rows fresh and expire dead instances
+  static async heartbeat() {
+    const [refreshed, cleared] = await Promise.all([
+      UserPresence.touchInstance(EventBus.instanceId),
+      UserPresence.clearStale(STALE_SECONDS)
+    ]);
+
+    if (cleared > 0) {
+      logger.info('Cleared stale presence rows', { cleared });
+    }
+
+    return { refreshed, cleared };
+  }
+
+  // Clean shutdown: this instance's sockets are about to close
+  static async shutdown() {
+    localSockets.clear();
+    await UserPresence.clearInstance(EventBus.instanceId);
+  }
+}
+
+module.exports = PresenceService;
@@ -3,14 +3,56 @@
  * Handles fare calculation, discounts, and commission logic
  */
 
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
+const FareQuote = require('../models/FareQuote');
+const PricingSchedule = require('../models/PricingSchedule');
+const PromoCode = require('../models/PromoCode');
+const PromoService = require('./promo.service');
+const SurgeService = require('./surge.service');
+const { haversineDistance } = require('../utils/geo');
 const logger = require('../utils/logger');
 
+// How long an estimate stays bookable at the quoted price
+const FARE_QUOTE_TTL_MINUTES = parseInt(process.env.FARE_QUOTE_TTL_MINUTES) || 15;
+
+// Road distance is never shorter than the straight line, and rarely more than double it
+const DEFAULT_ROUTE_FACTOR = 1.3;
+const MAX_ROUTE_FACTOR = 2;
+
+const COORDINATE_EPSILON = 0.00001;
+
+// A booking's pickup may drift this far from the quoted one (an immediate
+// quote is booked a few minutes later), as long as it stays day or night
+const QUOTE_PICKUP_TOLERANCE_MINUTES = 15;
+
+// Intermediate stops allowed on one point-to-point trip
+const MAX_TRIP_STOPS = parseInt(process.env.MAX_TRIP_STOPS) || 5;
+
+// Once a driver is committed to the pickup, a client cancellation is charged
+const CHARGEABLE_CANCELLATION_STATUSES = ['accepted', 'waiting_for_pickup', 'in_progress'];
+
+// Scheduled trips can be edited or cancelled for free until this long before pickup
+const SCHEDULED_CHANGE_CUTOFF_MINUTES = parseInt(process.env.SCHEDULED_CHANGE_CUTOFF_MINUTES) || 60;
+
 class PricingService {
-  static async getPricingConfig() {
+  /**
+   * Active config for a region, falling back to the global default
+   * (region IS NULL) when the region has no active config of its own.
+   * With a future `at` (e.g. the pickup time), scheduled changes are honoured.
+   */
+  static async getPricingConfig(region = null, at = null) {
     try {
+      const when = at ? new Date(at) : null;
+      if (when && !isNaN(when) && when > new Date()) {
+        return (await this.getEffectiveConfigAt(region || null, when)) || this.getDefaultConfig();
+      }
+
       const result = await query(
-        `SELECT * FROM pricing_config WHERE is_active = true LIMIT 1`
+        `SELECT * FROM pricing_config
+         WHERE is_active = true AND (region = $1 OR region IS NULL)
+         ORDER BY region IS NULL
+         LIMIT 1`,
+        [region || null]
       );
       return result.rows[0] || this.getDefaultConfig();
     } catch (error) {
@@ -19,82 +61,417 @@ class PricingService {
     }
   }
 
-  // 1. Create a new pricing config and make it the active one
- // pricing.service.js
-  static async createPricingConfig(config) {
+  /**
+   * Config in force at a future time: a scheduled window covering it wins,
+   * then the config an ending window reverts to, then the currently active one.
+   * The region's own configs take precedence over the global default.
+   */
+  static async getEffectiveConfigAt(region, at) {
+    const levels = region ? [region, null] : [null];
+
+    for (const level of levels) {
+      const covering = await PricingSchedule.findCovering(level, at);
+      if (covering) {
+        const config = await this.getPricingConfigById(covering.pricing_config_id);
+        if (config) return config;
+      }
+
+      const ended = await PricingSchedule.findActiveEndingBefore(level, at);
+      if (ended) {
+        const previous = ended.previous_config_id && await this.getPricingConfigById(ended.previous_config_id);
+        if (previous) return previous;
+        // The window reverts to "no config of its own" for this level
+        continue;
+      }
+
+      const current = await query(
+        `SELECT * FROM pricing_config WHERE is_active = true AND region IS NOT DISTINCT FROM $1`,
+        [level]
+      );
+      if (current.rows[0]) return current.rows[0];
+    }
+
+    return null;
+  }
+
+  static async getPricingConfigById(id) {
     try {
       const result = await query(
-        `WITH deactivate_all AS (
-           UPDATE pricing_config SET is_active = false RETURNING id
-         )
-         INSERT INTO pricing_config (
-           commission_percentage, 
-           base_fare, 
-           per_km_rate, 
-           minimum_fare,
-           night_surcharge_percentage, 
-           long_distance_coefficient,
-           hourly_rates, -- ADDED THIS
-           is_active
-         ) VALUES ($1, $2, $3, $4, $5, $6, $7, true) -- ADDED $7
-         RETURNING *`,
-        [
-          config.commission_percentage || 25,
-          config.base_fare || 3000,
-          config.per_km_rate || 300,
-          config.minimum_fare || 5000,
-          config.night_surcharge_percentage || 15,
-          config.long_distance_coefficient || 1.1,
-          config.hourly_rates || '{"1": 5000, "4": 18000, "8": 35000}' // ADDED THIS
-        ]
+        `SELECT * FROM pricing_config WHERE id = $1`,
+        [id]
       );
-
-      return result.rows[0];
+      return result.rows[0] || null;
     } catch (error) {
+      logger.error('Error fetching pricing config by id:', error);
       throw error;
     }
   }
 
-  // 2. View all past and present pricing configs
-  static async getPricingHistory() {
+  // Active config of every region, global default first
+  static async getActivePricingConfigs() {
     try {
       const result = await query(
-        `SELECT * FROM pricing_config ORDER BY created_at DESC`
+        `SELECT * FROM pricing_config
+         WHERE is_active = true
+         ORDER BY region IS NOT NULL, region ASC`
       );
       return result.rows;
+    } catch (error) {
+      logger.error('Error fetching active pricing configs:', error);
+      throw error;
+    }
+  }
+
+  // 1. Create a new pricing config and make it the active one for its region
+  static async createPricingConfig(config) {
+    const region = config.region || null;
+
+    try {
+      return await transaction(async (client) => {
+        await client.query(
+          `UPDATE pricing_config SET is_active = false, updated_at = NOW()
+           WHERE is_active = true AND region IS NOT DISTINCT FROM $1`,
+          [region]
+        );
+
+        const result = await client.query(
+          `INSERT INTO pricing_config (
+             commission_percentage, 
+             base_fare, 
+             per_km_rate, 
+             minimum_fare,
+             night_surcharge_percentage, 
+             long_distance_coefficient,
+             hourly_rates,
+             surge_enabled,
+             surge_demand_threshold,
+             surge_sensitivity,
+             surge_max_multiplier,
+             surge_smoothing_factor,
+             region,
+             cancellation_grace_minutes,
+             cancellation_fee,
+             free_waiting_minutes,
+             waiting_charge_per_minute,
+             overtime_increment_minutes,
+             is_active
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, true)
+           RETURNING *`,
+          [
+            config.commission_percentage || 25,
+            config.base_fare || 3000,
+            config.per_km_rate || 300,
+            config.minimum_fare || 5000,
+            config.night_surcharge_percentage || 15,
+            config.long_distance_coefficient || 1.1,
+            config.hourly_rates || '{"1": 5000, "4": 18000, "8": 35000}',
+            config.surge_enabled === true,
+            config.surge_demand_threshold || 1.0,
+            config.surge_sensitivity || 0.5,
+            config.surge_max_multiplier || 2.0,
+            config.surge_smoothing_factor || 0.3,
+            region,
+            config.cancellation_grace_minutes ?? 5,
+            config.cancellation_fee ?? 1000,
+            config.free_waiting_minutes ?? 5,
+            config.waiting_charge_per_minute ?? 50,
+            config.overtime_increment_minutes ?? 15
+          ]
+        );
+
+        logger.info('Pricing config created', { configId: result.rows[0].id, region });
+        return result.rows[0];
+      });
+    } catch (error) {
+      logger.error('Error creating pricing config:', error);
+      throw error;
+    }
+  }
+
+  // 2. View all past and present pricing configs, optionally for one region
+  static async getPricingHistory(region) {
+    try {
+      const result = region === undefined
+        ? await query(`SELECT * FROM pricing_config ORDER BY created_at DESC`)
+        : await query(
+          `SELECT * FROM pricing_config
+           WHERE region IS NOT DISTINCT FROM $1
+           ORDER BY created_at DESC`,
+          [region || null]
+        );
+      return result.rows;
     } catch (error) {
       logger.error('Error fetching pricing history:', error);
       throw error;
     }
   }
 
-  // 3. Activate a specific historical pricing config
+  // 3. Activate a specific historical pricing config within its own region
   static async activatePricingConfig(id) {
     try {
-      // Deactivate all, then activate only the specified ID
-      const result = await query(
-        `WITH deactivate_all AS (
-           UPDATE pricing_config SET is_active = false RETURNING id
-         )
-         UPDATE pricing_config 
-         SET is_active = true, updated_at = NOW() 
-         WHERE id = $1 
-         RETURNING *`,
-        [id]
+      return await transaction((client) => this.activateConfigWithClient(client, id));
+    } catch (error) {
+      logger.error('Error activating pricing config:', error);
+      throw error;
+    }
+  }
+
+  // Make `id` the only active config of its region, inside the caller's transaction
+  static async activateConfigWithClient(client, id) {
+    const target = await client.query(
+      `SELECT id, region FROM pricing_config WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+
+    if (target.rows.length === 0) {
+      const err = new Error('Pricing configuration not found');
+      err.statusCode = 404;
+      err.code = 'PRICING_CONFIG_NOT_FOUND';
+      throw err;
+    }
+
+    const { region } = target.rows[0];
+
+    // Deactivate the region's current config, then activate only the specified ID
+    await client.query(
+      `UPDATE pricing_config SET is_active = false, updated_at = NOW()
+       WHERE is_active = true AND region IS NOT DISTINCT FROM $1 AND id <> $2`,
+      [region, id]
+    );
+
+    const result = await client.query(
+      `UPDATE pricing_config 
+       SET is_active = true, updated_at = NOW() 
+       WHERE id = $1 
+       RETURNING *`,
+      [id]
+    );
+
+    logger.info(`Pricing config ID ${id} activated`, { region });
+    return result.rows[0];
+  }
+
+  /**
+   * Schedule a config to become active in its region at `startsAt`, and
+   * optionally revert to whatever was active before it at `endsAt`.
+   */
+  static async schedulePricingConfig(configId, { startsAt, endsAt = null, createdBy = null }) {
+    const fail = (message, code, statusCode = 409) => {
+      const err = new Error(message);
+      err.statusCode = statusCode;
+      err.code = code;
+      throw err;
+    };
+
+    const config = await this.getPricingConfigById(configId);
+    if (!config) {
+      fail('Pricing configuration not found', 'PRICING_CONFIG_NOT_FOUND', 404);
+    }
+
+    const start = new Date(startsAt);
+    const end = endsAt ? new Date(endsAt) : null;
+
+    if (start <= new Date()) {
+      fail('startsAt must be in the future', 'INVALID_SCHEDULE', 400);
+    }
+    if (end && end <= start) {
+      fail('endsAt must be after startsAt', 'INVALID_SCHEDULE', 400);
+    }
+
+    const region = config.region || null;
+    const overlapping = await PricingSchedule.findOverlapping(region, start, end);
+    if (overlapping) {
+      fail(
+        `Overlaps pricing schedule ${overlapping.id} for this region`,
+        'PRICING_SCHEDULE_CONFLICT'
       );
+    }
 
-      if (result.rows.length === 0) {
-        throw new Error('Pricing configuration not found');
-      }
+    return PricingSchedule.create({
+      pricingConfigId: config.id,
+      region,
+      startsAt: start,
+      endsAt: end,
+      createdBy
+    });
+  }
 
-      logger.info(`Pricing config ID ${id} activated`);
-      return result.rows[0];
+  static async getUpcomingSchedules(region) {
+    return PricingSchedule.getUpcoming(region);
+  }
+
+  /**
+   * Cancel a schedule. A pending one simply never starts; an active one
+   * ends now and reverts to the config it replaced.
+   */
+  static async cancelPricingSchedule(scheduleId) {
+    try {
+      return await transaction(async (client) => {
+        const result = await client.query(
+          `SELECT * FROM pricing_schedules WHERE id = $1 FOR UPDATE`,
+          [scheduleId]
+        );
+        const schedule = result.rows[0];
+
+        if (!schedule) {
+          const err = new Error('Pricing schedule not found');
+          err.statusCode = 404;
+          err.code = 'PRICING_SCHEDULE_NOT_FOUND';
+          throw err;
+        }
+
+        if (!['pending', 'active'].includes(schedule.status)) {
+          const err = new Error(`Pricing schedule is already ${schedule.status}`);
+          err.statusCode = 409;
+          err.code = 'PRICING_SCHEDULE_NOT_CANCELLABLE';
+          throw err;
+        }
+
+        if (schedule.status === 'active') {
+          await this.revertScheduleWithClient(client, schedule);
+        }
+
+        const updated = await client.query(
+          `UPDATE pricing_schedules SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+           WHERE id = $1 RETURNING *`,
+          [scheduleId]
+        );
+
+        logger.info('Pricing schedule cancelled', { scheduleId, previousStatus: schedule.status });
+        return updated.rows[0];
+      });
     } catch (error) {
-      logger.error('Error activating pricing config:', error);
+      logger.error('Error cancelling pricing schedule:', error);
       throw error;
     }
   }
 
+  // Put back the config an active schedule replaced, unless an admin has since switched away from it
+  static async revertScheduleWithClient(client, schedule) {
+    const current = await client.query(
+      `SELECT is_active FROM pricing_config WHERE id = $1`,
+      [schedule.pricing_config_id]
+    );
+
+    if (!current.rows[0] || !current.rows[0].is_active) {
+      return;
+    }
+
+    if (schedule.previous_config_id) {
+      await this.activateConfigWithClient(client, schedule.previous_config_id);
+    } else {
+      // The region had no config of its own: fall back to the global default again
+      await client.query(
+        `UPDATE pricing_config SET is_active = false, updated_at = NOW() WHERE id = $1`,
+        [schedule.pricing_config_id]
+      );
+    }
+  }
+
+  /**
+   * Background job: start schedules whose time has come and end expired ones.
+   * Each schedule is handled in its own transaction with a row lock, so a
+   * failure (or another server instance) never blocks the others.
+   */
+  static async processPricingSchedules() {
+    let started = 0;
+    let ended = 0;
+
+    for (const scheduleId of await PricingSchedule.findDueToStart()) {
+      try {
+        if (await this.startPricingSchedule(scheduleId)) started++;
+      } catch (error) {
+        logger.error('Failed to start pricing schedule', { scheduleId, error: error.message });
+      }
+    }
+
+    for (const scheduleId of await PricingSchedule.findDueToEnd()) {
+      try {
+        if (await this.endPricingSchedule(scheduleId)) ended++;
+      } catch (error) {
+        logger.error('Failed to end pricing schedule', { scheduleId, error: error.message });
+      }
+    }
+
+    return { started, ended };
+  }
+
+  static async startPricingSchedule(scheduleId) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `SELECT *, (ends_at IS NOT NULL AND ends_at <= NOW()) AS window_passed
+         FROM pricing_schedules
+         WHERE id = $1 AND status = 'pending' AND starts_at <= NOW()
+         FOR UPDATE SKIP LOCKED`,
+        [scheduleId]
+      );
+      const schedule = result.rows[0];
+      if (!schedule) {
+        return false;
+      }
+
+      // The whole window elapsed while the scheduler was not running
+      if (schedule.window_passed) {
+        await client.query(
+          `UPDATE pricing_schedules SET status = 'missed', completed_at = NOW(), updated_at = NOW() WHERE id = $1`,
+          [scheduleId]
+        );
+        logger.warn('Pricing schedule window passed before it could start', { scheduleId });
+        return false;
+      }
+
+      const previous = await client.query(
+        `SELECT id FROM pricing_config WHERE is_active = true AND region IS NOT DISTINCT FROM $1`,
+        [schedule.region]
+      );
+      const previousConfigId = previous.rows[0] ? previous.rows[0].id : null;
+
+      await this.activateConfigWithClient(client, schedule.pricing_config_id);
+      await client.query(
+        `UPDATE pricing_schedules
+         SET status = 'active', previous_config_id = $2, activated_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [scheduleId, previousConfigId]
+      );
+
+      logger.info('Pricing schedule started', {
+        scheduleId,
+        region: schedule.region,
+        configId: schedule.pricing_config_id,
+        previousConfigId
+      });
+      return true;
+    });
+  }
+
+  static async endPricingSchedule(scheduleId) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `SELECT * FROM pricing_schedules
+         WHERE id = $1 AND status = 'active' AND ends_at <= NOW()
+         FOR UPDATE SKIP LOCKED`,
+        [scheduleId]
+      );
+      const schedule = result.rows[0];
+      if (!schedule) {
+        return false;
+      }
+
+      await this.revertScheduleWithClient(client, schedule);
+      await client.query(
+        `UPDATE pricing_schedules SET status = 'completed', completed_at = NOW(), updated_at = NOW() WHERE id = $1`,
+        [scheduleId]
+      );
+
+      logger.info('Pricing schedule ended', {
+        scheduleId,
+        region: schedule.region,
+        revertedTo: schedule.previous_config_id
+      });
+      return true;
+    });
+  }
+
   static getDefaultConfig() {
     return {
       commission_percentage: 25,
@@ -110,13 +487,37 @@ class PricingService {
       night_start_hour: 22,
       night_end_hour: 6,
       long_distance_coefficient: 1.1,
-      long_distance_threshold_km: 50
+      long_distance_threshold_km: 50,
+      surge_enabled: false,
+      surge_demand_threshold: 1.0,
+      surge_sensitivity: 0.5,
+      surge_max_multiplier: 2.0,
+      surge_smoothing_factor: 0.3,
+      cancellation_grace_minutes: 5,
+      cancellation_fee: 1000,
+      free_waiting_minutes: 5,
+      waiting_charge_per_minute: 50,
+      overtime_increment_minutes: 15
     };
   }
 
-  static async calculatePointToPointFare(distance, pickupTime, isNightTrip = false) {
+  /**
+   * Surge multiplier to apply: an explicit options.surgeMultiplier (e.g. the one
+   * locked on a trip) wins, otherwise the live multiplier of options.region.
+   */
+  static async resolveSurgeMultiplier(config, options) {
+    if (options.surgeMultiplier !== undefined && options.surgeMultiplier !== null) {
+      return parseFloat(options.surgeMultiplier);
+    }
+    return SurgeService.getSurgeMultiplier(options.region, config);
+  }
+
+  // options.config prices against a specific config instead of the region's active one;
+  // options.region / options.surgeMultiplier drive demand-based surge
+  static async calculatePointToPointFare(distance, pickupTime, isNightTrip = false, options = {}) {
     try {
-      const config = await this.getPricingConfig();
+      const config = options.config || await this.getPricingConfig(options.region, pickupTime);
+      const surgeMultiplier = await this.resolveSurgeMultiplier(config, options);
       
       // Base calculation
       let fare = config.base_fare + (distance * config.per_km_rate);
@@ -129,6 +530,9 @@ class PricingService {
         fare *= config.long_distance_coefficient;
       }
 
+      // Apply demand surge
+      fare *= surgeMultiplier;
+
       // Apply night surcharge
       if (isNightTrip) {
         fare *= (1 + config.night_surcharge_percentage / 100);
@@ -141,7 +545,8 @@ class PricingService {
           nightSurcharge: isNightTrip ? (fare * config.night_surcharge_percentage / 100) : 0,
           longDistanceMultiplier: distance > config.long_distance_threshold_km 
             ? config.long_distance_coefficient 
-            : 1
+            : 1,
+          surgeMultiplier
         },
         totalFare: Math.round(fare),
         currency: 'XOF'
@@ -152,9 +557,10 @@ class PricingService {
     }
   }
 
-  static async calculateHourlyFare(hours, isNightTrip = false) {
+  static async calculateHourlyFare(hours, isNightTrip = false, options = {}) {
     try {
-      const config = await this.getPricingConfig();
+      const config = options.config || await this.getPricingConfig(options.region, options.pickupTime);
+      const surgeMultiplier = await this.resolveSurgeMultiplier(config, options);
       const hourlyRates = config.hourly_rates;
 
       let fare = 0;
@@ -171,6 +577,9 @@ class PricingService {
         fare = hourlyRates[1];
       }
 
+      // Apply demand surge
+      fare *= surgeMultiplier;
+
       // Apply night surcharge
       if (isNightTrip) {
         fare *= (1 + config.night_surcharge_percentage / 100);
@@ -180,7 +589,8 @@ class PricingService {
         baseRate: this.getApplicableHourlyRate(hours, hourlyRates),
         hours,
         surcharges: {
-          nightSurcharge: isNightTrip ? (fare * config.night_surcharge_percentage / 100) : 0
+          nightSurcharge: isNightTrip ? (fare * config.night_surcharge_percentage / 100) : 0,
+          surgeMultiplier
         },
         totalFare: Math.round(fare),
         currency: 'XOF'
@@ -191,15 +601,478 @@ class PricingService {
     }
   }
 
+  /**
+   * Final fare for a finished trip, computed from server-measured metrics
+   * rather than anything reported by the driver app.
+   */
+  static async calculateFinalFare(trip, metrics) {
+    try {
+      const startTime = trip.otp_verified_at || trip.scheduled_time;
+      const isNight = this.isNightTrip(startTime);
+
+      // Price with the config that was quoted at booking, not whatever is active now
+      const config = (trip.pricing_config_id && await this.getPricingConfigById(trip.pricing_config_id))
+        || await this.getPricingConfig(trip.region, startTime);
+
+      let fare;
+
+      if (trip.booking_type === 'hourly') {
+        // The booked package (before any promo discount) is paid in full, even if ended early;
+        // time beyond it is billed as overtime at the package's own hourly rate
+        const bookedHours = parseFloat(trip.booked_hours) || (trip.estimated_duration / 60) || 1;
+        const packageFare = trip.total_price + (parseInt(trip.discount_amount) || 0);
+        const overtime = this.computeOvertimeCharge(bookedHours, packageFare, metrics.durationMinutes, config);
+
+        fare = {
+          bookedHours,
+          packageFare,
+          usedMinutes: metrics.durationMinutes,
+          overtime,
+          surcharges: {
+            surgeMultiplier: parseFloat(trip.surge_multiplier) || 1
+          },
+          totalFare: packageFare + overtime.overtimeCharge,
+          currency: 'XOF'
+        };
+      } else {
+        fare = await this.calculatePointToPointFare(metrics.distanceKm, startTime, isNight, {
+          config,
+          surgeMultiplier: trip.surge_multiplier || 1
+        });
+      }
+
+      const discounted = await this.applyTripDiscount(trip, fare);
+
+      // Waiting at pickup is billed on top, outside any promo discount
+      const waitingCharge = parseInt(trip.waiting_charge) || 0;
+      return {
+        ...discounted,
+        waitingMinutes: parseInt(trip.waiting_minutes) || 0,
+        waitingCharge,
+        totalFare: discounted.totalFare + waitingCharge
+      };
+    } catch (error) {
+      logger.error('Error calculating final fare:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Overtime for an hourly package: every started `overtime_increment_minutes`
+   * beyond the booked hours is billed at the package's prorated rate
+   * (package fare / booked hours), so surge and night pricing carry over.
+   */
+  static computeOvertimeCharge(bookedHours, packageFare, usedMinutes, config) {
+    const bookedMinutes = Math.round(bookedHours * 60);
+    const incrementMinutes = parseInt(config.overtime_increment_minutes) || 15;
+    const overtimeMinutes = Math.max(0, Math.round(usedMinutes - bookedMinutes));
+    const increments = Math.ceil(overtimeMinutes / incrementMinutes);
+    const incrementRate = Math.round((packageFare / bookedMinutes) * incrementMinutes);
+
+    return {
+      bookedMinutes,
+      overtimeMinutes,
+      incrementMinutes,
+      increments,
+      billedMinutes: increments * incrementMinutes,
+      incrementRate,
+      overtimeCharge: increments * incrementRate
+    };
+  }
+
+  /**
+   * Re-apply the promo redeemed at booking to the final fare, so percentage
+   * discounts follow the actual price. Validity is not re-checked here.
+   */
+  static async applyTripDiscount(trip, fare) {
+    if (!trip.promo_code_id) {
+      return fare;
+    }
+
+    const promo = await PromoCode.findById(trip.promo_code_id);
+    const discountAmount = promo
+      ? PromoService.computeDiscount(promo, fare.totalFare)
+      : Math.min(parseInt(trip.discount_amount) || 0, fare.totalFare);
+
+    return {
+      ...fare,
+      fareBeforeDiscount: fare.totalFare,
+      discountAmount,
+      totalFare: fare.totalFare - discountAmount
+    };
+  }
+
+  /**
+   * Waiting charge for a driver who arrived at `arrivedAt` and started the
+   * trip at `startedAt`: every started minute beyond the free allowance is billed.
+   */
+  static computeWaitingCharge(arrivedAt, startedAt, config) {
+    if (!arrivedAt) {
+      return { waitingMinutes: 0, chargeableMinutes: 0, waitingCharge: 0 };
+    }
+
+    const waitedMinutes = Math.max(0, (new Date(startedAt) - new Date(arrivedAt)) / 60000);
+    const freeMinutes = parseInt(config.free_waiting_minutes) || 0;
+    const chargeableMinutes = Math.max(0, Math.ceil(waitedMinutes - freeMinutes));
+
+    return {
+      waitingMinutes: Math.floor(waitedMinutes),
+      chargeableMinutes,
+      waitingCharge: chargeableMinutes * (parseInt(config.waiting_charge_per_minute) || 0)
+    };
+  }
+
+  // Waiting charge under the config the trip was quoted with
+  static async calculateWaitingCharge(trip, startedAt = new Date()) {
+    try {
+      const config = (trip.pricing_config_id && await this.getPricingConfigById(trip.pricing_config_id))
+        || await this.getPricingConfig(trip.region);
+
+      return this.computeWaitingCharge(trip.arrived_at, startedAt, config);
+    } catch (error) {
+      logger.error('Error calculating waiting charge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fee for cancelling `trip` at `at`. Only client cancellations are charged,
+   * and only once a driver has accepted and the grace period after booking
+   * has passed. The fee is split with the driver at the commission rate.
+   */
+  static computeCancellationFee(trip, config, cancelledBy, at = new Date()) {
+    const graceMinutes = parseInt(config.cancellation_grace_minutes) || 0;
+    const minutesSinceBooking = (at - new Date(trip.created_at)) / 60000;
+    const fee = Math.min(parseInt(config.cancellation_fee) || 0, trip.total_price || Infinity);
+
+    // Scheduled trips: free until the cutoff, then charged once a driver holds the trip
+    const committed = trip.is_scheduled
+      ? Boolean(trip.driver_id) && !this.isBeforeScheduledCutoff(trip, at)
+      : CHARGEABLE_CANCELLATION_STATUSES.includes(trip.status) && minutesSinceBooking > graceMinutes;
+
+    const chargeable = cancelledBy === 'client' && committed && fee > 0;
+
+    if (!chargeable) {
+      return { fee: 0, platformShare: 0, driverShare: 0, graceMinutes, currency: 'XOF' };
+    }
+
+    const platformShare = Math.round((fee * parseFloat(config.commission_percentage)) / 100);
+
+    return {
+      fee,
+      platformShare,
+      driverShare: fee - platformShare,
+      graceMinutes,
+      currency: 'XOF'
+    };
+  }
+
+  static get scheduledChangeCutoffMinutes() {
+    return SCHEDULED_CHANGE_CUTOFF_MINUTES;
+  }
+
+  // Whether a scheduled trip can still be edited or cancelled for free
+  static isBeforeScheduledCutoff(trip, at = new Date()) {
+    const cutoff = new Date(trip.scheduled_time).getTime() - SCHEDULED_CHANGE_CUTOFF_MINUTES * 60000;
+    return at.getTime() < cutoff;
+  }
+
+  // Cancellation fee under the policy of the config the trip was quoted with
+  static async calculateCancellationFee(trip, cancelledBy, at = new Date()) {
+    try {
+      const config = (trip.pricing_config_id && await this.getPricingConfigById(trip.pricing_config_id))
+        || await this.getPricingConfig(trip.region);
+
+      return this.computeCancellationFee(trip, config, cancelledBy, at);
+    } catch (error) {
+      logger.error('Error calculating cancellation fee:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate the intermediate stops of a booking and return them as
+   * { latitude, longitude, address } in travel order.
+   */
+  static normalizeStops(stops) {
+    if (stops === undefined || stops === null) {
+      return [];
+    }
+
+    const fail = (message) => {
+      const err = new Error(message);
+      err.statusCode = 400;
+      err.code = 'INVALID_STOPS';
+      throw err;
+    };
+
+    if (!Array.isArray(stops)) {
+      fail('stops must be an array');
+    }
+    if (stops.length > MAX_TRIP_STOPS) {
+      fail(`A trip can have at most ${MAX_TRIP_STOPS} stops`);
+    }
+
+    return stops.map((stop, index) => {
+      const latitude = parseFloat(stop && (stop.latitude ?? stop.lat));
+      const longitude = parseFloat(stop && (stop.longitude ?? stop.lng));
+
+      if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        fail(`Stop ${index + 1} needs a valid latitude and longitude`);
+      }
+
+      return { latitude, longitude, address: stop.address || null };
+    });
+  }
+
+  // Straight-line length (km) of each leg from pickup through the stops to the destination
+  static computeLegs(pickupLat, pickupLng, destinationLat, destinationLng, stops = []) {
+    const points = [
+      { latitude: parseFloat(pickupLat), longitude: parseFloat(pickupLng) },
+      ...stops,
+      { latitude: parseFloat(destinationLat), longitude: parseFloat(destinationLng) }
+    ];
+
+    return points.slice(1).map((point, index) => ({
+      leg: index + 1,
+      straightLineKm: Math.round(haversineDistance(
+        points[index].latitude, points[index].longitude,
+        point.latitude, point.longitude
+      ) * 100) / 100
+    }));
+  }
+
+  /**
+   * Road distance (km) for a point-to-point booking over all its legs. A
+   * client-supplied route distance is clamped between the straight-line
+   * distance and MAX_ROUTE_FACTOR times it; without one, a typical detour
+   * factor is applied.
+   */
+  static resolveRouteDistance(pickupLat, pickupLng, destinationLat, destinationLng, routeDistance, stops = []) {
+    const straightLine = this.computeLegs(pickupLat, pickupLng, destinationLat, destinationLng, stops)
+      .reduce((sum, leg) => sum + leg.straightLineKm, 0);
+
+    const reported = parseFloat(routeDistance);
+    let distance = straightLine * DEFAULT_ROUTE_FACTOR;
+
+    if (!isNaN(reported) && reported > 0) {
+      distance = Math.min(Math.max(reported, straightLine), straightLine * MAX_ROUTE_FACTOR);
+    }
+
+    return Math.round(distance * 100) / 100;
+  }
+
+  /**
+   * Compute a fare server-side from booking inputs (coordinates or hours).
+   * Used by both /estimate-fare and /book-trip so they always agree.
+   */
+  static async quoteFare(params) {
+    const {
+      bookingType,
+      pickupLat,
+      pickupLng,
+      destinationLat,
+      destinationLng,
+      hours,
+      pickupTime,
+      routeDistance,
+      region,
+      promoCode,
+      clientId
+    } = params;
+
+    try {
+      const stops = bookingType === 'hourly' ? [] : this.normalizeStops(params.stops);
+      const time = pickupTime ? new Date(pickupTime) : new Date();
+      const isNight = this.isNightTrip(time);
+
+      // Resolve the config in force at pickup once, so fare and commission come from the same row
+      const config = await this.getPricingConfig(region, time);
+      const surgeMultiplier = await SurgeService.getSurgeMultiplier(region, config);
+
+      let fareEstimate;
+      let distanceKm = null;
+      let legs = null;
+      let basePrice;
+
+      if (bookingType === 'hourly') {
+        fareEstimate = await this.calculateHourlyFare(parseFloat(hours), isNight, { config, surgeMultiplier });
+        basePrice = fareEstimate.baseRate;
+      } else {
+        legs = this.computeLegs(pickupLat, pickupLng, destinationLat, destinationLng, stops);
+        distanceKm = this.resolveRouteDistance(pickupLat, pickupLng, destinationLat, destinationLng, routeDistance, stops);
+        fareEstimate = await this.calculatePointToPointFare(distanceKm, time, isNight, { config, surgeMultiplier });
+        basePrice = fareEstimate.baseFare;
+      }
+
+      // Promo discounts come off the fare before the commission split
+      let promo = null;
+      let discountAmount = 0;
+      if (promoCode) {
+        ({ promo, discountAmount } = await PromoService.applyPromo(promoCode, {
+          userId: clientId,
+          bookingType,
+          region,
+          fare: fareEstimate.totalFare
+        }));
+      }
+
+      const commissionBreakdown = await this.calculateCommission(fareEstimate.totalFare - discountAmount, { config });
+
+      return {
+        pricingConfigId: config.id || null,
+        region: region || null,
+        surgeMultiplier,
+        bookingType,
+        pickupLat: parseFloat(pickupLat),
+        pickupLng: parseFloat(pickupLng),
+        destinationLat: bookingType === 'hourly' ? null : parseFloat(destinationLat),
+        destinationLng: bookingType === 'hourly' ? null : parseFloat(destinationLng),
+        hours: bookingType === 'hourly' ? parseFloat(hours) : null,
+        stops,
+        legs,
+        pickupTime: time.toISOString(),
+        distanceKm,
+        basePrice: Math.round(basePrice),
+        fareEstimate,
+        promoCodeId: promo ? promo.id : null,
+        promoCode: promo ? promo.code : null,
+        discountAmount,
+        commissionBreakdown
+      };
+    } catch (error) {
+      logger.error('Error quoting fare:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Persist a quote so the estimated price can be locked in at booking time,
+   * even if an admin activates a different pricing config in between.
+   */
+  static async createFareQuote(clientId, quote) {
+    const expiresAt = new Date(Date.now() + FARE_QUOTE_TTL_MINUTES * 60 * 1000);
+
+    return FareQuote.create({
+      clientId,
+      pricingConfigId: quote.pricingConfigId,
+      bookingType: quote.bookingType,
+      pickupLat: quote.pickupLat,
+      pickupLng: quote.pickupLng,
+      destinationLat: quote.destinationLat,
+      destinationLng: quote.destinationLng,
+      hours: quote.hours,
+      stops: quote.stops,
+      pickupTime: quote.pickupTime,
+      distanceKm: quote.distanceKm,
+      basePrice: quote.basePrice,
+      totalPrice: quote.commissionBreakdown.totalFare,
+      platformCommission: quote.commissionBreakdown.platformCommission,
+      driverEarnings: quote.commissionBreakdown.driverEarnings,
+      commissionPercentage: quote.commissionBreakdown.commissionPercentage,
+      region: quote.region,
+      surgeMultiplier: quote.surgeMultiplier,
+      promoCodeId: quote.promoCodeId,
+      discountAmount: quote.discountAmount,
+      breakdown: {
+        fareEstimate: quote.fareEstimate,
+        promoCode: quote.promoCode,
+        discountAmount: quote.discountAmount,
+        commissionBreakdown: quote.commissionBreakdown,
+        legs: quote.legs
+      },
+      expiresAt
+    });
+  }
+
+  // Same stops, in the same order, as the ones a quote was priced with
+  static sameStops(quotedStops, stops) {
+    return quotedStops.length === stops.length && quotedStops.every((quoted, index) =>
+      Math.abs(parseFloat(quoted.latitude) - stops[index].latitude) < COORDINATE_EPSILON
+      && Math.abs(parseFloat(quoted.longitude) - stops[index].longitude) < COORDINATE_EPSILON
+    );
+  }
+
+  /**
+   * Load a quote for booking and check it belongs to this client, is still
+   * valid and was issued for the same trip. Throws an error carrying
+   * statusCode/code when it cannot be honoured.
+   */
+  static async getBookableQuote(quoteId, clientId, booking) {
+    const quote = await FareQuote.findById(quoteId);
+
+    const fail = (message, code, statusCode = 409) => {
+      const err = new Error(message);
+      err.statusCode = statusCode;
+      err.code = code;
+      throw err;
+    };
+
+    if (!quote || String(quote.client_id) !== String(clientId)) {
+      fail('Fare quote not found', 'FARE_QUOTE_NOT_FOUND', 404);
+    }
+    if (quote.used_at) {
+      fail('Fare quote has already been used', 'FARE_QUOTE_USED');
+    }
+    if (new Date(quote.expires_at) <= new Date()) {
+      fail('Fare quote has expired, please request a new estimate', 'FARE_QUOTE_EXPIRED');
+    }
+
+    const sameCoordinate = (a, b) => (a === null && (b === null || b === undefined))
+      || Math.abs(parseFloat(a) - parseFloat(b)) < COORDINATE_EPSILON;
+
+    // The quote's config, surge and night surcharge were resolved at its pickup time
+    const pickupTime = booking.scheduledTime ? new Date(booking.scheduledTime) : new Date();
+    const quotedPickupTime = new Date(quote.pickup_time);
+    const samePickupTime = Math.abs(pickupTime - quotedPickupTime) <= QUOTE_PICKUP_TOLERANCE_MINUTES * 60000
+      && this.isNightTrip(pickupTime) === this.isNightTrip(quotedPickupTime);
+
+    const matches = quote.booking_type === booking.bookingType
+      && samePickupTime
+      // A quote is only valid for the region whose pricing and surge it was computed with
+      && quote.region === booking.region
+      && sameCoordinate(quote.pickup_latitude, booking.pickupLat)
+      && sameCoordinate(quote.pickup_longitude, booking.pickupLng)
+      && (booking.bookingType === 'hourly'
+        ? parseFloat(quote.hours) === parseFloat(booking.hours)
+        : sameCoordinate(quote.destination_latitude, booking.destinationLat)
+          && sameCoordinate(quote.destination_longitude, booking.destinationLng)
+          && this.sameStops(quote.stops || [], booking.stops || []));
+
+    if (!matches) {
+      fail('Fare quote does not match this booking', 'FARE_QUOTE_MISMATCH');
+    }
+
+    // The promo code sent at booking must be the one the quote was priced with,
+    // and must still be usable
+    const promoCode = booking.promoCode ? PromoService.normalizeCode(booking.promoCode) : null;
+    const quotedPromo = quote.promo_code_id ? await PromoCode.findById(quote.promo_code_id) : null;
+
+    if ((quotedPromo ? quotedPromo.code : null) !== promoCode) {
+      fail('Promo code does not match the fare quote', 'FARE_QUOTE_MISMATCH');
+    }
+
+    if (promoCode) {
+      await PromoService.applyPromo(promoCode, {
+        userId: clientId,
+        bookingType: quote.booking_type,
+        region: booking.region,
+        fare: quote.total_price + (quote.discount_amount || 0)
+      });
+    }
+
+    return quote;
+  }
+
   static getApplicableHourlyRate(hours, rates) {
     if (hours >= 8) return rates[8];
     if (hours >= 4) return rates[4];
     return rates[1];
   }
 
-  static async calculateCommission(totalFare) {
+  static async calculateCommission(totalFare, options = {}) {
     try {
-      const config = await this.getPricingConfig();
+      const config = options.config || await this.getPricingConfig(options.region, options.pickupTime);
       const commissionPercentage = config.commission_percentage;
       const commission = (totalFare * commissionPercentage) / 100;
       const driverEarnings = totalFare - commission;
@@ -233,7 +1106,7 @@ class PricingService {
              night_surcharge_percentage = $5,
              long_distance_coefficient = $6,
              updated_at = NOW()
-         WHERE is_active = true
+         WHERE is_active = true AND region IS NOT DISTINCT FROM $7
          RETURNING *`,
         [
           config.commission_percentage,
@@ -241,11 +1114,12 @@ class PricingService {
           config.per_km_rate,
           config.minimum_fare,
           config.night_surcharge_percentage,
-          config.long_distance_coefficient
+          config.long_distance_coefficient,
+          config.region || null
         ]
       );
 
-      logger.info('Pricing config updated');
+      logger.info('Pricing config updated', { region: config.region || null });
       return result.rows[0];
     } catch (error) {
       logger.error('Error updating pricing config:', error);
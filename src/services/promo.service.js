@@ -0,0 +1,226 @@
+/**
+ * Promo Service
+ * Promo code validation and discount calculation
+ */
+
+const PromoCode = require('../models/PromoCode');
+const logger = require('../utils/logger');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const BOOKING_TYPES = ['point-to-point', 'hourly'];
+
+const promoError = (message, code, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+class PromoService {
+  static normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Discount (XOF) a promo gives on a fare: percentage discounts are capped
+   * by max_discount, and no discount ever exceeds the fare itself.
+   */
+  static computeDiscount(promo, fare) {
+    const value = parseFloat(promo.discount_value);
+    let discount = promo.discount_type === 'percentage'
+      ? (fare * value) / 100
+      : value;
+
+    if (promo.max_discount !== null && promo.max_discount !== undefined) {
+      discount = Math.min(discount, promo.max_discount);
+    }
+
+    return Math.round(Math.max(0, Math.min(discount, fare)));
+  }
+
+  /**
+   * Reason a promo cannot be used in this context, or null when it can.
+   * `context` carries the booking plus the user's redemption and trip counts.
+   */
+  static checkEligibility(promo, context) {
+    const { bookingType, region, fare, at = new Date(), userRedemptions = 0, clientTrips = 0 } = context;
+
+    if (!promo.is_active) {
+      return { code: 'PROMO_INACTIVE', message: 'This promo code is no longer active' };
+    }
+    if (promo.valid_from && new Date(promo.valid_from) > at) {
+      return { code: 'PROMO_NOT_STARTED', message: 'This promo code is not valid yet' };
+    }
+    if (promo.valid_until && new Date(promo.valid_until) <= at) {
+      return { code: 'PROMO_EXPIRED', message: 'This promo code has expired' };
+    }
+    if (promo.max_uses !== null && promo.max_uses !== undefined && promo.times_used >= promo.max_uses) {
+      return { code: 'PROMO_USAGE_LIMIT', message: 'This promo code has reached its usage limit' };
+    }
+    if (promo.max_uses_per_user !== null && promo.max_uses_per_user !== undefined
+      && userRedemptions >= promo.max_uses_per_user) {
+      return { code: 'PROMO_USER_LIMIT', message: 'You have already used this promo code' };
+    }
+    if (promo.booking_types && promo.booking_types.length > 0 && !promo.booking_types.includes(bookingType)) {
+      return { code: 'PROMO_BOOKING_TYPE', message: 'This promo code does not apply to this booking type' };
+    }
+    if (promo.regions && promo.regions.length > 0 && !promo.regions.includes(region)) {
+      return { code: 'PROMO_REGION', message: 'This promo code is not valid in this region' };
+    }
+    if (promo.first_ride_only && clientTrips > 0) {
+      return { code: 'PROMO_FIRST_RIDE', message: 'This promo code is only valid on your first ride' };
+    }
+    if (promo.min_fare && fare < promo.min_fare) {
+      return { code: 'PROMO_MIN_FARE', message: `This promo code requires a minimum fare of ${promo.min_fare} XOF` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Look up a code and check it can be applied to this booking.
+   * Returns the promo and the discount on `fare`; throws an error carrying
+   * statusCode/code otherwise.
+   */
+  static async applyPromo(code, { userId, bookingType, region, fare }) {
+    const promo = await PromoCode.findByCode(this.normalizeCode(code));
+    if (!promo) {
+      throw promoError('Promo code not found', 'PROMO_NOT_FOUND', 404);
+    }
+
+    const [userRedemptions, clientTrips] = await Promise.all([
+      userId ? PromoCode.countUserRedemptions(promo.id, userId) : 0,
+      userId && promo.first_ride_only ? PromoCode.countClientTrips(userId) : 0
+    ]);
+
+    const ineligible = this.checkEligibility(promo, {
+      bookingType,
+      region,
+      fare,
+      userRedemptions,
+      clientTrips
+    });
+
+    if (ineligible) {
+      throw promoError(ineligible.message, ineligible.code);
+    }
+
+    const discountAmount = this.computeDiscount(promo, fare);
+    logger.debug('Promo code applied', { promoId: promo.id, userId, fare, discountAmount });
+
+    return { promo, discountAmount };
+  }
+
+  /**
+   * Validate and normalise admin input. With `partial`, only the fields
+   * present are checked (updates); rules spanning several fields are checked
+   * against the `existing` promo for the ones left out.
+   */
+  static sanitizePromoInput(input, { partial = false, existing = null } = {}) {
+    const data = {};
+    const has = (field) => input[field] !== undefined;
+
+    if (!partial || has('code')) {
+      const code = this.normalizeCode(input.code);
+      if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+        throw promoError('Code must be 3-50 letters, digits, "-" or "_"', 'VALIDATION_ERROR');
+      }
+      data.code = code;
+    }
+
+    if (!partial || has('discount_type')) {
+      if (!DISCOUNT_TYPES.includes(input.discount_type)) {
+        throw promoError(`discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}`, 'VALIDATION_ERROR');
+      }
+      data.discount_type = input.discount_type;
+    }
+
+    if (!partial || has('discount_value')) {
+      const value = parseFloat(input.discount_value);
+      if (isNaN(value) || value <= 0) {
+        throw promoError('discount_value must be a positive number', 'VALIDATION_ERROR');
+      }
+      data.discount_value = value;
+    }
+
+    for (const field of ['max_discount', 'min_fare', 'max_uses', 'max_uses_per_user']) {
+      if (!has(field)) continue;
+      if (input[field] === null) {
+        data[field] = null;
+        continue;
+      }
+      const value = parseInt(input[field]);
+      if (isNaN(value) || value < 0) {
+        throw promoError(`${field} must be a non-negative integer`, 'VALIDATION_ERROR');
+      }
+      data[field] = value;
+    }
+
+    for (const field of ['valid_from', 'valid_until']) {
+      if (!has(field)) continue;
+      if (input[field] === null) {
+        data[field] = null;
+        continue;
+      }
+      const date = new Date(input[field]);
+      if (isNaN(date.getTime())) {
+        throw promoError(`${field} must be a valid timestamp`, 'VALIDATION_ERROR');
+      }
+      data[field] = date;
+    }
+
+    if (has('regions')) {
+      if (input.regions !== null && !Array.isArray(input.regions)) {
+        throw promoError('regions must be an array', 'VALIDATION_ERROR');
+      }
+      data.regions = input.regions && input.regions.length > 0 ? input.regions : null;
+    }
+
+    if (has('booking_types')) {
+      if (input.booking_types !== null
+        && (!Array.isArray(input.booking_types) || input.booking_types.some((t) => !BOOKING_TYPES.includes(t)))) {
+        throw promoError(`booking_types must be an array of: ${BOOKING_TYPES.join(', ')}`, 'VALIDATION_ERROR');
+      }
+      data.booking_types = input.booking_types && input.booking_types.length > 0 ? input.booking_types : null;
+    }
+
+    if (has('first_ride_only')) data.first_ride_only = input.first_ride_only === true;
+    if (has('is_active')) data.is_active = input.is_active === true;
+    if (has('description')) data.description = input.description;
+
+    const promo = { ...existing, ...data };
+    if (promo.discount_type === 'percentage' && parseFloat(promo.discount_value) > 100) {
+      throw promoError('A percentage discount cannot exceed 100', 'VALIDATION_ERROR');
+    }
+    if (promo.valid_from && promo.valid_until && new Date(promo.valid_until) <= new Date(promo.valid_from)) {
+      throw promoError('valid_until must be after valid_from', 'VALIDATION_ERROR');
+    }
+
+    return data;
+  }
+
+  static async createPromo(input, adminId) {
+    const data = this.sanitizePromoInput(input);
+
+    if (await PromoCode.findByCode(data.code)) {
+      throw promoError('A promo code with this code already exists', 'PROMO_CODE_EXISTS', 409);
+    }
+
+    return PromoCode.create(data, adminId);
+  }
+
+  static async updatePromo(promoId, input) {
+    const existing = await PromoCode.findById(promoId);
+    if (!existing) {
+      throw promoError('Promo code not found', 'PROMO_NOT_FOUND', 404);
+    }
+
+    // The code itself is immutable once issued
+    const { code, ...rest } = input;
+    const data = this.sanitizePromoInput(rest, { partial: true, existing });
+
+    return PromoCode.update(promoId, data);
+  }
+}
+
+module.exports = PromoService;
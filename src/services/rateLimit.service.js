@@ -0,0 +1,144 @@
+/**
+ * Rate Limit Service
+ * Brute-force protection backed by the rate_limits table, so every instance
+ * sees the same counters.
+ *
+ * Each policy counts attempts per key (an IP, a phone, a trip) over a
+ * window. Going over `maxAttempts` locks the key for `lockoutSeconds`,
+ * doubled for every lockout within `decaySeconds` of the previous one and
+ * capped at `maxLockoutSeconds`. Lockouts are written to activity_logs.
+ *
+ * Attempts are counted before they are checked, so parallel guesses can't
+ * go past the limit. Policies with `resetOnSuccess` forget a key's attempts
+ * once it succeeds (a correct password, a matching code).
+ */
+
+const RateLimit = require('../models/RateLimit');
+const ActivityLog = require('../models/ActivityLog');
+const { RateLimitError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+
+const DEFAULTS = {
+  maxLockoutSeconds: HOUR,
+  decaySeconds: 24 * HOUR,
+  resetOnSuccess: false
+};
+
+const POLICIES = {
+  // Password guesses against one account, and from one address across accounts
+  login_phone: { maxAttempts: 5, windowSeconds: 15 * MINUTE, lockoutSeconds: MINUTE, resetOnSuccess: true },
+  login_ip: { maxAttempts: 30, windowSeconds: 15 * MINUTE, lockoutSeconds: 5 * MINUTE },
+  // Reset codes texted to one phone, and codes tried against it
+  password_reset_request: { maxAttempts: 3, windowSeconds: HOUR, lockoutSeconds: 15 * MINUTE },
+  password_reset_phone: { maxAttempts: 5, windowSeconds: 15 * MINUTE, lockoutSeconds: 5 * MINUTE, resetOnSuccess: true },
+  password_reset_ip: { maxAttempts: 20, windowSeconds: HOUR, lockoutSeconds: 15 * MINUTE },
+  // Verification codes texted, and checked, from one address
+  send_otp_ip: { maxAttempts: 5, windowSeconds: HOUR, lockoutSeconds: 15 * MINUTE },
+  verify_otp_ip: { maxAttempts: 20, windowSeconds: 15 * MINUTE, lockoutSeconds: 5 * MINUTE },
+  // Authenticator and recovery codes tried for one user
+  two_factor: { maxAttempts: 5, windowSeconds: 15 * MINUTE, lockoutSeconds: 5 * MINUTE, resetOnSuccess: true },
+  // Start codes tried against one trip
+  trip_otp: { maxAttempts: 5, windowSeconds: 15 * MINUTE, lockoutSeconds: MINUTE, resetOnSuccess: true },
+  // Failed socket handshakes from one address
+  socket_auth_ip: { maxAttempts: 20, windowSeconds: MINUTE, lockoutSeconds: MINUTE }
+};
+
+class RateLimitService {
+  static getPolicy(scope) {
+    const policy = POLICIES[scope];
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy "${scope}"`);
+    }
+    return { ...DEFAULTS, ...policy };
+  }
+
+  static get policies() {
+    return Object.keys(POLICIES);
+  }
+
+  /**
+   * Count an attempt for the key and throw a RateLimitError if it is locked
+   * or this attempt goes over the limit. `context` ({ ipAddress, userId,
+   * resourceId }) is recorded with the lockout.
+   */
+  static async consume(scope, key, context = {}) {
+    const policy = this.getPolicy(scope);
+    const entry = await RateLimit.hit(scope, String(key), policy.windowSeconds);
+
+    if (entry.locked) {
+      throw new RateLimitError(scope, entry.retry_after_seconds);
+    }
+
+    if (entry.attempts <= policy.maxAttempts) {
+      return { attempts: entry.attempts, remaining: policy.maxAttempts - entry.attempts };
+    }
+
+    const locked = await RateLimit.lock(entry.id, policy);
+    if (!locked) {
+      // A parallel attempt locked the key first
+      const current = await RateLimit.find(scope, String(key));
+      throw new RateLimitError(scope, (current && current.retry_after_seconds) || policy.lockoutSeconds);
+    }
+
+    await this.alert(scope, String(key), locked, context);
+    throw new RateLimitError(scope, locked.retry_after_seconds);
+  }
+
+  // Throw a RateLimitError if the key is locked, without counting an attempt
+  static async check(scope, key) {
+    this.getPolicy(scope);
+    const entry = await RateLimit.find(scope, String(key));
+
+    if (entry && entry.locked) {
+      throw new RateLimitError(scope, entry.retry_after_seconds);
+    }
+  }
+
+  static async reset(scope, key) {
+    this.getPolicy(scope);
+    return RateLimit.reset(scope, String(key));
+  }
+
+  // Never lets a failed alert hide the lockout itself
+  static async alert(scope, key, entry, { ipAddress = null, userId = null, resourceId = null } = {}) {
+    const details = {
+      key,
+      lockoutCount: entry.lockout_count,
+      lockedUntil: entry.locked_until,
+      lockoutSeconds: entry.retry_after_seconds
+    };
+
+    logger.warn('Rate limit lockout', { scope, ...details, ipAddress });
+
+    try {
+      await ActivityLog.record({
+        userId,
+        action: 'rate_limit_lockout',
+        resourceType: scope,
+        resourceId,
+        details,
+        ipAddress
+      });
+    } catch (error) {
+      logger.error('Error recording rate limit lockout:', error.message);
+    }
+  }
+
+  static async findLockouts() {
+    return RateLimit.findLocked();
+  }
+
+  static async unlock(id) {
+    return RateLimit.unlock(id);
+  }
+
+  // Counters are kept as long as their lockouts still count towards the next one
+  static async purgeStale() {
+    return RateLimit.deleteStale(DEFAULTS.decaySeconds);
+  }
+}
+
+module.exports = RateLimitService;
@@ -0,0 +1,105 @@
+/**
+ * Scheduler Service
+ * Runs registered background jobs on fixed intervals inside the server process
+ */
+
+const logger = require('../utils/logger');
+
+// name -> { name, intervalMs, handler, timer, running, lastRunAt, lastError }
+const jobs = new Map();
+let started = false;
+
+class SchedulerService {
+  /**
+   * Register a job. The next run is scheduled only once the previous one
+   * has finished, so a slow run never overlaps with itself.
+   */
+  static registerJob(name, intervalMs, handler) {
+    if (jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+    if (!(intervalMs > 0)) {
+      throw new Error(`Job "${name}" needs a positive interval`);
+    }
+
+    const job = { name, intervalMs, handler, timer: null, running: false, lastRunAt: null, lastError: null };
+    jobs.set(name, job);
+
+    if (started) {
+      this.scheduleNext(job, 0);
+    }
+  }
+
+  // Start all jobs; each runs once straight away to catch up on missed work
+  static start() {
+    if (started) {
+      return;
+    }
+    started = true;
+
+    for (const job of jobs.values()) {
+      this.scheduleNext(job, 0);
+    }
+
+    logger.info('Scheduler started', { jobs: [...jobs.keys()] });
+  }
+
+  static stop() {
+    started = false;
+
+    for (const job of jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+    }
+
+    logger.info('Scheduler stopped');
+  }
+
+  static scheduleNext(job, delayMs = job.intervalMs) {
+    job.timer = setTimeout(() => this.runJob(job.name), delayMs);
+  }
+
+  static async runJob(name) {
+    const job = jobs.get(name);
+    if (!job || job.running) {
+      return;
+    }
+
+    job.running = true;
+    try {
+      const result = await job.handler();
+      job.lastError = null;
+      logger.debug(`Job "${name}" finished`, result);
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error(`Job "${name}" failed`, { error: error.message });
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+
+      if (started && jobs.get(name) === job) {
+        this.scheduleNext(job);
+      }
+    }
+  }
+
+  static getJobs() {
+    return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+      name,
+      intervalMs,
+      running,
+      lastRunAt,
+      lastError
+    }));
+  }
+
+  static unregisterJob(name) {
+    const job = jobs.get(name);
+    if (job) {
+      clearTimeout(job.timer);
+      jobs.delete(name);
+    }
+  }
+}
+
+module.exports = SchedulerService;
@@ -0,0 +1,57 @@
+/**
+ * Africa's Talking SMS Provider
+ * Bulk SMS API; needs AT_USERNAME and AT_API_KEY, AT_SENDER_ID is optional.
+ * The "sandbox" username goes to the sandbox endpoint.
+ */
+
+const LIVE_URL = 'https://api.africastalking.com/version1/messaging';
+const SANDBOX_URL = 'https://api.sandbox.africastalking.com/version1/messaging';
+
+// Recipient status codes meaning the message was accepted: processed, sent, queued
+const ACCEPTED_STATUS_CODES = [100, 101, 102];
+
+class AfricasTalkingSmsProvider {
+  constructor({
+    username = process.env.AT_USERNAME,
+    apiKey = process.env.AT_API_KEY,
+    senderId = process.env.AT_SENDER_ID
+  } = {}) {
+    if (!username || !apiKey) {
+      throw new Error('AT_USERNAME and AT_API_KEY are required for the africastalking SMS provider');
+    }
+
+    this.name = 'africastalking';
+    this.username = username;
+    this.apiKey = apiKey;
+    this.senderId = senderId;
+    this.url = username === 'sandbox' ? SANDBOX_URL : LIVE_URL;
+  }
+
+  async send({ to, message }) {
+    const params = { username: this.username, to, message };
+    if (this.senderId) {
+      params.from = this.senderId;
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        apiKey: this.apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams(params)
+    });
+
+    const body = await response.json().catch(() => ({}));
+    const recipient = body.SMSMessageData && body.SMSMessageData.Recipients && body.SMSMessageData.Recipients[0];
+
+    if (!response.ok || !recipient || !ACCEPTED_STATUS_CODES.includes(recipient.statusCode)) {
+      throw new Error(`Africa's Talking rejected the message: ${(recipient && recipient.status) || response.status}`);
+    }
+
+    return { provider: this.name, messageId: recipient.messageId };
+  }
+}
+
+module.exports = AfricasTalkingSmsProvider;
@@ -0,0 +1,21 @@
+/**
+ * Console SMS Provider
+ * Logs messages instead of sending them: for development only
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+class ConsoleSmsProvider {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ to, message }) {
+    const messageId = crypto.randomUUID();
+    logger.info('SMS (console provider)', { to, message, messageId });
+    return { provider: this.name, messageId };
+  }
+}
+
+module.exports = ConsoleSmsProvider;
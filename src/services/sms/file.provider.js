@@ -0,0 +1,30 @@
+/**
+ * File SMS Provider
+ * Appends each message as a JSON line to SMS_OUTBOX_FILE, so tests and
+ * local apps can read the codes that would have been texted
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOG_DIR = process.env.LOG_DIR || path.join(__dirname, '../../../logs');
+
+class FileSmsProvider {
+  constructor(file = process.env.SMS_OUTBOX_FILE || path.join(LOG_DIR, 'sms-outbox.log')) {
+    this.name = 'file';
+    this.file = file;
+  }
+
+  async send({ to, message }) {
+    const messageId = crypto.randomUUID();
+    const entry = { messageId, to, message, sentAt: new Date().toISOString() };
+
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(this.file, JSON.stringify(entry) + '\n');
+
+    return { provider: this.name, messageId };
+  }
+}
+
+module.exports = FileSmsProvider;
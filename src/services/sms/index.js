@@ -0,0 +1,59 @@
+/**
+ * SMS Service
+ * Sends text messages through a pluggable provider:
+ *   console        - logs the message (default, development)
+ *   file           - appends messages to a file, for tests and local apps
+ *   twilio         - Twilio Programmable Messaging
+ *   africastalking - Africa's Talking SMS
+ */
+
+const ConsoleSmsProvider = require('./console.provider');
+const FileSmsProvider = require('./file.provider');
+const TwilioSmsProvider = require('./twilio.provider');
+const AfricasTalkingSmsProvider = require('./africastalking.provider');
+const logger = require('../../utils/logger');
+
+const PROVIDERS = {
+  console: ConsoleSmsProvider,
+  file: FileSmsProvider,
+  twilio: TwilioSmsProvider,
+  africastalking: AfricasTalkingSmsProvider
+};
+
+let provider = null;
+
+class SmsService {
+  static init(type = process.env.SMS_PROVIDER || 'console') {
+    const Provider = PROVIDERS[type];
+    if (!Provider) {
+      throw new Error(`Unknown SMS provider "${type}" (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    provider = new Provider();
+    logger.info('SMS provider initialized', { provider: type });
+    return provider;
+  }
+
+  static getProvider() {
+    return provider || this.init();
+  }
+
+  // Resolves with { provider, messageId }; a provider failure becomes a 502
+  static async send(to, message) {
+    const current = this.getProvider();
+
+    try {
+      const result = await current.send({ to, message });
+      logger.info('SMS sent', { provider: current.name, to, messageId: result.messageId });
+      return result;
+    } catch (error) {
+      logger.error('SMS sending failed', { provider: current.name, to, error: error.message });
+      const failure = new Error('Could not send the SMS, please try again');
+      failure.statusCode = 502;
+      failure.code = 'SMS_SEND_FAILED';
+      throw failure;
+    }
+  }
+}
+
+module.exports = SmsService;
@@ -0,0 +1,45 @@
+/**
+ * Twilio SMS Provider
+ * Programmable Messaging REST API; needs TWILIO_ACCOUNT_SID,
+ * TWILIO_AUTH_TOKEN and TWILIO_FROM
+ */
+
+class TwilioSmsProvider {
+  constructor({
+    accountSid = process.env.TWILIO_ACCOUNT_SID,
+    authToken = process.env.TWILIO_AUTH_TOKEN,
+    from = process.env.TWILIO_FROM
+  } = {}) {
+    if (!accountSid || !authToken || !from) {
+      throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM are required for the twilio SMS provider');
+    }
+
+    this.name = 'twilio';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+  }
+
+  async send({ to, message }) {
+    const response = await fetch(
+      `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+      {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: this.from, Body: message })
+      }
+    );
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Twilio responded ${response.status}: ${body.message || 'unknown error'}`);
+    }
+
+    return { provider: this.name, messageId: body.sid };
+  }
+}
+
+module.exports = TwilioSmsProvider;
@@ -1,14 +1,121 @@
 /**
  * Socket.io Service
  * Handles real-time communication, location updates, and notifications
+ *
+ * Sockets authenticate with a JWT during the handshake and are placed in rooms:
+ *   user:<id>  - every socket of a user
+ *   trip:<id>  - participants of a trip (client and driver)
+ *   admins     - every admin socket
+ * Events are only ever emitted to these rooms, never to every socket.
+ * Handshakes with invalid tokens are rate limited per address.
+ *
+ * Emits and room joins are also published on the event bus so sockets held
+ * by other server instances receive them; presence is tracked per socket.
+ *
+ * Notifications that must not be lost (booking requests) go through the
+ * socket_notifications outbox: they carry a notificationId, are replayed on
+ * `auth` until the app sends `notification_ack`, and expire with their TTL.
  */
 
 const socketIO = require('socket.io');
 const logger = require('../utils/logger');
-const Driver = require('../models/Driver');
+const Trip = require('../models/Trip');
+const SocketNotification = require('../models/SocketNotification');
+const UserSession = require('../models/UserSession');
+const TrackingService = require('./tracking.service');
+const PresenceService = require('./presence.service');
+const RateLimitService = require('./rateLimit.service');
+const EventBus = require('./bus');
+const { verifyToken } = require('../middleware/auth');
 
 let io;
-const activeConnections = new Map(); // userId -> socketId
+
+const userRoom = (userId) => `user:${userId}`;
+const tripRoom = (tripId) => `trip:${tripId}`;
+const ADMIN_ROOM = 'admins';
+const SOCKET_CHANNEL = 'oniva_socket_events';
+const NOTIFICATION_TTL_SECONDS = parseInt(process.env.SOCKET_NOTIFICATION_TTL_SECONDS) || 3600;
+
+// Token from the handshake auth payload, an Authorization header, or the auth cookie
+const extractSocketToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  if (auth.token) {
+    return auth.token.replace(/^bearer\s+/i, '');
+  }
+
+  const authHeader = headers.authorization;
+  if (authHeader && authHeader.toLowerCase().startsWith('bearer ')) {
+    return authHeader.slice(7);
+  }
+
+  const cookieMatch = (headers.cookie || '').match(/(?:^|;\s*)token=([^;]+)/);
+  return cookieMatch ? decodeURIComponent(cookieMatch[1]) : null;
+};
+
+// Invalid tokens count against the address; a locked address can't connect
+const countFailedHandshake = (address) => {
+  RateLimitService.consume('socket_auth_ip', address, { ipAddress: address }).catch((error) => {
+    if (error.code !== 'RATE_LIMITED') {
+      logger.error('Error counting failed socket handshake:', error.message);
+    }
+  });
+};
+
+const authenticateSocket = async (socket, next) => {
+  const token = extractSocketToken(socket);
+  const { address } = socket.handshake;
+
+  try {
+    await RateLimitService.check('socket_auth_ip', address);
+  } catch (error) {
+    if (error.code !== 'RATE_LIMITED') {
+      logger.error('Error checking socket handshake rate limit:', error.message);
+      const err = new Error('Authentication unavailable');
+      err.data = { code: 'UNAUTHORIZED' };
+      return next(err);
+    }
+    const err = new Error(error.message);
+    err.data = { code: error.code, retryAfterSeconds: error.retryAfterSeconds };
+    return next(err);
+  }
+
+  if (!token) {
+    const err = new Error('No authentication token provided');
+    err.data = { code: 'UNAUTHORIZED' };
+    return next(err);
+  }
+
+  try {
+    const decoded = verifyToken(token);
+
+    if (decoded.sid && !(await UserSession.isActive(decoded.sid))) {
+      const err = new Error('Session has been revoked');
+      err.data = { code: 'SESSION_REVOKED' };
+      return next(err);
+    }
+
+    socket.userId = decoded.id;
+    socket.userRole = decoded.role;
+    socket.sessionId = decoded.sid || null;
+    socket.twoFactor = Boolean(decoded.tfa);
+    next();
+  } catch (error) {
+    logger.warn('Socket authentication failed', { socketId: socket.id, error: error.message });
+    if (error.name === 'JsonWebTokenError') {
+      countFailedHandshake(address);
+    }
+    const err = new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    err.data = { code: 'UNAUTHORIZED' };
+    next(err);
+  }
+};
+
+const isTripParticipant = (trip, socket) => {
+  return socket.userRole === 'admin'
+    || String(trip.client_id) === String(socket.userId)
+    || String(trip.driver_id) === String(socket.userId);
+};
 
 const initializeSocket = (server) => {
   io = socketIO(server, {
@@ -18,156 +125,179 @@ const initializeSocket = (server) => {
     }
   });
 
-  io.on('connection', (socket) => {
-    logger.debug('Client connected', { socketId: socket.id });
-
-    // User authentication
-    socket.on('auth', (data) => {
-      const { userId, userRole } = data;
-      if (userId) {
-        activeConnections.set(String(userId), socket.id);
-        socket.userId = userId;
-        socket.userRole = userRole;
+  io.use(authenticateSocket);
 
-        logger.debug('User authenticated in socket', { userId, socketId: socket.id });
-        socket.emit('authenticated', { success: true });
-      }
-    });
+  // Replay emits and joins made by other instances on this instance's sockets
+  EventBus.subscribe(SOCKET_CHANNEL, applyRemoteCommand).catch((error) => {
+    logger.error('Error subscribing to socket events:', error.message);
+  });
 
-    // Driver location updates
-    socket.on('location_update', (data) => {
-      const { tripId, latitude, longitude, accuracy } = data;
+  io.on('connection', async (socket) => {
+    const { userId, userRole } = socket;
+    logger.debug('Client connected', { socketId: socket.id, userId });
 
-      // Emit to client watching this trip
-      io.emit('driver_location_updated', {
-        tripId,
-        driverId: socket.userId,
-        latitude,
-        longitude,
-        accuracy,
-        timestamp: new Date().toISOString()
-      });
+    socket.join(userRoom(userId));
+    // Like the admin routes, admin events need a second factor when it is required
+    if (userRole === 'admin' && (socket.twoFactor || process.env.REQUIRE_ADMIN_2FA !== 'true')) {
+      socket.join(ADMIN_ROOM);
+    }
 
-      logger.debug('Location updated', { userId: socket.userId, tripId });
+    PresenceService.registerSocket(userId, socket.id, userRole).catch((error) => {
+      logger.error('Error registering socket presence:', error.message);
     });
 
-    // Booking request events
-    socket.on('booking_accepted', (data) => {
-      const { requestId, tripId } = data;
-      io.emit('driver_accepted', {
-        requestId,
-        tripId,
-        driverId: socket.userId,
-        timestamp: new Date().toISOString()
-      });
+    // Identity comes from the handshake token, not this payload. Apps send it
+    // once they are ready to receive, so it also replays missed notifications.
+    socket.on('auth', async () => {
+      socket.emit('authenticated', { success: true, userId, userRole });
 
-      logger.info('Booking accepted via socket', { userId: socket.userId, tripId });
+      try {
+        await replayNotifications(socket);
+      } catch (error) {
+        logger.error('Error replaying socket notifications:', error.message);
+      }
     });
 
-    socket.on('booking_rejected', (data) => {
-      const { requestId, tripId, reason } = data;
-      io.emit('driver_rejected', {
-        requestId,
-        tripId,
-        driverId: socket.userId,
-        reason,
-        timestamp: new Date().toISOString()
-      });
+    // The app confirms outbox notifications it has handled
+    socket.on('notification_ack', async (data, ack) => {
+      const ids = [].concat((data && (data.notificationIds || data.notificationId)) || [])
+        .map((id) => parseInt(id))
+        .filter((id) => !isNaN(id));
+      let acknowledged = [];
+
+      try {
+        acknowledged = await SocketNotification.acknowledge(ids, userId);
+      } catch (error) {
+        logger.error('Error acknowledging socket notifications:', error.message);
+      }
 
-      logger.info('Booking rejected via socket', { userId: socket.userId, tripId });
+      if (typeof ack === 'function') {
+        ack({ acknowledged });
+      }
     });
 
-    // Trip events
-    socket.on('trip_started', (data) => {
-      const { tripId } = data;
-      io.emit('trip_status_changed', {
-        tripId,
-        status: 'in_progress',
-        driverId: socket.userId,
-        timestamp: new Date().toISOString()
-      });
+    // Watch a trip the user takes part in
+    socket.on('subscribe_trip', async (data, ack) => {
+      const tripId = data && data.tripId;
+      let joined = false;
+
+      try {
+        const trip = tripId ? await Trip.findById(tripId) : null;
+        if (trip && isTripParticipant(trip, socket)) {
+          socket.join(tripRoom(trip.id));
+          joined = true;
+        }
+      } catch (error) {
+        logger.error('Error subscribing to trip:', error.message);
+      }
 
-      logger.info('Trip started', { tripId, driverId: socket.userId });
+      if (typeof ack === 'function') {
+        ack({ success: joined });
+      }
     });
 
-    socket.on('trip_completed', (data) => {
-      const { tripId, finalPrice, actualDistance, actualDuration } = data;
-      io.emit('trip_status_changed', {
-        tripId,
-        status: 'completed',
-        driverId: socket.userId,
-        finalPrice,
-        actualDistance,
-        actualDuration,
-        timestamp: new Date().toISOString()
-      });
+    socket.on('unsubscribe_trip', (data) => {
+      if (data && data.tripId) {
+        socket.leave(tripRoom(data.tripId));
+      }
+    });
 
-      logger.info('Trip completed', { tripId, finalPrice });
+    // Driver location updates
+    socket.on('location_update', async (data) => {
+      if (userRole !== 'driver') {
+        return;
+      }
+
+      const { latitude, longitude, accuracy, speed, heading } = data || {};
+
+      try {
+        // The trip is resolved server-side; a tripId sent by the app is not trusted
+        const { trip } = await TrackingService.recordDriverLocation(userId, {
+          latitude,
+          longitude,
+          accuracy,
+          speed,
+          heading
+        });
+
+        const payload = {
+          tripId: trip ? trip.id : null,
+          driverId: userId,
+          latitude,
+          longitude,
+          accuracy,
+          timestamp: new Date().toISOString()
+        };
+
+        if (trip) {
+          emitToTrip(trip.id, 'driver_location_updated', payload, { userIds: [trip.client_id] });
+        } else {
+          emitToAdmins('driver_location_updated', payload);
+        }
+
+        logger.debug('Location updated', { userId, tripId: payload.tripId });
+      } catch (error) {
+        logger.error('Error recording socket location update:', error.message);
+      }
     });
 
-    socket.on('trip_cancelled', (data) => {
-      const { tripId, reason } = data;
-      io.emit('trip_status_changed', {
+    // Booking request events. Acceptances, like every trip status change, are
+    // announced by the REST routes once stored, never relayed from the app.
+    socket.on('booking_rejected', (data) => {
+      const { requestId, tripId, reason } = data || {};
+
+      // A rejecting driver is not a participant of the trip: only admins hear about it
+      emitToAdmins('driver_rejected', {
+        requestId,
         tripId,
-        status: 'cancelled',
-        userId: socket.userId,
+        driverId: userId,
         reason,
         timestamp: new Date().toISOString()
       });
 
-      logger.info('Trip cancelled', { tripId, reason });
+      logger.info('Booking rejected via socket', { userId, tripId });
     });
 
     // Chat/messaging events (for future use)
     socket.on('message', (data) => {
-      const { recipientId, message } = data;
-      const recipientSocketId = activeConnections.get(recipientId);
+      const { recipientId, message } = data || {};
 
-      if (recipientSocketId) {
-        io.to(recipientSocketId).emit('message_received', {
-          senderId: socket.userId,
+      if (recipientId) {
+        emitToUser(recipientId, 'message_received', {
+          senderId: userId,
           message,
           timestamp: new Date().toISOString()
         });
       }
 
-      logger.debug('Message sent', { from: socket.userId, to: recipientId });
+      logger.debug('Message sent', { from: userId, to: recipientId });
     });
 
     // Disconnect
     socket.on('disconnect', () => {
-      const userId = socket.userId;
-      const userRole = socket.userRole;
-
-      if (userId) {
-        activeConnections.delete(String(userId));
-      }
       logger.debug('Client disconnected', { socketId: socket.id, userId });
 
-      // Removed: Do not mark driver as offline in DB on disconnect
-      // This allows the driver to stay "online" during page refreshes
-      /*
-      if (userRole === 'driver' && userId) {
-        try {
-          await Driver.setOnlineStatus(userId, false);
-          logger.info('Driver marked offline on disconnect', { userId });
-          
-          io.emit('driver_status_changed', {
-            driverId: userId,
-            isOnline: false,
-            timestamp: new Date().toISOString()
-          });
-        } catch (error) {
-          logger.error('Error setting driver offline on disconnect:', error);
-        }
-      }
-      */
+      PresenceService.unregisterSocket(userId, socket.id).catch((error) => {
+        logger.error('Error unregistering socket presence:', error.message);
+      });
+
+      // Do not mark driver as offline in DB on disconnect:
+      // this allows the driver to stay "online" during page refreshes
     });
 
     // Error handling
     socket.on('error', (error) => {
       logger.error('Socket error', { error: error.message, socketId: socket.id });
     });
+
+    // Rejoin the rooms of trips still in progress (e.g. after a reconnect).
+    // Done after the handlers are registered so no early event is missed.
+    try {
+      const tripIds = await Trip.findActiveIdsByUser(userId);
+      tripIds.forEach((tripId) => socket.join(tripRoom(tripId)));
+    } catch (error) {
+      logger.error('Error joining active trip rooms:', error.message);
+    }
   });
 
   return io;
@@ -180,26 +310,154 @@ const getIO = () => {
   return io;
 };
 
-const notifyDriver = (driverId, event, data) => {
-  const socketId = activeConnections.get(String(driverId));
-  if (socketId) {
-    io.to(socketId).emit(event, data);
-    logger.debug('Driver notified', { driverId, event });
-  } else {
+// Tell the other instances; failures are logged since local delivery already happened
+const publishToInstances = (command) => {
+  EventBus.publish(SOCKET_CHANNEL, command).catch((error) => {
+    logger.error('Error publishing socket event:', { type: command.type, error: error.message });
+  });
+};
+
+const applyRemoteCommand = (command) => {
+  if (!io) {
+    return;
+  }
+
+  if (command.type === 'emit') {
+    io.to(command.rooms).emit(command.event, command.data);
+  } else if (command.type === 'join') {
+    io.in(userRoom(command.userId)).socketsJoin(tripRoom(command.tripId));
+  } else if (command.type === 'disconnect') {
+    disconnectLocalSockets(command.userId, command.sessionId, command.reason);
+  }
+};
+
+const disconnectLocalSockets = async (userId, sessionId, reason) => {
+  if (!io) {
+    return;
+  }
+
+  try {
+    const sockets = await io.in(userRoom(userId)).fetchSockets();
+    for (const socket of sockets) {
+      if (!sessionId || socket.sessionId === sessionId) {
+        socket.emit('session_revoked', { reason, timestamp: new Date().toISOString() });
+        socket.disconnect(true);
+      }
+    }
+  } catch (error) {
+    logger.error('Error disconnecting revoked sockets:', error.message);
+  }
+};
+
+// Drop the sockets of a revoked session, or of every session of the user,
+// on all instances
+const disconnectUser = (userId, { sessionId = null, reason = 'revoked' } = {}) => {
+  disconnectLocalSockets(userId, sessionId, reason);
+  publishToInstances({ type: 'disconnect', userId, sessionId, reason });
+};
+
+const emitToRooms = (rooms, event, data) => {
+  getIO().to(rooms).emit(event, data);
+  publishToInstances({ type: 'emit', rooms, event, data });
+};
+
+// Online on any device and any instance
+const isUserConnected = (userId) => PresenceService.isOnline(userId);
+
+const emitToUser = (userId, event, data) => {
+  emitToRooms([userRoom(userId)], event, data);
+};
+
+const emitToAdmins = (event, data) => {
+  emitToRooms([ADMIN_ROOM], event, data);
+};
+
+/**
+ * Emit to a trip's room and the admins. `userIds` also reaches participants
+ * whose sockets have not joined the trip room yet (e.g. a newly assigned driver).
+ */
+const emitToTrip = (tripId, event, data, { userIds = [] } = {}) => {
+  const rooms = [tripRoom(tripId), ADMIN_ROOM, ...userIds.filter(Boolean).map(userRoom)];
+  emitToRooms(rooms, event, data);
+};
+
+// Add every socket of a user to a trip room, e.g. once a driver is assigned
+const joinTripRoom = (userId, tripId) => {
+  if (io) {
+    io.in(userRoom(userId)).socketsJoin(tripRoom(tripId));
+    publishToInstances({ type: 'join', userId, tripId });
+  }
+};
+
+const notifyDriver = async (driverId, event, data) => {
+  if (!(await isUserConnected(driverId))) {
     logger.warn('Driver not reachable via socket', { driverId, event });
+    return false;
+  }
+
+  emitToUser(driverId, event, data);
+  logger.debug('Driver notified', { driverId, event });
+  return true;
+};
+
+const notifyClient = async (clientId, event, data) => {
+  if (!(await isUserConnected(clientId))) {
+    return false;
   }
+
+  emitToUser(clientId, event, data);
+  logger.debug('Client notified', { clientId, event });
+  return true;
 };
 
-const notifyClient = (clientId, event, data) => {
-  const socketId = activeConnections.get(String(clientId));
-  if (socketId) {
-    io.to(socketId).emit(event, data);
-    logger.debug('Client notified', { clientId, event });
+/**
+ * Queue a notification in the outbox and emit it if the user is online.
+ * Booking request notifications expire with the request; others after
+ * `ttlSeconds`. Resolves with whether it was sent right away.
+ */
+const sendReliableNotification = async (userId, event, data, { bookingRequestId = null, ttlSeconds = NOTIFICATION_TTL_SECONDS } = {}) => {
+  const notification = await SocketNotification.create({
+    userId,
+    event,
+    payload: data,
+    bookingRequestId,
+    ttlSeconds
+  });
+
+  const online = await isUserConnected(userId);
+  if (online) {
+    emitToUser(userId, event, { ...data, notificationId: notification.id });
+    await SocketNotification.markDelivered([notification.id]);
+  } else {
+    logger.debug('User offline, notification kept for replay', { userId, event, notificationId: notification.id });
   }
+
+  return { notificationId: notification.id, delivered: online };
+};
+
+// Re-send everything still unacknowledged to a (re)connected socket
+const replayNotifications = async (socket) => {
+  const pending = await SocketNotification.findPendingForUser(socket.userId);
+
+  for (const notification of pending) {
+    socket.emit(notification.event, {
+      ...notification.payload,
+      notificationId: notification.id,
+      replayed: true
+    });
+  }
+
+  await SocketNotification.markDelivered(pending.map((notification) => notification.id));
+
+  if (pending.length > 0) {
+    logger.info('Replayed socket notifications', { userId: socket.userId, count: pending.length });
+  }
+
+  return pending.length;
 };
 
 const broadcastTripUpdate = (tripId, data) => {
-  io.emit(`trip_${tripId}`, data);
+  emitToRooms([tripRoom(tripId)], `trip_${tripId}`, data);
   logger.debug('Trip update broadcasted', { tripId });
 };
 
@@ -208,6 +466,12 @@ module.exports = {
   getIO,
   notifyDriver,
   notifyClient,
+  sendReliableNotification,
   broadcastTripUpdate,
-  activeConnections
-};
\ No newline at end of file
+  emitToUser,
+  emitToAdmins,
+  emitToTrip,
+  joinTripRoom,
+  disconnectUser,
+  isUserConnected
+};
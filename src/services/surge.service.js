@@ -0,0 +1,124 @@
+/**
+ * Surge Service
+ * Demand-based fare multiplier per region, from pending trips vs online drivers
+ */
+
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// A region's multiplier is recomputed at most this often
+const SURGE_REFRESH_SECONDS = parseInt(process.env.SURGE_REFRESH_SECONDS) || 60;
+
+class SurgeService {
+  /**
+   * Unsmoothed multiplier for a demand/supply snapshot.
+   * Below the threshold ratio there is no surge; above it the multiplier
+   * grows linearly with the excess ratio, capped at the configured maximum.
+   */
+  static computeRawMultiplier(pendingTrips, onlineDrivers, config) {
+    const threshold = parseFloat(config.surge_demand_threshold);
+    const sensitivity = parseFloat(config.surge_sensitivity);
+    const maxMultiplier = parseFloat(config.surge_max_multiplier);
+
+    if (pendingTrips === 0) {
+      return 1;
+    }
+
+    // No supply at all is treated as maximum pressure
+    if (onlineDrivers === 0) {
+      return maxMultiplier;
+    }
+
+    const ratio = pendingTrips / onlineDrivers;
+    if (ratio <= threshold) {
+      return 1;
+    }
+
+    const multiplier = 1 + (ratio - threshold) * sensitivity;
+    return Math.round(Math.min(multiplier, maxMultiplier) * 100) / 100;
+  }
+
+  // Exponential moving average so the multiplier doesn't jump between refreshes
+  static smooth(previous, raw, smoothingFactor) {
+    const alpha = Math.min(Math.max(parseFloat(smoothingFactor), 0), 1);
+    const smoothed = previous + alpha * (raw - previous);
+    return Math.max(1, Math.round(smoothed * 100) / 100);
+  }
+
+  static async getDemandSnapshot(region) {
+    const result = await query(
+      `SELECT
+        (SELECT COUNT(*) FROM trips WHERE region = $1 AND status = 'pending')::int AS pending_trips,
+        (SELECT COUNT(*) FROM drivers WHERE region = $1 AND is_online = true)::int AS online_drivers`,
+      [region]
+    );
+    return {
+      pendingTrips: result.rows[0].pending_trips,
+      onlineDrivers: result.rows[0].online_drivers
+    };
+  }
+
+  /**
+   * Current multiplier for a region. Cached in region_surge and refreshed
+   * when older than SURGE_REFRESH_SECONDS. Always 1 when surge is disabled.
+   */
+  static async getSurgeMultiplier(region, config) {
+    if (!region || !config || !config.surge_enabled) {
+      return 1;
+    }
+
+    try {
+      const existing = await query(
+        `SELECT multiplier, updated_at,
+                updated_at > NOW() - $2 * INTERVAL '1 second' AS is_fresh
+         FROM region_surge WHERE region = $1`,
+        [region, SURGE_REFRESH_SECONDS]
+      );
+
+      const current = existing.rows[0];
+      if (current && current.is_fresh) {
+        return parseFloat(current.multiplier);
+      }
+
+      const { pendingTrips, onlineDrivers } = await this.getDemandSnapshot(region);
+      const raw = this.computeRawMultiplier(pendingTrips, onlineDrivers, config);
+      const previous = current ? parseFloat(current.multiplier) : 1;
+      const multiplier = this.smooth(previous, raw, config.surge_smoothing_factor);
+
+      await query(
+        `INSERT INTO region_surge (region, multiplier, raw_multiplier, pending_trips, online_drivers, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT (region) DO UPDATE SET
+           multiplier = EXCLUDED.multiplier,
+           raw_multiplier = EXCLUDED.raw_multiplier,
+           pending_trips = EXCLUDED.pending_trips,
+           online_drivers = EXCLUDED.online_drivers,
+           updated_at = NOW()`,
+        [region, multiplier, raw, pendingTrips, onlineDrivers]
+      );
+
+      logger.debug('Surge multiplier refreshed', { region, pendingTrips, onlineDrivers, raw, multiplier });
+      return multiplier;
+    } catch (error) {
+      // Never block pricing on surge: fall back to no surge
+      logger.error('Error computing surge multiplier:', error);
+      return 1;
+    }
+  }
+
+  static async getRegionSurges() {
+    try {
+      const result = await query(
+        `SELECT region, multiplier, raw_multiplier, pending_trips, online_drivers, updated_at
+         FROM region_surge
+         ORDER BY multiplier DESC, region ASC`
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching region surges:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SurgeService;
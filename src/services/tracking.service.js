@@ -0,0 +1,157 @@
+/**
+ * Tracking Service
+ * Records driver location pings against active trips and serves route replays
+ */
+
+const Driver = require('../models/Driver');
+const Trip = require('../models/Trip');
+const TripLocation = require('../models/TripLocation');
+const { haversineDistance, simplifyPath } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+// Statuses during which the driver's position is part of the trip route
+const TRACKED_STATUSES = ['accepted', 'waiting_for_pickup', 'in_progress'];
+
+// Track filtering thresholds used when deriving the actual trip distance
+const MAX_ACCURACY_METERS = parseFloat(process.env.TRACK_MAX_ACCURACY_METERS) || 100;
+const MAX_SPEED_KMH = parseFloat(process.env.TRACK_MAX_SPEED_KMH) || 160;
+const MIN_MOVEMENT_METERS = parseFloat(process.env.TRACK_MIN_MOVEMENT_METERS) || 10;
+
+class TrackingService {
+  /**
+   * Update the driver's current position and, if they are on an active trip,
+   * append the ping to that trip's breadcrumb trail.
+   */
+  static async recordDriverLocation(driverId, location) {
+    const { latitude, longitude } = location;
+
+    const updated = await Driver.updateLocation(driverId, latitude, longitude);
+    const trip = await Trip.findActiveByDriverId(driverId);
+
+    if (!trip || !TRACKED_STATUSES.includes(trip.status)) {
+      return { driver: updated, trip: null };
+    }
+
+    try {
+      await TripLocation.record(trip.id, driverId, {
+        ...location,
+        tripStatus: trip.status
+      });
+    } catch (error) {
+      // A lost breadcrumb must never block the live location update
+      logger.error('Failed to persist trip breadcrumb', { tripId: trip.id, driverId, error: error.message });
+    }
+
+    return { driver: updated, trip };
+  }
+
+  /**
+   * Ordered polyline for a trip, optionally limited to a time window
+   * and simplified with a tolerance expressed in meters.
+   */
+  static async getTripTrack(tripId, { from, to, tolerance } = {}) {
+    const points = await TripLocation.getByTrip(tripId, { from, to });
+    const route = simplifyPath(points, tolerance);
+
+    return {
+      tripId: Number(tripId),
+      route: route.map((point) => ({
+        latitude: point.latitude,
+        longitude: point.longitude,
+        accuracy: point.accuracy,
+        speed: point.speed,
+        heading: point.heading,
+        status: point.trip_status,
+        recordedAt: point.recorded_at
+      })),
+      totalPoints: points.length,
+      returnedPoints: route.length,
+      startedAt: points.length > 0 ? points[0].recorded_at : null,
+      lastUpdate: points.length > 0 ? points[points.length - 1].recorded_at : null
+    };
+  }
+
+  /**
+   * Sum the haversine distance (km) along a track, discarding inaccurate fixes,
+   * GPS jumps that imply an impossible speed, and stationary jitter.
+   */
+  static measureTrackDistance(points) {
+    let distanceKm = 0;
+    let anchor = null;
+    let usedPoints = 0;
+    let rejectedPoints = 0;
+
+    for (const point of points) {
+      if (point.accuracy !== null && point.accuracy !== undefined && point.accuracy > MAX_ACCURACY_METERS) {
+        rejectedPoints++;
+        continue;
+      }
+
+      if (!anchor) {
+        anchor = point;
+        usedPoints++;
+        continue;
+      }
+
+      const segmentKm = haversineDistance(anchor.latitude, anchor.longitude, point.latitude, point.longitude);
+      const elapsedHours = (new Date(point.recorded_at) - new Date(anchor.recorded_at)) / 3600000;
+
+      if (segmentKm * 1000 < MIN_MOVEMENT_METERS) {
+        continue;
+      }
+
+      if (elapsedHours <= 0 || segmentKm / elapsedHours > MAX_SPEED_KMH) {
+        rejectedPoints++;
+        continue;
+      }
+
+      distanceKm += segmentKm;
+      anchor = point;
+      usedPoints++;
+    }
+
+    return { distanceKm, usedPoints, rejectedPoints };
+  }
+
+  /**
+   * Actual distance and duration of a trip derived from its recorded pings.
+   * Duration runs from OTP verification (trip start) to `endedAt`.
+   * Falls back to the booking estimate when too few pings were recorded.
+   */
+  static async computeTripMetrics(trip, endedAt = new Date()) {
+    const startedAt = trip.otp_verified_at ? new Date(trip.otp_verified_at) : null;
+    const points = await TripLocation.getByTrip(trip.id, {
+      from: startedAt,
+      tripStatus: 'in_progress'
+    });
+
+    const measured = this.measureTrackDistance(points);
+    const hasTrack = measured.usedPoints >= 2;
+
+    const durationStart = startedAt || (points.length > 0 ? new Date(points[0].recorded_at) : null);
+    const durationMinutes = durationStart
+      ? Math.max(1, Math.round((endedAt - durationStart) / 60000))
+      : (trip.estimated_duration || 0);
+
+    const distanceKm = hasTrack
+      ? Math.round(measured.distanceKm * 100) / 100
+      : parseFloat(trip.estimated_distance) || 0;
+
+    if (!hasTrack) {
+      logger.warn('Insufficient track data, falling back to estimated distance', {
+        tripId: trip.id,
+        recordedPoints: points.length
+      });
+    }
+
+    return {
+      distanceKm,
+      durationMinutes,
+      distanceSource: hasTrack ? 'track' : 'estimate',
+      recordedPoints: points.length,
+      rejectedPoints: measured.rejectedPoints
+    };
+  }
+}
+
+module.exports = TrackingService;
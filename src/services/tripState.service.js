@@ -0,0 +1,72 @@
+/**
+ * Trip State Service
+ * The trip lifecycle: which status changes are allowed, and for whom
+ *
+ *   scheduled -> pending -> accepted -> waiting_for_pickup -> in_progress -> completed
+ *
+ * A scheduled trip a driver pre-accepted goes straight to accepted, a driver
+ * may start without reporting arrival, and unfinished trips can be cancelled
+ * by the actors listed below. completed and cancelled are final.
+ */
+
+const { InvalidTransitionError } = require('../middleware/errorHandler');
+
+const ACTORS = ['client', 'driver', 'admin', 'system'];
+
+// from status -> to status -> actors allowed to make the change
+const TRANSITIONS = {
+  scheduled: {
+    pending: ['system'], // released to dispatch
+    accepted: ['system'], // released to the driver who pre-accepted it
+    cancelled: ['client', 'admin']
+  },
+  pending: {
+    accepted: ['driver'],
+    cancelled: ['client', 'admin', 'system'] // system: no driver found
+  },
+  accepted: {
+    waiting_for_pickup: ['driver'],
+    in_progress: ['driver'],
+    cancelled: ['client', 'driver', 'admin']
+  },
+  waiting_for_pickup: {
+    in_progress: ['driver', 'client'], // client: start with the OTP once the driver is there
+    cancelled: ['client', 'driver', 'admin']
+  },
+  in_progress: {
+    completed: ['driver', 'admin'],
+    cancelled: ['admin']
+  },
+  completed: {},
+  cancelled: {}
+};
+
+class TripStateService {
+  static get actors() {
+    return ACTORS;
+  }
+
+  static canTransition(fromStatus, toStatus, actor) {
+    const allowed = (TRANSITIONS[fromStatus] || {})[toStatus];
+    return Boolean(allowed && allowed.includes(actor));
+  }
+
+  static assertTransition(fromStatus, toStatus, actor) {
+    if (!this.canTransition(fromStatus, toStatus, actor)) {
+      throw new InvalidTransitionError(fromStatus, toStatus, actor);
+    }
+  }
+
+  // Statuses `actor` may move a trip to from `fromStatus`
+  static allowedTransitions(fromStatus, actor) {
+    return Object.entries(TRANSITIONS[fromStatus] || {})
+      .filter(([, actors]) => actors.includes(actor))
+      .map(([toStatus]) => toStatus);
+  }
+
+  static isFinal(status) {
+    return Object.keys(TRANSITIONS[status] || {}).length === 0;
+  }
+}
+
+module.exports = TripStateService;
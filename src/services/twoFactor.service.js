@@ -0,0 +1,253 @@
+/**
+ * Two-Factor Service
+ * TOTP two-factor authentication: enrollment, code and recovery code checks,
+ * the login challenge between password and second factor, and resets
+ *
+ * Secrets are stored encrypted (AES-256-GCM) and only become active once
+ * the user confirms a first code. Every change and every failed code is
+ * written to activity_logs.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const TwoFactor = require('../models/TwoFactor');
+const UserSession = require('../models/UserSession');
+const ActivityLog = require('../models/ActivityLog');
+const RateLimitService = require('./rateLimit.service');
+const totp = require('../utils/totp');
+const logger = require('../utils/logger');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'ONIVA';
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+// Challenge tokens are signed with their own key so they never pass as access tokens
+const CHALLENGE_SECRET = crypto.createHmac('sha256', JWT_SECRET).update('two-factor-challenge').digest('hex');
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+const twoFactorError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+class TwoFactorService {
+  // Read at call time so it can be switched on without touching the code
+  static isRequiredFor(user) {
+    return process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'admin';
+  }
+
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+  }
+
+  static decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // Ten "xxxx-xxxx" codes; each opens one login when the authenticator is lost
+  static generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(4).toString('hex');
+      return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+  }
+
+  static hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  static async record(action, { userId = null, resourceId = null, details = null, ipAddress = null } = {}) {
+    try {
+      await ActivityLog.record({ userId, action, resourceType: 'user', resourceId, details, ipAddress });
+    } catch (error) {
+      logger.error('Error recording two-factor activity:', error.message);
+    }
+  }
+
+  static async isEnabled(userId) {
+    const settings = await TwoFactor.findByUser(userId);
+    return Boolean(settings && settings.enabled_at);
+  }
+
+  static async getStatus(user) {
+    const settings = await TwoFactor.findByUser(user.id);
+    const enabled = Boolean(settings && settings.enabled_at);
+
+    return {
+      enabled,
+      enabledAt: enabled ? settings.enabled_at : null,
+      recoveryCodesLeft: enabled ? await TwoFactor.countRecoveryCodesLeft(user.id) : 0,
+      required: this.isRequiredFor(user)
+    };
+  }
+
+  /**
+   * Start enrollment: a new secret for the authenticator app, as text and
+   * as an otpauth:// URI. Two-factor is on once `enable` confirms a code.
+   */
+  static async setup(user, { ipAddress = null } = {}) {
+    const secret = totp.generateSecret();
+    const saved = await TwoFactor.saveSecret(user.id, this.encryptSecret(secret));
+    if (!saved) {
+      throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED', 409);
+    }
+
+    await this.record('two_factor_setup_started', { userId: user.id, resourceId: user.id, ipAddress });
+
+    return {
+      secret,
+      otpauthUri: totp.keyUri({ secret, accountName: user.phone, issuer: ISSUER })
+    };
+  }
+
+  // Confirm enrollment with a first code; returns the recovery codes, shown only now
+  static async enable(user, code, { sessionId = null, ipAddress = null } = {}) {
+    const settings = await TwoFactor.findByUser(user.id);
+    if (!settings) {
+      throw twoFactorError('Set up two-factor authentication first', 'TWO_FACTOR_NOT_SET_UP', 400);
+    }
+    if (settings.enabled_at) {
+      throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED', 409);
+    }
+
+    await RateLimitService.consume('two_factor', user.id, { ipAddress, userId: user.id });
+    const step = totp.verify(this.decryptSecret(settings.secret_encrypted), code);
+    if (step === null) {
+      throw twoFactorError('Invalid authentication code', 'TWO_FACTOR_INVALID', 400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    const enabled = await TwoFactor.enable(user.id, step, recoveryCodes.map((recoveryCode) => this.hashRecoveryCode(recoveryCode)));
+    if (!enabled) {
+      throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED', 409);
+    }
+    await RateLimitService.reset('two_factor', user.id);
+
+    // The session that just proved the second factor counts as verified
+    if (sessionId) {
+      await UserSession.markTwoFactorVerified(sessionId);
+    }
+
+    await this.record('two_factor_enabled', { userId: user.id, resourceId: user.id, ipAddress });
+    logger.info('Two-factor authentication enabled', { userId: user.id });
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Check an authenticator code, or else a recovery code, which is used up.
+   * Each attempt counts against the user's `two_factor` rate limit; returns
+   * the method that matched.
+   */
+  static async verifyCode(userId, code, { ipAddress = null } = {}) {
+    const settings = await TwoFactor.findByUser(userId);
+    if (!settings || !settings.enabled_at) {
+      throw twoFactorError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED', 400);
+    }
+
+    await RateLimitService.consume('two_factor', userId, { ipAddress, userId });
+
+    const candidate = String(code || '').trim();
+    let method = null;
+
+    if (/^\d{6}$/.test(candidate)) {
+      const step = totp.verify(this.decryptSecret(settings.secret_encrypted), candidate);
+      // A code already accepted once is refused, even inside its 30 seconds
+      if (step !== null && await TwoFactor.claimStep(userId, step)) {
+        method = 'totp';
+      }
+    } else if (candidate && await TwoFactor.useRecoveryCode(userId, this.hashRecoveryCode(candidate))) {
+      method = 'recovery_code';
+    }
+
+    if (!method) {
+      await this.record('two_factor_failed', { userId, resourceId: userId, ipAddress });
+      throw twoFactorError('Invalid authentication code', 'TWO_FACTOR_INVALID', 401);
+    }
+
+    await RateLimitService.reset('two_factor', userId);
+    if (method === 'recovery_code') {
+      await this.record('two_factor_recovery_code_used', {
+        userId,
+        resourceId: userId,
+        details: { recoveryCodesLeft: await TwoFactor.countRecoveryCodesLeft(userId) },
+        ipAddress
+      });
+    }
+
+    return method;
+  }
+
+  // Turn two-factor off with a valid code; not allowed where it is required
+  static async disable(user, code, { ipAddress = null } = {}) {
+    if (this.isRequiredFor(user)) {
+      throw twoFactorError('Two-factor authentication is required for admin accounts', 'TWO_FACTOR_REQUIRED', 403);
+    }
+
+    await this.verifyCode(user.id, code, { ipAddress });
+    await TwoFactor.remove(user.id);
+
+    await this.record('two_factor_disabled', { userId: user.id, resourceId: user.id, ipAddress });
+    logger.info('Two-factor authentication disabled', { userId: user.id });
+  }
+
+  // New recovery codes replace all the old ones
+  static async regenerateRecoveryCodes(user, code, { ipAddress = null } = {}) {
+    await this.verifyCode(user.id, code, { ipAddress });
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await TwoFactor.regenerateRecoveryCodes(user.id, recoveryCodes.map((recoveryCode) => this.hashRecoveryCode(recoveryCode)));
+
+    await this.record('two_factor_recovery_codes_regenerated', { userId: user.id, resourceId: user.id, ipAddress });
+    return { recoveryCodes };
+  }
+
+  // An admin turns a colleague's two-factor off, e.g. after a lost phone
+  static async reset(userId, { adminId, ipAddress = null }) {
+    const removed = await TwoFactor.remove(userId);
+    if (!removed) {
+      return false;
+    }
+
+    await this.record('two_factor_reset', { userId: adminId, resourceId: userId, ipAddress });
+    logger.warn('Two-factor authentication reset by admin', { userId, adminId });
+    return true;
+  }
+
+  // Short-lived proof that the password was right, traded in with the second factor
+  static issueChallenge(user) {
+    const challengeToken = jwt.sign({ id: user.id, purpose: 'two_factor' }, CHALLENGE_SECRET, {
+      expiresIn: CHALLENGE_TTL_SECONDS
+    });
+    return {
+      challengeToken,
+      challengeExpiresAt: new Date(jwt.decode(challengeToken).exp * 1000)
+    };
+  }
+
+  // Returns the user id of a valid challenge token
+  static verifyChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(String(challengeToken || ''), CHALLENGE_SECRET);
+      if (decoded.purpose !== 'two_factor') {
+        throw new Error('Wrong token purpose');
+      }
+      return decoded.id;
+    } catch (error) {
+      throw twoFactorError('Login challenge is invalid or expired, please log in again', 'TWO_FACTOR_CHALLENGE_INVALID', 401);
+    }
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,161 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../app');
+const AdminRole = require('../models/AdminRole');
+const ActivityLog = require('../models/ActivityLog');
+const User = require('../models/User');
+const { ROLES, PERMISSIONS, permissionsOf } = require('../config/permissions');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../models/AdminRole', () => ({
+  findRolesByUser: jest.fn(),
+  grant: jest.fn(),
+  revoke: jest.fn()
+}));
+
+jest.mock('../models/ActivityLog', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn()
+}));
+
+const adminToken = (id = 1) => jwt.sign({ id, role: 'admin' }, process.env.JWT_SECRET || 'your-secret-key', { expiresIn: '1h' });
+
+const asRoles = (...roles) => AdminRole.findRolesByUser.mockResolvedValue(roles);
+
+describe('Admin roles', () => {
+  it('should only grant permissions that exist', () => {
+    Object.values(ROLES).forEach(({ permissions }) => {
+      permissions.forEach((permission) => expect(PERMISSIONS).toContain(permission));
+    });
+  });
+
+  it('should merge the permissions of several roles and ignore unknown ones', () => {
+    const permissions = permissionsOf(['finance', 'support', 'janitor']);
+
+    expect(permissions).toEqual(expect.arrayContaining(['finance:read', 'users:suspend']));
+    expect(permissions).not.toContain('pricing:write');
+    expect(permissionsOf([])).toEqual([]);
+  });
+});
+
+describe('Admin route permissions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should refuse a route the admin has no permission for', async () => {
+    asRoles('support');
+
+    const res = await request(app)
+      .post('/api/admin/pricing')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ baseFare: 1000 });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ code: 'PERMISSION_DENIED', missingPermissions: ['pricing:write'] });
+  });
+
+  it('should refuse every admin route to an admin without roles', async () => {
+    asRoles();
+
+    const res = await request(app)
+      .get('/api/admin/users/5')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should not let the trip details route swallow other paths', async () => {
+    asRoles('super_admin');
+
+    const res = await request(app)
+      .get('/api/admin/roles')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((role) => role.name)).toEqual(['super_admin', 'ops', 'support', 'finance']);
+  });
+
+  it('should tell an admin their own permissions', async () => {
+    asRoles('finance');
+
+    const res = await request(app)
+      .get('/api/admin/me/permissions')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ roles: ['finance'], permissions: ROLES.finance.permissions });
+  });
+});
+
+describe('Admin role management', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should let a super_admin grant a role and log it', async () => {
+    AdminRole.findRolesByUser.mockImplementation(async (userId) => (userId === 1 ? ['super_admin'] : ['ops']));
+    User.findById.mockResolvedValue({ id: 5, role: 'admin' });
+    AdminRole.grant.mockResolvedValue({ user_id: 5, role: 'ops' });
+
+    const res = await request(app)
+      .post('/api/admin/admins/5/roles')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ role: 'ops' });
+
+    expect(res.status).toBe(201);
+    expect(AdminRole.grant).toHaveBeenCalledWith(5, 'ops', 1);
+    expect(ActivityLog.record).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 1,
+      action: 'admin_role_granted',
+      resourceId: 5,
+      details: { role: 'ops' }
+    }));
+  });
+
+  it('should not let roles be managed without roles:manage', async () => {
+    asRoles('ops');
+
+    const res = await request(app)
+      .post('/api/admin/admins/1/roles')
+      .set('Authorization', `Bearer ${adminToken(5)}`)
+      .send({ role: 'super_admin' });
+
+    expect(res.status).toBe(403);
+    expect(AdminRole.grant).not.toHaveBeenCalled();
+  });
+
+  it('should only grant roles to admins', async () => {
+    asRoles('super_admin');
+    User.findById.mockResolvedValue({ id: 9, role: 'client' });
+
+    const res = await request(app)
+      .post('/api/admin/admins/9/roles')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ role: 'support' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should keep the last super_admin', async () => {
+    asRoles('super_admin');
+    AdminRole.revoke.mockResolvedValue(null);
+
+    const res = await request(app)
+      .delete('/api/admin/admins/1/roles/super_admin')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('LAST_SUPER_ADMIN');
+    expect(ActivityLog.record).not.toHaveBeenCalled();
+  });
+});
@@ -11,6 +11,11 @@ jest.mock('../config/database', () => ({
   transaction: jest.fn()
 }));
 
+// Admin routes check the admin's roles; this admin works in finance
+jest.mock('../models/AdminRole', () => ({
+  findRolesByUser: jest.fn(async () => ['finance'])
+}));
+
 // Helper to create a fake admin token
 const createAdminToken = (id = 1) => {
   return jwt.sign({ id, role: 'admin' }, process.env.JWT_SECRET || 'test_secret', { expiresIn: '1h' });
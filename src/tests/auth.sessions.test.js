@@ -0,0 +1,155 @@
+const jwt = require('jsonwebtoken');
+const AuthService = require('../services/auth.service');
+const UserSession = require('../models/UserSession');
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { disconnectUser } = require('../services/socket.service');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../models/UserSession', () => ({
+  create: jest.fn(async ({ id }) => ({ id })),
+  findById: jest.fn(),
+  rotate: jest.fn(),
+  isActive: jest.fn(),
+  revoke: jest.fn(),
+  revokeAllForUser: jest.fn()
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../services/socket.service', () => ({
+  disconnectUser: jest.fn()
+}));
+
+const user = { id: 4, phone: '+221770000000', full_name: 'Awa Ndiaye', role: 'client', language: 'fr', status: 'active' };
+
+describe('AuthService sessions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findById.mockResolvedValue(user);
+    UserSession.revoke.mockImplementation(async (id) => ({ id, user_id: user.id }));
+  });
+
+  it('should tie the access token to a session holding only the refresh token hash', async () => {
+    const tokens = await AuthService.startSession(user, { deviceName: 'Pixel 7' });
+
+    const [sessionId, secret] = tokens.refreshToken.split('.');
+    const stored = UserSession.create.mock.calls[0][0];
+
+    expect(jwt.decode(tokens.token)).toMatchObject({ id: 4, sid: sessionId });
+    expect(stored).toMatchObject({ id: sessionId, userId: 4, deviceName: 'Pixel 7' });
+    expect(stored.refreshTokenHash).toBe(AuthService.hashRefreshToken(secret));
+    expect(JSON.stringify(stored)).not.toContain(secret);
+  });
+
+  it('should rotate the refresh token on every refresh', async () => {
+    const { refreshToken } = await AuthService.startSession(user);
+    const [sessionId, secret] = refreshToken.split('.');
+    UserSession.findById.mockResolvedValue({
+      id: sessionId,
+      user_id: 4,
+      refresh_token_hash: AuthService.hashRefreshToken(secret),
+      expired: false,
+      revoked_at: null
+    });
+    UserSession.rotate.mockResolvedValue({ id: sessionId });
+
+    const result = await AuthService.refreshToken(refreshToken);
+
+    expect(UserSession.rotate).toHaveBeenCalledWith(
+      sessionId,
+      AuthService.hashRefreshToken(secret),
+      AuthService.hashRefreshToken(result.refreshToken.split('.')[1]),
+      expect.any(Object)
+    );
+    expect(result.refreshToken).not.toBe(refreshToken);
+    expect(result.refreshToken.startsWith(`${sessionId}.`)).toBe(true);
+  });
+
+  it('should revoke the session when a replaced refresh token comes back', async () => {
+    const { refreshToken } = await AuthService.startSession(user);
+    const [sessionId] = refreshToken.split('.');
+    UserSession.findById.mockResolvedValue({
+      id: sessionId,
+      user_id: 4,
+      refresh_token_hash: AuthService.hashRefreshToken('a newer secret'),
+      expired: false,
+      revoked_at: null
+    });
+
+    await expect(AuthService.refreshToken(refreshToken)).rejects.toMatchObject({
+      code: 'REFRESH_TOKEN_REUSED',
+      statusCode: 401
+    });
+    expect(UserSession.rotate).not.toHaveBeenCalled();
+    expect(UserSession.revoke).toHaveBeenCalledWith(sessionId, 'reuse_detected', null);
+    expect(disconnectUser).toHaveBeenCalledWith(4, { sessionId, reason: 'reuse_detected' });
+  });
+
+  it('should refuse refresh tokens of revoked sessions and malformed ones', async () => {
+    const { refreshToken } = await AuthService.startSession(user);
+    UserSession.findById.mockResolvedValue({ id: refreshToken.split('.')[0], revoked_at: new Date() });
+
+    await expect(AuthService.refreshToken(refreshToken)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+    await expect(AuthService.refreshToken('not-a-token')).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  it('should log out every device', async () => {
+    UserSession.revokeAllForUser.mockResolvedValue(3);
+
+    await expect(AuthService.revokeAllSessions(4, 'logout_all')).resolves.toBe(3);
+    expect(UserSession.revokeAllForUser).toHaveBeenCalledWith(4, 'logout_all');
+    expect(disconnectUser).toHaveBeenCalledWith(4, { reason: 'logout_all' });
+  });
+
+  it('should only revoke the logged out session when its refresh token matches', async () => {
+    const { refreshToken } = await AuthService.startSession(user);
+    const [sessionId, secret] = refreshToken.split('.');
+    UserSession.findById.mockResolvedValue({ id: sessionId, refresh_token_hash: AuthService.hashRefreshToken(secret) });
+
+    await AuthService.logout({ refreshToken: `${sessionId}.guessed` });
+    expect(UserSession.revoke).not.toHaveBeenCalled();
+
+    await AuthService.logout({ refreshToken });
+    expect(UserSession.revoke).toHaveBeenCalledWith(sessionId, 'logout', null);
+  });
+});
+
+describe('authenticate middleware', () => {
+  const run = async (token) => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await authenticate(req, res, next);
+    return { req, res, next };
+  };
+
+  it('should reject access tokens of a revoked session', async () => {
+    UserSession.isActive.mockResolvedValue(false);
+    const token = AuthService.generateToken(user, '8eaf409c-959b-4fca-b57b-dfc36dc4667f');
+
+    const { res, next } = await run(token);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+  });
+
+  it('should accept access tokens of an active session', async () => {
+    UserSession.isActive.mockResolvedValue(true);
+    const token = AuthService.generateToken(user, '8eaf409c-959b-4fca-b57b-dfc36dc4667f');
+
+    const { req, next } = await run(token);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.sessionId).toBe('8eaf409c-959b-4fca-b57b-dfc36dc4667f');
+  });
+});
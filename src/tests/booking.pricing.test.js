@@ -0,0 +1,159 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../app');
+const { query } = require('../config/database');
+const PricingService = require('../services/pricing.service');
+const DispatchService = require('../services/dispatch.service');
+const Trip = require('../models/Trip');
+const FareQuote = require('../models/FareQuote');
+const { haversineDistance } = require('../utils/geo');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+// Plateau to Ouakam, Dakar
+const PICKUP = { lat: 14.6681, lng: -17.4333 };
+const DESTINATION = { lat: 14.7167, lng: -17.4833 };
+const STRAIGHT_LINE_KM = Math.round(haversineDistance(PICKUP.lat, PICKUP.lng, DESTINATION.lat, DESTINATION.lng) * 100) / 100;
+
+const resolve = (routeDistance) => PricingService.resolveRouteDistance(
+  PICKUP.lat, PICKUP.lng, DESTINATION.lat, DESTINATION.lng, routeDistance
+);
+
+describe('PricingService.resolveRouteDistance', () => {
+  it('should never price a route shorter than the straight line', () => {
+    expect(resolve(0.5)).toBe(STRAIGHT_LINE_KM);
+  });
+
+  it('should cap a reported route at twice the straight line', () => {
+    expect(resolve(500)).toBeCloseTo(STRAIGHT_LINE_KM * 2, 1);
+  });
+
+  it('should keep a plausible reported route and assume a detour without one', () => {
+    expect(resolve(STRAIGHT_LINE_KM * 1.5)).toBeCloseTo(STRAIGHT_LINE_KM * 1.5, 1);
+    expect(resolve(undefined)).toBeCloseTo(STRAIGHT_LINE_KM * 1.3, 1);
+  });
+});
+
+describe('PricingService.quoteFare', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // No config stored: the defaults apply (3000 XOF + 300 XOF/km, 25% commission)
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  it('should price the coordinates, whatever distance the app reports', async () => {
+    const quote = await PricingService.quoteFare({
+      bookingType: 'point-to-point',
+      pickupLat: PICKUP.lat,
+      pickupLng: PICKUP.lng,
+      destinationLat: DESTINATION.lat,
+      destinationLng: DESTINATION.lng,
+      pickupTime: new Date(2026, 9, 19, 12, 0),
+      routeDistance: 0.1
+    });
+
+    const expectedFare = Math.round(Math.max(3000 + STRAIGHT_LINE_KM * 300, 5000));
+    expect(quote.distanceKm).toBe(STRAIGHT_LINE_KM);
+    expect(quote.fareEstimate.totalFare).toBe(expectedFare);
+    expect(quote.commissionBreakdown).toMatchObject({
+      totalFare: expectedFare,
+      platformCommission: Math.round(expectedFare * 0.25),
+      driverEarnings: Math.round(expectedFare * 0.75)
+    });
+  });
+});
+
+describe('POST /api/client/book-trip', () => {
+  const token = jwt.sign({ id: 2, role: 'client' }, process.env.JWT_SECRET || 'your-secret-key', { expiresIn: '1h' });
+
+  const quote = {
+    id: '6f1c2a52-6a43-4f43-9a8e-2f0f4b1d7e10',
+    client_id: 2,
+    booking_type: 'point-to-point',
+    region: 'Dakar',
+    pickup_latitude: String(PICKUP.lat),
+    pickup_longitude: String(PICKUP.lng),
+    destination_latitude: String(DESTINATION.lat),
+    destination_longitude: String(DESTINATION.lng),
+    stops: [],
+    pickup_time: new Date(),
+    distance_km: '7.80',
+    base_price: 5340,
+    total_price: 5340,
+    platform_commission: 1335,
+    driver_earnings: 4005,
+    pricing_config_id: 3,
+    surge_multiplier: '1.00',
+    promo_code_id: null,
+    discount_amount: 0,
+    used_at: null,
+    expires_at: new Date(Date.now() + 10 * 60000)
+  };
+
+  beforeEach(() => {
+    jest.spyOn(FareQuote, 'findById').mockResolvedValue(quote);
+    jest.spyOn(Trip, 'create').mockImplementation(async (data) => ({ id: 11, ...data }));
+    jest.spyOn(Trip, 'generateOTP').mockResolvedValue('1234');
+    jest.spyOn(DispatchService, 'findAndAssignDriver').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should book at the quoted amounts and ignore prices sent by the app', async () => {
+    const res = await request(app)
+      .post('/api/client/book-trip')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        bookingType: 'point-to-point',
+        pickupLat: PICKUP.lat,
+        pickupLng: PICKUP.lng,
+        destinationLat: DESTINATION.lat,
+        destinationLng: DESTINATION.lng,
+        region: 'Dakar',
+        paymentMethod: 'cash',
+        quoteId: quote.id,
+        basePrice: 1,
+        totalPrice: 1,
+        platformCommission: 0,
+        driverEarnings: 1,
+        estimatedDistance: 0.1
+      });
+
+    expect(res.status).toBe(201);
+    expect(Trip.create).toHaveBeenCalledWith(expect.objectContaining({
+      basePrice: 5340,
+      totalPrice: 5340,
+      platformCommission: 1335,
+      driverEarnings: 4005,
+      estimatedDistance: '7.80',
+      fareQuoteId: quote.id,
+      pricingConfigId: 3
+    }));
+  });
+
+  it('should refuse to book without a quote', async () => {
+    const res = await request(app)
+      .post('/api/client/book-trip')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        bookingType: 'point-to-point',
+        pickupLat: PICKUP.lat,
+        pickupLng: PICKUP.lng,
+        destinationLat: DESTINATION.lat,
+        destinationLng: DESTINATION.lng,
+        region: 'Dakar',
+        paymentMethod: 'cash',
+        totalPrice: 1
+      });
+
+    expect(res.status).toBe(400);
+    expect(Trip.create).not.toHaveBeenCalled();
+  });
+});
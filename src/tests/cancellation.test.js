@@ -0,0 +1,63 @@
+const PricingService = require('../services/pricing.service');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const config = {
+  commission_percentage: '25.00',
+  cancellation_grace_minutes: 5,
+  cancellation_fee: 1000
+};
+
+const bookedAt = new Date(Date.UTC(2026, 0, 1, 10, 0));
+const minutesLater = (minutes) => new Date(bookedAt.getTime() + minutes * 60000);
+const trip = (status) => ({ status, created_at: bookedAt, total_price: 8000 });
+
+describe('PricingService.computeCancellationFee', () => {
+  it('should be free before a driver accepts', () => {
+    const result = PricingService.computeCancellationFee(trip('pending'), config, 'client', minutesLater(30));
+    expect(result.fee).toBe(0);
+  });
+
+  it('should be free within the grace period', () => {
+    const result = PricingService.computeCancellationFee(trip('accepted'), config, 'client', minutesLater(3));
+    expect(result.fee).toBe(0);
+  });
+
+  it('should charge and split the fee once a driver is on the way', () => {
+    const result = PricingService.computeCancellationFee(trip('waiting_for_pickup'), config, 'client', minutesLater(10));
+    expect(result).toMatchObject({ fee: 1000, platformShare: 250, driverShare: 750 });
+  });
+
+  it('should not charge the client when the driver cancels', () => {
+    const result = PricingService.computeCancellationFee(trip('accepted'), config, 'driver', minutesLater(10));
+    expect(result.fee).toBe(0);
+  });
+
+  describe('scheduled trips', () => {
+    const scheduled = (overrides = {}) => ({
+      ...trip('scheduled'),
+      is_scheduled: true,
+      driver_id: 9,
+      scheduled_time: minutesLater(24 * 60),
+      ...overrides
+    });
+
+    it('should be free before the cutoff even with a pre-accepted driver', () => {
+      const result = PricingService.computeCancellationFee(scheduled(), config, 'client', minutesLater(60));
+      expect(result.fee).toBe(0);
+    });
+
+    it('should charge after the cutoff once a driver holds the trip', () => {
+      const pickup = 24 * 60;
+      const afterCutoff = minutesLater(pickup - PricingService.scheduledChangeCutoffMinutes + 1);
+
+      expect(PricingService.computeCancellationFee(scheduled(), config, 'client', afterCutoff).fee).toBe(1000);
+      expect(PricingService.computeCancellationFee(scheduled({ driver_id: null }), config, 'client', afterCutoff).fee).toBe(0);
+    });
+  });
+});
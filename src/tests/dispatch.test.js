@@ -0,0 +1,338 @@
+const DispatchService = require('../services/dispatch.service');
+const Driver = require('../models/Driver');
+const Trip = require('../models/Trip');
+const { query, transaction } = require('../config/database');
+const { sendReliableNotification, notifyClient, emitToTrip, joinTripRoom } = require('../services/socket.service');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../models/Driver', () => ({
+  getDispatchCandidates: jest.fn()
+}));
+
+jest.mock('../models/Trip', () => ({
+  findById: jest.fn(),
+  recordDispatchRound: jest.fn().mockResolvedValue(undefined),
+  findAwaitingRedispatch: jest.fn(),
+  releaseDueScheduled: jest.fn(),
+  cancelTrip: jest.fn()
+}));
+
+jest.mock('../services/socket.service', () => ({
+  sendReliableNotification: jest.fn().mockResolvedValue({ delivered: true }),
+  notifyClient: jest.fn().mockResolvedValue(true),
+  emitToAdmins: jest.fn(),
+  emitToTrip: jest.fn(),
+  joinTripRoom: jest.fn()
+}));
+
+const config = (overrides = {}) => DispatchService.normalizeConfig(overrides);
+
+describe('DispatchService strategy settings', () => {
+  it('should fall back to broadcast defaults without a config row', () => {
+    const defaults = config();
+    expect(defaults.strategy).toBe('broadcast');
+    expect(DispatchService.roundSize(defaults)).toBe(10);
+    expect(DispatchService.roundTimeoutSeconds(defaults)).toBe(600);
+  });
+
+  it('should parse numeric columns returned as strings', () => {
+    const parsed = config({ initial_radius_km: '2.50', wave_size: '4' });
+    expect(parsed.initial_radius_km).toBe(2.5);
+    expect(parsed.wave_size).toBe(4);
+  });
+
+  it('should offer one driver at a time in sequential mode', () => {
+    const sequential = config({ strategy: 'sequential', offer_timeout_seconds: 15 });
+    expect(DispatchService.roundSize(sequential)).toBe(1);
+    expect(DispatchService.roundTimeoutSeconds(sequential)).toBe(15);
+  });
+
+  it('should widen the radius per wave and per attempt up to the maximum', () => {
+    const waves = config({ strategy: 'waves', initial_radius_km: 3, radius_step_km: 2, max_radius_km: 8 });
+    expect(DispatchService.searchRadius(waves, 1, 1)).toBe(3);
+    expect(DispatchService.searchRadius(waves, 1, 2)).toBe(5);
+    expect(DispatchService.searchRadius(waves, 2, 2)).toBe(7);
+    expect(DispatchService.searchRadius(waves, 1, 10)).toBe(8);
+
+    const broadcast = config({ initial_radius_km: 3, radius_step_km: 2 });
+    expect(DispatchService.searchRadius(broadcast, 1, 5)).toBe(3);
+    expect(DispatchService.searchRadius(broadcast, 2, 1)).toBe(5);
+  });
+
+  it('should reject unknown strategies and non-positive sizes', () => {
+    expect(() => DispatchService.sanitizeDispatchConfig({ strategy: 'lottery' })).toThrow('strategy must be one of');
+    expect(() => DispatchService.sanitizeDispatchConfig({ wave_size: 0 })).toThrow('wave_size must be a positive integer');
+  });
+});
+
+describe('DispatchService candidate scoring', () => {
+  const candidate = (overrides = {}) => ({
+    user_id: 1,
+    distance: 2.5,
+    rating: '5.00',
+    recent_offers: 0,
+    recent_accepted: 0,
+    idle_minutes: null,
+    location_age_seconds: 0,
+    ...overrides
+  });
+
+  it('should normalise every factor to 0..1 and keep the weights', () => {
+    const { score, breakdown } = DispatchService.scoreCandidate(
+      candidate({ rating: '4.00', recent_offers: 8, recent_accepted: 4, idle_minutes: '30', location_age_seconds: 150 }),
+      config(),
+      5
+    );
+
+    expect(breakdown).toEqual({
+      distance: { value: 0.5, weight: 0.5 },
+      rating: { value: 0.75, weight: 0.15 },
+      acceptance: { value: 0.5, weight: 0.15 },
+      idle: { value: 0.5, weight: 0.1 },
+      freshness: { value: 0.5, weight: 0.1 }
+    });
+    expect(score).toBeCloseTo(0.5375, 4);
+  });
+
+  it('should give new drivers a neutral acceptance rate and full idle time', () => {
+    const { breakdown } = DispatchService.scoreCandidate(candidate(), config(), 5);
+    expect(breakdown.acceptance.value).toBe(0.5);
+    expect(breakdown.idle.value).toBe(1);
+  });
+
+  it('should let a reliable driver outrank a slightly closer one', () => {
+    const scoring = config();
+    const closer = DispatchService.scoreCandidate(
+      candidate({ distance: 1, recent_offers: 10, recent_accepted: 1 }),
+      scoring,
+      5
+    );
+    const reliable = DispatchService.scoreCandidate(
+      candidate({ distance: 1.5, recent_offers: 10, recent_accepted: 10 }),
+      scoring,
+      5
+    );
+    expect(reliable.score).toBeGreaterThan(closer.score);
+
+    const distanceOnly = config({ weight_rating: 0, weight_acceptance: 0, weight_idle: 0, weight_freshness: 0 });
+    expect(DispatchService.scoreCandidate(candidate({ distance: 1 }), distanceOnly, 5).score)
+      .toBeGreaterThan(DispatchService.scoreCandidate(candidate({ distance: 1.5 }), distanceOnly, 5).score);
+  });
+
+  it('should reject negative weights', () => {
+    expect(() => DispatchService.sanitizeDispatchConfig({ weight_rating: -1 })).toThrow('weight_rating must be a number');
+  });
+});
+
+describe('DispatchService sequential rounds', () => {
+  const drivers = [
+    { user_id: 11, distance: 0.8 },
+    { user_id: 12, distance: 1.6 }
+  ];
+  let requestId;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    requestId = 100;
+
+    Trip.findById.mockResolvedValue({ id: 1, status: 'pending' });
+    Driver.getDispatchCandidates.mockResolvedValue(drivers);
+    query.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO booking_requests')) {
+        return { rows: [{ id: ++requestId, trip_id: params[0], driver_id: params[1], expires_at: new Date() }] };
+      }
+      if (sql.includes('SELECT DISTINCT driver_id')) {
+        const offered = sendReliableNotification.mock.calls.map((call) => ({ driver_id: call[0] }));
+        return { rows: offered };
+      }
+      if (sql.includes('COUNT(*)::int AS count')) {
+        return { rows: [{ count: 0 }] };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+  });
+
+  afterEach(() => {
+    DispatchService.stopAll();
+    jest.useRealTimers();
+  });
+
+  const state = {
+    tripId: 1,
+    pickupLat: 14.7,
+    pickupLng: -17.4,
+    region: 'Dakar',
+    attempt: 1,
+    wave: 1,
+    config: config({ strategy: 'sequential', offer_timeout_seconds: 20 })
+  };
+
+  it('should offer the best scored driver and move on when the offer times out', async () => {
+    const result = await DispatchService.dispatchRound(state);
+
+    expect(result).toEqual(expect.objectContaining({ success: true, strategy: 'sequential', wave: 1 }));
+    expect(sendReliableNotification).toHaveBeenCalledTimes(1);
+    expect(sendReliableNotification.mock.calls[0][0]).toBe(11);
+
+    await DispatchService.advanceDispatch(1, 1, 1, 'timeout');
+
+    expect(sendReliableNotification).toHaveBeenCalledTimes(2);
+    expect(sendReliableNotification.mock.calls[1][0]).toBe(12);
+    expect(DispatchService.getActiveDispatch(1).wave).toBe(2);
+  });
+
+  it('should move on at once when the offered driver declines', async () => {
+    await DispatchService.dispatchRound(state);
+
+    await DispatchService.handleDispatchEvent({ type: 'request_declined', tripId: 1, attempt: 1, wave: 1 });
+
+    expect(sendReliableNotification).toHaveBeenCalledTimes(2);
+    expect(DispatchService.getActiveDispatch(1).wave).toBe(2);
+  });
+
+  it('should ignore events for rounds that are already over', async () => {
+    await DispatchService.dispatchRound(state);
+    await DispatchService.advanceDispatch(1, 1, 1, 'timeout');
+
+    await DispatchService.handleDispatchEvent({ type: 'request_declined', tripId: 1, attempt: 1, wave: 1 });
+
+    expect(sendReliableNotification).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop once a driver accepts', async () => {
+    await DispatchService.dispatchRound(state);
+
+    await DispatchService.handleDispatchEvent({ type: 'request_accepted', tripId: 1, attempt: 1, wave: 1 });
+
+    expect(DispatchService.getActiveDispatch(1)).toBeNull();
+  });
+});
+
+describe('DispatchService sweeper', () => {
+  const pendingTrip = (overrides = {}) => ({
+    id: 5,
+    client_id: 3,
+    status: 'pending',
+    region: 'Dakar',
+    pickup_latitude: '14.70000000',
+    pickup_longitude: '-17.40000000',
+    dispatch_attempts: 1,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transaction.mockImplementation((callback) => callback({
+      query: jest.fn().mockResolvedValue({ rows: [{ locked: true }] })
+    }));
+    query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM dispatch_config')) {
+        return { rows: [] };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+    Trip.findById.mockResolvedValue(pendingTrip());
+    Driver.getDispatchCandidates.mockResolvedValue([]);
+  });
+
+  it('should start a wider attempt while attempts remain', async () => {
+    Trip.findAwaitingRedispatch.mockResolvedValue([pendingTrip({ dispatch_attempts: 1 })]);
+
+    const result = await DispatchService.sweepUnansweredTrips();
+
+    expect(result).toEqual({ expired: 0, redispatched: 1, cancelled: 0 });
+    expect(Trip.recordDispatchRound).toHaveBeenCalledWith(5, 2);
+    expect(Driver.getDispatchCandidates).toHaveBeenCalledWith(expect.objectContaining({
+      latitude: 14.7,
+      longitude: -17.4,
+      region: 'Dakar',
+      maxDistanceKm: 10,
+      staleMinutes: 5
+    }));
+    expect(notifyClient).toHaveBeenCalledWith(3, 'dispatch_status', expect.objectContaining({ attempt: 2 }));
+  });
+
+  it('should cancel the trip once attempts are exhausted and tell the client', async () => {
+    Trip.findAwaitingRedispatch.mockResolvedValue([pendingTrip({ dispatch_attempts: 3 })]);
+    Trip.cancelTrip.mockResolvedValue(pendingTrip({ status: 'cancelled' }));
+
+    const result = await DispatchService.sweepUnansweredTrips();
+
+    expect(result.cancelled).toBe(1);
+    expect(Trip.cancelTrip).toHaveBeenCalledWith(5, 'no_driver_found', {
+      cancelledBy: 'system',
+      expectedStatus: 'pending'
+    });
+    expect(sendReliableNotification).toHaveBeenCalledWith(3, 'trip_status_changed', expect.objectContaining({
+      status: 'cancelled',
+      reason: 'no_driver_found'
+    }));
+  });
+
+  it('should not count a trip accepted in the meantime as cancelled', async () => {
+    const notCancellable = new Error('Trip can no longer be cancelled');
+    notCancellable.code = 'TRIP_NOT_CANCELLABLE';
+    Trip.findAwaitingRedispatch.mockResolvedValue([pendingTrip({ dispatch_attempts: 3 })]);
+    Trip.cancelTrip.mockRejectedValue(notCancellable);
+
+    const result = await DispatchService.sweepUnansweredTrips();
+
+    expect(result.cancelled).toBe(0);
+    expect(sendReliableNotification).not.toHaveBeenCalled();
+  });
+
+  it('should skip the sweep when another instance holds the lock', async () => {
+    transaction.mockImplementation((callback) => callback({
+      query: jest.fn().mockResolvedValue({ rows: [{ locked: false }] })
+    }));
+
+    await expect(DispatchService.sweepUnansweredTrips()).resolves.toEqual({ skipped: true });
+    expect(Trip.findAwaitingRedispatch).not.toHaveBeenCalled();
+  });
+});
+
+describe('DispatchService scheduled trips', () => {
+  const now = new Date('2026-10-19T08:00:00Z');
+  const minutesFromNow = (minutes) => new Date(now.getTime() + minutes * 60000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transaction.mockImplementation((callback) => callback({
+      query: jest.fn().mockResolvedValue({ rows: [{ locked: true }] })
+    }));
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    Driver.getDispatchCandidates.mockResolvedValue([]);
+  });
+
+  it('should only treat pickups beyond the minimum advance as scheduled', () => {
+    expect(DispatchService.isAdvanceBooking(minutesFromNow(120), now)).toBe(true);
+    expect(DispatchService.isAdvanceBooking(minutesFromNow(10), now)).toBe(false);
+    expect(DispatchService.isAdvanceBooking(undefined, now)).toBe(false);
+    expect(DispatchService.isAdvanceBooking('not-a-date', now)).toBe(false);
+  });
+
+  it('should hand pre-accepted trips to their driver and dispatch the others', async () => {
+    const base = { client_id: 3, region: 'Dakar', pickup_latitude: '14.7', pickup_longitude: '-17.4' };
+    Trip.releaseDueScheduled.mockResolvedValue([
+      { ...base, id: 7, status: 'accepted', driver_id: 21 },
+      { ...base, id: 8, status: 'pending', driver_id: null }
+    ]);
+    Trip.findById.mockResolvedValue({ id: 8, status: 'pending' });
+
+    const result = await DispatchService.releaseScheduledTrips();
+
+    expect(result).toEqual({ assigned: 1, dispatched: 1 });
+    expect(joinTripRoom).toHaveBeenCalledWith(21, 7);
+    expect(sendReliableNotification).toHaveBeenCalledWith(21, 'scheduled_trip_starting', expect.objectContaining({ tripId: 7 }));
+    expect(emitToTrip).toHaveBeenCalledWith(7, 'trip_status_changed', expect.objectContaining({ status: 'accepted' }), { userIds: [3] });
+    expect(Trip.recordDispatchRound).toHaveBeenCalledWith(8, 1);
+    expect(notifyClient).toHaveBeenCalledWith(3, 'dispatch_status', expect.objectContaining({ tripId: 8, attempt: 1 }));
+  });
+});
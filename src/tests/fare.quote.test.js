@@ -0,0 +1,151 @@
+const PricingService = require('../services/pricing.service');
+const FareQuote = require('../models/FareQuote');
+const Trip = require('../models/Trip');
+const { query, transaction } = require('../config/database');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const MINUTE = 60000;
+
+const storedQuote = (overrides = {}) => ({
+  id: '6f1c2a52-6a43-4f43-9a8e-2f0f4b1d7e10',
+  client_id: 2,
+  booking_type: 'point-to-point',
+  region: 'Dakar',
+  pickup_latitude: '14.668100',
+  pickup_longitude: '-17.433300',
+  destination_latitude: '14.716700',
+  destination_longitude: '-17.483300',
+  hours: null,
+  stops: [],
+  pickup_time: new Date(),
+  total_price: 5340,
+  promo_code_id: null,
+  discount_amount: 0,
+  used_at: null,
+  expires_at: new Date(Date.now() + 10 * MINUTE),
+  ...overrides
+});
+
+const booking = (overrides = {}) => ({
+  bookingType: 'point-to-point',
+  pickupLat: 14.6681,
+  pickupLng: -17.4333,
+  destinationLat: 14.7167,
+  destinationLng: -17.4833,
+  stops: [],
+  region: 'Dakar',
+  ...overrides
+});
+
+const bookable = (quote, overrides) => {
+  query.mockResolvedValueOnce({ rows: [quote] });
+  return PricingService.getBookableQuote(quote.id, 2, booking(overrides));
+};
+
+describe('PricingService.createFareQuote', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should store the quoted amounts with a 15 minute expiry', async () => {
+    query.mockImplementation(async (sql, params) => ({ rows: [{ id: params[0] }] }));
+
+    await PricingService.createFareQuote(2, {
+      pricingConfigId: 3,
+      bookingType: 'point-to-point',
+      pickupTime: new Date().toISOString(),
+      basePrice: 5340,
+      region: 'Dakar',
+      surgeMultiplier: 1,
+      discountAmount: 0,
+      commissionBreakdown: { totalFare: 5340, platformCommission: 1335, driverEarnings: 4005, commissionPercentage: 25 }
+    });
+
+    const params = query.mock.calls[0][1];
+    expect(params.slice(11, 15)).toEqual([5340, 5340, 1335, 4005]);
+    expect(params[21].getTime() - Date.now()).toBeGreaterThan(14 * MINUTE);
+    expect(params[21].getTime() - Date.now()).toBeLessThanOrEqual(15 * MINUTE);
+  });
+});
+
+describe('PricingService.getBookableQuote', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should hand back a valid quote for the same trip', async () => {
+    const quote = storedQuote();
+
+    await expect(bookable(quote)).resolves.toBe(quote);
+  });
+
+  it('should not let another client book the quote', async () => {
+    await expect(bookable(storedQuote({ client_id: 5 }))).rejects.toMatchObject({
+      code: 'FARE_QUOTE_NOT_FOUND',
+      statusCode: 404
+    });
+  });
+
+  it('should refuse a quote that was used or has expired', async () => {
+    await expect(bookable(storedQuote({ used_at: new Date() }))).rejects.toMatchObject({ code: 'FARE_QUOTE_USED' });
+    await expect(bookable(storedQuote({ expires_at: new Date(Date.now() - MINUTE) }))).rejects.toMatchObject({
+      code: 'FARE_QUOTE_EXPIRED'
+    });
+  });
+
+  it('should refuse a booking for another trip, region or pickup time', async () => {
+    await expect(bookable(storedQuote(), { destinationLat: 14.75 })).rejects.toMatchObject({ code: 'FARE_QUOTE_MISMATCH' });
+    await expect(bookable(storedQuote(), { region: 'Thies' })).rejects.toMatchObject({ code: 'FARE_QUOTE_MISMATCH' });
+    await expect(bookable(storedQuote({ region: null }))).rejects.toMatchObject({ code: 'FARE_QUOTE_MISMATCH' });
+    await expect(bookable(storedQuote(), { scheduledTime: new Date(Date.now() + 3 * 60 * MINUTE) }))
+      .rejects.toMatchObject({ code: 'FARE_QUOTE_MISMATCH' });
+  });
+
+  it('should accept a pickup a few minutes after the quoted one', async () => {
+    const quote = storedQuote({ pickup_time: new Date(Date.now() - 5 * MINUTE) });
+
+    await expect(bookable(quote)).resolves.toBe(quote);
+  });
+});
+
+describe('Trip.create with a fare quote', () => {
+  let statements;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    statements = [];
+  });
+
+  const createTrip = (claimedRows) => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        statements.push(sql);
+        if (sql.includes('UPDATE fare_quotes')) {
+          return { rows: claimedRows };
+        }
+        return { rows: [{ id: 11, status: 'pending' }] };
+      })
+    };
+    transaction.mockImplementation(async (callback) => callback(client));
+
+    return Trip.create({ clientId: 2, bookingType: 'point-to-point', fareQuoteId: storedQuote().id });
+  };
+
+  it('should claim the quote in the booking transaction', async () => {
+    await expect(createTrip([{ id: storedQuote().id }])).resolves.toMatchObject({ id: 11 });
+
+    const claim = statements.find((sql) => sql.includes('UPDATE fare_quotes'));
+    expect(claim).toContain('used_at IS NULL');
+    expect(claim).toContain('expires_at > NOW()');
+  });
+
+  it('should fail the booking when a parallel booking claimed the quote first', async () => {
+    await expect(createTrip([])).rejects.toMatchObject({ code: 'FARE_QUOTE_USED', statusCode: 409 });
+  });
+});
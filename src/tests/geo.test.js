@@ -0,0 +1,43 @@
+const { haversineDistance, simplifyPath } = require('../utils/geo');
+
+describe('geo utils', () => {
+  it('should compute haversine distance in km', () => {
+    // Dakar Plateau -> Dakar airport (AIBD) is roughly 39 km as the crow flies
+    const distance = haversineDistance(14.6708, -17.4381, 14.6700, -17.0733);
+    expect(distance).toBeGreaterThan(38);
+    expect(distance).toBeLessThan(42);
+  });
+
+  it('should return 0 for identical points', () => {
+    expect(haversineDistance(14.7, -17.4, 14.7, -17.4)).toBe(0);
+  });
+
+  it('should drop collinear points when simplifying', () => {
+    const points = [
+      { latitude: 14.7000, longitude: -17.4000 },
+      { latitude: 14.7005, longitude: -17.4000 },
+      { latitude: 14.7010, longitude: -17.4000 },
+      { latitude: 14.7015, longitude: -17.4000 }
+    ];
+
+    const simplified = simplifyPath(points, 5);
+    expect(simplified).toHaveLength(2);
+    expect(simplified[0]).toBe(points[0]);
+    expect(simplified[1]).toBe(points[3]);
+  });
+
+  it('should keep corners that exceed the tolerance', () => {
+    const points = [
+      { latitude: 14.7000, longitude: -17.4000 },
+      { latitude: 14.7010, longitude: -17.4000 },
+      { latitude: 14.7010, longitude: -17.4010 }
+    ];
+
+    expect(simplifyPath(points, 10)).toHaveLength(3);
+  });
+
+  it('should return the path untouched without a tolerance', () => {
+    const points = [{ latitude: 1, longitude: 1 }, { latitude: 2, longitude: 2 }, { latitude: 3, longitude: 3 }];
+    expect(simplifyPath(points, 0)).toBe(points);
+  });
+});
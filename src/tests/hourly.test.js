@@ -0,0 +1,92 @@
+const PricingService = require('../services/pricing.service');
+const HourlyTripService = require('../services/hourly.service');
+const Trip = require('../models/Trip');
+const { sendReliableNotification, notifyDriver } = require('../services/socket.service');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../models/Trip', () => ({
+  findHourlyPackagesEnding: jest.fn(),
+  markPackageWarningSent: jest.fn()
+}));
+
+jest.mock('../services/socket.service', () => ({
+  sendReliableNotification: jest.fn().mockResolvedValue({ delivered: true }),
+  notifyDriver: jest.fn().mockResolvedValue(true)
+}));
+
+describe('PricingService.computeOvertimeCharge', () => {
+  const config = { overtime_increment_minutes: 15 };
+
+  it('should not bill anything within the package', () => {
+    const result = PricingService.computeOvertimeCharge(4, 18000, 200, config);
+    expect(result).toMatchObject({ overtimeMinutes: 0, increments: 0, overtimeCharge: 0 });
+  });
+
+  it('should bill every started increment at the prorated package rate', () => {
+    const result = PricingService.computeOvertimeCharge(4, 18000, 260, config);
+    expect(result).toMatchObject({
+      bookedMinutes: 240,
+      overtimeMinutes: 20,
+      increments: 2,
+      billedMinutes: 30,
+      incrementRate: 1125,
+      overtimeCharge: 2250
+    });
+  });
+
+  it('should default to 15 minute increments', () => {
+    expect(PricingService.computeOvertimeCharge(1, 6000, 61, {}).overtimeCharge).toBe(1500);
+  });
+});
+
+describe('HourlyTripService', () => {
+  const startedAt = new Date(Date.UTC(2026, 0, 1, 10, 0));
+  const trip = (overrides = {}) => ({
+    id: 4,
+    client_id: 3,
+    driver_id: 8,
+    region: 'Dakar',
+    booked_hours: '4.00',
+    total_price: 18000,
+    discount_amount: 0,
+    otp_verified_at: startedAt,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should count elapsed time from OTP start', () => {
+    const usage = HourlyTripService.getUsage(trip(), new Date(startedAt.getTime() + 250 * 60000));
+    expect(usage).toMatchObject({ bookedHours: 4, elapsedMinutes: 250, remainingMinutes: 0, overtimeMinutes: 10 });
+    expect(usage.endsAt).toEqual(new Date(startedAt.getTime() + 240 * 60000));
+  });
+
+  it('should fall back to the estimated duration for trips booked without hours', () => {
+    expect(HourlyTripService.bookedHours(trip({ booked_hours: null, estimated_duration: 60 }))).toBe(1);
+  });
+
+  it('should warn client and driver once with the overtime terms', async () => {
+    jest.spyOn(PricingService, 'getPricingConfig').mockResolvedValue({ overtime_increment_minutes: 30 });
+    Trip.findHourlyPackagesEnding.mockResolvedValue([trip(), trip({ id: 5 })]);
+    Trip.markPackageWarningSent.mockImplementation(async (tripId) => tripId === 4);
+
+    const result = await HourlyTripService.warnEndingPackages();
+
+    expect(result).toEqual({ warned: 1 });
+    expect(sendReliableNotification).toHaveBeenCalledTimes(1);
+    expect(sendReliableNotification).toHaveBeenCalledWith(3, 'hourly_package_ending', expect.objectContaining({
+      tripId: 4,
+      overtimeIncrementMinutes: 30,
+      overtimeIncrementRate: 2250
+    }));
+    expect(notifyDriver).toHaveBeenCalledWith(8, 'hourly_package_ending', expect.any(Object));
+  });
+});
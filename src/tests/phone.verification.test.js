@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuthService = require('../services/auth.service');
+const SmsService = require('../services/sms');
+const FileSmsProvider = require('../services/sms/file.provider');
+const PhoneVerification = require('../models/PhoneVerification');
+const User = require('../models/User');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../models/PhoneVerification', () => ({
+  issue: jest.fn(),
+  find: jest.fn(),
+  claimAttempt: jest.fn(),
+  markVerified: jest.fn(),
+  findUsable: jest.fn()
+}));
+
+jest.mock('../models/User', () => ({
+  findByPhone: jest.fn(),
+  create: jest.fn()
+}));
+
+jest.mock('../models/UserSession', () => ({
+  create: jest.fn(async ({ id }) => ({ id }))
+}));
+
+const phone = '+221770000000';
+
+describe('AuthService phone verification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByPhone.mockResolvedValue(null);
+    jest.spyOn(SmsService, 'send').mockResolvedValue({ provider: 'console', messageId: 'm1' });
+  });
+
+  it('should text the code and store only its hash', async () => {
+    PhoneVerification.issue.mockResolvedValue({ id: 1, send_count: 1 });
+
+    const result = await AuthService.sendOTP('+221 77 000 0000');
+
+    const [storedPhone, purpose, codeHash] = PhoneVerification.issue.mock.calls[0];
+    const [sentTo, message] = SmsService.send.mock.calls[0];
+    const code = message.match(/\d{6}/)[0];
+
+    expect(storedPhone).toBe(phone);
+    expect(purpose).toBe('registration');
+    expect(sentTo).toBe(phone);
+    expect(codeHash).toBe(AuthService.hashOTP(phone, code));
+    expect(codeHash).not.toContain(code);
+    expect(result).not.toHaveProperty('otp');
+  });
+
+  it('should refuse a resend inside the cooldown', async () => {
+    PhoneVerification.issue.mockResolvedValue(null);
+    PhoneVerification.find.mockResolvedValue({ seconds_since_sent: 45 });
+
+    await expect(AuthService.sendOTP(phone)).rejects.toMatchObject({
+      code: 'OTP_RESEND_COOLDOWN',
+      statusCode: 429,
+      message: 'Please wait 15 seconds before requesting a new code'
+    });
+    expect(SmsService.send).not.toHaveBeenCalled();
+  });
+
+  it('should count wrong codes and verify the right one', async () => {
+    PhoneVerification.find.mockResolvedValue({
+      id: 1,
+      code_hash: AuthService.hashOTP(phone, '123456'),
+      expired: false,
+      verified_at: null
+    });
+    PhoneVerification.claimAttempt.mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+    PhoneVerification.markVerified.mockResolvedValue({ id: 1 });
+
+    await expect(AuthService.verifyOTP(phone, '000000')).rejects.toMatchObject({
+      code: 'OTP_INVALID',
+      message: 'Invalid verification code, 4 attempt(s) left'
+    });
+    await expect(AuthService.verifyOTP(phone, '123456')).resolves.toMatchObject({ success: true });
+    expect(PhoneVerification.markVerified).toHaveBeenCalledWith(1);
+  });
+
+  it('should lock the code once the attempts are used up', async () => {
+    PhoneVerification.find.mockResolvedValue({ id: 1, code_hash: 'ab', expired: false, verified_at: null });
+    PhoneVerification.claimAttempt.mockResolvedValue(null);
+
+    await expect(AuthService.verifyOTP(phone, '123456')).rejects.toMatchObject({
+      code: 'OTP_TOO_MANY_ATTEMPTS',
+      statusCode: 429
+    });
+  });
+
+  it('should reject an expired code without using an attempt', async () => {
+    PhoneVerification.find.mockResolvedValue({ id: 1, code_hash: 'ab', expired: true, verified_at: null });
+
+    await expect(AuthService.verifyOTP(phone, '123456')).rejects.toMatchObject({ code: 'OTP_EXPIRED' });
+    expect(PhoneVerification.claimAttempt).not.toHaveBeenCalled();
+  });
+
+  it('should not register an unverified phone', async () => {
+    PhoneVerification.findUsable.mockResolvedValue(null);
+
+    await expect(AuthService.register(phone, 'Awa Ndiaye', 'secret1')).rejects.toMatchObject({
+      code: 'PHONE_NOT_VERIFIED',
+      statusCode: 403
+    });
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('should hand the verification to the new account', async () => {
+    PhoneVerification.findUsable.mockResolvedValue({ id: 9 });
+    User.create.mockResolvedValue({ id: 4, phone, full_name: 'Awa Ndiaye', role: 'client', language: 'en' });
+
+    await AuthService.register(phone, 'Awa Ndiaye', 'secret1');
+
+    expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ phoneVerificationId: 9 }));
+  });
+});
+
+describe('SMS providers', () => {
+  it('should append messages to the outbox file', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sms-')), 'outbox.log');
+    const provider = new FileSmsProvider(file);
+
+    const result = await provider.send({ to: phone, message: 'Your code is 123456' });
+
+    const [entry] = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(entry).toMatchObject({ to: phone, message: 'Your code is 123456', messageId: result.messageId });
+  });
+
+  it('should refuse unknown or unconfigured providers', () => {
+    expect(() => SmsService.init('pigeon')).toThrow('Unknown SMS provider "pigeon"');
+    expect(() => SmsService.init('twilio')).toThrow('TWILIO_ACCOUNT_SID');
+  });
+});
@@ -0,0 +1,29 @@
+const PricingService = require('../services/pricing.service');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const arrivedAt = new Date(Date.UTC(2026, 0, 1, 10, 0));
+const minutesLater = (minutes) => new Date(arrivedAt.getTime() + minutes * 60000);
+
+describe('PricingService.computeWaitingCharge', () => {
+  const waitingConfig = { free_waiting_minutes: 5, waiting_charge_per_minute: 50 };
+
+  it('should not charge within the free waiting minutes', () => {
+    const result = PricingService.computeWaitingCharge(arrivedAt, minutesLater(4), waitingConfig);
+    expect(result.waitingCharge).toBe(0);
+  });
+
+  it('should bill every started minute beyond the free allowance', () => {
+    const result = PricingService.computeWaitingCharge(arrivedAt, minutesLater(7.5), waitingConfig);
+    expect(result).toMatchObject({ waitingMinutes: 7, chargeableMinutes: 3, waitingCharge: 150 });
+  });
+
+  it('should not charge when the driver never reported arrival', () => {
+    expect(PricingService.computeWaitingCharge(null, minutesLater(30), waitingConfig).waitingCharge).toBe(0);
+  });
+});
@@ -0,0 +1,94 @@
+const EventBus = require('../services/bus');
+const PresenceService = require('../services/presence.service');
+const UserPresence = require('../models/UserPresence');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../models/UserPresence', () => ({
+  setSocketCount: jest.fn().mockResolvedValue({}),
+  findByUserIds: jest.fn()
+}));
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('EventBus (local adapter)', () => {
+  afterEach(async () => {
+    await EventBus.close();
+  });
+
+  it('should deliver messages from other instances and skip its own', async () => {
+    await EventBus.init('local');
+    const handler = jest.fn();
+    await EventBus.subscribe('test_channel', handler);
+
+    await EventBus.publish('test_channel', { hello: 'self' });
+    await flush();
+    expect(handler).not.toHaveBeenCalled();
+
+    const own = jest.fn();
+    await EventBus.subscribe('test_channel', own, { includeSelf: true });
+    await EventBus.publish('test_channel', { hello: 'self' });
+    await flush();
+    await flush();
+    expect(own).toHaveBeenCalledWith({ hello: 'self' }, expect.objectContaining({ origin: EventBus.instanceId }));
+  });
+
+  it('should keep subscriptions made before init', async () => {
+    const handler = jest.fn();
+    await EventBus.subscribe('early_channel', handler, { includeSelf: true });
+    await EventBus.init('local');
+
+    await EventBus.publish('early_channel', { n: 1 });
+    await flush();
+    await flush();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject unknown adapters', async () => {
+    await expect(EventBus.init('redis')).rejects.toThrow('Unknown event bus adapter');
+  });
+});
+
+describe('PresenceService', () => {
+  beforeEach(() => {
+    UserPresence.setSocketCount.mockClear();
+  });
+
+  it('should track several sockets per user', async () => {
+    await PresenceService.registerSocket(7, 'phone', 'driver');
+    await PresenceService.registerSocket(7, 'tablet', 'driver');
+
+    expect(PresenceService.getLocalSocketIds(7)).toEqual(['phone', 'tablet']);
+    expect(UserPresence.setSocketCount).toHaveBeenLastCalledWith('7', EventBus.instanceId, 2);
+
+    await PresenceService.unregisterSocket(7, 'phone');
+    expect(PresenceService.isConnectedLocally(7)).toBe(true);
+    expect(UserPresence.setSocketCount).toHaveBeenLastCalledWith('7', EventBus.instanceId, 1);
+
+    await PresenceService.unregisterSocket(7, 'tablet');
+    expect(PresenceService.isConnectedLocally(7)).toBe(false);
+    expect(UserPresence.setSocketCount).toHaveBeenLastCalledWith('7', EventBus.instanceId, 0);
+  });
+
+  it('should write the latest count when connect and disconnect race', async () => {
+    const register = PresenceService.registerSocket(8, 'a', 'client');
+    const unregister = PresenceService.unregisterSocket(8, 'a');
+    await Promise.all([register, unregister]);
+
+    expect(UserPresence.setSocketCount.mock.calls.map((call) => call[2])).toEqual([0, 0]);
+  });
+
+  it('should fall back to other instances when the user is not connected here', async () => {
+    UserPresence.findByUserIds.mockResolvedValueOnce([
+      { user_id: 9, socket_count: 1, last_seen_at: new Date() }
+    ]);
+
+    await expect(PresenceService.isOnline(9)).resolves.toBe(true);
+    expect(UserPresence.findByUserIds).toHaveBeenCalledWith([9], PresenceService.heartbeatSeconds * 3);
+  });
+});
@@ -0,0 +1,78 @@
+const PricingService = require('../services/pricing.service');
+const { query } = require('../config/database');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../models/PricingSchedule', () => ({
+  findCovering: jest.fn(async () => null),
+  findActiveEndingBefore: jest.fn(async () => null)
+}));
+
+const globalConfig = { ...PricingService.getDefaultConfig(), id: 1, region: null };
+const dakarConfig = { ...PricingService.getDefaultConfig(), id: 2, region: 'Dakar', base_fare: 4000 };
+
+// Active configs by region, as `region IS NOT DISTINCT FROM $1` would find them
+const activeConfigs = { Dakar: dakarConfig, null: globalConfig };
+
+describe('PricingService.getPricingConfig', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should look up the region before the global default', async () => {
+    query.mockResolvedValueOnce({ rows: [dakarConfig] });
+
+    expect(await PricingService.getPricingConfig('Dakar')).toBe(dakarConfig);
+
+    const [sql, params] = query.mock.calls[0];
+    expect(params).toEqual(['Dakar']);
+    expect(sql).toMatch(/region = \$1 OR region IS NULL/);
+    expect(sql).toMatch(/ORDER BY region IS NULL/);
+  });
+
+  it('should only look up the global default without a region', async () => {
+    query.mockResolvedValueOnce({ rows: [globalConfig] });
+
+    expect(await PricingService.getPricingConfig()).toBe(globalConfig);
+    expect(query.mock.calls[0][1]).toEqual([null]);
+  });
+
+  it('should fall back to the built-in defaults when nothing is stored', async () => {
+    query.mockResolvedValueOnce({ rows: [] });
+    expect(await PricingService.getPricingConfig('Thies')).toEqual(PricingService.getDefaultConfig());
+
+    query.mockRejectedValueOnce(new Error('connection refused'));
+    expect(await PricingService.getPricingConfig('Thies')).toEqual(PricingService.getDefaultConfig());
+  });
+
+  it('should fall back to the global config for a future pickup in a region without its own', async () => {
+    query.mockImplementation(async (sql, [region]) => ({ rows: [activeConfigs[region]].filter(Boolean) }));
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60000);
+
+    expect(await PricingService.getPricingConfig('Thies', tomorrow)).toBe(globalConfig);
+    expect(await PricingService.getPricingConfig('Dakar', tomorrow)).toBe(dakarConfig);
+  });
+});
+
+describe('PricingService.calculatePointToPointFare by region', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should price with the config of the given region', async () => {
+    query.mockResolvedValueOnce({ rows: [dakarConfig] });
+
+    const fare = await PricingService.calculatePointToPointFare(10, new Date(2026, 9, 19, 12, 0), false, {
+      region: 'Dakar'
+    });
+
+    // 4000 + 10 km * 300, no surge outside a surge-enabled config
+    expect(fare.totalFare).toBe(7000);
+    expect(query.mock.calls[0][1]).toEqual(['Dakar']);
+  });
+});
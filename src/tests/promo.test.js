@@ -0,0 +1,99 @@
+const PromoService = require('../services/promo.service');
+const PromoCode = require('../models/PromoCode');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const promo = (overrides = {}) => ({
+  id: 1,
+  code: 'WELCOME',
+  discount_type: 'percentage',
+  discount_value: '20.00',
+  max_discount: null,
+  min_fare: null,
+  max_uses: null,
+  max_uses_per_user: 1,
+  times_used: 0,
+  valid_from: null,
+  valid_until: null,
+  regions: null,
+  booking_types: null,
+  first_ride_only: false,
+  is_active: true,
+  ...overrides
+});
+
+const context = { bookingType: 'point-to-point', region: 'Dakar', fare: 10000 };
+
+describe('PromoService.computeDiscount', () => {
+  it('should apply a percentage discount with its cap', () => {
+    expect(PromoService.computeDiscount(promo(), 10000)).toBe(2000);
+    expect(PromoService.computeDiscount(promo({ max_discount: 1500 }), 10000)).toBe(1500);
+  });
+
+  it('should never discount more than the fare', () => {
+    expect(PromoService.computeDiscount(promo({ discount_type: 'fixed', discount_value: '8000' }), 5000)).toBe(5000);
+  });
+});
+
+describe('PromoService.checkEligibility', () => {
+  it('should accept a valid promo', () => {
+    expect(PromoService.checkEligibility(promo(), context)).toBeNull();
+  });
+
+  it('should enforce validity window and usage limits', () => {
+    const past = new Date(Date.now() - 60000);
+    expect(PromoService.checkEligibility(promo({ valid_until: past }), context).code).toBe('PROMO_EXPIRED');
+    expect(PromoService.checkEligibility(promo({ max_uses: 5, times_used: 5 }), context).code).toBe('PROMO_USAGE_LIMIT');
+    expect(PromoService.checkEligibility(promo(), { ...context, userRedemptions: 1 }).code).toBe('PROMO_USER_LIMIT');
+  });
+
+  it('should enforce region, booking type and first-ride restrictions', () => {
+    expect(PromoService.checkEligibility(promo({ regions: ['Thies'] }), context).code).toBe('PROMO_REGION');
+    expect(PromoService.checkEligibility(promo({ booking_types: ['hourly'] }), context).code).toBe('PROMO_BOOKING_TYPE');
+    expect(PromoService.checkEligibility(promo({ first_ride_only: true }), { ...context, clientTrips: 2 }).code)
+      .toBe('PROMO_FIRST_RIDE');
+  });
+});
+
+describe('PromoService.sanitizePromoInput', () => {
+  it('should normalise the code and reject invalid discounts', () => {
+    const data = PromoService.sanitizePromoInput({ code: ' summer-10 ', discount_type: 'fixed', discount_value: 1000 });
+    expect(data.code).toBe('SUMMER-10');
+
+    expect(() => PromoService.sanitizePromoInput({ code: 'BIG', discount_type: 'percentage', discount_value: 150 }))
+      .toThrow('cannot exceed 100');
+  });
+});
+
+describe('PromoService.updatePromo', () => {
+  beforeEach(() => {
+    jest.spyOn(PromoCode, 'findById').mockResolvedValue(promo({
+      discount_type: 'fixed',
+      discount_value: '500.00',
+      valid_from: new Date('2026-01-01'),
+      valid_until: new Date('2026-12-31')
+    }));
+    jest.spyOn(PromoCode, 'update').mockImplementation(async (id, data) => ({ id, ...data }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should check a new discount type against the stored value', async () => {
+    await expect(PromoService.updatePromo(1, { discount_type: 'percentage' })).rejects.toThrow('cannot exceed 100');
+    await expect(PromoService.updatePromo(1, { discount_type: 'percentage', discount_value: 10 }))
+      .resolves.toMatchObject({ discount_type: 'percentage', discount_value: 10 });
+  });
+
+  it('should check one end of the validity period against the stored other end', async () => {
+    await expect(PromoService.updatePromo(1, { valid_until: '2025-12-31' })).rejects.toThrow('valid_until must be after valid_from');
+    await expect(PromoService.updatePromo(1, { valid_from: '2027-01-01' })).rejects.toThrow('valid_until must be after valid_from');
+    expect(PromoCode.update).not.toHaveBeenCalled();
+  });
+});
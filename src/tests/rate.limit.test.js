@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../app');
+const RateLimitService = require('../services/rateLimit.service');
+const RateLimit = require('../models/RateLimit');
+const ActivityLog = require('../models/ActivityLog');
+const User = require('../models/User');
+const { RateLimitError } = require('../middleware/errorHandler');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../models/RateLimit', () => ({
+  hit: jest.fn(),
+  lock: jest.fn(),
+  find: jest.fn(),
+  reset: jest.fn()
+}));
+
+jest.mock('../models/ActivityLog', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../models/User', () => ({
+  findByPhone: jest.fn(),
+  verifyPassword: jest.fn()
+}));
+
+jest.mock('../models/UserSession', () => ({
+  create: jest.fn(async ({ id }) => ({ id }))
+}));
+
+jest.mock('../models/TwoFactor', () => ({
+  findByUser: jest.fn(async () => null)
+}));
+
+const counter = (attempts, extra = {}) => ({ id: 1, attempts, locked: false, retry_after_seconds: null, ...extra });
+
+describe('RateLimitService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should let attempts through up to the limit', async () => {
+    RateLimit.hit.mockResolvedValue(counter(5));
+
+    await expect(RateLimitService.consume('trip_otp', 7)).resolves.toEqual({ attempts: 5, remaining: 0 });
+    expect(RateLimit.hit).toHaveBeenCalledWith('trip_otp', '7', 15 * 60);
+    expect(RateLimit.lock).not.toHaveBeenCalled();
+  });
+
+  it('should lock the key and record an alert when the limit is passed', async () => {
+    RateLimit.hit.mockResolvedValue(counter(6));
+    RateLimit.lock.mockResolvedValue({ id: 1, lockout_count: 2, locked_until: 'later', retry_after_seconds: 120 });
+
+    const error = await RateLimitService.consume('trip_otp', 7, { ipAddress: '10.0.0.1', userId: 3, resourceId: 7 })
+      .catch((err) => err);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error).toMatchObject({ statusCode: 429, code: 'RATE_LIMITED', retryAfterSeconds: 120 });
+    expect(RateLimit.lock).toHaveBeenCalledWith(1, expect.objectContaining({
+      lockoutSeconds: 60,
+      maxLockoutSeconds: 3600
+    }));
+    expect(ActivityLog.record).toHaveBeenCalledWith({
+      userId: 3,
+      action: 'rate_limit_lockout',
+      resourceType: 'trip_otp',
+      resourceId: 7,
+      details: { key: '7', lockoutCount: 2, lockedUntil: 'later', lockoutSeconds: 120 },
+      ipAddress: '10.0.0.1'
+    });
+  });
+
+  it('should refuse attempts while the key is locked', async () => {
+    RateLimit.hit.mockResolvedValue(counter(0, { locked: true, retry_after_seconds: 42 }));
+
+    await expect(RateLimitService.consume('login_phone', '+221770000000'))
+      .rejects.toMatchObject({ retryAfterSeconds: 42 });
+    expect(RateLimit.lock).not.toHaveBeenCalled();
+  });
+
+  it('should check a lockout without counting an attempt', async () => {
+    RateLimit.find.mockResolvedValue(counter(0, { locked: true, retry_after_seconds: 30 }));
+
+    await expect(RateLimitService.check('socket_auth_ip', '10.0.0.1')).rejects.toMatchObject({ code: 'RATE_LIMITED' });
+    expect(RateLimit.hit).not.toHaveBeenCalled();
+  });
+
+  it('should refuse unknown policies', async () => {
+    await expect(RateLimitService.consume('everything', 'k')).rejects.toThrow('Unknown rate limit policy "everything"');
+  });
+});
+
+describe('POST /api/auth/login rate limiting', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RateLimit.hit.mockResolvedValue(counter(1));
+    RateLimit.reset.mockResolvedValue(true);
+  });
+
+  it('should answer 429 with Retry-After once the phone is locked', async () => {
+    RateLimit.hit.mockImplementation(async (scope) => (
+      scope === 'login_phone' ? counter(0, { locked: true, retry_after_seconds: 90 }) : counter(1)
+    ));
+
+    const res = await request(app).post('/api/auth/login').send({ phone: '+221 77 000 0000', password: 'guess' });
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('90');
+    expect(res.body).toMatchObject({ code: 'RATE_LIMITED', retryAfterSeconds: 90 });
+    expect(RateLimit.hit).toHaveBeenCalledWith('login_phone', '+221770000000', 15 * 60);
+    expect(User.findByPhone).not.toHaveBeenCalled();
+  });
+
+  it('should keep the attempts of a wrong password and forget them after a login', async () => {
+    User.findByPhone.mockResolvedValue({ id: 4, phone: '+221770000000', role: 'client', status: 'active' });
+    User.verifyPassword.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+    const failed = await request(app).post('/api/auth/login').send({ phone: '+221770000000', password: 'guess' });
+    expect(failed.status).toBe(401);
+    expect(RateLimit.reset).not.toHaveBeenCalled();
+
+    const ok = await request(app).post('/api/auth/login').send({ phone: '+221770000000', password: 'secret1' });
+    expect(ok.status).toBe(200);
+    expect(RateLimit.reset).toHaveBeenCalledWith('login_phone', '+221770000000');
+    expect(RateLimit.reset).not.toHaveBeenCalledWith('login_ip', expect.anything());
+  });
+});
@@ -0,0 +1,51 @@
+const SchedulerService = require('../services/scheduler.service');
+
+describe('SchedulerService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    SchedulerService.stop();
+    for (const job of SchedulerService.getJobs()) {
+      SchedulerService.unregisterJob(job.name);
+    }
+    jest.useRealTimers();
+  });
+
+  it('should run a job on start and then on every interval', async () => {
+    const handler = jest.fn().mockResolvedValue(undefined);
+    SchedulerService.registerJob('tick', 1000, handler);
+
+    SchedulerService.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(handler).toHaveBeenCalledTimes(2);
+
+    SchedulerService.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep running after a job fails', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValue(undefined);
+    SchedulerService.registerJob('flaky', 1000, handler);
+
+    SchedulerService.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(SchedulerService.getJobs()[0].lastError).toBe('boom');
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(SchedulerService.getJobs()[0].lastError).toBeNull();
+  });
+
+  it('should reject duplicate job names', () => {
+    SchedulerService.registerJob('once', 1000, jest.fn());
+    expect(() => SchedulerService.registerJob('once', 1000, jest.fn())).toThrow();
+  });
+});
@@ -0,0 +1,188 @@
+const jwt = require('jsonwebtoken');
+const socketIO = require('socket.io');
+const socketService = require('../services/socket.service');
+const Trip = require('../models/Trip');
+const UserSession = require('../models/UserSession');
+const RateLimitService = require('../services/rateLimit.service');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+// A stand-in server that hands back the handshake middleware and connection handler
+jest.mock('socket.io', () => {
+  const io = {
+    use: jest.fn(),
+    on: jest.fn(),
+    to: jest.fn(() => io),
+    in: jest.fn(() => io),
+    emit: jest.fn(),
+    socketsJoin: jest.fn()
+  };
+  return jest.fn(() => io);
+});
+
+jest.mock('../models/Trip', () => ({
+  findById: jest.fn(),
+  findActiveIdsByUser: jest.fn(async () => [])
+}));
+
+jest.mock('../models/UserSession', () => ({
+  isActive: jest.fn()
+}));
+
+jest.mock('../services/rateLimit.service', () => ({
+  check: jest.fn(),
+  consume: jest.fn(async () => ({}))
+}));
+
+jest.mock('../services/presence.service', () => ({
+  registerSocket: jest.fn(async () => {}),
+  unregisterSocket: jest.fn(async () => {})
+}));
+
+jest.mock('../services/bus', () => ({
+  subscribe: jest.fn(async () => {}),
+  publish: jest.fn(async () => {})
+}));
+
+const SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+socketService.initializeSocket({});
+const io = socketIO();
+const [authenticateSocket] = io.use.mock.calls[0];
+const onConnection = io.on.mock.calls.find(([event]) => event === 'connection')[1];
+
+const handshakeSocket = (token) => ({
+  id: 'socket-1',
+  handshake: { auth: token ? { token } : {}, headers: {}, address: '10.0.0.1' }
+});
+
+const authenticate = async (socket) => {
+  const next = jest.fn();
+  await authenticateSocket(socket, next);
+  return next.mock.calls[0][0];
+};
+
+// A connected socket whose event handlers can be called directly
+const connect = async (user) => {
+  const handlers = {};
+  const socket = {
+    id: 'socket-1',
+    userId: user.id,
+    userRole: user.role,
+    twoFactor: false,
+    join: jest.fn(),
+    leave: jest.fn(),
+    emit: jest.fn(),
+    on: jest.fn((event, handler) => {
+      handlers[event] = handler;
+    })
+  };
+  await onConnection(socket);
+  return { socket, handlers };
+};
+
+describe('Socket handshake', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RateLimitService.check.mockResolvedValue();
+  });
+
+  it('should accept a valid token of an active session', async () => {
+    UserSession.isActive.mockResolvedValue(true);
+    const socket = handshakeSocket(jwt.sign({ id: 4, role: 'client', sid: 's1' }, SECRET));
+
+    expect(await authenticate(socket)).toBeUndefined();
+    expect(socket).toMatchObject({ userId: 4, userRole: 'client', sessionId: 's1' });
+  });
+
+  it('should reject a missing token', async () => {
+    const error = await authenticate(handshakeSocket(null));
+
+    expect(error.data).toEqual({ code: 'UNAUTHORIZED' });
+  });
+
+  it('should reject a forged token and count it against the address', async () => {
+    const error = await authenticate(handshakeSocket(jwt.sign({ id: 4, role: 'admin' }, 'not-the-secret')));
+
+    expect(error.data).toEqual({ code: 'UNAUTHORIZED' });
+    expect(RateLimitService.consume).toHaveBeenCalledWith('socket_auth_ip', '10.0.0.1', { ipAddress: '10.0.0.1' });
+  });
+
+  it('should reject the token of a revoked session', async () => {
+    UserSession.isActive.mockResolvedValue(false);
+    const socket = handshakeSocket(jwt.sign({ id: 4, role: 'client', sid: 's1' }, SECRET));
+
+    const error = await authenticate(socket);
+
+    expect(error.data).toEqual({ code: 'SESSION_REVOKED' });
+    expect(socket.userId).toBeUndefined();
+  });
+
+  it('should refuse every token while the address is locked', async () => {
+    RateLimitService.check.mockRejectedValue(Object.assign(new Error('Too many attempts'), {
+      code: 'RATE_LIMITED',
+      retryAfterSeconds: 60
+    }));
+
+    const error = await authenticate(handshakeSocket(jwt.sign({ id: 4, role: 'client' }, SECRET)));
+
+    expect(error.data).toEqual({ code: 'RATE_LIMITED', retryAfterSeconds: 60 });
+  });
+});
+
+describe('Socket rooms', () => {
+  const trip = { id: 7, client_id: 4, driver_id: 9 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Trip.findById.mockResolvedValue(trip);
+  });
+
+  it('should place the socket in its user room only', async () => {
+    const { socket } = await connect({ id: 4, role: 'client' });
+
+    expect(socket.join.mock.calls).toEqual([['user:4']]);
+  });
+
+  it('should let a participant subscribe to the trip', async () => {
+    const { socket, handlers } = await connect({ id: 9, role: 'driver' });
+    const ack = jest.fn();
+
+    await handlers.subscribe_trip({ tripId: 7 }, ack);
+
+    expect(socket.join).toHaveBeenCalledWith('trip:7');
+    expect(ack).toHaveBeenCalledWith({ success: true });
+  });
+
+  it('should refuse a user who is not part of the trip', async () => {
+    const { socket, handlers } = await connect({ id: 5, role: 'client' });
+    const ack = jest.fn();
+
+    await handlers.subscribe_trip({ tripId: 7 }, ack);
+
+    expect(socket.join).not.toHaveBeenCalledWith('trip:7');
+    expect(ack).toHaveBeenCalledWith({ success: false });
+  });
+
+  it('should answer a malformed trip id instead of failing', async () => {
+    Trip.findById.mockRejectedValue(new Error('invalid input syntax for type integer: "abc"'));
+    const { handlers } = await connect({ id: 4, role: 'client' });
+    const ack = jest.fn();
+
+    await handlers.subscribe_trip({ tripId: 'abc' }, ack);
+
+    expect(ack).toHaveBeenCalledWith({ success: false });
+  });
+
+  it('should not relay trip status changes sent by the app', async () => {
+    const { handlers } = await connect({ id: 4, role: 'client' });
+
+    expect(handlers).not.toHaveProperty('booking_accepted');
+    expect(handlers).not.toHaveProperty('trip_completed');
+  });
+});
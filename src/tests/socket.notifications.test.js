@@ -0,0 +1,46 @@
+const socketService = require('../services/socket.service');
+const SocketNotification = require('../models/SocketNotification');
+const PresenceService = require('../services/presence.service');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../models/SocketNotification', () => ({
+  create: jest.fn(),
+  markDelivered: jest.fn().mockResolvedValue(1)
+}));
+
+jest.mock('../services/presence.service', () => ({
+  isOnline: jest.fn()
+}));
+
+describe('sendReliableNotification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    SocketNotification.create.mockResolvedValue({ id: 42 });
+  });
+
+  it('should keep the notification for replay when the user is offline', async () => {
+    PresenceService.isOnline.mockResolvedValue(false);
+
+    const result = await socketService.sendReliableNotification(
+      5,
+      'new_booking_request',
+      { requestId: 9, tripId: 3 },
+      { bookingRequestId: 9 }
+    );
+
+    expect(result).toEqual({ notificationId: 42, delivered: false });
+    expect(SocketNotification.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 5,
+      event: 'new_booking_request',
+      payload: { requestId: 9, tripId: 3 },
+      bookingRequestId: 9
+    }));
+    expect(SocketNotification.markDelivered).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,53 @@
+const SurgeService = require('../services/surge.service');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const config = {
+  surge_enabled: true,
+  surge_demand_threshold: '1.00',
+  surge_sensitivity: '0.50',
+  surge_max_multiplier: '2.00',
+  surge_smoothing_factor: '0.30'
+};
+
+describe('SurgeService.computeRawMultiplier', () => {
+  it('should not surge below the demand threshold', () => {
+    expect(SurgeService.computeRawMultiplier(3, 5, config)).toBe(1);
+    expect(SurgeService.computeRawMultiplier(0, 0, config)).toBe(1);
+  });
+
+  it('should grow with the excess demand ratio', () => {
+    // ratio 3 -> 1 + (3 - 1) * 0.5
+    expect(SurgeService.computeRawMultiplier(6, 2, config)).toBe(2);
+    // ratio 1.5 -> 1 + 0.5 * 0.5
+    expect(SurgeService.computeRawMultiplier(3, 2, config)).toBe(1.25);
+  });
+
+  it('should cap at the maximum multiplier', () => {
+    expect(SurgeService.computeRawMultiplier(50, 2, config)).toBe(2);
+    expect(SurgeService.computeRawMultiplier(4, 0, config)).toBe(2);
+  });
+});
+
+describe('SurgeService.smooth', () => {
+  it('should move part of the way towards the raw multiplier', () => {
+    expect(SurgeService.smooth(1, 2, 0.3)).toBe(1.3);
+    expect(SurgeService.smooth(1.3, 1, 0.3)).toBe(1.21);
+  });
+
+  it('should never drop below 1', () => {
+    expect(SurgeService.smooth(1, 1, 0.3)).toBe(1);
+  });
+});
+
+describe('SurgeService.getSurgeMultiplier', () => {
+  it('should return 1 when surge is disabled or no region is given', async () => {
+    expect(await SurgeService.getSurgeMultiplier('Dakar', { ...config, surge_enabled: false })).toBe(1);
+    expect(await SurgeService.getSurgeMultiplier(null, config)).toBe(1);
+  });
+});
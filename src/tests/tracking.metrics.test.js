@@ -0,0 +1,77 @@
+const TrackingService = require('../services/tracking.service');
+const { query } = require('../config/database');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+// Points roughly 1.1 km apart heading north, one minute between each ping
+const ping = (minutes, latitude, extra = {}) => ({
+  latitude,
+  longitude: -17.44,
+  accuracy: 10,
+  recorded_at: new Date(Date.UTC(2026, 0, 1, 10, minutes)),
+  ...extra
+});
+
+describe('TrackingService.measureTrackDistance', () => {
+  it('should sum distance along a clean track', () => {
+    const result = TrackingService.measureTrackDistance([
+      ping(0, 14.70),
+      ping(1, 14.71),
+      ping(2, 14.72)
+    ]);
+
+    expect(result.distanceKm).toBeCloseTo(2.22, 1);
+    expect(result.usedPoints).toBe(3);
+    expect(result.rejectedPoints).toBe(0);
+  });
+
+  it('should reject jumps that imply an impossible speed', () => {
+    const result = TrackingService.measureTrackDistance([
+      ping(0, 14.70),
+      ping(1, 14.90), // ~22 km in one minute
+      ping(2, 14.71)
+    ]);
+
+    expect(result.distanceKm).toBeCloseTo(1.11, 1);
+    expect(result.rejectedPoints).toBe(1);
+  });
+
+  it('should ignore inaccurate fixes', () => {
+    const result = TrackingService.measureTrackDistance([
+      ping(0, 14.70),
+      ping(1, 14.75, { accuracy: 500 }),
+      ping(2, 14.71)
+    ]);
+
+    expect(result.distanceKm).toBeCloseTo(1.11, 1);
+    expect(result.rejectedPoints).toBe(1);
+  });
+});
+
+describe('TrackingService.computeTripMetrics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should fall back to the estimated distance without a usable track', async () => {
+    query.mockResolvedValueOnce({ rows: [] });
+
+    const trip = {
+      id: 7,
+      otp_verified_at: new Date(Date.UTC(2026, 0, 1, 10, 0)),
+      estimated_distance: '12.50',
+      estimated_duration: 30
+    };
+
+    const metrics = await TrackingService.computeTripMetrics(trip, new Date(Date.UTC(2026, 0, 1, 10, 42)));
+
+    expect(metrics.distanceKm).toBe(12.5);
+    expect(metrics.distanceSource).toBe('estimate');
+    expect(metrics.durationMinutes).toBe(42);
+  });
+});
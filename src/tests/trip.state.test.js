@@ -0,0 +1,97 @@
+const TripStateService = require('../services/tripState.service');
+const Trip = require('../models/Trip');
+const { transaction } = require('../config/database');
+const { InvalidTransitionError } = require('../middleware/errorHandler');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+describe('TripStateService', () => {
+  it('should allow the normal lifecycle to the right actors', () => {
+    expect(TripStateService.canTransition('scheduled', 'pending', 'system')).toBe(true);
+    expect(TripStateService.canTransition('pending', 'accepted', 'driver')).toBe(true);
+    expect(TripStateService.canTransition('accepted', 'waiting_for_pickup', 'driver')).toBe(true);
+    expect(TripStateService.canTransition('waiting_for_pickup', 'in_progress', 'driver')).toBe(true);
+    expect(TripStateService.canTransition('in_progress', 'completed', 'driver')).toBe(true);
+  });
+
+  it('should reject changes made by the wrong actor or out of order', () => {
+    expect(TripStateService.canTransition('pending', 'accepted', 'client')).toBe(false);
+    expect(TripStateService.canTransition('accepted', 'in_progress', 'client')).toBe(false);
+    expect(TripStateService.canTransition('pending', 'completed', 'driver')).toBe(false);
+    expect(TripStateService.canTransition('completed', 'cancelled', 'admin')).toBe(false);
+  });
+
+  it('should only let an admin cancel a trip in progress', () => {
+    expect(TripStateService.allowedTransitions('in_progress', 'client')).toEqual([]);
+    expect(TripStateService.allowedTransitions('in_progress', 'admin')).toEqual(['completed', 'cancelled']);
+  });
+
+  it('should throw a typed 409 for an illegal change', () => {
+    expect.assertions(4);
+    try {
+      TripStateService.assertTransition('in_progress', 'cancelled', 'client');
+    } catch (error) {
+      expect(error).toBeInstanceOf(InvalidTransitionError);
+      expect(error.statusCode).toBe(409);
+      expect(error.code).toBe('INVALID_TRANSITION');
+      expect(error).toMatchObject({ fromStatus: 'in_progress', toStatus: 'cancelled', actor: 'client' });
+    }
+  });
+
+  it('should treat completed and cancelled as final', () => {
+    expect(TripStateService.isFinal('completed')).toBe(true);
+    expect(TripStateService.isFinal('cancelled')).toBe(true);
+    expect(TripStateService.isFinal('accepted')).toBe(false);
+  });
+});
+
+describe('Trip.cancelTrip', () => {
+  const mockClient = (status) => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FOR UPDATE')) {
+          return { rows: status ? [{ status }] : [] };
+        }
+        if (sql.includes('UPDATE trips')) {
+          return { rows: [{ id: 7, status: 'cancelled' }] };
+        }
+        return { rows: [] };
+      })
+    };
+    transaction.mockImplementation((callback) => callback(client));
+    return client;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should refuse a client cancelling a trip in progress', async () => {
+    const client = mockClient('in_progress');
+
+    await expect(Trip.cancelTrip(7, 'Changed my mind', { cancelledBy: 'client', cancelledById: 3 }))
+      .rejects.toMatchObject({ code: 'INVALID_TRANSITION', statusCode: 409 });
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record who cancelled in the status history', async () => {
+    const client = mockClient('accepted');
+
+    await Trip.cancelTrip(7, 'Changed my mind', { cancelledBy: 'client', cancelledById: 3 });
+
+    const history = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO trip_status_history'));
+    expect(history[1]).toEqual([7, 'accepted', 'cancelled', 'client', 3, 'Changed my mind']);
+  });
+
+  it('should keep the not-cancellable error when the status moved on', async () => {
+    mockClient('accepted');
+
+    await expect(Trip.cancelTrip(7, 'no_driver_found', { cancelledBy: 'system', expectedStatus: 'pending' }))
+      .rejects.toMatchObject({ code: 'TRIP_NOT_CANCELLABLE' });
+  });
+});
@@ -0,0 +1,55 @@
+const PricingService = require('../services/pricing.service');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+// Dakar: Plateau -> Medina -> Fann
+const pickup = { lat: 14.6700, lng: -17.4350 };
+const stop = { latitude: 14.6900, longitude: -17.4500, address: 'Pharmacie Medina' };
+const destination = { lat: 14.6950, lng: -17.4700 };
+
+describe('PricingService.normalizeStops', () => {
+  it('should accept lat/lng aliases and keep the order', () => {
+    const stops = PricingService.normalizeStops([
+      { lat: '14.69', lng: '-17.45' },
+      { latitude: 14.7, longitude: -17.46, address: 'School' }
+    ]);
+
+    expect(stops).toEqual([
+      { latitude: 14.69, longitude: -17.45, address: null },
+      { latitude: 14.7, longitude: -17.46, address: 'School' }
+    ]);
+  });
+
+  it('should reject malformed or too many stops', () => {
+    expect(() => PricingService.normalizeStops({ lat: 1 })).toThrow('stops must be an array');
+    expect(() => PricingService.normalizeStops([{ lat: 'x', lng: 2 }])).toThrow('Stop 1 needs a valid latitude');
+    expect(() => PricingService.normalizeStops(new Array(6).fill(stop))).toThrow('at most 5 stops');
+  });
+});
+
+describe('PricingService multi-leg distance', () => {
+  it('should price the whole leg sequence', () => {
+    const legs = PricingService.computeLegs(pickup.lat, pickup.lng, destination.lat, destination.lng, [stop]);
+    expect(legs).toHaveLength(2);
+
+    const direct = PricingService.resolveRouteDistance(pickup.lat, pickup.lng, destination.lat, destination.lng);
+    const viaStop = PricingService.resolveRouteDistance(pickup.lat, pickup.lng, destination.lat, destination.lng, null, [stop]);
+
+    const legsTotal = legs.reduce((sum, leg) => sum + leg.straightLineKm, 0);
+    expect(viaStop).toBeCloseTo(legsTotal * 1.3, 1);
+    expect(viaStop).toBeGreaterThan(direct);
+  });
+
+  it('should only match a quote with the same stops in the same order', () => {
+    const other = { latitude: 14.7, longitude: -17.46, address: null };
+
+    expect(PricingService.sameStops([stop, other], [stop, other])).toBe(true);
+    expect(PricingService.sameStops([stop, other], [other, stop])).toBe(false);
+    expect(PricingService.sameStops([stop], [])).toBe(false);
+  });
+});
@@ -0,0 +1,239 @@
+const jwt = require('jsonwebtoken');
+const totp = require('../utils/totp');
+const TwoFactorService = require('../services/twoFactor.service');
+const AuthService = require('../services/auth.service');
+const TwoFactor = require('../models/TwoFactor');
+const UserSession = require('../models/UserSession');
+const ActivityLog = require('../models/ActivityLog');
+const RateLimit = require('../models/RateLimit');
+const User = require('../models/User');
+const { requireAdminTwoFactor } = require('../middleware/auth');
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  connectDatabase: jest.fn(),
+  getPool: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../models/TwoFactor', () => ({
+  findByUser: jest.fn(),
+  saveSecret: jest.fn(),
+  enable: jest.fn(),
+  claimStep: jest.fn(),
+  useRecoveryCode: jest.fn(),
+  countRecoveryCodesLeft: jest.fn(),
+  regenerateRecoveryCodes: jest.fn(),
+  remove: jest.fn()
+}));
+
+jest.mock('../models/UserSession', () => ({
+  create: jest.fn(async ({ id, twoFactorVerified }) => ({ id, two_factor_verified_at: twoFactorVerified ? new Date() : null })),
+  markTwoFactorVerified: jest.fn()
+}));
+
+jest.mock('../models/ActivityLog', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../models/RateLimit', () => ({
+  hit: jest.fn(async () => ({ id: 1, attempts: 1, locked: false })),
+  reset: jest.fn()
+}));
+
+jest.mock('../models/User', () => ({
+  findByPhone: jest.fn(),
+  findById: jest.fn(),
+  verifyPassword: jest.fn()
+}));
+
+// RFC 6238 appendix B: the ASCII key "12345678901234567890", SHA-1, 8 digits
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+const admin = { id: 1, phone: '+221770000001', full_name: 'Fatou Sall', role: 'admin', language: 'fr', status: 'active' };
+
+describe('TOTP', () => {
+  it.each(RFC_VECTORS)('should match the RFC 6238 code at %i', (time, code) => {
+    expect(totp.totp(RFC_SECRET, { time, digits: 8 })).toBe(code);
+  });
+
+  it('should round-trip base32 secrets', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode(RFC_SECRET.toLowerCase()).toString()).toBe('12345678901234567890');
+  });
+
+  it('should accept a code from the next time step and return that step', () => {
+    const code = totp.totp(RFC_SECRET, { time: 1000 });
+
+    expect(totp.verify(RFC_SECRET, code, { time: 1025 })).toBe(Math.floor(1000 / 30));
+    expect(totp.verify(RFC_SECRET, code, { time: 1100 })).toBeNull();
+    expect(totp.verify(RFC_SECRET, 'abcdef', { time: 1000 })).toBeNull();
+  });
+
+  it('should build an otpauth URI', () => {
+    expect(totp.keyUri({ secret: RFC_SECRET, accountName: '+221770000001', issuer: 'ONIVA' })).toBe(
+      'otpauth://totp/ONIVA%3A%2B221770000001?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&issuer=ONIVA&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
+
+describe('TwoFactorService', () => {
+  let secret;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    secret = totp.generateSecret();
+  });
+
+  const enabledSettings = () => ({
+    user_id: 1,
+    secret_encrypted: TwoFactorService.encryptSecret(secret),
+    enabled_at: new Date()
+  });
+
+  it('should only store the secret encrypted', async () => {
+    TwoFactor.saveSecret.mockImplementation(async (userId, stored) => ({ user_id: userId, secret_encrypted: stored }));
+
+    const result = await TwoFactorService.setup(admin);
+
+    const stored = TwoFactor.saveSecret.mock.calls[0][1];
+    expect(stored).not.toContain(result.secret);
+    expect(TwoFactorService.decryptSecret(stored)).toBe(result.secret);
+    expect(result.otpauthUri).toContain(`secret=${result.secret}`);
+    expect(ActivityLog.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'two_factor_setup_started' }));
+  });
+
+  it('should enable with a valid first code and hand out hashed recovery codes', async () => {
+    TwoFactor.findByUser.mockResolvedValue({ ...enabledSettings(), enabled_at: null });
+    TwoFactor.enable.mockResolvedValue({ user_id: 1 });
+
+    const stepBefore = totp.timeStep();
+    const { recoveryCodes } = await TwoFactorService.enable(admin, totp.totp(secret), { sessionId: 's1' });
+
+    const [, step, hashes] = TwoFactor.enable.mock.calls[0];
+    expect([stepBefore, stepBefore + 1]).toContain(step);
+    expect(recoveryCodes).toHaveLength(10);
+    expect(hashes).toEqual(recoveryCodes.map((code) => TwoFactorService.hashRecoveryCode(code)));
+    expect(UserSession.markTwoFactorVerified).toHaveBeenCalledWith('s1');
+    expect(ActivityLog.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'two_factor_enabled' }));
+  });
+
+  it('should refuse a code that was already used and log the failure', async () => {
+    TwoFactor.findByUser.mockResolvedValue(enabledSettings());
+    TwoFactor.claimStep.mockResolvedValue(false);
+
+    await expect(TwoFactorService.verifyCode(1, totp.totp(secret))).rejects.toMatchObject({
+      code: 'TWO_FACTOR_INVALID',
+      statusCode: 401
+    });
+    expect(ActivityLog.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'two_factor_failed' }));
+    expect(RateLimit.hit).toHaveBeenCalledWith('two_factor', '1', 15 * 60);
+  });
+
+  it('should accept a recovery code once', async () => {
+    TwoFactor.findByUser.mockResolvedValue(enabledSettings());
+    TwoFactor.useRecoveryCode.mockResolvedValue(true);
+    TwoFactor.countRecoveryCodesLeft.mockResolvedValue(9);
+
+    await expect(TwoFactorService.verifyCode(1, 'AB12-CD34')).resolves.toBe('recovery_code');
+    expect(TwoFactor.useRecoveryCode).toHaveBeenCalledWith(1, TwoFactorService.hashRecoveryCode('ab12cd34'));
+    expect(ActivityLog.record).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'two_factor_recovery_code_used',
+      details: { recoveryCodesLeft: 9 }
+    }));
+  });
+
+  it('should not let an admin turn it off when it is required', async () => {
+    process.env.REQUIRE_ADMIN_2FA = 'true';
+    try {
+      await expect(TwoFactorService.disable(admin, '123456')).rejects.toMatchObject({ code: 'TWO_FACTOR_REQUIRED' });
+      expect(TwoFactor.remove).not.toHaveBeenCalled();
+    } finally {
+      delete process.env.REQUIRE_ADMIN_2FA;
+    }
+  });
+});
+
+describe('Two-factor login', () => {
+  let secret;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    secret = totp.generateSecret();
+    User.findByPhone.mockResolvedValue(admin);
+    User.findById.mockResolvedValue(admin);
+    User.verifyPassword.mockResolvedValue(true);
+    TwoFactor.findByUser.mockResolvedValue({
+      user_id: 1,
+      secret_encrypted: TwoFactorService.encryptSecret(secret),
+      enabled_at: new Date()
+    });
+    TwoFactor.claimStep.mockResolvedValue(true);
+  });
+
+  it('should answer the password with a challenge instead of a session', async () => {
+    const result = await AuthService.login(admin.phone, 'secret1');
+
+    expect(result).toMatchObject({ twoFactorRequired: true });
+    expect(result).not.toHaveProperty('token');
+    expect(UserSession.create).not.toHaveBeenCalled();
+    // The challenge is no access token
+    await expect(AuthService.verifyToken(result.challengeToken)).resolves.toMatchObject({ valid: false });
+  });
+
+  it('should open a two-factor session for the challenge and a valid code', async () => {
+    const { challengeToken } = await AuthService.login(admin.phone, 'secret1');
+
+    const result = await AuthService.completeTwoFactorLogin(challengeToken, totp.totp(secret), { ipAddress: '10.0.0.1' });
+
+    expect(jwt.decode(result.token)).toMatchObject({ id: 1, tfa: true, sid: result.sessionId });
+    expect(UserSession.create).toHaveBeenCalledWith(expect.objectContaining({ twoFactorVerified: true }));
+    expect(ActivityLog.record).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'two_factor_login',
+      details: { method: 'totp', sessionId: result.sessionId },
+      ipAddress: '10.0.0.1'
+    }));
+  });
+
+  it('should refuse a forged or expired challenge', async () => {
+    const forged = jwt.sign({ id: 1, purpose: 'two_factor' }, process.env.JWT_SECRET || 'your-secret-key');
+
+    await expect(AuthService.completeTwoFactorLogin(forged, totp.totp(secret))).rejects.toMatchObject({
+      code: 'TWO_FACTOR_CHALLENGE_INVALID'
+    });
+  });
+});
+
+describe('requireAdminTwoFactor', () => {
+  const run = (user) => {
+    const req = { user, userRole: user.role };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    requireAdminTwoFactor(req, res, next);
+    return { res, next };
+  };
+
+  afterEach(() => {
+    delete process.env.REQUIRE_ADMIN_2FA;
+  });
+
+  it('should only close admin routes to tokens without a second factor when required', () => {
+    expect(run({ id: 1, role: 'admin' }).next).toHaveBeenCalled();
+
+    process.env.REQUIRE_ADMIN_2FA = 'true';
+    const { res, next } = run({ id: 1, role: 'admin' });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TWO_FACTOR_REQUIRED' }));
+
+    expect(run({ id: 1, role: 'admin', tfa: true }).next).toHaveBeenCalled();
+  });
+});
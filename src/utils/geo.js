@@ -0,0 +1,85 @@
+/**
+ * Geo utility
+ * Distance and polyline helpers shared by location, tracking and pricing code
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two points using the Haversine formula (km)
+const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+};
+
+// Perpendicular distance (meters) from a point to the segment start-end,
+// using an equirectangular projection which is accurate enough at city scale
+const perpendicularDistance = (point, start, end) => {
+  const refLat = toRadians(start.latitude);
+  const project = (p) => ({
+    x: toRadians(p.longitude) * Math.cos(refLat) * EARTH_RADIUS_KM * 1000,
+    y: toRadians(p.latitude) * EARTH_RADIUS_KM * 1000
+  });
+
+  const p = project(point);
+  const a = project(start);
+  const b = project(end);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+
+  if (dx === 0 && dy === 0) {
+    return Math.hypot(p.x - a.x, p.y - a.y);
+  }
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / (dx * dx + dy * dy)));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+/**
+ * Simplify a polyline with the Ramer-Douglas-Peucker algorithm.
+ * Points are objects with latitude/longitude; extra fields are preserved.
+ */
+const simplifyPath = (points, toleranceMeters) => {
+  if (!toleranceMeters || toleranceMeters <= 0 || points.length <= 2) {
+    return points;
+  }
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Iterative to avoid blowing the stack on long trips
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = perpendicularDistance(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > toleranceMeters) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+module.exports = {
+  haversineDistance,
+  simplifyPath
+};
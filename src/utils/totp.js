@@ -0,0 +1,133 @@
+/**
+ * TOTP utility
+ * Time-based one-time passwords (RFC 6238, built on HOTP from RFC 4226) as
+ * generated by authenticator apps, with base32 secrets and otpauth:// URIs
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+  digits: 6,
+  period: 30,
+  algorithm: 'sha1'
+};
+
+// RFC 4648 base32 without padding, the format authenticator apps expect
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Case, spaces and padding are ignored, as people type secrets in by hand
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// 160 random bits, the key size RFC 4226 recommends for HMAC-SHA1
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+// HOTP value of `counter` for a raw key (RFC 4226 section 5.3)
+const hotp = (key, counter, { digits = DEFAULTS.digits, algorithm = DEFAULTS.algorithm } = {}) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+// Time step a Unix time (seconds) falls in
+const timeStep = (time = Date.now() / 1000, period = DEFAULTS.period) => Math.floor(time / period);
+
+// TOTP code of a base32 secret at `time` (Unix seconds)
+const totp = (secret, { time, period = DEFAULTS.period, ...options } = {}) => {
+  return hotp(base32Decode(secret), timeStep(time, period), options);
+};
+
+/**
+ * Check a code against the current time step and `window` steps either side,
+ * allowing for clock drift. Returns the matching time step, so callers can
+ * refuse a code that was already used, or null.
+ */
+const verify = (secret, code, { time, window = 1, period = DEFAULTS.period, ...options } = {}) => {
+  const digits = options.digits || DEFAULTS.digits;
+  const candidate = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = timeStep(time, period);
+
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(key, step, options);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI an authenticator app imports, usually shown as a QR code
+const keyUri = ({ secret, accountName, issuer, digits = DEFAULTS.digits, period = DEFAULTS.period }) => {
+  const label = encodeURIComponent(issuer ? `${issuer}:${accountName}` : accountName);
+  const params = new URLSearchParams({
+    secret,
+    ...(issuer && { issuer }),
+    algorithm: DEFAULTS.algorithm.toUpperCase(),
+    digits: String(digits),
+    period: String(period)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  timeStep,
+  totp,
+  verify,
+  keyUri
+};